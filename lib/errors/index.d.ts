@@ -0,0 +1 @@
+export { default as StaleModelError } from './stale-model-error';
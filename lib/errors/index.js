@@ -0,0 +1,7 @@
+'use strict';
+
+const StaleModelError = require('./stale-model-error');
+
+module.exports = {
+  StaleModelError,
+};
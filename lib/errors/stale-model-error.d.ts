@@ -0,0 +1,11 @@
+import { Model, ModelClass } from 'mythix-orm';
+
+declare class StaleModelError extends Error {
+  declare public Model: ModelClass | null;
+  declare public model: Model;
+  declare public version: any;
+
+  public constructor(message: string, model: Model, version: any);
+}
+
+export default StaleModelError;
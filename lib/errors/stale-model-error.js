@@ -0,0 +1,37 @@
+'use strict';
+
+const { Errors } = require('mythix-orm');
+
+/// Thrown by <see>SQLConnectionBase.update</see> when a model
+/// using optimistic locking was modified by someone else since
+/// it was loaded, and so was not updated.
+///
+/// Properties:
+///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+///     The model class of the stale model.
+///   model: [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+///     The stale model instance.
+///   version: any
+///     The version of the model when it was loaded.
+///
+/// Example:
+///   try {
+///     await comment.save();
+///   } catch (error) {
+///     if (error instanceof StaleModelError)
+///       console.warn('Comment was modified by someone else. Please reload it, and try again.');
+///   }
+///
+/// See: SQLConnectionBase.getVersionField
+class StaleModelError extends Errors.MythixORMBaseError {
+  constructor(message, model, version) {
+    super(message);
+
+    this.name = 'StaleModelError';
+    this.Model = (model) ? model.getModel() : null;
+    this.model = model;
+    this.version = version;
+  }
+}
+
+module.exports = StaleModelError;
@@ -2,3 +2,10 @@ export * from './sql-connection-base';
 export { default as SQLConnectionBase } from './sql-connection-base';
 export * from './sql-query-generator-base';
 export { default as SQLQueryGeneratorBase } from './sql-query-generator-base';
+export * from './sql-query-engine';
+export * from './sql-migration-runner';
+export { default as SQLMigrationRunner } from './sql-migration-runner';
+export * from './sql-query-cache';
+export { default as SQLQueryCache } from './sql-query-cache';
+export * from './literals';
+export * from './errors';
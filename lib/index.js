@@ -2,8 +2,22 @@
 
 const SQLQueryGeneratorBase = require('./sql-query-generator-base');
 const SQLConnectionBase     = require('./sql-connection-base');
+const SQLLiterals           = require('./literals');
+const SQLErrors             = require('./errors');
+const SQLMigrationRunner    = require('./sql-migration-runner');
+const SQLQueryCache         = require('./sql-query-cache');
+const {
+  SQLQueryEngine,
+  SQLModelScope,
+} = require('./sql-query-engine');
 
 module.exports = {
+  ...SQLLiterals,
+  ...SQLErrors,
   SQLConnectionBase,
+  SQLMigrationRunner,
+  SQLModelScope,
+  SQLQueryCache,
+  SQLQueryEngine,
   SQLQueryGeneratorBase,
 };
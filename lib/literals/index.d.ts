@@ -0,0 +1,8 @@
+export { default as LagLiteral } from './lag-literal';
+export { default as LeadLiteral } from './lead-literal';
+export { default as RankLiteral } from './rank-literal';
+export { default as RowNumberLiteral } from './row-number-literal';
+export { default as RunningSumLiteral } from './running-sum-literal';
+export { default as WindowLiteral } from './window-literal';
+export * from './window-literal';
+export { OffsetWindowLiteralOptions } from './lag-literal';
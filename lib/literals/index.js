@@ -0,0 +1,17 @@
+'use strict';
+
+const LagLiteral        = require('./lag-literal');
+const LeadLiteral       = require('./lead-literal');
+const RankLiteral       = require('./rank-literal');
+const RowNumberLiteral  = require('./row-number-literal');
+const RunningSumLiteral = require('./running-sum-literal');
+const WindowLiteral     = require('./window-literal');
+
+module.exports = {
+  LagLiteral,
+  LeadLiteral,
+  RankLiteral,
+  RowNumberLiteral,
+  RunningSumLiteral,
+  WindowLiteral,
+};
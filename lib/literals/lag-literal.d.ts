@@ -0,0 +1,12 @@
+import WindowLiteral, { WindowField, WindowLiteralOptions } from './window-literal';
+
+export declare interface OffsetWindowLiteralOptions extends WindowLiteralOptions {
+  defaultValue?: any;
+  offset?: number;
+}
+
+declare class LagLiteral extends WindowLiteral {
+  public constructor(fullyQualifiedName: WindowField, options?: OffsetWindowLiteralOptions);
+}
+
+export default LagLiteral;
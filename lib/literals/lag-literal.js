@@ -0,0 +1,47 @@
+'use strict';
+
+const WindowLiteral = require('./window-literal');
+
+/// Define a `LAG()` window function literal.
+///
+/// This literal fetches the value of a field from a
+/// row that comes *before* the current row in the window,
+/// in the order specified by the `orderBy` option.
+///
+/// Example:
+///   const { LagLiteral } = require('mythix-orm-sql-base');
+///   let previousNames = await User.where.pluck(new LagLiteral('User:firstName', { orderBy: 'User:createdAt', defaultValue: '' }));
+///
+/// Arguments:
+///   field: string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal)
+///     The field to fetch the value of.
+///   options?: object
+///     Options for the window function. On top of the options listed here,
+///     all options of <see>WindowLiteral</see> are also available.
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `defaultValue` | `any` | `undefined` | The value to return when there is no row at the `offset` requested. The database will return `NULL` if not specified. |
+///     | `offset` | `number` | `undefined` | How many rows back to look. The database will use `1` if not specified. |
+///
+/// See: WindowLiteral
+///
+/// See: LeadLiteral
+class LagLiteral extends WindowLiteral {
+  /// Return `true`, informing the engine that
+  /// a field is required for this literal type.
+  ///
+  /// Return: boolean
+  static isFieldRequired() {
+    return true;
+  }
+
+  /// Return `'LAG'`, the name of the
+  /// window function this literal represents.
+  ///
+  /// Return: string
+  static getFunctionName() {
+    return 'LAG';
+  }
+}
+
+module.exports = LagLiteral;
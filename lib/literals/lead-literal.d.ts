@@ -0,0 +1,8 @@
+import WindowLiteral, { WindowField } from './window-literal';
+import { OffsetWindowLiteralOptions } from './lag-literal';
+
+declare class LeadLiteral extends WindowLiteral {
+  public constructor(fullyQualifiedName: WindowField, options?: OffsetWindowLiteralOptions);
+}
+
+export default LeadLiteral;
@@ -0,0 +1,47 @@
+'use strict';
+
+const WindowLiteral = require('./window-literal');
+
+/// Define a `LEAD()` window function literal.
+///
+/// This literal fetches the value of a field from a
+/// row that comes *after* the current row in the window,
+/// in the order specified by the `orderBy` option.
+///
+/// Example:
+///   const { LeadLiteral } = require('mythix-orm-sql-base');
+///   let nextNames = await User.where.pluck(new LeadLiteral('User:firstName', { orderBy: 'User:createdAt', defaultValue: '' }));
+///
+/// Arguments:
+///   field: string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal)
+///     The field to fetch the value of.
+///   options?: object
+///     Options for the window function. On top of the options listed here,
+///     all options of <see>WindowLiteral</see> are also available.
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `defaultValue` | `any` | `undefined` | The value to return when there is no row at the `offset` requested. The database will return `NULL` if not specified. |
+///     | `offset` | `number` | `undefined` | How many rows forward to look. The database will use `1` if not specified. |
+///
+/// See: WindowLiteral
+///
+/// See: LagLiteral
+class LeadLiteral extends WindowLiteral {
+  /// Return `true`, informing the engine that
+  /// a field is required for this literal type.
+  ///
+  /// Return: boolean
+  static isFieldRequired() {
+    return true;
+  }
+
+  /// Return `'LEAD'`, the name of the
+  /// window function this literal represents.
+  ///
+  /// Return: string
+  static getFunctionName() {
+    return 'LEAD';
+  }
+}
+
+module.exports = LeadLiteral;
@@ -0,0 +1,7 @@
+import WindowLiteral, { WindowLiteralOptions } from './window-literal';
+
+declare class RankLiteral extends WindowLiteral {
+  public constructor(options?: WindowLiteralOptions);
+}
+
+export default RankLiteral;
@@ -0,0 +1,39 @@
+'use strict';
+
+const WindowLiteral = require('./window-literal');
+
+/// Define a `RANK()` window function literal.
+///
+/// This literal ranks each row within its window (partition),
+/// in the order specified by the `orderBy` option. Rows that are
+/// equal in this order receive the same rank, leaving gaps in the
+/// ranks that follow.
+///
+/// Example:
+///   const { RankLiteral } = require('mythix-orm-sql-base');
+///   let rows = await User.where.pluck([
+///     'User:firstName',
+///     new RankLiteral({ partitionBy: 'User:lastName', orderBy: 'User:firstName', as: 'rank' }),
+///   ]);
+///
+/// Arguments:
+///   options?: object
+///     Options for the window function. See <see>WindowLiteral</see>
+///     for a list of the available options.
+///
+/// See: WindowLiteral
+class RankLiteral extends WindowLiteral {
+  /// Return `'RANK'`, the name of the
+  /// window function this literal represents.
+  ///
+  /// Return: string
+  static getFunctionName() {
+    return 'RANK';
+  }
+
+  constructor(options) {
+    super(undefined, options);
+  }
+}
+
+module.exports = RankLiteral;
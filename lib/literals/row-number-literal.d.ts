@@ -0,0 +1,7 @@
+import WindowLiteral, { WindowLiteralOptions } from './window-literal';
+
+declare class RowNumberLiteral extends WindowLiteral {
+  public constructor(options?: WindowLiteralOptions);
+}
+
+export default RowNumberLiteral;
@@ -0,0 +1,37 @@
+'use strict';
+
+const WindowLiteral = require('./window-literal');
+
+/// Define a `ROW_NUMBER()` window function literal.
+///
+/// This literal numbers each row within its window (partition),
+/// starting at `1`, in the order specified by the `orderBy` option.
+///
+/// Example:
+///   const { RowNumberLiteral } = require('mythix-orm-sql-base');
+///   let rows = await User.where.pluck([
+///     'User:firstName',
+///     new RowNumberLiteral({ partitionBy: 'User:lastName', orderBy: 'User:firstName', as: 'rowNumber' }),
+///   ]);
+///
+/// Arguments:
+///   options?: object
+///     Options for the window function. See <see>WindowLiteral</see>
+///     for a list of the available options.
+///
+/// See: WindowLiteral
+class RowNumberLiteral extends WindowLiteral {
+  /// Return `'ROW_NUMBER'`, the name of the
+  /// window function this literal represents.
+  ///
+  /// Return: string
+  static getFunctionName() {
+    return 'ROW_NUMBER';
+  }
+
+  constructor(options) {
+    super(undefined, options);
+  }
+}
+
+module.exports = RowNumberLiteral;
@@ -0,0 +1,7 @@
+import WindowLiteral, { WindowField, WindowLiteralOptions } from './window-literal';
+
+declare class RunningSumLiteral extends WindowLiteral {
+  public constructor(fullyQualifiedName: WindowField, options?: WindowLiteralOptions);
+}
+
+export default RunningSumLiteral;
@@ -0,0 +1,53 @@
+'use strict';
+
+const WindowLiteral = require('./window-literal');
+
+/// Define a "running sum" window function literal,
+/// i.e. `SUM(field) OVER (... ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW)`.
+///
+/// This literal sums a field across all rows of the window
+/// up to, and including, the current row, in the order specified
+/// by the `orderBy` option. Unless a `frame` option is provided, the
+/// frame of the window is `ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW`.
+///
+/// Example:
+///   const { RunningSumLiteral } = require('mythix-orm-sql-base');
+///   let balances = await Transaction.where.pluck(new RunningSumLiteral('Transaction:amount', { orderBy: 'Transaction:createdAt', as: 'balance' }));
+///
+/// Arguments:
+///   field: string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal)
+///     The field to sum.
+///   options?: object
+///     Options for the window function. See <see>WindowLiteral</see>
+///     for a list of the available options.
+///
+/// See: WindowLiteral
+class RunningSumLiteral extends WindowLiteral {
+  /// Return `true`, informing the engine that
+  /// a field is required for this literal type.
+  ///
+  /// Return: boolean
+  static isFieldRequired() {
+    return true;
+  }
+
+  /// Return `'SUM'`, the name of the
+  /// window function this literal represents.
+  ///
+  /// Return: string
+  static getFunctionName() {
+    return 'SUM';
+  }
+
+  /// Get the frame of the window. Unless a `frame`
+  /// option was provided, this will return
+  /// `'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'`.
+  ///
+  /// Return: string
+  ///   The window frame.
+  getFrame() {
+    return this.options.frame || 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW';
+  }
+}
+
+module.exports = RunningSumLiteral;
@@ -0,0 +1,25 @@
+import { Field } from 'mythix-orm';
+import { LiteralBase, LiteralFieldBase } from 'mythix-orm/lib/connection/literals';
+
+export declare type WindowField = string | Field | LiteralBase;
+
+export declare interface WindowLiteralOptions {
+  as?: string;
+  frame?: string;
+  functionName?: string;
+  orderBy?: WindowField | Array<WindowField>;
+  partitionBy?: WindowField | Array<WindowField>;
+  [key: string]: any;
+}
+
+declare class WindowLiteral extends LiteralFieldBase {
+  public static getFunctionName(): string | undefined;
+
+  public constructor(fullyQualifiedName?: WindowField, options?: WindowLiteralOptions);
+  public getFunctionName(): string | undefined;
+  public getPartitionBy(): Array<WindowField>;
+  public getOrderBy(): Array<WindowField>;
+  public getFrame(): string | undefined;
+}
+
+export default WindowLiteral;
@@ -0,0 +1,135 @@
+'use strict';
+
+const Nife          = require('nife');
+const { Literals }  = require('mythix-orm');
+
+const LiteralFieldBase = Literals.LiteralFieldBase;
+
+/// Define a "window function" literal for the underlying database.
+///
+/// Window functions compute a value for each row, across a
+/// "window" of related rows, without collapsing the rows the
+/// way an aggregate does. When serialized using the
+/// <see>SQLQueryGeneratorBase</see> for the connection, this
+/// literal will turn into `FUNCTION(...) OVER (PARTITION BY ... ORDER BY ... frame)`.
+///
+/// This is the common ancestor of all window function literals,
+/// such as <see>RowNumberLiteral</see>, <see>RankLiteral</see>,
+/// <see>LagLiteral</see>, <see>LeadLiteral</see>, and <see>RunningSumLiteral</see>.
+/// It can also be used directly to call any window function the underlying
+/// database supports, by providing the `functionName` option.
+///
+/// Window function literals can be projected (i.e. `.PROJECT(...)`), used to
+/// order a query (i.e. `.ORDER.DESC(...)`), and plucked (i.e. `.pluck(...)`).
+///
+/// Example:
+///   const { WindowLiteral } = require('mythix-orm-sql-base');
+///   let literal = new WindowLiteral('User:age', {
+///     functionName: 'AVG',
+///     partitionBy:  'User:lastName',
+///     orderBy:      [ '-User:age' ],
+///     as:           'averageAge',
+///   });
+///
+/// Arguments:
+///   field?: string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal)
+///     The field that is the argument of the window function, if any.
+///   options?: object
+///     Options for the window function.
+///     | Option | Type | Default Value | Description |
+///     | ------ | ---- | ------------- | ----------- |
+///     | `as` | `string` | `undefined` | The alias of the column when this literal is projected. |
+///     | `frame` | `string` | `undefined` | The window frame, i.e. `'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'`. |
+///     | `functionName` | `string` | `undefined` | The name of the window function to call. Only used when the literal class doesn't define its own. |
+///     | `orderBy` | `string` \| `Field` \| `Literal` \| `Array` | `undefined` | The field(s) to order the window by. Field names may be prefixed with `+` (ASC) or `-` (DESC). |
+///     | `partitionBy` | `string` \| `Field` \| `Literal` \| `Array` | `undefined` | The field(s) to partition the window by. |
+///
+/// See: SQLQueryGeneratorBase._windowLiteralToString
+class WindowLiteral extends LiteralFieldBase {
+  /// Return `false`, informing the engine that
+  /// a field is not required for this literal type.
+  ///
+  /// Return: boolean
+  ///   Return `false`, informing the caller that this literal
+  ///   does not require a field.
+  static isFieldRequired() {
+    return false;
+  }
+
+  /// Get the name of the window function this
+  /// literal class represents, i.e. `'ROW_NUMBER'`.
+  ///
+  /// Return: string | undefined
+  ///   The name of the window function, or `undefined` if
+  ///   the class doesn't represent a specific window function.
+  static getFunctionName() {
+    return;
+  }
+
+  /// Get the name of the window function for this literal.
+  ///
+  /// The name defined by the literal class takes precedence.
+  /// If the class doesn't define a name, then the `functionName`
+  /// option provided to the `constructor` is used instead.
+  ///
+  /// Return: string | undefined
+  ///   The name of the window function, i.e. `'ROW_NUMBER'`.
+  getFunctionName() {
+    return this.constructor.getFunctionName() || this.options.functionName;
+  }
+
+  /// Get the "partition by" fields of the window,
+  /// as provided by the `partitionBy` option.
+  ///
+  /// Return: Array<string | Field | Literal>
+  ///   The fields to partition the window by. This will be
+  ///   an empty array if no `partitionBy` option was provided.
+  getPartitionBy() {
+    return Nife.arrayFlatten(Nife.toArray(this.options.partitionBy)).filter(Boolean);
+  }
+
+  /// Get the "order by" fields of the window,
+  /// as provided by the `orderBy` option.
+  ///
+  /// Return: Array<string | Field | Literal>
+  ///   The fields to order the window by. This will be
+  ///   an empty array if no `orderBy` option was provided.
+  getOrderBy() {
+    return Nife.arrayFlatten(Nife.toArray(this.options.orderBy)).filter(Boolean);
+  }
+
+  /// Get the frame of the window, as provided
+  /// by the `frame` option.
+  ///
+  /// Return: string | undefined
+  ///   The window frame, i.e. `'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'`.
+  getFrame() {
+    return this.options.frame;
+  }
+
+  /// Convert this literal to a string to be used in a database query.
+  ///
+  /// This method proxies the conversion of this literal to the connection
+  /// by calling <see>SQLConnectionBase.literalToString</see>. If no connection
+  /// is provided when this is called, then the literal will be converted
+  /// to a string representing it for debugging, i.e. `'WindowLiteral {}'`.
+  ///
+  /// Note:
+  ///   Ultimately, for most connections, this will end up calling
+  ///   <see>SQLQueryGeneratorBase._windowLiteralToString</see>.
+  ///
+  /// Arguments:
+  ///   connection?: <see>SQLConnectionBase</see>
+  ///     The connection to use to stringify this literal. If none is provided,
+  ///     then a string representing this object will be returned instead.
+  ///   options?: object
+  ///     A connection and operation specific set of options that can be provided.
+  toString(connection, options) {
+    if (!connection)
+      return `${this.constructor.name} {}`;
+
+    return connection.literalToString(this, options);
+  }
+}
+
+module.exports = WindowLiteral;
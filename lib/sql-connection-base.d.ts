@@ -1,13 +1,94 @@
 import { ConnectionBase, Field, ModelClass, QueryEngine, QueryResults, Model } from 'mythix-orm';
 import { GenericObject } from 'mythix-orm/lib/interfaces/common';
+import { LiteralBase } from 'mythix-orm/lib/connection/literals';
+import { WindowLiteral } from './literals';
+import { BoundStatement } from './sql-query-generator-base';
+import { QueryCache } from './sql-query-cache';
 
 export declare interface ModelDataFromQueryResults {
   [key: string]: Array<GenericObject>;
 }
 
+export declare interface QueryContext {
+  operation?: string;
+  Model?: ModelClass;
+  queryEngine?: QueryEngine;
+  write?: boolean;
+}
+
+export declare interface QueryEvent {
+  connection: SQLConnectionBase;
+  operation: string;
+  Model: ModelClass | null;
+  sql: string;
+  parameters: Array<any>;
+  options: GenericObject;
+  startTime?: number;
+  duration?: number;
+  rowCount?: number;
+  result?: any;
+  error?: Error;
+  replica: SQLConnectionBase | null;
+  queryEngine: QueryEngine | null;
+  write: boolean;
+}
+
+export declare interface QueryPlanNode {
+  operation: string;
+  tableName: string | null;
+  indexName: string | null;
+  tableScan: boolean;
+  indexScan: boolean;
+  estimatedRows: number | null;
+  cost: number | null;
+  children: Array<QueryPlanNode>;
+}
+
+export declare interface ExplainOptions {
+  analyze?: boolean;
+  attributes?: GenericObject | Model;
+  operation?: 'read' | 'update' | 'delete';
+  [key: string]: any;
+}
+
+export declare interface ColumnDescription {
+  columnName: string;
+  type: string;
+  nullable: boolean;
+  defaultValue: string | null;
+  primaryKey: boolean;
+}
+
+export declare interface TableDescription {
+  tableName: string;
+  columns: Array<ColumnDescription>;
+}
+
+export declare interface IndexDescription {
+  indexName: string;
+  columnNames: Array<string>;
+  unique: boolean;
+}
+
+export declare interface ForeignKeyDescription {
+  constraintName: string | null;
+  columnNames: Array<string>;
+  targetTableName: string;
+  targetColumnNames: Array<string>;
+  onDelete: string | null;
+  onUpdate: string | null;
+}
+
 declare class SQLConnectionBase extends ConnectionBase {
+  declare public static Literals: { [key: string]: typeof LiteralBase };
+
+  public literalToString(literal: LiteralBase, options?: GenericObject): string;
+  public _windowLiteralToString(literal: WindowLiteral, options?: GenericObject): string | undefined;
+
   public isLimitSupportedInContext(options?: GenericObject): boolean;
   public isOrderSupportedInContext(options?: GenericObject): boolean | string;
+  public isSchemaTransactionSupported(options?: GenericObject): boolean;
+  public isQueryIterateSupported(options?: GenericObject): boolean;
 
   public prepareArrayValuesForSQL(array: Array<any>): Array<any>;
   public generateSavePointName(): string;
@@ -29,13 +110,69 @@ declare class SQLConnectionBase extends ConnectionBase {
     callback: (Model: ModelClass, model: Model) => Model,
   ): Array<Model>;
 
+  public getPrimaryKeyFields(Model: ModelClass): Array<Field>;
+  public getPrimaryKeyFieldNames(Model: ModelClass): Array<string>;
+  public buildPrimaryKeyQuery(Model: ModelClass, models: Array<Model>): QueryEngine | undefined;
+  public getSoftDeleteField(Model: ModelClass): Field | null;
+  public shouldSoftDelete(Model: ModelClass, options?: GenericObject): boolean;
+  public getVersionField(Model: ModelClass): Field | null;
+
+  public restore(
+    queryEngineOrModel: QueryEngine | ModelClass,
+    modelsOrOptions?: Array<Model> | Model | GenericObject,
+    options?: GenericObject,
+  ): Promise<number>;
+
   public updateModelsFromResults(
     Model: ModelClass,
     storedModels: Array<Model>,
     results: QueryResults
   ): Array<Model>;
 
+  public updateModelsFromUpsertResults(
+    Model: ModelClass,
+    storedModels: Array<Model>,
+    results: QueryResults
+  ): Array<Model>;
+
   public getUpdateOrDeleteChangeCount(queryResult: any): number;
+  public buildReturningResults(Model: ModelClass, fields: Array<Field>, result: QueryResults, options: GenericObject): Array<any> | Array<Model>;
+  public getKeysetCursorFromResults(keysetOrder: Map<string, GenericObject>, result: QueryResults): GenericObject;
+  public queryStatement(statement: string | BoundStatement, options?: GenericObject, context?: QueryContext): Promise<any>;
+  public queryStatementIterate(statement: string | BoundStatement, options?: GenericObject, context?: QueryContext): AsyncGenerator<QueryResults>;
+  public queryIterate(sql: string, options?: GenericObject): AsyncGenerator<QueryResults>;
+  public getQueryCache(): QueryCache | null;
+  public getQueryCacheTags(event: QueryEvent): Array<string> | null;
+  public isQueryCacheEnabled(options?: GenericObject): boolean;
+  public getQueryCacheKey(event: QueryEvent): string;
+  public getQueryCacheInvalidationTags(Model: ModelClass): Array<string>;
+  public invalidateQueryCache(tableNames?: Array<string>): Promise<void>;
+  public onTransactionCommit(): Promise<void>;
+  public getReadReplicas(): Array<SQLConnectionBase>;
+  public isReadOperation(operation: string): boolean;
+  public isWriteOperation(operation: string): boolean;
+  public markPrimarySticky(): void;
+  public isPrimarySticky(): boolean;
+  public getReplicaForQuery(event: QueryEvent): SQLConnectionBase | null;
+  public onBeforeQuery(event: QueryEvent): Promise<void>;
+  public onAfterQuery(event: QueryEvent): Promise<void>;
+  public onQueryError(event: QueryEvent): Promise<void>;
+  public logSlowQuery(event: QueryEvent): boolean;
+
+  public explain(queryEngine: QueryEngine | ModelClass | string | BoundStatement, options?: ExplainOptions): Promise<Array<QueryPlanNode>>;
+  public createQueryPlanNode(attributes?: Partial<QueryPlanNode>): QueryPlanNode;
+  public parseQueryPlan(result: any, options?: GenericObject): Array<QueryPlanNode>;
+
+  public addForeignKey(Field: Field, options?: GenericObject): Promise<void>;
+  public dropForeignKey(Field: Field, options?: GenericObject): Promise<void>;
+
+  public _getIntrospectionTableName(methodName: string, modelOrTableName: ModelClass | string): string;
+  public listTables(options?: GenericObject): Promise<Array<string>>;
+  public describeTable(Model: ModelClass | string, options?: GenericObject): Promise<TableDescription | undefined>;
+  public listIndexes(Model: ModelClass | string, options?: GenericObject): Promise<Array<IndexDescription>>;
+  public listForeignKeys(Model: ModelClass | string, options?: GenericObject): Promise<Array<ForeignKeyDescription>>;
+  public diffSchema(Models?: Array<ModelClass> | { [key: string]: ModelClass }, options?: GenericObject): Promise<Array<string>>;
+  public applySchemaDiff(statements: Array<string>, options?: GenericObject): Promise<void>;
 }
 
 export default SQLConnectionBase;
@@ -12,19 +12,90 @@ const {
 } = require('mythix-orm');
 
 const SQLQueryGeneratorBase = require('./sql-query-generator-base');
+const { SQLQueryEngine }    = require('./sql-query-engine');
+const SQLQueryCache         = require('./sql-query-cache');
+const SQLLiterals           = require('./literals');
+const { StaleModelError }   = require('./errors');
 
 const SAVE_POINT_NAME_CHARS = [ 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O', 'P' ];
 const MODEL_RELATIONS       = Symbol.for('@_mythix/orm-sql-base/SQLConnectionBase/ModelRelations');
+const PENDING_INVALIDATIONS = Symbol.for('@_mythix/orm-sql-base/SQLConnectionBase/PendingInvalidations');
+const READ_OPERATIONS       = [ 'select', 'aggregate', 'pluck' ];
+const NON_WRITE_OPERATIONS  = READ_OPERATIONS.concat([ 'explain', 'listTables', 'describeTable', 'listIndexes', 'listForeignKeys' ]);
+
+// Catalog queries return booleans in many
+// different forms, depending on the database
+function introspectionValueToBoolean(value) {
+  if (typeof value === 'string')
+    return (/^(1|t|true|y|yes)$/i).test(value);
+
+  return !!value;
+}
 
 /// `SQLConnectionBase` is a support class for all other
 /// SQL connection drivers built for Mythix ORM. It isn't
 /// intended to be used on its own, but rather to add SQL
 /// support to all other Mythix ORM SQL connections.
 ///
+/// Properties:
+///   static Literals: Literals
+///     All default Mythix ORM literal classes, plus the
+///     SQL specific literals, such as <see>WindowLiteral</see>
+///     and <see>RowNumberLiteral</see>, provided for convenient access.
+///
 /// Extends: [ConnectionBase](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase)
 class SQLConnectionBase extends ConnectionBase {
+  static Literals = Object.assign({}, Literals, SQLLiterals);
+
   static DefaultQueryGenerator = SQLQueryGeneratorBase;
 
+  /// Construct a new SQL connection.
+  ///
+  /// Unless a `QueryEngine` option is provided, all SQL
+  /// connections will use <see>SQLQueryEngine</see> as their
+  /// query engine, which adds SQL specific query operations,
+  /// such as `WITH`, to the query interface.
+  ///
+  /// Read replicas can be provided with the `replicas` option. When provided,
+  /// read operations (`select`, `aggregate`, `count`, `pluck`, `exists`, etc...) are
+  /// executed on a replica, while all other operations, and all operations inside
+  /// a transaction, are executed on this (the primary) connection. See
+  /// <see>SQLConnectionBase.getReplicaForQuery</see> for the routing rules.
+  ///
+  /// The results of read operations can be cached with the `queryCache` option.
+  /// See <see>SQLConnectionBase.getQueryCache</see>.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Connection specific options to supply to the connection.
+  ///     See [ConnectionBase](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase)
+  ///     for common options.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `queryCache` | `boolean` \| `QueryCache` | `undefined` | If `true`, then cache the results of read operations in a <see>SQLQueryCache</see>. A custom cache can also be provided. |
+  ///     | `replicas` | `Array<SQLConnectionBase>` | `undefined` | Read replica connections, of the same dialect as this connection. Replicas are started and stopped by the caller. |
+  ///     | `stickyPrimaryWindow` | `number` | `undefined` | If set, then all reads in the same async context are sent to the primary for this many milliseconds after a write. |
+  ///
+  /// Return: <see>SQLConnectionBase</see>
+  constructor(_options) {
+    super(Object.assign({ QueryEngine: SQLQueryEngine }, _options || {}));
+
+    Object.defineProperties(this, {
+      '_replicaIndex': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        0,
+      },
+      '_queryCache': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        null,
+      },
+    });
+  }
+
   /// The low-level DB interface for escaping a
   /// value. By default this function uses the
   /// [sqlstring](https://www.npmjs.com/package/sqlstring)
@@ -82,6 +153,60 @@ class SQLConnectionBase extends ConnectionBase {
     return parts.map((part) => SqlString.escapeId(part).replace(/^`/, '"').replace(/`$/, '"')).join('.');
   }
 
+  /// Convert the provided literal to a string
+  /// for the underlying database driver.
+  ///
+  /// This extends [ConnectionBase.literalToString](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase#method-literalToString)
+  /// with support for the SQL specific literals, such as
+  /// <see>WindowLiteral</see>. All other literals are handed off
+  /// to the parent implementation.
+  ///
+  /// Arguments:
+  ///   literal: [LiteralBase](https://github.com/th317erd/mythix-orm/wiki/LiteralBase)
+  ///     The literal to convert to a string for the database.
+  ///   options?: object
+  ///     Optional options to pass to the literal stringifier.
+  ///
+  /// Return: string
+  ///   The provided literal converted to a string for the underlying database driver.
+  literalToString(literal, options) {
+    if (SQLLiterals.WindowLiteral.isLiteralType(literal))
+      return this._windowLiteralToString(literal, options);
+
+    return super.literalToString(literal, options);
+  }
+
+  /// Convert the provided <see>WindowLiteral</see> (or any
+  /// of its descendants) to a string for the underlying database
+  /// driver. The database driver connection is free to override
+  /// this method.
+  ///
+  /// Note:
+  ///   This method is a proxy method for <see>SQLQueryGeneratorBase._windowLiteralToString</see>.
+  ///   If the connection has no instance of a `queryGenerator` available to it,
+  ///   then this method will simply return `undefined`.
+  ///
+  /// Arguments:
+  ///   literal: <see>WindowLiteral</see>
+  ///     The literal to convert to a string for the database.
+  ///   options?: object
+  ///     Optional options to pass to the <see>SQLQueryGeneratorBase._windowLiteralToString</see>
+  ///     method.
+  ///
+  /// Return: string
+  ///   The provided <see>WindowLiteral</see> converted to
+  ///   a string for the underlying database driver.
+  _windowLiteralToString(literal, options) {
+    if (!literal || !Literals.LiteralBase.isLiteral(literal))
+      return;
+
+    let queryGenerator = this.getQueryGenerator();
+    if (!queryGenerator)
+      return;
+
+    return queryGenerator._windowLiteralToString(literal, options);
+  }
+
   /// This method is called (and often provided)
   /// by the underlying database driver to see
   /// if a `LIMIT` clause is allowed to appear in
@@ -96,6 +221,47 @@ class SQLConnectionBase extends ConnectionBase {
     return true;
   }
 
+  /// This method is called (and often provided)
+  /// by the underlying database driver to see
+  /// if schema changes (i.e. `CREATE TABLE`, or
+  /// `ALTER TABLE`) can be rolled back as part of a
+  /// transaction. Some databases (i.e. MySQL) implicitly
+  /// commit on every schema change, in which case
+  /// the driver should return `false`.
+  ///
+  /// This is used by <see>SQLMigrationRunner</see> to decide
+  /// if each migration should be run inside a transaction.
+  ///
+  /// Arguments:
+  ///   options: object
+  ///     Driver specific options for the context.
+  ///
+  /// Return: boolean
+  // eslint-disable-next-line no-unused-vars
+  isSchemaTransactionSupported(options) {
+    return true;
+  }
+
+  /// This method is called (and often provided)
+  /// by the underlying database driver to see
+  /// if the rows of a `SELECT` statement can be
+  /// streamed with <see>SQLConnectionBase.queryIterate</see>
+  /// (i.e. through a server-side cursor).
+  ///
+  /// If `true`, then <see>SQLConnectionBase.select</see> will execute a
+  /// single statement and fetch its rows incrementally, instead of issuing
+  /// a new `LIMIT`/`OFFSET` statement for every batch.
+  ///
+  /// Arguments:
+  ///   options: object
+  ///     Driver specific options for the context.
+  ///
+  /// Return: boolean
+  // eslint-disable-next-line no-unused-vars
+  isQueryIterateSupported(options) {
+    return false;
+  }
+
   /// This method is called (and often provided)
   /// by the underlying database driver to see
   /// if an `ORDER BY` clause is allowed to appear in
@@ -227,6 +393,8 @@ class SQLConnectionBase extends ConnectionBase {
   ///   that can be present on any object of model attributes (a model). This special key--if present--will be
   ///   another mapped object that represents "sub-models" that are "owned" by the model that has this
   ///   special key. This is used when projecting and loading "related models" during a load operation.
+  ///   Each joined model is owned by the model it was joined from (as reported by
+  ///   <see>SQLQueryGeneratorBase.getJoinRelationParents</see>), so relations can be nested.
   ///
   /// See: SQLConnectionBase.buildModelsFromModelDataMap
   buildModelDataMapFromSelectResults(queryEngine, result) {
@@ -274,12 +442,12 @@ class SQLConnectionBase extends ConnectionBase {
       if (Nife.instanceOf(field, 'string'))
         return field;
 
-      let Model       = field.Model;
-      let modelName   = Model.getModelName();
-      let pkFieldName = Model.getPrimaryKeyFieldName();
+      let Model         = field.Model;
+      let modelName     = Model.getModelName();
+      let pkFieldNames  = this.getPrimaryKeyFieldNames(Model);
 
       return {
-        pkFieldName,
+        pkFieldNames,
         field,
         Model,
         modelName,
@@ -294,14 +462,23 @@ class SQLConnectionBase extends ConnectionBase {
       return obj;
     }, {});
 
-    // Remap row
-    let modelNames = Object.keys(modelInfo).sort((a, b) => {
+    // Each joined model is owned by the model it was
+    // joined from, so parents must be visited first
+    let joinParents   = this.getQueryGenerator().getJoinRelationParents(queryEngine);
+    let joinOrder     = Array.from(joinParents.keys());
+    let modelNames    = Object.keys(modelInfo).sort((a, b) => {
       if (a === rootModelName)
         return -1;
 
       if (b === rootModelName)
         return 1;
 
+      let x = joinOrder.indexOf(a);
+      let y = joinOrder.indexOf(b);
+
+      if (x !== y)
+        return ((x < 0) ? Infinity : x) - ((y < 0) ? Infinity : y);
+
       if (a === b)
         return 0;
 
@@ -355,26 +532,37 @@ class SQLConnectionBase extends ConnectionBase {
       }
 
       let rootModel;
+      let rowModels = {};
+
       for (let j = 0, jl = modelNames.length; j < jl; j++) {
         let modelName = modelNames[j];
         let model     = data[modelName];
         if (isEmptyModel(model))
           continue;
 
-        let info        = modelInfo[modelName];
-        let models      = modelData[modelName];
-        let pkFieldName = info.pkFieldName;
+        let info          = modelInfo[modelName];
+        let models        = modelData[modelName];
+        let pkFieldNames  = info.pkFieldNames;
         let index;
 
         if (!models)
           models = modelData[modelName] = [];
 
-        let id = model[pkFieldName];
+        // Composite primary keys are only an
+        // identity if every part of the key is present.
+        // They are serialized as JSON, so that separators
+        // inside of key values can not collide.
+        let id = (pkFieldNames.length > 0) ? pkFieldNames.map((pkFieldName) => model[pkFieldName]) : [ null ];
+        if (id.some((value) => (value == null)))
+          id = null;
+        else
+          id = (id.length === 1) ? id[0] : JSON.stringify(id.map((value) => String(value)));
+
         if (id == null)
           id = generateIDForModelFields(model);
 
         if (id != null) {
-          let idKey = `${modelName}:${pkFieldName}:${id}`;
+          let idKey = `${modelName}:${pkFieldNames.join(',')}:${id}`;
 
           if (alreadyVisited[idKey] != null) {
             index = alreadyVisited[idKey];
@@ -389,11 +577,19 @@ class SQLConnectionBase extends ConnectionBase {
           continue;
         }
 
+        rowModels[modelName] = model;
+
         if (j === 0) {
           rootModel = model;
         } else {
-          if (!rootModel[MODEL_RELATIONS]) {
-            Object.defineProperties(rootModel, {
+          // Models not reachable through a table-join
+          // (or whose parent is empty) belong to the root model
+          let parentModel = rowModels[joinParents.get(modelName)] || rootModel;
+          if (!parentModel)
+            continue;
+
+          if (!parentModel[MODEL_RELATIONS]) {
+            Object.defineProperties(parentModel, {
               [MODEL_RELATIONS]: {
                 writable:     true,
                 enumerable:   false,
@@ -403,10 +599,12 @@ class SQLConnectionBase extends ConnectionBase {
             });
           }
 
-          if (!rootModel[MODEL_RELATIONS][modelName])
-            rootModel[MODEL_RELATIONS][modelName] = [];
+          if (!parentModel[MODEL_RELATIONS][modelName])
+            parentModel[MODEL_RELATIONS][modelName] = [];
 
-          rootModel[MODEL_RELATIONS][modelName].push(index);
+          let relationIndexes = parentModel[MODEL_RELATIONS][modelName];
+          if (relationIndexes.indexOf(index) < 0)
+            relationIndexes.push(index);
         }
       }
     }
@@ -449,34 +647,43 @@ class SQLConnectionBase extends ConnectionBase {
       return [];
 
     let callbackIsValid = (typeof callback === 'function');
-    let rootModels = rootModelData.map((data) => {
-      let model = new RootModel(data);
 
-      if (callbackIsValid)
-        model = callback(RootModel, model);
+    // Related models can own their own related
+    // models (i.e. User -> Role -> Permission)
+    const assignRelatedModels = (model, data) => {
+      let relationships = data[MODEL_RELATIONS];
+      if (!relationships)
+        return;
 
-      if (data[MODEL_RELATIONS]) {
-        let relationships = data[MODEL_RELATIONS];
-        let modelNames    = Object.keys(relationships);
+      let modelNames = Object.keys(relationships);
+      for (let i = 0, il = modelNames.length; i < il; i++) {
+        let modelName           = modelNames[i];
+        let Model               = this.getModel(modelName);
+        let modelIndexes        = relationships[modelName];
+        let models              = modelDataMap[modelName];
 
-        for (let i = 0, il = modelNames.length; i < il; i++) {
-          let modelName           = modelNames[i];
-          let Model               = this.getModel(modelName);
-          let modelIndexes        = relationships[modelName];
-          let models              = modelDataMap[modelName];
+        Utils.assignRelatedModels(model, modelIndexes.map((modelIndex) => {
+          let modelData = models[modelIndex];
+          let thisModel = new Model(modelData);
 
-          Utils.assignRelatedModels(model, modelIndexes.map((modelIndex) => {
-            let modelData = models[modelIndex];
-            let thisModel = new Model(modelData);
+          if (callbackIsValid)
+            thisModel = callback(Model, thisModel);
 
-            if (callbackIsValid)
-              thisModel = callback(Model, thisModel);
+          assignRelatedModels(thisModel, modelData);
+          thisModel.clearDirty();
 
-            return thisModel;
-          }));
-        }
+          return thisModel;
+        }));
       }
+    };
 
+    let rootModels = rootModelData.map((data) => {
+      let model = new RootModel(data);
+
+      if (callbackIsValid)
+        model = callback(RootModel, model);
+
+      assignRelatedModels(model, data);
       model.clearDirty();
 
       return model;
@@ -485,6 +692,114 @@ class SQLConnectionBase extends ConnectionBase {
     return rootModels;
   }
 
+  /// Get all primary key fields of the provided `Model`.
+  ///
+  /// Most models have a single primary key field. However,
+  /// more than one field can be marked with `primaryKey: true`
+  /// to define a composite (multi-column) primary key, which is
+  /// common for "join" tables. This method should be used instead
+  /// of `Model.getPrimaryKeyField`, which will only ever report a
+  /// single primary key field.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model to get the primary key fields for.
+  ///
+  /// Return: Array<[Field](https://github.com/th317erd/mythix-orm/wiki/Field)>
+  ///   All primary key fields, in the order they are defined on the model.
+  ///   An empty array is returned if the model has no primary key.
+  getPrimaryKeyFields(Model) {
+    let pkFields = [];
+
+    Model.iterateFields(({ field }) => {
+      if (field.type.isVirtual())
+        return;
+
+      if (field.primaryKey)
+        pkFields.push(field);
+    });
+
+    return pkFields;
+  }
+
+  /// Get the names of all primary key fields of the provided `Model`.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model to get the primary key field names for.
+  ///
+  /// Return: Array<string>
+  ///   All primary key field names.
+  ///
+  /// See: SQLConnectionBase.getPrimaryKeyFields
+  getPrimaryKeyFieldNames(Model) {
+    return this.getPrimaryKeyFields(Model).map((field) => field.fieldName);
+  }
+
+  /// Build a query that matches the rows of the
+  /// provided model instances by their primary key.
+  ///
+  /// For models with a single primary key field, this is an
+  /// `IN` condition on the primary key field. For models with a
+  /// composite primary key, this is an `IN` condition on the first
+  /// primary key field, and a grouped "OR of ANDs" condition matching
+  /// all primary key fields of each model, i.e.
+  /// `"k1" IN (...) AND (("k1" = ... AND "k2" = ...) OR ("k1" = ... AND "k2" = ...))`.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of the provided `models`.
+  ///   models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///     The model instances to match.
+  ///
+  /// Return: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | undefined
+  ///   The query, or `undefined` if none of the provided models have a primary key.
+  buildPrimaryKeyQuery(Model, models) {
+    let pkFieldNames = this.getPrimaryKeyFieldNames(Model);
+    if (pkFieldNames.length === 0)
+      throw new Error(`${this.constructor.name}::buildPrimaryKeyQuery: Model "${Model.getModelName()}" has no primary key field.`);
+
+    if (pkFieldNames.length === 1) {
+      let pkFieldName = pkFieldNames[0];
+      let pkIDs       = [];
+
+      for (let i = 0, il = models.length; i < il; i++) {
+        let pkFieldValue = models[i][pkFieldName];
+        if (pkFieldValue != null && Nife.isEmpty(pkFieldValue))
+          continue;
+
+        pkIDs.push(pkFieldValue);
+      }
+
+      if (Nife.isEmpty(pkIDs))
+        return;
+
+      return Model.where(this)[pkFieldName].EQ(pkIDs);
+    }
+
+    let firstPKValues = new Set();
+    let groupQuery;
+
+    for (let i = 0, il = models.length; i < il; i++) {
+      let model     = models[i];
+      let pkValues  = pkFieldNames.map((pkFieldName) => model[pkFieldName]);
+      if (pkValues.some((value) => (value == null || Nife.isEmpty(value))))
+        continue;
+
+      let modelQuery = Model.where(this).unscoped();
+      for (let j = 0, jl = pkFieldNames.length; j < jl; j++)
+        modelQuery = modelQuery[pkFieldNames[j]].EQ(pkValues[j]);
+
+      firstPKValues.add(pkValues[0]);
+      groupQuery = (groupQuery) ? groupQuery.OR(modelQuery) : Model.where(this).unscoped().AND(modelQuery);
+    }
+
+    if (!groupQuery)
+      return;
+
+    return Model.where(this)[pkFieldNames[0]].EQ(Array.from(firstPKValues)).AND(groupQuery);
+  }
+
   /// Take the `{ rows: Array<any>; columns: Array<string>; }` result from
   /// the database for a `RETURNING` statement, and update the effected models
   /// with the results.
@@ -556,153 +871,1021 @@ class SQLConnectionBase extends ConnectionBase {
     return 0;
   }
 
-  // --------------------------------------------- //
-
-  /// For databases that support it, enable or disable foreign key constraints.
+  /// Execute a statement generated by the query generator.
   ///
-  /// Arguments:
-  ///   enable: boolean
-  ///     If `true`, enable foreign key constraints in the underlying database, otherwise
-  ///     disable foreign key constraints in the underlying database.
-  // eslint-disable-next-line no-unused-vars
-  async enableForeignKeyConstraints(enable) {
-    throw new Error(`${this.constructor.name}::enableForeignKeyConstraints: This operation is not supported for this connection type.`);
-  }
-
-  /// Drop the table/bucket defined by `Model`.
+  /// Statements generated with the `bindParameters` option
+  /// are returned from the query generator as an object with
+  /// the shape `{ sql: string; parameters: Array<any>; }`. This
+  /// method will unwrap such an object, and provide the bound
+  /// `parameters` to <see>SQLConnectionBase.query</see> as the
+  /// `parameters` option. Plain SQL strings are simply passed
+  /// through to <see>SQLConnectionBase.query</see> as-is.
   ///
-  /// Note:
-  ///   Mythix ORM always refers to data-spaces as "tables", even though
-  ///   they might actually be "buckets" for example for no-SQL databases.
+  /// Every operation of the connection (i.e. `insert`, `select`, `createTable`, etc...)
+  /// executes its statements through this method, so this is also where queries are
+  /// instrumented. <see>SQLConnectionBase.onBeforeQuery</see> is called before the
+  /// statement is executed, and then either <see>SQLConnectionBase.onAfterQuery</see>
+  /// or <see>SQLConnectionBase.onQueryError</see> is called after it completes.
+  /// All three hooks are provided the same "query event" object.
+  ///
+  /// Interface:
+  ///   interface QueryEvent {
+  ///     connection: SQLConnectionBase;
+  ///     operation: string; // The name of the operation, i.e. "insert", or "select"
+  ///     Model: ModelClass | null; // The root model of the operation, if any
+  ///     sql: string;
+  ///     parameters: Array<any>;
+  ///     options: object; // The options provided to <see>SQLConnectionBase.query</see>
+  ///     startTime: number; // Only available after the statement has been executed
+  ///     duration: number; // In milliseconds. Only available after the statement has been executed
+  ///     rowCount: number; // The number of rows returned or affected. Only available after a successful execution
+  ///     result: any; // The raw result of the query. Only available after a successful execution
+  ///     error: Error; // Only available if the statement failed
+  ///     replica: SQLConnectionBase | null; // The read replica the statement was executed on, if any
+  ///     queryEngine: QueryEngine | null; // The query the statement was generated from, if any
+  ///     write: boolean; // If the statement modifies the database (see <see>SQLConnectionBase.isWriteOperation</see>)
+  ///   }
+  ///
+  /// Read operations might be executed on a read replica instead of this connection
+  /// (see <see>SQLConnectionBase.getReplicaForQuery</see>). The query hooks are always
+  /// called on this connection. After a write succeeds, reads in the same async
+  /// context will "stick" to the primary (see <see>SQLConnectionBase.markPrimarySticky</see>).
+  ///
+  /// If a query cache is enabled (see <see>SQLConnectionBase.getQueryCache</see>), then
+  /// the results of read operations are cached, and a cached result is returned without
+  /// executing the statement, or calling any of the query hooks. After a write succeeds,
+  /// all cached results that read from the table of its `Model` are invalidated. Inside
+  /// a transaction, this is deferred until the transaction is committed (see
+  /// <see>SQLConnectionBase.onTransactionCommit</see>).
   ///
   /// Arguments:
-  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
-  ///     The model that defines the table to be dropped.
+  ///   statement: string | { sql: string; parameters: Array<any>; }
+  ///     The statement to execute, as returned by the query generator.
   ///   options?: object
-  ///     Though these options can be database specific, they are commonly just
-  ///     the following options.
-  ///     | Option | Type | Default Value | Description |
-  ///     | ------ | ---- | ------------- | ----------- |
-  ///     | `ifExists` | `boolean` | `false` | Add an `IF EXISTS` clause to the drop table statement. |
-  ///     | `cascade` | `boolean` | `true` | Add a `CASCADE` clause to the drop table statement (destroying rows in other tables defined by foreign key constraints). |
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///   context?: { operation?: string; Model?: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model); queryEngine?: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine); write?: boolean; }
+  ///     The operation, root model, and query that is executing the statement. These are
+  ///     reported to the query hooks. The operation defaults to `'query'`. Only
+  ///     statements with a `queryEngine` are cached. `write` overrides the
+  ///     classification of the operation (see <see>SQLConnectionBase.isWriteOperation</see>),
+  ///     for operations that are sometimes reads, and sometimes writes.
   ///
-  /// Return: undefined
-  ///   This method returns nothing.
-  async dropTable(Model, options) {
-    let queryGenerator  = this.getQueryGenerator();
-    let createTableSQL  = queryGenerator.generateDropTableStatement(Model, options);
+  /// Return: any
+  ///   The database specific result of the query.
+  async queryStatement(statement, options, context) {
+    let event     = this._createQueryEvent(statement, options, context);
+    let cacheTags = this.getQueryCacheTags(event);
+    let queryCache;
+    let cacheKey;
+
+    if (cacheTags) {
+      queryCache = this.getQueryCache();
+      cacheKey = this.getQueryCacheKey(event);
+
+      let cachedResult = await queryCache.get(cacheKey);
+      if (cachedResult !== undefined)
+        return cachedResult;
+    }
 
-    // Drop table
-    await this.query(createTableSQL, options);
+    await this.onBeforeQuery(event);
+
+    let target    = event.replica || this;
+    let startTime = event.startTime = performance.now();
+    let result;
+
+    try {
+      result = await target.query(event.sql, event.options);
+    } catch (error) {
+      event.duration = performance.now() - startTime;
+      event.error = error;
+
+      await this.onQueryError(event);
+
+      throw error;
+    }
+
+    event.duration = performance.now() - startTime;
+    event.rowCount = this.getUpdateOrDeleteChangeCount(result);
+    event.result = result;
+
+    if (queryCache) {
+      await queryCache.set(cacheKey, result, cacheTags);
+    } else if (event.write) {
+      this.markPrimarySticky();
+
+      if (event.Model)
+        await this.invalidateQueryCache(this.getQueryCacheInvalidationTags(event.Model));
+    }
+
+    await this.onAfterQuery(event);
+
+    return result;
   }
 
-  /// Create the table/bucket defined by `Model`.
+  /// Create the query event for a statement, as provided to the query hooks.
+  /// See <see>SQLConnectionBase.queryStatement</see> for the `QueryEvent` interface.
   ///
-  /// Note:
-  ///   Mythix ORM always refers to data-spaces as "tables", even though
-  ///   they might actually be "buckets" for example for no-SQL databases.
+  /// The bound parameters of `statement` (if any) are merged into the options
+  /// of the query, and the read replica to execute the statement on is selected
+  /// with <see>SQLConnectionBase.getReplicaForQuery</see>.
   ///
   /// Arguments:
-  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
-  ///     The model that defines the table to be created.
+  ///   statement: string | { sql: string; parameters: Array<any>; }
+  ///     The statement to execute, as returned by the query generator.
   ///   options?: object
-  ///     Though these options can be database specific, they are commonly just
-  ///     the following options.
-  ///     | Option | Type | Default Value | Description |
-  ///     | ------ | ---- | ------------- | ----------- |
-  ///     | `ifNotExists` | `boolean` | `false` | Add an `IF NOT EXISTS` clause to the create table statement. |
+  ///     Options for the operation.
+  ///   context?: { operation?: string; Model?: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model); queryEngine?: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine); write?: boolean; }
+  ///     The operation, root model, and query that is executing the statement.
   ///
-  /// Return: undefined
-  ///   This method returns nothing.
-  async createTable(Model, options) {
-    let queryGenerator  = this.getQueryGenerator();
-    let createTableSQL  = queryGenerator.generateCreateTableStatement(Model, options);
+  /// Return: QueryEvent
+  ///   The query event, before the statement is executed.
+  _createQueryEvent(statement, options, context) {
+    let sql           = statement;
+    let queryOptions  = options;
+
+    if (statement && Nife.instanceOf(statement, 'object')) {
+      sql = statement.sql;
+      queryOptions = this.stackAssign(options, { parameters: statement.parameters || [] });
+    }
 
-    // Create table
-    await this.query(createTableSQL, options);
+    let event = {
+      connection:  this,
+      operation:   (context && context.operation) || 'query',
+      Model:       (context && context.Model) || null,
+      sql,
+      parameters:  (queryOptions && queryOptions.parameters) || [],
+      options:     queryOptions,
+      replica:     null,
+      queryEngine: (context && context.queryEngine) || null,
+      write:       false,
+    };
 
-    // Create indexes and constraints
-    let trailingStatements = Nife.toArray(queryGenerator.generateCreateTableStatementOuterTail(Model, options)).filter(Boolean);
-    if (Nife.isNotEmpty(trailingStatements)) {
-      for (let i = 0, il = trailingStatements.length; i < il; i++) {
-        let trailingStatement = trailingStatements[i];
-        await this.query(trailingStatement, options);
-      }
-    }
+    event.write = (context && typeof context.write === 'boolean') ? context.write : this.isWriteOperation(event.operation);
+
+    event.replica = this.getReplicaForQuery(event);
+
+    return event;
   }
 
-  async insert(Model, models, _options) {
-    return await this.bulkModelOperation(
-      Model,
-      models,
-      Object.assign({}, _options || {}, { skipPersisted: true, isInsertOperation: true }),
-      // Before model operation handler
-      async (Model, models, options) => {
-        await this.runSaveHooks(Model, models, 'onBeforeCreate', 'onBeforeSave', options);
-      },
-      // Operation handler
-      async (Model, preparedModels, options, queryGenerator) => {
-        let sqlStr  = queryGenerator.generateInsertStatement(Model, preparedModels, options);
-        let results = await this.query(sqlStr, options);
+  /// Get the query cache of this connection, as provided
+  /// by the `queryCache` connection option.
+  ///
+  /// If the `queryCache` option is `true`, then a <see>SQLQueryCache</see>
+  /// (an in-memory LRU cache) is created the first time this is called.
+  /// Any other truthy value is used as the cache itself, and must implement
+  /// the `QueryCache` interface (see <see>SQLQueryCache</see>).
+  ///
+  /// Return: QueryCache | null
+  ///   The query cache, or `null` if the cache isn't enabled.
+  getQueryCache() {
+    let options     = this.getOptions();
+    let queryCache  = options && options.queryCache;
+    if (!queryCache)
+      return null;
 
-        this.updateModelsFromResults(Model, preparedModels.models, results);
-      },
-      // After model operation handler
-      async (Model, models, options) => {
-        await this.runSaveHooks(Model, models, 'onAfterCreate', 'onAfterSave', options);
-      },
-      // After all operations handler
-      async (PrimaryModel, dirtyModels, options, queryGenerator) => {
-        for (let dirtyModel of dirtyModels) {
-          let Model   = dirtyModel.getModel();
-          let sqlStr  = queryGenerator.generateUpdateStatement(Model, dirtyModel, null, options);
-          let results = await this.query(sqlStr, options);
+    if (queryCache !== true)
+      return queryCache;
 
-          this.updateModelsFromResults(Model, [ dirtyModel ], results);
-        }
-      },
-    );
-  }
+    if (!this._queryCache)
+      this._queryCache = new SQLQueryCache();
 
-  // eslint-disable-next-line no-unused-vars
-  async upsert(Model, models, _options) {
-    throw new Error(`${this.constructor.name}::upsert: This operation is not supported for this connection type.`);
+    return this._queryCache;
   }
 
-  async update(Model, models, _options) {
-    let options = _options || {};
+  /// Get the tags (table names) to cache the results of a query
+  /// with, or `null` if the results of the query shouldn't be cached.
+  ///
+  /// Results are only cached for read operations (see <see>SQLConnectionBase.isReadOperation</see>)
+  /// that provide the `queryEngine` they were generated from. Results are never
+  /// cached inside a transaction, or if the `cache` option of the operation is `false`.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event, before the statement is executed. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// The tables used by sub-queries, by the queries of set operations
+  /// (i.e. `UNION`), and by the bodies of common table expressions (`WITH`)
+  /// are included. Results are not cached if the body of a common table expression
+  /// is a literal or a raw SQL string, because the tables it uses are unknown.
+  ///
+  /// Return: Array<string> | null
+  ///   The names of all tables used in the query, or `null` if the results shouldn't be cached.
+  getQueryCacheTags(event) {
+    if (!event.queryEngine || !this.isReadOperation(event.operation))
+      return null;
 
-    let primaryKeyFieldName = Model.getPrimaryKeyFieldName();
-    if (Nife.isEmpty(primaryKeyFieldName))
-      throw new Error(`${this.constructor.name}::update: Model has no primary key field.`);
+    if (!this.isQueryCacheEnabled(event.options))
+      return null;
 
-    let result = await this.bulkModelOperation(
-      Model,
-      models,
-      Object.assign({}, options || {}, { isUpdateOperation: true }),
-      // Before model operation handler
-      async (Model, models, options) => {
-        await this.runSaveHooks(Model, models, 'onBeforeUpdate', 'onBeforeSave', options);
-      },
-      // Operation handler
-      async (Model, preparedModels, options, queryGenerator) => {
-        let models = preparedModels.models;
-        for (let i = 0, il = models.length; i < il; i++) {
-          let model = models[i];
-          let query = Model.where(this);
+    let tableNames = new Set();
+    if (!this._collectQueryTableNames(event.queryEngine, tableNames))
+      return null;
 
-          let pkFieldValue = model[primaryKeyFieldName];
-          if (!pkFieldValue)
-            throw new Error(`${this.constructor.name}::update: Model's primary key is empty. Models being updated must have a valid primary key.`);
+    return Array.from(tableNames);
+  }
 
-          query = query[primaryKeyFieldName].EQ(pkFieldValue);
-          query = await this.finalizeQuery('update', query, options);
+  // Collect the table names used by a query into "tableNames",
+  // including the queries of set operations and common table
+  // expressions. Returns false if the tables of a common table
+  // expression are unknown (a literal or raw SQL body).
+  _collectQueryTableNames(queryEngine, tableNames) {
+    let Models = queryEngine.getAllModelsUsedInQuery({ subQueries: true });
+    for (let i = 0, il = Models.length; i < il; i++)
+      tableNames.add(Models[i].getTableName(this));
+
+    let context                 = queryEngine.getOperationContext();
+    let setOperations           = context.setOperations || [];
+    let commonTableExpressions  = context.commonTableExpressions || [];
+    let queries                 = setOperations.concat(commonTableExpressions).map(({ query }) => query);
+
+    for (let i = 0, il = queries.length; i < il; i++) {
+      let query = queries[i];
+      if (!QueryEngine.isQuery(query))
+        return false;
 
-          let sqlStr = queryGenerator.generateUpdateStatement(Model, model, query, options);
-          if (!sqlStr)
-            continue;
+      if (!this._collectQueryTableNames(query, tableNames))
+        return false;
+    }
+
+    return true;
+  }
+
+  /// Check if the query cache should be used for an operation.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     The options of the operation.
+  ///
+  /// Return: boolean
+  ///   `true` if a query cache is enabled, this connection isn't inside a transaction,
+  ///   and the `cache` option isn't `false`.
+  isQueryCacheEnabled(options) {
+    if (options && options.cache === false)
+      return false;
+
+    if (this.inTransaction === true)
+      return false;
+
+    return !!this.getQueryCache();
+  }
+
+  /// Get the key a query result is cached under. This is the
+  /// SQL of the statement, plus any bound parameters.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// Return: string
+  getQueryCacheKey(event) {
+    if (Nife.isEmpty(event.parameters))
+      return event.sql;
+
+    let parameters = JSON.stringify(event.parameters, (key, value) => {
+      return (typeof value === 'bigint') ? value.toString() : value;
+    });
+
+    return `${event.sql}\n${parameters}`;
+  }
+
+  /// Get the tags (table names) to invalidate in the query
+  /// cache after a write to the table of the provided `Model`.
+  ///
+  /// Besides the table of `Model` itself, this includes the tables of all
+  /// models with a foreign key to `Model` that has a cascading action
+  /// (`onDelete` or `onUpdate` other than `RESTRICT` or `NO ACTION`), because
+  /// the database can modify their rows as part of the write. Cascades are
+  /// followed through as many tables as needed.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that was written to.
+  ///
+  /// Return: Array<string>
+  ///   The names of all tables that might have been modified by the write.
+  getQueryCacheInvalidationTags(Model) {
+    const isCascading = (action) => (!!action && [ 'RESTRICT', 'NO ACTION' ].indexOf(action.toUpperCase()) < 0);
+
+    let models      = Object.values(this.getModels() || {});
+    let visited     = new Set([ Model ]);
+    let queue       = [ Model ];
+    let tableNames  = [];
+
+    while (queue.length > 0) {
+      let TargetModel = queue.shift();
+      tableNames.push(TargetModel.getTableName(this));
+
+      for (let i = 0, il = models.length; i < il; i++) {
+        let ChildModel = models[i];
+        if (visited.has(ChildModel))
+          continue;
+
+        let references = false;
+
+        ChildModel.iterateFields(({ field, stop }) => {
+          if (!field.type.isForeignKey())
+            return;
+
+          let typeOptions = field.type.getOptions();
+          if (!isCascading(typeOptions.onDelete) && !isCascading(typeOptions.onUpdate))
+            return;
+
+          if (field.type.getTargetModel(this) !== TargetModel)
+            return;
+
+          references = true;
+          stop();
+        });
+
+        if (references) {
+          visited.add(ChildModel);
+          queue.push(ChildModel);
+        }
+      }
+    }
+
+    return Nife.uniq(tableNames);
+  }
+
+  /// Invalidate all cached results that read from any of the provided tables.
+  /// This is called automatically after every successful write operation.
+  /// Call this manually after modifying tables with raw queries.
+  ///
+  /// Inside a transaction, the tables are only collected, and are invalidated
+  /// once the outermost transaction commits (see <see>SQLConnectionBase.onTransactionCommit</see>).
+  /// Invalidating them right away would allow a concurrent read outside the
+  /// transaction to cache rows that are about to change, which would then
+  /// stay in the cache after the commit.
+  ///
+  /// Arguments:
+  ///   tableNames?: Array<string>
+  ///     The tables to invalidate. If not provided, then the entire cache is cleared.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async invalidateQueryCache(tableNames) {
+    let queryCache = this.getQueryCache();
+    if (!queryCache)
+      return;
+
+    if (this.inTransaction === true) {
+      let transaction = this._getOutermostTransaction();
+      let pending     = transaction[PENDING_INVALIDATIONS];
+
+      if (!Object.prototype.hasOwnProperty.call(transaction, PENDING_INVALIDATIONS)) {
+        pending = { all: false, tableNames: new Set() };
+
+        Object.defineProperty(transaction, PENDING_INVALIDATIONS, {
+          writable:     true,
+          enumerable:   false,
+          configurable: true,
+          value:        pending,
+        });
+      }
+
+      if (tableNames == null)
+        pending.all = true;
+      else
+        Nife.toArray(tableNames).forEach((tableName) => pending.tableNames.add(tableName));
+
+      return;
+    }
+
+    if (tableNames == null)
+      await queryCache.clear();
+    else
+      await queryCache.invalidate(Nife.toArray(tableNames));
+  }
+
+  /// Invalidate the cached results for all tables written to inside
+  /// a transaction (see <see>SQLConnectionBase.invalidateQueryCache</see>),
+  /// including those written to inside nested transactions.
+  ///
+  /// Database drivers must call this on the transaction connection, after
+  /// the outermost transaction has been committed. It must not be called
+  /// when a savepoint is released, or when a transaction is rolled back.
+  /// The collected tables are simply discarded with the transaction connection
+  /// when a transaction is rolled back.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async onTransactionCommit() {
+    let transaction = this._getOutermostTransaction();
+    if (!Object.prototype.hasOwnProperty.call(transaction, PENDING_INVALIDATIONS))
+      return;
+
+    let pending = transaction[PENDING_INVALIDATIONS];
+    delete transaction[PENDING_INVALIDATIONS];
+
+    let queryCache = this.getQueryCache();
+    if (!queryCache)
+      return;
+
+    if (pending.all)
+      await queryCache.clear();
+    else if (pending.tableNames.size > 0)
+      await queryCache.invalidate(Array.from(pending.tableNames));
+  }
+
+  // Transaction connections inherit from the connection they
+  // were created from, so the outermost transaction is the
+  // last connection in the prototype chain that is still
+  // in a transaction.
+  _getOutermostTransaction() {
+    let transaction = this;
+    let parent      = Object.getPrototypeOf(transaction);
+
+    while (parent && parent.inTransaction === true) {
+      transaction = parent;
+      parent = Object.getPrototypeOf(transaction);
+    }
+
+    return transaction;
+  }
+
+  /// Get the read replicas provided to this connection
+  /// with the `replicas` connection option.
+  ///
+  /// Return: Array<SQLConnectionBase>
+  ///   The read replicas of this connection, or an empty array if there are none.
+  getReadReplicas() {
+    let options = this.getOptions();
+    return Nife.toArray(options && options.replicas).filter(Boolean);
+  }
+
+  /// Check if the named operation only reads from the database,
+  /// and so can be executed on a read replica.
+  ///
+  /// By default the `select`, `aggregate`, and `pluck` operations
+  /// are read operations. `count`, `min`, `max`, `sum`, `average`,
+  /// and `exists` are all executed as `aggregate` operations.
+  ///
+  /// Arguments:
+  ///   operation: string
+  ///     The name of the operation, as reported in a query event.
+  ///
+  /// Return: boolean
+  isReadOperation(operation) {
+    return (READ_OPERATIONS.indexOf(operation) >= 0);
+  }
+
+  /// Check if the named operation modifies the database.
+  ///
+  /// Every operation is a write, except for the read operations
+  /// (see <see>SQLConnectionBase.isReadOperation</see>), `explain`,
+  /// and the introspection operations (`listTables`, `describeTable`,
+  /// `listIndexes`, and `listForeignKeys`). Operations that might
+  /// go either way, such as `migration`, or a raw `query`, are writes,
+  /// unless the caller passes `write: false` in the query context
+  /// (see <see>SQLConnectionBase.queryStatement</see>).
+  ///
+  /// Arguments:
+  ///   operation: string
+  ///     The name of the operation, as reported in a query event.
+  ///
+  /// Return: boolean
+  isWriteOperation(operation) {
+    return (NON_WRITE_OPERATIONS.indexOf(operation) < 0);
+  }
+
+  /// Send all reads in the current async context to the primary
+  /// for the next `stickyPrimaryWindow` milliseconds, so that
+  /// writes are always visible to the reads that follow them,
+  /// regardless of replica lag.
+  ///
+  /// This is called by <see>SQLConnectionBase.queryStatement</see> after every
+  /// successful write (see <see>SQLConnectionBase.isWriteOperation</see>). It does nothing if the
+  /// `stickyPrimaryWindow` connection option isn't set, or if there is no
+  /// active async context (see <see>SQLConnectionBase.createContext</see>).
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  markPrimarySticky() {
+    let options       = this.getOptions();
+    let stickyWindow  = options && options.stickyPrimaryWindow;
+    if (!Nife.instanceOf(stickyWindow, 'number') || !(stickyWindow > 0) || this.getReadReplicas().length === 0)
+      return;
+
+    this.setContextValue('primaryStickyUntil', Date.now() + stickyWindow);
+  }
+
+  /// Check if reads in the current async context are
+  /// "stuck" to the primary because of a recent write.
+  /// See <see>SQLConnectionBase.markPrimarySticky</see>.
+  ///
+  /// Return: boolean
+  isPrimarySticky() {
+    let stickyUntil = this.getContextValue('primaryStickyUntil');
+    return (stickyUntil != null && Date.now() < stickyUntil);
+  }
+
+  /// Select the read replica that a query should be executed on.
+  ///
+  /// A replica is only selected for read operations (see <see>SQLConnectionBase.isReadOperation</see>),
+  /// and never when this connection is inside a transaction, when the `usePrimary`
+  /// option of the operation is `true`, or when the primary is "sticky" because of a
+  /// recent write (see <see>SQLConnectionBase.isPrimarySticky</see>). Replicas are
+  /// selected round-robin.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event, before the statement is executed. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// Return: <see>SQLConnectionBase</see> | null
+  ///   The replica to execute the query on, or `null` to execute it on this connection.
+  getReplicaForQuery(event) {
+    let replicas = this.getReadReplicas();
+    if (replicas.length === 0)
+      return null;
+
+    if (!this.isReadOperation(event.operation) || this.inTransaction === true)
+      return null;
+
+    if (event.options && event.options.usePrimary === true)
+      return null;
+
+    if (this.isPrimarySticky())
+      return null;
+
+    let index = this._replicaIndex % replicas.length;
+    this._replicaIndex = index + 1;
+
+    return replicas[index];
+  }
+
+  /// Execute a `SELECT` statement generated by the query generator,
+  /// and stream its results with <see>SQLConnectionBase.queryIterate</see>.
+  ///
+  /// This is the streaming counterpart of <see>SQLConnectionBase.queryStatement</see>,
+  /// and calls the same query hooks. <see>SQLConnectionBase.onAfterQuery</see> is
+  /// called once all results have been consumed (or the caller stops iterating).
+  /// The `duration` of the query event covers the entire iteration, and its
+  /// `rowCount` is the total number of rows fetched. The `result` of the event
+  /// is always `undefined`.
+  ///
+  /// Arguments:
+  ///   statement: string | { sql: string; parameters: Array<any>; }
+  ///     The statement to execute, as returned by the query generator.
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.queryIterate</see>.
+  ///   context?: { operation?: string; Model?: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) }
+  ///     The operation, and root model, that is executing the statement.
+  ///
+  /// Return: AsyncGenerator<{ rows: Array<any>; columns: Array<string>; }>
+  ///   Each chunk of rows, as yielded by <see>SQLConnectionBase.queryIterate</see>.
+  async *queryStatementIterate(statement, options, context) {
+    let event = this._createQueryEvent(statement, options, context);
+
+    await this.onBeforeQuery(event);
+
+    let target    = event.replica || this;
+    let startTime = event.startTime = performance.now();
+    let rowCount  = 0;
+    let failed    = false;
+
+    try {
+      for await (let result of target.queryIterate(event.sql, event.options)) {
+        rowCount += (result && Array.isArray(result.rows)) ? result.rows.length : 0;
+        yield result;
+      }
+    } catch (error) {
+      failed = true;
+
+      event.duration = performance.now() - startTime;
+      event.error = error;
+
+      await this.onQueryError(event);
+
+      throw error;
+    } finally {
+      if (!failed) {
+        event.duration = performance.now() - startTime;
+        event.rowCount = rowCount;
+
+        await this.onAfterQuery(event);
+      }
+    }
+  }
+
+  /// Execute a `SELECT` statement, and fetch its rows
+  /// incrementally (i.e. through a server-side cursor),
+  /// instead of loading all rows into memory at once.
+  ///
+  /// This is a hook that must be provided by each database driver
+  /// that supports it. Drivers that provide it must also return `true`
+  /// from <see>SQLConnectionBase.isQueryIterateSupported</see>.
+  ///
+  /// Arguments:
+  ///   sql: string
+  ///     The `SELECT` statement to execute.
+  ///   options?: object
+  ///     Options for the operation. These are the same options provided to
+  ///     <see>SQLConnectionBase.query</see>, including any bound `parameters`.
+  ///     The `batchSize` option is a hint for how many rows to fetch (and yield) at a time.
+  ///
+  /// Return: AsyncGenerator<{ rows: Array<any>; columns: Array<string>; }>
+  ///   Chunks of rows, in the same format as the results of <see>SQLConnectionBase.query</see>.
+  // eslint-disable-next-line no-unused-vars, require-yield
+  async *queryIterate(sql, options) {
+    throw new Error(`${this.constructor.name}::queryIterate: This operation is not supported for this connection type.`);
+  }
+
+  /// Called before every statement executed by
+  /// <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// By default, this emits a `'beforeQuery'` event on the connection.
+  /// It can be overloaded to instrument queries.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async onBeforeQuery(event) {
+    this.emit('beforeQuery', event);
+  }
+
+  /// Called after every statement executed by
+  /// <see>SQLConnectionBase.queryStatement</see> completes
+  /// successfully.
+  ///
+  /// By default, this emits an `'afterQuery'` event on the connection,
+  /// and then calls <see>SQLConnectionBase.logSlowQuery</see>.
+  /// It can be overloaded to instrument queries.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async onAfterQuery(event) {
+    this.emit('afterQuery', event);
+    this.logSlowQuery(event);
+  }
+
+  /// Called after every statement executed by
+  /// <see>SQLConnectionBase.queryStatement</see> fails.
+  /// The error is re-thrown after this hook completes.
+  ///
+  /// By default, this emits a `'queryError'` event on the connection,
+  /// and then calls <see>SQLConnectionBase.logSlowQuery</see>.
+  /// It can be overloaded to instrument queries.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async onQueryError(event) {
+    this.emit('queryError', event);
+    this.logSlowQuery(event);
+  }
+
+  /// Log a query if it took longer than the `slowQueryThreshold`
+  /// connection option (in milliseconds). If the `slowQueryThreshold`
+  /// option isn't set, then nothing is logged.
+  ///
+  /// The query is logged with `logger.warn`, where `logger` is the
+  /// `slowQueryLogger` connection option, falling back to the `logger`
+  /// connection option, and finally to `console`. If the logger has no
+  /// `warn` method, then `logger.log` is used instead.
+  ///
+  /// Note:
+  ///   Logging never throws. If the logger has neither method, or
+  ///   if the logger itself throws, then the query isn't logged.
+  ///
+  /// Arguments:
+  ///   event: QueryEvent
+  ///     The query event. See <see>SQLConnectionBase.queryStatement</see>.
+  ///
+  /// Return: boolean
+  ///   `true` if the query was logged, or `false` otherwise.
+  logSlowQuery(event) {
+    let options   = this.getOptions();
+    let threshold = options.slowQueryThreshold;
+    if (!Nife.instanceOf(threshold, 'number') || !(event.duration >= threshold))
+      return false;
+
+    let logger    = options.slowQueryLogger || options.logger || console;
+    let logMethod = (typeof logger.warn === 'function') ? 'warn' : 'log';
+    if (typeof logger[logMethod] !== 'function')
+      return false;
+
+    try {
+      let modelName = (event.Model) ? ` ${event.Model.getModelName()}` : '';
+      logger[logMethod](`Slow query (${event.duration.toFixed(2)}ms) [${event.operation}${modelName}]: ${event.sql}`);
+    } catch (error) {
+      return false;
+    }
+
+    return true;
+  }
+
+  // --------------------------------------------- //
+
+  /// For databases that support it, enable or disable foreign key constraints.
+  ///
+  /// Arguments:
+  ///   enable: boolean
+  ///     If `true`, enable foreign key constraints in the underlying database, otherwise
+  ///     disable foreign key constraints in the underlying database.
+  // eslint-disable-next-line no-unused-vars
+  async enableForeignKeyConstraints(enable) {
+    throw new Error(`${this.constructor.name}::enableForeignKeyConstraints: This operation is not supported for this connection type.`);
+  }
+
+  /// Drop the table/bucket defined by `Model`.
+  ///
+  /// Note:
+  ///   Mythix ORM always refers to data-spaces as "tables", even though
+  ///   they might actually be "buckets" for example for no-SQL databases.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table to be dropped.
+  ///   options?: object
+  ///     Though these options can be database specific, they are commonly just
+  ///     the following options.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `ifExists` | `boolean` | `false` | Add an `IF EXISTS` clause to the drop table statement. |
+  ///     | `cascade` | `boolean` | `true` | Add a `CASCADE` clause to the drop table statement (destroying rows in other tables defined by foreign key constraints). |
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async dropTable(Model, options) {
+    let queryGenerator  = this.getQueryGenerator();
+    let createTableSQL  = queryGenerator.generateDropTableStatement(Model, options);
+
+    // Drop table
+    await this.queryStatement(createTableSQL, options, { operation: 'dropTable', Model });
+  }
+
+  /// Create the table/bucket defined by `Model`.
+  ///
+  /// Note:
+  ///   Mythix ORM always refers to data-spaces as "tables", even though
+  ///   they might actually be "buckets" for example for no-SQL databases.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table to be created.
+  ///   options?: object
+  ///     Though these options can be database specific, they are commonly just
+  ///     the following options.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `ifNotExists` | `boolean` | `false` | Add an `IF NOT EXISTS` clause to the create table statement. |
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async createTable(Model, options) {
+    let queryGenerator  = this.getQueryGenerator();
+    let createTableSQL  = queryGenerator.generateCreateTableStatement(Model, options);
+
+    // Create table
+    await this.queryStatement(createTableSQL, options, { operation: 'createTable', Model });
+
+    // Create indexes and constraints
+    let trailingStatements = Nife.toArray(queryGenerator.generateCreateTableStatementOuterTail(Model, options)).filter(Boolean);
+    if (Nife.isNotEmpty(trailingStatements)) {
+      for (let i = 0, il = trailingStatements.length; i < il; i++) {
+        let trailingStatement = trailingStatements[i];
+        await this.queryStatement(trailingStatement, options, { operation: 'createTable', Model });
+      }
+    }
+  }
+
+  async insert(Model, models, _options) {
+    return await this.bulkModelOperation(
+      Model,
+      models,
+      Object.assign({}, _options || {}, { skipPersisted: true, isInsertOperation: true }),
+      // Before model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onBeforeCreate', 'onBeforeSave', options);
+      },
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        // Large inserts are split into multiple statements
+        // (see "maxInsertRows" and "maxInsertBytes")
+        let chunks = queryGenerator.generateInsertStatements(Model, preparedModels, options);
+
+        for (let i = 0, il = chunks.length; i < il; i++) {
+          let { statement, models } = chunks[i];
+          let results               = await this.queryStatement(statement, options, { operation: 'insert', Model });
+
+          this.updateModelsFromResults(Model, models, results);
+        }
+      },
+      // After model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onAfterCreate', 'onAfterSave', options);
+      },
+      // After all operations handler
+      async (PrimaryModel, dirtyModels, options, queryGenerator) => {
+        for (let dirtyModel of dirtyModels) {
+          let Model   = dirtyModel.getModel();
+          let sqlStr  = queryGenerator.generateUpdateStatement(Model, dirtyModel, null, options);
+          let results = await this.queryStatement(sqlStr, options, { operation: 'update', Model });
+
+          this.updateModelsFromResults(Model, [ dirtyModel ], results);
+        }
+      },
+    );
+  }
+
+  /// Insert the provided models, or update already existing
+  /// rows if a conflict occurs.
+  ///
+  /// This generates an `INSERT ... ON CONFLICT (...) DO UPDATE SET ...`
+  /// statement via <see>SQLQueryGeneratorBase.generateUpsertStatement</see>.
+  /// The same save hooks that are called for <see>SQLConnectionBase.insert</see>
+  /// (`onBeforeCreate`, `onBeforeSave`, `onAfterCreate`, and `onAfterSave`) are called
+  /// for this operation.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of all `models` being upserted.
+  ///   models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     An array of model instances, or a single model instance to upsert.
+  ///   options?: object
+  ///     Options for the operation. See <see>SQLQueryGeneratorBase.generateUpsertStatement</see>
+  ///     for the `conflictFields`, `updateFields`, and `doNothing` options.
+  ///
+  /// Return: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///   The models that were upserted.
+  ///
+  /// See: SQLQueryGeneratorBase.generateUpsertStatement
+  async upsert(Model, models, _options) {
+    return await this.bulkModelOperation(
+      Model,
+      models,
+      Object.assign({}, _options || {}, { skipPersisted: true, isInsertOperation: true }),
+      // Before model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onBeforeCreate', 'onBeforeSave', options);
+      },
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        let sqlStr  = queryGenerator.generateUpsertStatement(Model, preparedModels, options);
+        let results = await this.queryStatement(sqlStr, options, { operation: 'upsert', Model });
+
+        this.updateModelsFromUpsertResults(Model, preparedModels.models, results);
+      },
+      // After model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onAfterCreate', 'onAfterSave', options);
+      },
+      // After all operations handler
+      async (PrimaryModel, dirtyModels, options, queryGenerator) => {
+        for (let dirtyModel of dirtyModels) {
+          let Model   = dirtyModel.getModel();
+          let sqlStr  = queryGenerator.generateUpdateStatement(Model, dirtyModel, null, options);
+          let results = await this.queryStatement(sqlStr, options, { operation: 'update', Model });
+
+          this.updateModelsFromResults(Model, [ dirtyModel ], results);
+        }
+      },
+    );
+  }
+
+  /// Update models from the results of an upsert operation.
+  ///
+  /// If a row was returned for every model, then this simply
+  /// defers to <see>SQLConnectionBase.updateModelsFromResults</see>.
+  /// However, when `DO NOTHING` is used, rows that conflicted won't
+  /// be returned by the database, so rows can not be matched to models
+  /// by index. In this case, rows are matched to models by primary key
+  /// (all primary key fields, for composite primary keys) instead, and
+  /// models without a matching row are left untouched.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of all `storedModels`.
+  ///   storedModels: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///     The models that were upserted.
+  ///   results: { rows: Array<any>; columns: Array<string>; }
+  ///     The results returned by the database.
+  ///
+  /// Return: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///   The provided `storedModels`.
+  updateModelsFromUpsertResults(Model, storedModels, results) {
+    if (!results || !results.rows || results.rows.length === storedModels.length)
+      return this.updateModelsFromResults(Model, storedModels, results || { rows: [], columns: [] });
+
+    let { rows, columns } = results;
+    let pkFieldNames      = this.getPrimaryKeyFieldNames(Model);
+    let pkIndexes         = pkFieldNames.map((pkFieldName) => columns.indexOf(pkFieldName));
+    if (pkIndexes.length === 0 || pkIndexes.some((pkIndex) => (pkIndex < 0)))
+      return storedModels;
+
+    // Composite keys are joined into a single
+    // string, so that they can be used as a Map key
+    const getPKKey = (pkValues) => {
+      if (pkValues.some((pkValue) => (pkValue == null)))
+        return;
+
+      return (pkValues.length === 1) ? pkValues[0] : JSON.stringify(pkValues.map((pkValue) => String(pkValue)));
+    };
+
+    let modelsByPK = new Map();
+    for (let i = 0, il = storedModels.length; i < il; i++) {
+      let storedModel = storedModels[i];
+      let pkKey       = getPKKey(pkFieldNames.map((pkFieldName) => storedModel[pkFieldName]));
+      if (pkKey !== undefined)
+        modelsByPK.set(pkKey, storedModel);
+    }
+
+    for (let i = 0, il = rows.length; i < il; i++) {
+      let row         = rows[i];
+      let storedModel = modelsByPK.get(getPKKey(pkIndexes.map((pkIndex) => row[pkIndex])));
+      if (!storedModel)
+        continue;
+
+      this.updateModelsFromResults(Model, [ storedModel ], { rows: [ row ], columns });
+    }
+
+    return storedModels;
+  }
+
+  /// Update the provided model instances in the database.
+  ///
+  /// Models using optimistic locking (see <see>SQLConnectionBase.getVersionField</see>)
+  /// are only updated if their version in the database is still the version they were
+  /// loaded with, and their version is incremented with every update. If a model was
+  /// modified by someone else since it was loaded, then a <see>StaleModelError</see> is thrown.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of the models being updated.
+  ///   models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model instances to update. Models that aren't dirty are skipped.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: number
+  ///   The number of models updated.
+  async update(Model, models, _options) {
+    let options = _options || {};
+
+    let pkFieldNames = this.getPrimaryKeyFieldNames(Model);
+    if (Nife.isEmpty(pkFieldNames))
+      throw new Error(`${this.constructor.name}::update: Model has no primary key field.`);
+
+    let versionField = this.getVersionField(Model);
+
+    let result = await this.bulkModelOperation(
+      Model,
+      models,
+      Object.assign({}, options || {}, { isUpdateOperation: true }),
+      // Before model operation handler
+      async (Model, models, options) => {
+        await this.runSaveHooks(Model, models, 'onBeforeUpdate', 'onBeforeSave', options);
+      },
+      // Operation handler
+      async (Model, preparedModels, options, queryGenerator) => {
+        let models = preparedModels.models;
+        for (let i = 0, il = models.length; i < il; i++) {
+          let model = models[i];
+          let query = Model.where(this);
+
+          for (let j = 0, jl = pkFieldNames.length; j < jl; j++) {
+            let pkFieldName   = pkFieldNames[j];
+            let pkFieldValue  = model[pkFieldName];
+            if (!pkFieldValue)
+              throw new Error(`${this.constructor.name}::update: Model's primary key is empty. Models being updated must have a valid primary key.`);
+
+            query = query[pkFieldName].EQ(pkFieldValue);
+          }
+
+          // Optimistic locking: only update the row if it still has
+          // the version the model was loaded with, and increment it
+          let version;
+          if (versionField) {
+            let versionFieldName  = versionField.fieldName;
+            let versionChange     = model.changes[versionFieldName];
+
+            version = (versionChange) ? versionChange.previous : model[versionFieldName];
+            query = query[versionFieldName].EQ(version);
+            model[versionFieldName] = (version || 0) + 1;
+          }
+
+          query = await this.finalizeQuery('update', query, options);
+
+          let sqlStr = queryGenerator.generateUpdateStatement(Model, model, query, options);
+          if (!sqlStr)
+            continue;
+
+          let results = await this.queryStatement(sqlStr, options, { operation: 'update', Model });
+          if (versionField && this.getUpdateOrDeleteChangeCount(results) === 0) {
+            model[versionField.fieldName] = version;
+            throw new StaleModelError(`${this.constructor.name}::update: Model "${Model.getModelName()}" was modified since it was loaded (version ${version}).`, model, version);
+          }
 
-          let results = await this.query(sqlStr, options);
           this.updateModelsFromResults(Model, [ model ], results);
         }
       },
@@ -715,21 +1898,73 @@ class SQLConnectionBase extends ConnectionBase {
     return (Array.isArray(result)) ? result.length : 1;
   }
 
+  /// Update all rows matching the provided query,
+  /// setting the provided attributes on every row.
+  ///
+  /// Soft-deleted rows of a soft-delete model (see <see>SQLConnectionBase.getSoftDeleteField</see>)
+  /// are not updated, unless the `withDeleted` option is `true`.
+  ///
+  /// The version of every updated row of a model using optimistic locking
+  /// (see <see>SQLConnectionBase.getVersionField</see>) is incremented, so that
+  /// copies of the rows loaded before the update can't be saved over it.
+  ///
+  /// Arguments:
+  ///   queryEngine: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     A model class (to update every row), or a query selecting the rows to update.
+  ///   attributes: object | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The attributes to set on every matching row.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `returning` | `true \| 'ids' \| 'models' \| Array<string \| Field>` | `undefined` | If set, return the primary keys (`'ids'`), or persisted model instances (`true`, `'models'`, or a list of fields to load) of the updated rows, instead of a count. |
+  ///     | `withDeleted` | `boolean` | `false` | If `true`, then also update soft-deleted rows. |
+  ///
+  /// Return: number | Array<any> | Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///   The number of rows updated. If the `returning` option is set, then
+  ///   the primary keys, or model instances, of the updated rows are returned instead.
+  ///
+  /// See: SQLQueryGeneratorBase.getReturningFields
   async updateAll(_queryEngine, model, _options) {
     let queryEngine = this.toQueryEngine(_queryEngine);
     if (!queryEngine)
       throw new Error(`${this.constructor.name}::updateAll: Model class or query is required to update.`);
 
-    let options = Object.assign({}, _options || {}, { isUpdateOperation: true, noPrimaryKey: true });
+    let options = Object.assign({}, _options || {}, { isUpdateOperation: true, noPrimaryKey: true, incrementVersion: true });
     queryEngine = await this.finalizeQuery('update', queryEngine, options);
 
     let rootModel = queryEngine.getOperationContext().rootModel;
     if (!rootModel)
       throw new Error(`${this.constructor.name}::updateAll: Root model not found, and is required to update.`);
 
+    if (this.getSoftDeleteField(rootModel))
+      options.softDeleteCondition = true;
+
     let queryGenerator  = this.getQueryGenerator();
     let sqlStr          = queryGenerator.generateUpdateStatement(rootModel, model, queryEngine, options);
-    return this.getUpdateOrDeleteChangeCount(await this.query(sqlStr, options));
+    let result          = await this.queryStatement(sqlStr, options, { operation: 'updateAll', Model: rootModel });
+
+    if (!options.returning)
+      return this.getUpdateOrDeleteChangeCount(result);
+
+    if (!result || !Array.isArray(result.rows))
+      throw new Error(`${this.constructor.name}::updateAll: The "returning" option is not supported for this connection type.`);
+
+    let modelDataMap  = this.buildModelDataMapFromSelectResults(queryEngine, result);
+    let models        = this.buildModelsFromModelDataMap(queryEngine, modelDataMap, (_, model) => {
+      model._persisted = true;
+      return model;
+    });
+
+    if (options.returning === 'ids') {
+      let pkFieldNames = this.getPrimaryKeyFieldNames(rootModel);
+      if (pkFieldNames.length > 1)
+        return models.map((model) => pkFieldNames.map((pkFieldName) => model[pkFieldName]));
+
+      return models.map((model) => model[pkFieldNames[0]]);
+    }
+
+    return models;
   }
 
   async destroyModels(Model, _models, _options) {
@@ -745,17 +1980,18 @@ class SQLConnectionBase extends ConnectionBase {
       let queryGenerator  = this.getQueryGenerator();
       let sqlStr          = queryGenerator.generateDeleteStatement(Model, query, options);
 
-      return await this.query(sqlStr, options);
+      return await this.queryStatement(sqlStr, options, { operation: 'truncate', Model });
     }
 
     let models = Nife.toArray(_models).filter(Boolean);
     if (Nife.isEmpty(models))
       return 0;
 
-    let primaryKeyFieldName = Model.getPrimaryKeyFieldName();
-    if (Nife.isEmpty(primaryKeyFieldName))
+    let pkFieldNames = this.getPrimaryKeyFieldNames(Model);
+    if (Nife.isEmpty(pkFieldNames))
       throw new Error(`${this.constructor.name}::destroyModels: Model has no primary key field. You must supply a query to delete models with no primary key.`);
 
+    let returningResults = [];
     let result = await this.bulkModelOperation(
       Model,
       models,
@@ -764,59 +2000,306 @@ class SQLConnectionBase extends ConnectionBase {
       null,
       // Operation handler
       async (Model, preparedModels, options, queryGenerator) => {
-        let models  = preparedModels.models;
-        let pkIDs   = [];
-
-        for (let i = 0, il = models.length; i < il; i++) {
-          let model         = models[i];
-          let pkFieldValue  = model[primaryKeyFieldName];
-          if (pkFieldValue != null && Nife.isEmpty(pkFieldValue))
-            continue;
-
-          pkIDs.push(pkFieldValue);
-        }
-
-        if (Nife.isEmpty(pkIDs))
+        let query = this.buildPrimaryKeyQuery(Model, preparedModels.models);
+        if (!query)
           return;
 
-        let query   = await this.finalizeQuery('delete', Model.where(this).id.EQ(pkIDs), options);
-        let sqlStr = queryGenerator.generateDeleteStatement(Model, query);
+        query = await this.finalizeQuery('delete', query, options);
+
+        let sqlStr = (this.shouldSoftDelete(Model, options)) ? queryGenerator.generateSoftDeleteStatement(Model, query, options) : queryGenerator.generateDeleteStatement(Model, query, options);
         if (!sqlStr)
           return;
 
-        await this.query(sqlStr, options);
+        let result = await this.queryStatement(sqlStr, options, { operation: 'destroy', Model });
+        if (options.returning)
+          returningResults = returningResults.concat(this.buildReturningResults(Model, queryGenerator.getReturningFields(Model, options), result, options));
       },
     );
 
-    return (Array.isArray(result)) ? result.length : 1;
+    if (options.returning)
+      return returningResults;
+
+    return (Array.isArray(result)) ? result.length : 1;
+  }
+
+  /// Convert the rows returned by a `RETURNING` clause into
+  /// primary keys, or model instances, as requested by the
+  /// `returning` option of the operation.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of the table the rows were returned from.
+  ///   fields: Array<[Field](https://github.com/th317erd/mythix-orm/wiki/Field)>
+  ///     The fields that were returned, in the same order as the columns of each row.
+  ///   result: { rows: Array<any>; columns: Array<string>; }
+  ///     The raw results as returned by the database.
+  ///   options: object
+  ///     Options for the operation. If the `returning` option is `'ids'`, then
+  ///     the primary keys will be returned. Otherwise, model instances will be
+  ///     returned, with only the returned `fields` set.
+  ///
+  /// Return: Array<any> | Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///   The primary keys, or the model instances, of the returned rows. For models
+  ///   with a composite primary key, each primary key is an array of its values.
+  buildReturningResults(Model, fields, result, options) {
+    if (!result || !Array.isArray(result.rows))
+      throw new Error(`${this.constructor.name}::buildReturningResults: The "returning" option is not supported for this connection type.`);
+
+    let rows = result.rows;
+    if (options.returning === 'ids')
+      return rows.map((row) => ((fields.length > 1) ? row.slice(0, fields.length) : row[0]));
+
+    return rows.map((row) => {
+      let data = {};
+
+      for (let i = 0, il = fields.length; i < il; i++)
+        data[fields[i].fieldName] = row[i];
+
+      let model = new Model(data);
+      model.clearDirty();
+
+      return model;
+    });
+  }
+
+  /// Destroy rows in the database, either by providing
+  /// a model class and the model instances to destroy,
+  /// or by providing a query that selects the rows to destroy.
+  ///
+  /// Arguments:
+  ///   queryEngineOrModel: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The model class of the models to destroy, or a query selecting the rows to destroy.
+  ///   modelsOrOptions?: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | object
+  ///     The model instances to destroy if a model class was provided, otherwise the options for the operation.
+  ///   options?: object
+  ///     Options for the operation, if a model class was provided.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `force` | `boolean` | `false` | If `true`, then always delete the rows, even if the model is a soft-delete model. |
+  ///     | `returning` | `'ids' \| 'models' \| Array<string \| Field>` | `undefined` | If set, return the primary keys (`'ids'`), or model instances (`'models'`, or a list of fields to load) of the destroyed rows, instead of a count. |
+  ///     | `truncate` | `boolean` | `false` | If `true`, and no models are provided, then destroy every row in the table. |
+  ///
+  /// Note:
+  ///   Rows of soft-delete models (see <see>SQLConnectionBase.getSoftDeleteField</see>) are
+  ///   soft-deleted instead, unless the `force` option is `true`. Soft-deleted rows can be
+  ///   restored with <see>SQLConnectionBase.restore</see>. Truncating a table always deletes
+  ///   every row.
+  ///
+  /// Return: number | Array<any> | Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///   The number of rows destroyed. If the `returning` option is set, then
+  ///   the primary keys, or model instances, of the destroyed rows are returned instead.
+  ///
+  /// See: SQLQueryGeneratorBase.getReturningFields
+  async destroy(_queryEngineOrModel, modelsOrOptions, _options) {
+    let queryEngineOrModel = _queryEngineOrModel;
+
+    if (QueryEngine.isQuery(modelsOrOptions))
+      queryEngineOrModel = modelsOrOptions;
+    else if (queryEngineOrModel && ModelBase.isModelClass(queryEngineOrModel))
+      return await this.destroyModels(queryEngineOrModel, modelsOrOptions, _options);
+    else if (!QueryEngine.isQuery(queryEngineOrModel))
+      throw new Error(`${this.constructor.name}::destroy: Please provide a query, or a model class and a list of models to destroy.`);
+
+    let queryEngine = this.toQueryEngine(queryEngineOrModel);
+    if (!queryEngine)
+      throw new Error(`${this.constructor.name}::destroy: Model class or query is required to destroy.`);
+
+    let options = modelsOrOptions || {};
+    queryEngine = await this.finalizeQuery('delete', queryEngine, options);
+
+    let rootModel = queryEngine.getOperationContext().rootModel;
+    if (!rootModel)
+      throw new Error(`${this.constructor.name}::destroy: Root model not found, and is required to destroy.`);
+
+    let queryGenerator  = this.getQueryGenerator();
+    let sqlStr          = (this.shouldSoftDelete(rootModel, options)) ? queryGenerator.generateSoftDeleteStatement(rootModel, queryEngine, options) : queryGenerator.generateDeleteStatement(rootModel, queryEngine, options);
+    let result          = await this.queryStatement(sqlStr, options, { operation: 'destroy', Model: rootModel });
+
+    if (options.returning)
+      return this.buildReturningResults(rootModel, queryGenerator.getReturningFields(rootModel, options), result, options);
+
+    return this.getUpdateOrDeleteChangeCount(result);
+  }
+
+  /// Get the field used to mark rows of a model as soft-deleted.
+  ///
+  /// A model is a soft-delete model if it has a truthy `static softDelete`
+  /// property. If `softDelete` is `true`, then the `deletedAt` field is used,
+  /// otherwise `softDelete` is the name of the field to use. The field should
+  /// be a nullable `DATETIME` field.
+  ///
+  /// Rows of soft-delete models are soft-deleted by <see>SQLConnectionBase.destroy</see>, by setting
+  /// this field to the current time, and soft-deleted rows are excluded from all `SELECT` statements
+  /// (see <see>SQLQueryGeneratorBase.generateSoftDeleteCondition</see>).
+  ///
+  /// Example:
+  ///   class Comment extends Model {
+  ///     static softDelete = true;
+  ///
+  ///     static fields = {
+  ///       ...
+  ///       'deletedAt': {
+  ///         type:      Types.DATETIME,
+  ///         allowNull: true,
+  ///       },
+  ///     };
+  ///   }
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model to get the soft-delete field of.
+  ///
+  /// Return: [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | null
+  ///   The soft-delete field, or `null` if the model isn't a soft-delete model.
+  getSoftDeleteField(Model) {
+    let softDelete = Model.softDelete;
+    if (!softDelete)
+      return null;
+
+    let fieldName = (softDelete === true) ? 'deletedAt' : softDelete;
+    let field     = Model.getField(fieldName);
+    if (!field)
+      throw new Error(`${this.constructor.name}::getSoftDeleteField: Model "${Model.getModelName()}" has no "${fieldName}" field to mark soft-deleted rows with.`);
+
+    return field;
+  }
+
+  /// Get the version field used for optimistic locking of a model.
+  ///
+  /// A model uses optimistic locking if it has a `static versionField`
+  /// property, naming an integer field of the model. The field should
+  /// have a default value (i.e. `1`) so that the version is set when
+  /// models are inserted.
+  ///
+  /// See <see>SQLConnectionBase.update</see> for how the version field is used.
+  ///
+  /// Example:
+  ///   class Comment extends Model {
+  ///     static versionField = 'version';
+  ///
+  ///     static fields = {
+  ///       ...
+  ///       'version': {
+  ///         type:         Types.INTEGER,
+  ///         defaultValue: 1,
+  ///         allowNull:    false,
+  ///       },
+  ///     };
+  ///   }
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model to get the version field of.
+  ///
+  /// Return: [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | null
+  ///   The version field, or `null` if the model doesn't use optimistic locking.
+  getVersionField(Model) {
+    let fieldName = Model.versionField;
+    if (!fieldName)
+      return null;
+
+    let field = Model.getField(fieldName);
+    if (!field)
+      throw new Error(`${this.constructor.name}::getVersionField: Model "${Model.getModelName()}" has no "${fieldName}" field to use as its version.`);
+
+    return field;
+  }
+
+  /// Check if a destroy operation should soft-delete
+  /// rows of the provided model, instead of deleting them.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model being destroyed.
+  ///   options?: object
+  ///     Options for the operation. If the `force` option is `true`, then this returns `false`.
+  ///
+  /// Return: boolean
+  shouldSoftDelete(Model, options) {
+    if (options && options.force === true)
+      return false;
+
+    return !!this.getSoftDeleteField(Model);
   }
 
-  async destroy(_queryEngineOrModel, modelsOrOptions, _options) {
-    // TODO: Have destroy use "RETURNING" to return deleted PKs
-
-    let queryEngineOrModel = _queryEngineOrModel;
+  /// Restore soft-deleted rows, either by providing a model
+  /// class and the model instances to restore, or by providing
+  /// a query that selects the rows to restore.
+  ///
+  /// Arguments:
+  ///   queryEngineOrModel: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The soft-delete model class of the models to restore, or a query selecting the rows to restore.
+  ///   modelsOrOptions?: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | object
+  ///     The model instances (or a query) to restore if a model class was provided, otherwise the options for the operation.
+  ///   options?: object
+  ///     Options for the operation, if a model class was provided.
+  ///
+  /// Return: number
+  ///   The number of rows restored.
+  ///
+  /// See: SQLConnectionBase.getSoftDeleteField
+  async restore(_queryEngineOrModel, modelsOrOptions, _options) {
+    let queryEngine = _queryEngineOrModel;
+    let options     = _options;
+
+    if (queryEngine && ModelBase.isModelClass(queryEngine) && !QueryEngine.isQuery(modelsOrOptions)) {
+      queryEngine = this.buildPrimaryKeyQuery(queryEngine, Nife.toArray(modelsOrOptions).filter(Boolean));
+      if (!queryEngine)
+        return 0;
+    } else {
+      if (QueryEngine.isQuery(modelsOrOptions))
+        queryEngine = modelsOrOptions;
 
-    if (QueryEngine.isQuery(modelsOrOptions))
-      queryEngineOrModel = modelsOrOptions;
-    else if (queryEngineOrModel && ModelBase.isModelClass(queryEngineOrModel))
-      return await this.destroyModels(queryEngineOrModel, modelsOrOptions, _options);
-    else if (!QueryEngine.isQuery(queryEngineOrModel))
-      throw new Error(`${this.constructor.name}::destroy: Please provide a query, or a model class and a list of models to destroy.`);
+      queryEngine = this.toQueryEngine(queryEngine);
+      options = (QueryEngine.isQuery(modelsOrOptions)) ? _options : modelsOrOptions;
+    }
 
-    let queryEngine = this.toQueryEngine(queryEngineOrModel);
-    if (!queryEngine)
-      throw new Error(`${this.constructor.name}::destroy: Model class or query is required to destroy.`);
+    if (!QueryEngine.isQuery(queryEngine))
+      throw new Error(`${this.constructor.name}::restore: Please provide a query, or a model class and a list of models to restore.`);
 
-    let options = modelsOrOptions || {};
-    queryEngine = await this.finalizeQuery('delete', queryEngine, options);
+    options = options || {};
+    queryEngine = await this.finalizeQuery('update', queryEngine, options);
 
     let rootModel = queryEngine.getOperationContext().rootModel;
     if (!rootModel)
-      throw new Error(`${this.constructor.name}::destroy: Root model not found, and is required to destroy.`);
+      throw new Error(`${this.constructor.name}::restore: Root model not found, and is required to restore.`);
 
     let queryGenerator  = this.getQueryGenerator();
-    let sqlStr          = queryGenerator.generateDeleteStatement(rootModel, queryEngine, options);
-    return this.getUpdateOrDeleteChangeCount(await this.query(sqlStr, options));
+    let sqlStr          = queryGenerator.generateRestoreStatement(rootModel, queryEngine, options);
+    let result          = await this.queryStatement(sqlStr, options, { operation: 'restore', Model: rootModel });
+
+    return this.getUpdateOrDeleteChangeCount(result);
+  }
+
+  /// Pull the cursor for the next batch of a keyset (cursor) paginated
+  /// `SELECT` operation from the last row of the provided results.
+  ///
+  /// Arguments:
+  ///   keysetOrder: Map<string, object>
+  ///     The order of the query, as returned by <see>SQLQueryGeneratorBase.getKeysetOrder</see>.
+  ///     Each key is a fully qualified field name, which should match a column in the `result`.
+  ///   result: { rows: Array<any>; columns: Array<string>; }
+  ///     The raw results as returned by the database.
+  ///
+  /// Return: object
+  ///   The cursor for the next batch, where each key is a fully qualified field name, and each value
+  ///   is the value of that column in the last row of the provided `result`.
+  ///
+  /// See: SQLQueryGeneratorBase.generateKeysetCursorCondition
+  getKeysetCursorFromResults(keysetOrder, result) {
+    let { columns, rows } = result;
+    let lastRow           = rows[rows.length - 1];
+    let cursor            = {};
+
+    for (let fullyQualifiedFieldName of keysetOrder.keys()) {
+      let columnIndex = columns.indexOf(fullyQualifiedFieldName);
+      if (columnIndex < 0)
+        throw new Error(`${this.constructor.name}::getKeysetCursorFromResults: Column "${fullyQualifiedFieldName}" used for keyset pagination not found in results.`);
+
+      cursor[fullyQualifiedFieldName] = lastRow[columnIndex];
+    }
+
+    return cursor;
   }
 
   /// Convert the raw `{ rows: Array<any>; columns: Array<string>; }` results
@@ -856,6 +2339,33 @@ class SQLConnectionBase extends ConnectionBase {
     return finalData;
   }
 
+  /// Select rows from the database, and yield them
+  /// as model instances, one at a time.
+  ///
+  /// By default, rows are fetched in batches of `batchSize`, issuing a new
+  /// `LIMIT`/`OFFSET` statement for every batch. If the driver supports
+  /// streaming (see <see>SQLConnectionBase.isQueryIterateSupported</see>),
+  /// then a single statement is executed instead, and its rows are fetched
+  /// incrementally with <see>SQLConnectionBase.queryIterate</see>. Queries with
+  /// table-joins, queries using keyset pagination, and queries that can be cached
+  /// (see <see>SQLConnectionBase.getQueryCache</see>), are always fetched in batches.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The query to select rows with, or a model class to select all rows of.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `batchSize` | `number` | `500` | The number of rows to fetch at a time. |
+  ///     | `cache` | `boolean` | `true` | If `false`, then never use the query cache. See <see>SQLConnectionBase.getQueryCache</see>. |
+  ///     | `keysetPagination` | `boolean` | `false` | If `true`, then fetch each batch using the last row of the previous batch as a cursor, instead of an `OFFSET`. |
+  ///     | `queryIterate` | `boolean` | `true` | If `false`, then never stream the rows with <see>SQLConnectionBase.queryIterate</see>, even if the driver supports it. |
+  ///     | `raw` | `boolean` | `false` | If `true`, then yield the raw results of each batch, instead of model instances. |
+  ///     | `usePrimary` | `boolean` | `false` | If `true`, then never execute the query on a read replica. See <see>SQLConnectionBase.getReplicaForQuery</see>. |
+  ///
+  /// Return: AsyncGenerator<[Model](https://github.com/th317erd/mythix-orm/wiki/Model) | object>
+  ///   The selected models, or the raw results of each batch if the `raw` option is `true`.
   async *select(_queryEngine, _options) {
     let queryEngine = _queryEngine;
     if (!queryEngine)
@@ -876,8 +2386,8 @@ class SQLConnectionBase extends ConnectionBase {
     let queryContext  = queryEngine.getOperationContext();
     let groupBy       = queryContext.groupBy;
     if (groupBy && groupBy.size > 0) {
-      let sqlStatement  = queryGenerator.generateSelectStatement(queryEngine, options);
-      let result        = await this.query(sqlStatement, options);
+      let sqlStatement  = queryGenerator.generateSelectStatement(queryEngine, this.stackAssign(options, { keysetPagination: false }));
+      let result        = await this.queryStatement(sqlStatement, options, { operation: 'select', Model: queryContext.rootModel, queryEngine });
       let rows          = this.queryResultRowsToRawData(result);
 
       for (let i = 0, il = rows.length; i < il; i++)
@@ -889,28 +2399,91 @@ class SQLConnectionBase extends ConnectionBase {
     let batchSize   = options.batchSize || 500;
     let startIndex  = queryContext.offset || 0;
     let limit       = queryContext.limit;
+    let keysetOrder;
+    let cursor;
+
+    // Keyset pagination uses the last row of each batch
+    // as a cursor for the next batch, instead of an OFFSET
+    if (options.keysetPagination === true) {
+      if (queryEngine.queryHasJoins())
+        throw new Error(`${this.constructor.name}::select: Keyset pagination can not be used with table joins.`);
+
+      if (Nife.isNotEmpty(queryContext.setOperations))
+        throw new Error(`${this.constructor.name}::select: Keyset pagination can not be used with set operations.`);
+
+      keysetOrder = queryGenerator.getQueryEngineOrder(queryEngine, options);
+    }
+
+    const buildModels = (modelDataMap) => {
+      return this.buildModelsFromModelDataMap(queryEngine, modelDataMap, (_, model) => {
+        model._persisted = true;
+        return model;
+      });
+    };
+
+    // Stream the rows of a single statement, if the driver
+    // supports it. Rows of joined tables can't be streamed,
+    // because the rows of one root model could be split across chunks.
+    if (options.queryIterate !== false && !keysetOrder && !this.isQueryCacheEnabled(options) && this.isQueryIterateSupported(options) && queryGenerator.getSelectQueryJoinInfos(queryEngine, options).size === 0) {
+      let sqlStatement = queryGenerator.generateSelectStatement(queryEngine, options);
+
+      for await (let result of this.queryStatementIterate(sqlStatement, this.stackAssign(options, { batchSize }), { operation: 'select', Model: queryContext.rootModel, queryEngine })) {
+        if (!result || Nife.isEmpty(result.rows))
+          continue;
+
+        if (options.raw === true) {
+          yield result;
+          continue;
+        }
+
+        let models = buildModels(this.buildModelDataMapFromSelectResults(queryEngine, result));
+        for (let i = 0, il = models.length; i < il; i++) {
+          let model = models[i];
+
+          model.__order = i;
+
+          yield model;
+        }
+      }
+
+      return;
+    }
 
-    if (Nife.instanceOf(limit, 'number') && isFinite(limit) && limit < batchSize)
-      batchSize = limit;
+    // Never fetch past the limit of the query
+    let remaining = (Nife.instanceOf(limit, 'number') && isFinite(limit)) ? limit : Infinity;
 
-    while (true) {
-      let query         = queryEngine.clone().LIMIT(batchSize).OFFSET(startIndex);
-      let sqlStatement  = queryGenerator.generateSelectStatement(query, options);
-      let result        = await this.query(sqlStatement, options);
+    while (remaining > 0) {
+      let pageLimit     = Math.min(batchSize, remaining);
+      let query         = queryEngine.clone().LIMIT(pageLimit).OFFSET((cursor) ? 0 : startIndex);
+      let sqlStatement  = queryGenerator.generateSelectStatement(query, (cursor) ? this.stackAssign(options, { keysetCursor: cursor }) : options);
+      let result        = await this.queryStatement(sqlStatement, options, { operation: 'select', Model: queryContext.rootModel, queryEngine });
 
       if (!result.rows || result.rows.length === 0)
         break;
 
-      startIndex += result.rows.length;
+      // When the root models are limited (instead of the joined
+      // rows), then pages are counted in root models
+      let pageSize = result.rows.length;
+      let modelDataMap;
+
+      if (queryGenerator.shouldLimitRootModels(query, options)) {
+        modelDataMap  = this.buildModelDataMapFromSelectResults(queryEngine, result);
+        pageSize      = (modelDataMap[queryContext.rootModelName] || []).length;
+      }
+
+      startIndex += pageSize;
+      remaining -= pageSize;
+
+      if (keysetOrder)
+        cursor = this.getKeysetCursorFromResults(keysetOrder, result);
 
       if (options.raw === true) {
         yield result;
       } else {
-        let modelDataMap  = this.buildModelDataMapFromSelectResults(queryEngine, result);
-        let models        = this.buildModelsFromModelDataMap(queryEngine, modelDataMap, (_, model) => {
-          model._persisted = true;
-          return model;
-        });
+        if (!modelDataMap)
+          modelDataMap = this.buildModelDataMapFromSelectResults(queryEngine, result);
+
+        let models = buildModels(modelDataMap);
 
         for (let i = 0, il = models.length; i < il; i++) {
           let model = models[i];
@@ -921,7 +2494,7 @@ class SQLConnectionBase extends ConnectionBase {
         }
       }
 
-      if (result.rows.length < batchSize)
+      if (pageSize < pageLimit)
         break;
     }
   }
@@ -943,6 +2516,15 @@ class SQLConnectionBase extends ConnectionBase {
     let queryContext    = queryEngine.getOperationContext();
     let distinct        = queryContext.distinct;
 
+    // The aggregate of a set operation must apply
+    // to the combined results, not the root query
+    if (Nife.isNotEmpty(queryContext.setOperations)) {
+      let sqlStr = queryGenerator.generateSetOperationAggregateStatement(queryEngine, literal, options);
+      let result = await this.queryStatement(sqlStr, options, { operation: 'aggregate', Model: queryContext.rootModel, queryEngine });
+
+      return result.rows[0][0];
+    }
+
     if (distinct) {
       let distinctField = distinct.getField(this);
       if (distinctField) {
@@ -970,7 +2552,7 @@ class SQLConnectionBase extends ConnectionBase {
     let literalStr  = literal.toString(this);
     let query       = queryEngine.PROJECT(literal).ORDER(); // TODO: Remove ORDER here once aggregate ORDER BY is fixed
     let sqlStr      = queryGenerator.generateSelectStatement(query, this.stackAssign(options, { isAggregate: true }));
-    let result      = await this.query(sqlStr, options);
+    let result      = await this.queryStatement(sqlStr, options, { operation: 'aggregate', Model: query.getOperationContext().rootModel, queryEngine: query });
     let columnIndex = result.columns.indexOf(literalStr);
     if (columnIndex < 0) {
       if (result.columns.length === 1)
@@ -1075,6 +2657,10 @@ class SQLConnectionBase extends ConnectionBase {
 
     // remap fields so they have fully qualified names
     fields = fields.map((field) => {
+      // Literals (i.e. window functions) are projected as-is
+      if (Literals.LiteralBase.isLiteral(field))
+        return field;
+
       let def = this.parseQualifiedName(field);
       if (!def.modelName)
         def.modelName = rootModelName;
@@ -1088,10 +2674,20 @@ class SQLConnectionBase extends ConnectionBase {
     let queryGenerator    = this.getQueryGenerator();
     let query             = queryEngine.clone().PROJECT(fields);
     let sqlStr            = queryGenerator.generateSelectStatement(query, options);
-    let result            = await this.query(sqlStr, options);
+    let result            = await this.queryStatement(sqlStr, options, { operation: 'pluck', Model: rootModel, queryEngine: query });
     let finalResults      = [];
     let { columns, rows } = result;
-    let columnIndexMap    = fields.reduce((obj, field) => {
+
+    // A literal's column is named by its alias,
+    // or by the literal expression itself
+    let fieldKeys = fields.map((field) => {
+      if (!Literals.LiteralBase.isLiteral(field))
+        return field;
+
+      return (field.options && field.options.as) || field.toString(this, { isProjection: true });
+    });
+
+    let columnIndexMap = fieldKeys.reduce((obj, field) => {
       obj[field] = columns.indexOf(field);
       return obj;
     }, {});
@@ -1099,8 +2695,8 @@ class SQLConnectionBase extends ConnectionBase {
     if (options.mapToObjects) {
       finalResults = rows.map((row) => {
         let obj = {};
-        for (let i = 0, il = fields.length; i < il; i++) {
-          let field       = fields[i];
+        for (let i = 0, il = fieldKeys.length; i < il; i++) {
+          let field       = fieldKeys[i];
           let columnIndex = columnIndexMap[field];
           if (columnIndex < 0) {
             obj[fields] = undefined;
@@ -1114,7 +2710,7 @@ class SQLConnectionBase extends ConnectionBase {
       });
     } else {
       finalResults = rows.map((row) => {
-        return fields.map((field) => {
+        return fieldKeys.map((field) => {
           let columnIndex = columnIndexMap[field];
           if (columnIndex < 0)
             return;
@@ -1135,6 +2731,138 @@ class SQLConnectionBase extends ConnectionBase {
     return (count > 0);
   }
 
+  /// Explain how the database will execute a query,
+  /// returning a normalized query plan.
+  ///
+  /// The statement to explain is generated from the provided query, exactly as
+  /// it would be generated for the requested `operation`: <see>SQLQueryGeneratorBase.generateSelectStatement</see>
+  /// for `'read'`, <see>SQLQueryGeneratorBase.generateUpdateStatement</see> for `'update'`, or
+  /// <see>SQLQueryGeneratorBase.generateDeleteStatement</see> for `'delete'`. The statement is then
+  /// wrapped by <see>SQLQueryGeneratorBase.generateExplainStatement</see>, executed, and the results
+  /// are converted into a plan tree by <see>SQLConnectionBase.parseQueryPlan</see>.
+  ///
+  /// Note:
+  ///   When the `analyze` option is `true` the statement is actually executed by most databases.
+  ///   Because of this, `analyze` can not be used when explaining `'update'` or `'delete'`
+  ///   operations, and an error will be thrown if you try. Raw statements are explained as-is,
+  ///   so take care when explaining a raw `UPDATE` or `DELETE` statement with `analyze`.
+  ///
+  /// Example:
+  ///   let plan = await connection.explain(User.where.firstName.EQ('Bob'));
+  ///   if (plan.some((node) => node.tableScan))
+  ///     console.warn('Query uses a full table scan!');
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string | { sql: string; parameters: Array<any>; }
+  ///     The query to explain. A raw SQL statement, or a bound statement, can also be provided.
+  ///   options?: object
+  ///     Options for the operation. These are also passed to the query generator, and to <see>SQLConnectionBase.query</see>.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `analyze` | `boolean` | `false` | If `true`, then execute the statement, and report the actual row counts and costs (if the database supports it). Only allowed for `'read'` operations. |
+  ///     | `attributes` | `object` \| `Model` | `undefined` | The attributes to update. Required when `operation` is `'update'`. |
+  ///     | `operation` | `'read'` \| `'update'` \| `'delete'` | `'read'` | The operation to generate the statement for. |
+  ///
+  /// Return: Array<QueryPlanNode>
+  ///   The root nodes of the query plan. See <see>SQLConnectionBase.createQueryPlanNode</see> for the shape of each node.
+  async explain(_queryEngine, _options) {
+    if (!_queryEngine)
+      throw new TypeError(`${this.constructor.name}::explain: First argument must be a model class, a query, or a statement.`);
+
+    let options         = _options || {};
+    let queryGenerator  = this.getQueryGenerator();
+    let statement       = _queryEngine;
+    let rootModel       = null;
+
+    if (!(Nife.instanceOf(_queryEngine, 'string') || Nife.instanceOf(_queryEngine.sql, 'string'))) {
+      let queryEngine = this.toQueryEngine(_queryEngine);
+      if (!queryEngine)
+        throw new TypeError(`${this.constructor.name}::explain: First argument must be a model class, a query, or a statement.`);
+
+      rootModel = queryEngine.getOperationContext().rootModel;
+
+      let operation = options.operation || 'read';
+      if (options.analyze === true && (operation === 'update' || operation === 'delete'))
+        throw new Error(`${this.constructor.name}::explain: The "analyze" option can not be used with the "${operation}" operation, because the statement would be executed.`);
+
+      if (operation === 'update') {
+        if (!options.attributes)
+          throw new Error(`${this.constructor.name}::explain: The "attributes" option is required to explain an "update" operation.`);
+
+        options     = Object.assign({}, options, { isUpdateOperation: true, noPrimaryKey: true, incrementVersion: true, softDeleteCondition: !!this.getSoftDeleteField(rootModel) });
+        queryEngine = await this.finalizeQuery('update', queryEngine, options);
+        statement   = queryGenerator.generateUpdateStatement(rootModel, options.attributes, queryEngine, options);
+      } else if (operation === 'delete') {
+        queryEngine = await this.finalizeQuery('delete', queryEngine, options);
+        statement   = queryGenerator.generateDeleteStatement(rootModel, queryEngine, options);
+      } else if (operation === 'read') {
+        queryEngine = await this.finalizeQuery('read', queryEngine, options);
+        statement   = queryGenerator.generateSelectStatement(queryEngine, options);
+      } else {
+        throw new Error(`${this.constructor.name}::explain: Unknown operation "${operation}".`);
+      }
+    }
+
+    let result = await this.queryStatement(queryGenerator.generateExplainStatement(statement, options), options, { operation: 'explain', Model: rootModel });
+    return this.parseQueryPlan(result, options);
+  }
+
+  /// Create a normalized query plan node. Database drivers
+  /// should use this method from <see>SQLConnectionBase.parseQueryPlan</see>,
+  /// so that every node has the same shape, no matter the database.
+  ///
+  /// Interface:
+  ///   interface QueryPlanNode {
+  ///     operation: string; // The raw description of this step, as reported by the database
+  ///     tableName: string | null; // The table this step reads, if any
+  ///     indexName: string | null; // The index this step uses, if any
+  ///     tableScan: boolean; // `true` if this step scans the entire table
+  ///     indexScan: boolean; // `true` if this step uses an index
+  ///     estimatedRows: number | null; // The number of rows the database estimates this step will produce
+  ///     cost: number | null; // The cost the database estimates for this step
+  ///     children: Array<QueryPlanNode>;
+  ///   }
+  ///
+  /// Arguments:
+  ///   attributes: object
+  ///     The attributes of the node. Any attribute not provided will be set to its default.
+  ///
+  /// Return: QueryPlanNode
+  ///   The normalized node.
+  createQueryPlanNode(attributes) {
+    return Object.assign({
+      operation:     '',
+      tableName:     null,
+      indexName:     null,
+      tableScan:     false,
+      indexScan:     false,
+      estimatedRows: null,
+      cost:          null,
+      children:      [],
+    }, attributes || {});
+  }
+
+  /// Parse the results of an `EXPLAIN` statement
+  /// into a normalized query plan tree.
+  ///
+  /// This is a hook that must be provided by each database driver, since
+  /// every database reports its query plan differently.
+  ///
+  /// Arguments:
+  ///   result: any
+  ///     The raw results of the `EXPLAIN` statement, as returned by <see>SQLConnectionBase.query</see>.
+  ///   options?: object
+  ///     The options provided to <see>SQLConnectionBase.explain</see>.
+  ///
+  /// Return: Array<QueryPlanNode>
+  ///   The root nodes of the query plan.
+  ///
+  /// See: SQLConnectionBase.createQueryPlanNode
+  // eslint-disable-next-line no-unused-vars
+  parseQueryPlan(result, options) {
+    throw new Error(`${this.constructor.name}::parseQueryPlan: This operation is not supported for this connection type.`);
+  }
+
   // Alter operations
 
   async alterTable(Model, newModelAttributes, options) {
@@ -1143,7 +2871,7 @@ class SQLConnectionBase extends ConnectionBase {
 
     for (let i = 0, il = sqlStatements.length; i < il; i++) {
       let sqlStr = sqlStatements[i];
-      await this.query(sqlStr, options);
+      await this.queryStatement(sqlStr, options, { operation: 'alterTable', Model });
     }
   }
 
@@ -1151,7 +2879,7 @@ class SQLConnectionBase extends ConnectionBase {
     let queryGenerator  = this.getQueryGenerator();
     let sqlStr          = queryGenerator.generateDropColumnStatement(Field, options);
     if (sqlStr)
-      await this.query(sqlStr, options);
+      await this.queryStatement(sqlStr, options, { operation: 'dropColumn', Model: Field.Model });
   }
 
   async alterColumn(Field, newFieldAttributes, options) {
@@ -1160,7 +2888,7 @@ class SQLConnectionBase extends ConnectionBase {
 
     for (let i = 0, il = sqlStatements.length; i < il; i++) {
       let sqlStr = sqlStatements[i];
-      await this.query(sqlStr, options);
+      await this.queryStatement(sqlStr, options, { operation: 'alterColumn', Model: Field.Model });
     }
   }
 
@@ -1168,21 +2896,363 @@ class SQLConnectionBase extends ConnectionBase {
     let queryGenerator  = this.getQueryGenerator();
     let sqlStr          = queryGenerator.generateAddColumnStatement(Field, options);
     if (sqlStr)
-      await this.query(sqlStr, options);
+      await this.queryStatement(sqlStr, options, { operation: 'addColumn', Model: Field.Model });
   }
 
   async addIndex(Model, indexFieldNames, options) {
     let queryGenerator  = this.getQueryGenerator();
     let sqlStr          = queryGenerator.generateCreateIndexStatement(Model, indexFieldNames, options);
     if (sqlStr)
-      await this.query(sqlStr, options);
+      await this.queryStatement(sqlStr, options, { operation: 'addIndex', Model });
   }
 
   async dropIndex(Model, indexFieldNames, options) {
     let queryGenerator  = this.getQueryGenerator();
     let sqlStr          = queryGenerator.generateDropIndexStatement(Model, indexFieldNames, options);
     if (sqlStr)
-      await this.query(sqlStr, options);
+      await this.queryStatement(sqlStr, options, { operation: 'dropIndex', Model });
+  }
+
+  /// Add a named foreign key constraint to an existing column.
+  ///
+  /// Arguments:
+  ///   Field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The foreign key field to add the constraint for.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: Promise<void>
+  ///
+  /// See: SQLQueryGeneratorBase.generateAddForeignKeyStatement
+  async addForeignKey(Field, options) {
+    let queryGenerator  = this.getQueryGenerator();
+    let sqlStr          = queryGenerator.generateAddForeignKeyStatement(Field, options);
+    if (sqlStr)
+      await this.queryStatement(sqlStr, options, { operation: 'addForeignKey', Model: Field.Model });
+  }
+
+  /// Drop the named foreign key constraint of a column.
+  ///
+  /// Arguments:
+  ///   Field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The field to drop the foreign key constraint for.
+  ///   options?: object
+  ///     Options for the operation. See <see>SQLQueryGeneratorBase.generateDropForeignKeyStatement</see>.
+  ///
+  /// Return: Promise<void>
+  ///
+  /// See: SQLQueryGeneratorBase.generateDropForeignKeyStatement
+  async dropForeignKey(Field, options) {
+    let queryGenerator  = this.getQueryGenerator();
+    let sqlStr          = queryGenerator.generateDropForeignKeyStatement(Field, options);
+    if (sqlStr)
+      await this.queryStatement(sqlStr, options, { operation: 'dropForeignKey', Model: Field.Model });
+  }
+
+  // Introspection operations
+
+  /// Get the name of the table to introspect from
+  /// the provided model, or table name.
+  ///
+  /// Arguments:
+  ///   methodName: string
+  ///     The name of the calling method, used for error messages.
+  ///   modelOrTableName: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string
+  ///     A model class, or the name of a table.
+  ///
+  /// Return: string
+  ///   The name of the table.
+  _getIntrospectionTableName(methodName, modelOrTableName) {
+    if (Nife.instanceOf(modelOrTableName, 'string') && Nife.isNotEmpty(modelOrTableName))
+      return modelOrTableName;
+
+    if (modelOrTableName && typeof modelOrTableName.getTableName === 'function')
+      return modelOrTableName.getTableName(this);
+
+    throw new TypeError(`${this.constructor.name}::${methodName}: A model or a table name is required as the first argument.`);
+  }
+
+  /// List the names of all tables in the database.
+  ///
+  /// Note:
+  ///   The catalog query is provided by the database driver via
+  ///   <see>SQLQueryGeneratorBase.generateListTablesStatement</see>.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation. These are passed to the query generator, and to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<string>
+  ///   The names of all tables in the database.
+  async listTables(options) {
+    let queryGenerator  = this.getQueryGenerator();
+    let result          = await this.queryStatement(queryGenerator.generateListTablesStatement(options), options, { operation: 'listTables' });
+    let rows            = this.queryResultRowsToRawData(result);
+
+    return rows.map((row) => row.tableName);
+  }
+
+  /// Describe the columns of a table, as they actually
+  /// exist in the database. This can be used to check what
+  /// exists in the database before calling <see>SQLConnectionBase.createTable</see>,
+  /// or <see>SQLConnectionBase.addColumn</see>.
+  ///
+  /// Interface:
+  ///   interface ColumnDescription {
+  ///     columnName: string;
+  ///     type: string; // The database type of the column, upper-cased, i.e. "VARCHAR(255)"
+  ///     nullable: boolean;
+  ///     defaultValue: string | null; // The database default value (as SQL), or `null` if there is no default
+  ///     primaryKey: boolean;
+  ///   }
+  ///
+  ///   interface TableDescription {
+  ///     tableName: string;
+  ///     columns: Array<ColumnDescription>;
+  ///   }
+  ///
+  /// Note:
+  ///   The catalog query is provided by the database driver via
+  ///   <see>SQLQueryGeneratorBase.generateDescribeTableStatement</see>.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string
+  ///     The model (or name of the table) to describe.
+  ///   options?: object
+  ///     Options for the operation. These are passed to the query generator, and to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: TableDescription | undefined
+  ///   The description of the table, or `undefined` if the table doesn't exist.
+  async describeTable(Model, options) {
+    let tableName       = this._getIntrospectionTableName('describeTable', Model);
+    let queryGenerator  = this.getQueryGenerator();
+    let result          = await this.queryStatement(queryGenerator.generateDescribeTableStatement(tableName, options), options, { operation: 'describeTable' });
+    let rows            = this.queryResultRowsToRawData(result);
+
+    if (rows.length === 0)
+      return;
+
+    let columns = rows.map((row) => {
+      return {
+        columnName:   row.columnName,
+        type:         (row.type) ? ('' + row.type).toUpperCase() : row.type,
+        nullable:     introspectionValueToBoolean(row.nullable),
+        defaultValue: (row.defaultValue == null) ? null : row.defaultValue,
+        primaryKey:   introspectionValueToBoolean(row.primaryKey),
+      };
+    });
+
+    return { tableName, columns };
+  }
+
+  /// List the indexes of a table, as they actually
+  /// exist in the database. This can be used to check what
+  /// exists in the database before calling <see>SQLConnectionBase.addIndex</see>.
+  ///
+  /// Interface:
+  ///   interface IndexDescription {
+  ///     indexName: string;
+  ///     columnNames: Array<string>; // In index order
+  ///     unique: boolean;
+  ///   }
+  ///
+  /// Note:
+  ///   The catalog query is provided by the database driver via
+  ///   <see>SQLQueryGeneratorBase.generateListIndexesStatement</see>.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string
+  ///     The model (or name of the table) to list the indexes of.
+  ///   options?: object
+  ///     Options for the operation. These are passed to the query generator, and to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<IndexDescription>
+  ///   The indexes of the table.
+  async listIndexes(Model, options) {
+    let tableName       = this._getIntrospectionTableName('listIndexes', Model);
+    let queryGenerator  = this.getQueryGenerator();
+    let result          = await this.queryStatement(queryGenerator.generateListIndexesStatement(tableName, options), options, { operation: 'listIndexes' });
+    let rows            = this.queryResultRowsToRawData(result);
+    let indexes         = new Map();
+
+    for (let i = 0, il = rows.length; i < il; i++) {
+      let row   = rows[i];
+      let index = indexes.get(row.indexName);
+
+      if (!index) {
+        index = {
+          indexName:   row.indexName,
+          columnNames: [],
+          unique:      introspectionValueToBoolean(row.unique),
+        };
+
+        indexes.set(row.indexName, index);
+      }
+
+      index.columnNames.push(row.columnName);
+    }
+
+    return Array.from(indexes.values());
+  }
+
+  /// List the foreign key constraints of a table, as they
+  /// actually exist in the database.
+  ///
+  /// Interface:
+  ///   interface ForeignKeyDescription {
+  ///     constraintName: string | null; // `null` if the database doesn't name constraints
+  ///     columnNames: Array<string>;
+  ///     targetTableName: string;
+  ///     targetColumnNames: Array<string>;
+  ///     onDelete: string | null; // Upper-cased, i.e. "CASCADE"
+  ///     onUpdate: string | null; // Upper-cased, i.e. "CASCADE"
+  ///   }
+  ///
+  /// Note:
+  ///   The catalog query is provided by the database driver via
+  ///   <see>SQLQueryGeneratorBase.generateListForeignKeysStatement</see>.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string
+  ///     The model (or name of the table) to list the foreign key constraints of.
+  ///   options?: object
+  ///     Options for the operation. These are passed to the query generator, and to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<ForeignKeyDescription>
+  ///   The foreign key constraints of the table.
+  async listForeignKeys(Model, options) {
+    let tableName       = this._getIntrospectionTableName('listForeignKeys', Model);
+    let queryGenerator  = this.getQueryGenerator();
+    let result          = await this.queryStatement(queryGenerator.generateListForeignKeysStatement(tableName, options), options, { operation: 'listForeignKeys' });
+    let rows            = this.queryResultRowsToRawData(result);
+    let foreignKeys     = new Map();
+
+    const toAction = (value) => {
+      return (Nife.isEmpty(value)) ? null : ('' + value).toUpperCase();
+    };
+
+    for (let i = 0, il = rows.length; i < il; i++) {
+      let row         = rows[i];
+      let key         = (row.constraintName != null) ? row.constraintName : row.constraintID;
+      let foreignKey  = foreignKeys.get(key);
+
+      if (!foreignKey) {
+        foreignKey = {
+          constraintName:    (row.constraintName != null) ? row.constraintName : null,
+          columnNames:       [],
+          targetTableName:   row.targetTableName,
+          targetColumnNames: [],
+          onDelete:          toAction(row.onDelete),
+          onUpdate:          toAction(row.onUpdate),
+        };
+
+        foreignKeys.set(key, foreignKey);
+      }
+
+      foreignKey.columnNames.push(row.columnName);
+      foreignKey.targetColumnNames.push(row.targetColumnName);
+    }
+
+    return Array.from(foreignKeys.values());
+  }
+
+  /// Compare the provided models to the tables that
+  /// currently exist in the database, and return the
+  /// statements required to reconcile the database with the models.
+  ///
+  /// Tables that don't exist in the database are created (along with their indexes).
+  /// Tables that already exist are compared column by column, and index by index
+  /// (see <see>SQLQueryGeneratorBase.generateTableSchemaDiffStatements</see>).
+  /// Models are processed in "creation order", so that the targets of foreign keys
+  /// are always created first.
+  ///
+  /// No statements are executed by this method. The statements returned can be reviewed,
+  /// and then executed with <see>SQLConnectionBase.applySchemaDiff</see>.
+  ///
+  /// Example:
+  ///   let statements = await connection.diffSchema(connection.getModels());
+  ///   if (statements.length > 0) {
+  ///     console.log(statements.join(';\n'));
+  ///     await connection.applySchemaDiff(statements);
+  ///   }
+  ///
+  /// Note:
+  ///   Tables in the database that aren't defined by any of the provided
+  ///   models are never dropped, since `Models` might only be a subset of
+  ///   the models used by the application.
+  ///
+  /// Arguments:
+  ///   Models?: Array<class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | { [key: string]: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) }
+  ///     The models to compare to the database. If not provided, then all models
+  ///     registered with the connection are compared.
+  ///   options?: object
+  ///     Options for the operation. These are passed to the query generator, and to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<string>
+  ///   The ordered list of statements needed to reconcile the database with the models.
+  ///   If the database already matches the models, then an empty array is returned.
+  async diffSchema(_Models, options) {
+    let modelMap = _Models || this.getModels();
+
+    if (Nife.instanceOf(modelMap, 'array', 'function')) {
+      modelMap = {};
+
+      let Models = Nife.toArray(_Models).filter(Boolean);
+      for (let i = 0, il = Models.length; i < il; i++) {
+        let Model     = Models[i];
+        let modelName = Model.getModelName();
+
+        modelMap[modelName] = Model;
+      }
+    }
+
+    let queryGenerator    = this.getQueryGenerator();
+    let sortedModelNames  = Utils.sortModelNamesByCreationOrder(this, Object.keys(modelMap));
+    let tableNames        = new Set(await this.listTables(options));
+    let statements        = [];
+
+    for (let i = 0, il = sortedModelNames.length; i < il; i++) {
+      let Model = modelMap[sortedModelNames[i]];
+
+      if (!tableNames.has(Model.getTableName(this))) {
+        statements.push(queryGenerator.generateCreateTableStatement(Model, options));
+        statements = statements.concat(Nife.toArray(queryGenerator.generateCreateTableStatementOuterTail(Model, options)));
+        continue;
+      }
+
+      let tableDescription  = await this.describeTable(Model, options);
+      let indexDescriptions = await this.listIndexes(Model, options);
+
+      statements = statements.concat(queryGenerator.generateTableSchemaDiffStatements(Model, tableDescription, indexDescriptions, options));
+    }
+
+    return statements.filter(Boolean);
+  }
+
+  /// Execute, in order, the statements returned
+  /// by <see>SQLConnectionBase.diffSchema</see>.
+  ///
+  /// All statements are executed inside a single transaction, so
+  /// if any statement fails (and the database supports transactional
+  /// schema changes), then none of the changes will be applied.
+  ///
+  /// Arguments:
+  ///   statements: Array<string>
+  ///     The statements to execute, as returned by <see>SQLConnectionBase.diffSchema</see>.
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async applySchemaDiff(statements, options) {
+    let sqlStatements = Nife.toArray(statements).filter(Boolean);
+    if (sqlStatements.length === 0)
+      return;
+
+    await this.transaction(async (connection) => {
+      for (let i = 0, il = sqlStatements.length; i < il; i++)
+        await connection.queryStatement(sqlStatements[i], options, { operation: 'applySchemaDiff' });
+    }, options);
   }
 }
 
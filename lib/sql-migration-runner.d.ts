@@ -0,0 +1,38 @@
+import { GenericObject } from 'mythix-orm/lib/interfaces/common';
+import SQLConnectionBase from './sql-connection-base';
+
+export declare interface Migration {
+  id: string;
+  up: (connection: SQLConnectionBase, runner: SQLMigrationRunner) => Promise<void>;
+  down?: (connection: SQLConnectionBase, runner: SQLMigrationRunner) => Promise<void>;
+  transaction?: boolean;
+}
+
+export declare interface AppliedMigration {
+  id: string;
+  appliedAt: number;
+}
+
+export declare interface SQLMigrationRunnerOptions {
+  migrations?: Array<Migration>;
+  tableName?: string;
+}
+
+declare class SQLMigrationRunner {
+  declare public connection: SQLConnectionBase;
+  declare public options: SQLMigrationRunnerOptions;
+  declare public migrations: Array<Migration>;
+
+  public constructor(connection: SQLConnectionBase, options?: SQLMigrationRunnerOptions);
+  public getConnection(): SQLConnectionBase;
+  public getTableName(): string;
+  public getMigrations(): Array<Migration>;
+  public createMigrationsTable(options?: GenericObject): Promise<void>;
+  public getAppliedMigrations(options?: GenericObject): Promise<Array<AppliedMigration>>;
+  public getPendingMigrations(options?: GenericObject): Promise<Array<Migration>>;
+  public runMigrationStep(migration: Migration, direction: 'up' | 'down', options?: GenericObject): Promise<void>;
+  public migrate(options?: GenericObject): Promise<Array<string>>;
+  public rollback(count?: number, options?: GenericObject): Promise<Array<string>>;
+}
+
+export default SQLMigrationRunner;
@@ -0,0 +1,286 @@
+'use strict';
+
+const Nife = require('nife');
+
+/// `SQLMigrationRunner` runs versioned migrations against
+/// a <see>SQLConnectionBase</see>, and tracks which migrations
+/// have been applied in a migrations table in the database.
+///
+/// A migration is a plain object with an `id`, an `up` method,
+/// and (optionally) a `down` method. Migrations are written
+/// against the schema methods of the connection, such as
+/// <see>SQLConnectionBase.createTable</see>, <see>SQLConnectionBase.dropTable</see>,
+/// <see>SQLConnectionBase.addColumn</see>, <see>SQLConnectionBase.alterColumn</see>,
+/// <see>SQLConnectionBase.addIndex</see>, and <see>SQLConnectionBase.dropIndex</see>.
+///
+/// Migrations are applied in the order they are provided, so it is common
+/// to prefix the `id` of each migration with a timestamp, and sort them by `id`.
+/// Each migration is run inside its own transaction, if the database supports
+/// transactional schema changes (see <see>SQLConnectionBase.isSchemaTransactionSupported</see>).
+/// If a migration fails, then the error is thrown, and no further migrations are run.
+///
+/// Interface:
+///   interface Migration {
+///     id: string;
+///     up: (connection: SQLConnectionBase, runner: SQLMigrationRunner) => Promise<void>;
+///     down?: (connection: SQLConnectionBase, runner: SQLMigrationRunner) => Promise<void>;
+///     transaction?: boolean; // Set to `false` to never run this migration inside a transaction
+///   }
+///
+/// Example:
+///   const runner = new SQLMigrationRunner(connection, {
+///     migrations: [
+///       {
+///         id:   '20230101000000-create-users',
+///         up:   (connection) => connection.createTable(User),
+///         down: (connection) => connection.dropTable(User),
+///       },
+///     ],
+///   });
+///
+///   await runner.migrate();
+class SQLMigrationRunner {
+  /// Construct a new migration runner.
+  ///
+  /// Arguments:
+  ///   connection: <see>SQLConnectionBase</see>
+  ///     The connection to run migrations against.
+  ///   options?: object
+  ///     Options for the runner.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `migrations` | `Array<Migration>` | `[]` | The migrations, in the order they should be applied. |
+  ///     | `tableName` | `string` | `'mythix_migrations'` | The name of the table used to track applied migrations. |
+  constructor(connection, _options) {
+    if (!connection)
+      throw new TypeError(`${this.constructor.name}::constructor: A connection is required as the first argument.`);
+
+    let options       = Object.assign({ tableName: 'mythix_migrations' }, _options || {});
+    let migrations    = Nife.toArray(options.migrations).filter(Boolean);
+    let migrationIDs  = new Set();
+
+    for (let i = 0, il = migrations.length; i < il; i++) {
+      let migration = migrations[i];
+
+      if (!Nife.instanceOf(migration.id, 'string') || Nife.isEmpty(migration.id))
+        throw new TypeError(`${this.constructor.name}::constructor: Every migration requires an "id".`);
+
+      if (typeof migration.up !== 'function')
+        throw new TypeError(`${this.constructor.name}::constructor: Migration "${migration.id}" requires an "up" method.`);
+
+      if (migrationIDs.has(migration.id))
+        throw new Error(`${this.constructor.name}::constructor: Duplicate migration "${migration.id}".`);
+
+      migrationIDs.add(migration.id);
+    }
+
+    Object.defineProperties(this, {
+      'connection': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        connection,
+      },
+      'options': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options,
+      },
+      'migrations': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        migrations,
+      },
+    });
+  }
+
+  /// Get the connection this runner was created with.
+  ///
+  /// Return: <see>SQLConnectionBase</see>
+  getConnection() {
+    return this.connection;
+  }
+
+  /// Get the name of the table used to track applied migrations.
+  ///
+  /// Return: string
+  getTableName() {
+    return this.options.tableName;
+  }
+
+  /// Get all migrations provided to this runner,
+  /// in the order they should be applied.
+  ///
+  /// Return: Array<Migration>
+  getMigrations() {
+    return this.migrations;
+  }
+
+  /// Create the migrations table, if it doesn't already exist.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async createMigrationsTable(options) {
+    let connection      = this.getConnection();
+    let queryGenerator  = connection.getQueryGenerator();
+
+    await connection.queryStatement(queryGenerator.generateCreateMigrationsTableStatement(this.getTableName(), options), options, { operation: 'migration' });
+  }
+
+  /// Get all migrations that have been applied,
+  /// in the order they were applied.
+  ///
+  /// Migrations that were applied in the same millisecond
+  /// are ordered by their position in the provided migrations.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<{ id: string; appliedAt: number; }>
+  ///   The applied migrations.
+  async getAppliedMigrations(options) {
+    await this.createMigrationsTable(options);
+
+    let connection      = this.getConnection();
+    let queryGenerator  = connection.getQueryGenerator();
+    let result          = await connection.queryStatement(queryGenerator.generateSelectAppliedMigrationsStatement(this.getTableName(), options), options, { operation: 'migration', write: false });
+    let rows            = connection.queryResultRowsToRawData(result);
+    let migrationIDs    = this.getMigrations().map((migration) => migration.id);
+
+    const getMigrationIndex = (id) => {
+      let index = migrationIDs.indexOf(id);
+      return (index < 0) ? migrationIDs.length : index;
+    };
+
+    return rows
+      .map((row) => ({ id: row.id, appliedAt: Number(row.appliedAt) }))
+      .sort((a, b) => {
+        if (a.appliedAt !== b.appliedAt)
+          return a.appliedAt - b.appliedAt;
+
+        return getMigrationIndex(a.id) - getMigrationIndex(b.id);
+      });
+  }
+
+  /// Get all migrations that have not yet been applied,
+  /// in the order they should be applied.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<Migration>
+  ///   The pending migrations.
+  async getPendingMigrations(options) {
+    let appliedMigrations = await this.getAppliedMigrations(options);
+    let appliedIDs        = new Set(appliedMigrations.map((migration) => migration.id));
+
+    return this.getMigrations().filter((migration) => !appliedIDs.has(migration.id));
+  }
+
+  /// Run a single step (`up` or `down`) of a migration,
+  /// and record the result in the migrations table.
+  ///
+  /// The step, and the update to the migrations table, are run inside
+  /// a transaction, unless the database doesn't support transactional
+  /// schema changes, or the migration has a `transaction: false` property.
+  ///
+  /// Arguments:
+  ///   migration: Migration
+  ///     The migration to run.
+  ///   direction: 'up' | 'down'
+  ///     The step of the migration to run.
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  async runMigrationStep(migration, direction, options) {
+    let connection  = this.getConnection();
+    let tableName   = this.getTableName();
+
+    if (typeof migration[direction] !== 'function')
+      throw new Error(`${this.constructor.name}::runMigrationStep: Migration "${migration.id}" has no "${direction}" method.`);
+
+    const runStep = async (connection) => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      await migration[direction].call(migration, connection, this);
+
+      if (direction === 'up')
+        await connection.queryStatement(queryGenerator.generateInsertMigrationStatement(tableName, migration.id, Date.now(), options), options, { operation: 'migration' });
+      else
+        await connection.queryStatement(queryGenerator.generateDeleteMigrationStatement(tableName, migration.id, options), options, { operation: 'migration' });
+    };
+
+    if (migration.transaction !== false && connection.isSchemaTransactionSupported(options))
+      await connection.transaction(runStep, options);
+    else
+      await runStep(connection);
+  }
+
+  /// Apply all pending migrations, in order.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<string>
+  ///   The ids of the migrations that were applied.
+  async migrate(options) {
+    let pendingMigrations = await this.getPendingMigrations(options);
+    let appliedIDs        = [];
+
+    for (let i = 0, il = pendingMigrations.length; i < il; i++) {
+      let migration = pendingMigrations[i];
+
+      await this.runMigrationStep(migration, 'up', options);
+      appliedIDs.push(migration.id);
+    }
+
+    return appliedIDs;
+  }
+
+  /// Roll back the last `count` applied migrations,
+  /// in the reverse order they were applied.
+  ///
+  /// Arguments:
+  ///   count?: number
+  ///     The number of migrations to roll back. Defaults to `1`.
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLConnectionBase.query</see>.
+  ///
+  /// Return: Array<string>
+  ///   The ids of the migrations that were rolled back.
+  async rollback(_count, options) {
+    let count = (_count == null) ? 1 : _count;
+    if (!Number.isInteger(count) || count < 1)
+      throw new TypeError(`${this.constructor.name}::rollback: "count" must be a positive integer.`);
+
+    let appliedMigrations   = await this.getAppliedMigrations(options);
+    let migrationsToRevert  = appliedMigrations.slice(-count).reverse();
+    let migrations          = this.getMigrations();
+    let rolledBackIDs       = [];
+
+    for (let i = 0, il = migrationsToRevert.length; i < il; i++) {
+      let migrationID = migrationsToRevert[i].id;
+      let migration   = migrations.find((migration) => (migration.id === migrationID));
+      if (!migration)
+        throw new Error(`${this.constructor.name}::rollback: Unable to find applied migration "${migrationID}".`);
+
+      await this.runMigrationStep(migration, 'down', options);
+      rolledBackIDs.push(migrationID);
+    }
+
+    return rolledBackIDs;
+  }
+}
+
+module.exports = SQLMigrationRunner;
@@ -0,0 +1,26 @@
+export declare interface QueryCache {
+  get(key: string): any;
+  set(key: string, value: any, tags: Array<string>): void | Promise<void>;
+  invalidate(tags: Array<string>): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export declare interface SQLQueryCacheOptions {
+  maxEntries?: number;
+}
+
+declare class SQLQueryCache implements QueryCache {
+  declare public options: SQLQueryCacheOptions;
+  declare public entries: Map<string, { value: any; tags: Array<string>; }>;
+  declare public tagKeys: Map<string, Set<string>>;
+
+  public constructor(options?: SQLQueryCacheOptions);
+  public get size(): number;
+  public get(key: string): any;
+  public set(key: string, value: any, tags?: Array<string>): void;
+  public delete(key: string): boolean;
+  public invalidate(tags: Array<string>): void;
+  public clear(): void;
+}
+
+export default SQLQueryCache;
@@ -0,0 +1,187 @@
+'use strict';
+
+const Nife = require('nife');
+
+/// `SQLQueryCache` is the default result cache used by
+/// <see>SQLConnectionBase</see> when the `queryCache` connection
+/// option is `true`. It is a simple in-memory LRU cache.
+///
+/// Every entry is tagged with the names of the tables the query
+/// read from, so that all entries touching a table can be
+/// invalidated when the table is written to.
+///
+/// Any other cache can be provided instead, as long as it implements
+/// the same interface. All methods may be asynchronous (return a `Promise`).
+///
+/// Interface:
+///   interface QueryCache {
+///     get(key: string): any; // Return `undefined` on a cache miss
+///     set(key: string, value: any, tags: Array<string>): void;
+///     invalidate(tags: Array<string>): void;
+///     clear(): void;
+///   }
+///
+/// Example:
+///   const connection = new SQLiteConnection({
+///     queryCache: new SQLQueryCache({ maxEntries: 100 }),
+///   });
+class SQLQueryCache {
+  /// Construct a new in-memory LRU cache.
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the cache.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `maxEntries` | `number` | `500` | The maximum number of entries to keep. The least recently used entries are evicted first. |
+  constructor(_options) {
+    let options = Object.assign({ maxEntries: 500 }, _options || {});
+
+    if (!Number.isInteger(options.maxEntries) || options.maxEntries < 1)
+      throw new TypeError(`${this.constructor.name}::constructor: "maxEntries" must be a positive integer.`);
+
+    Object.defineProperties(this, {
+      'options': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        options,
+      },
+      'entries': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        new Map(),
+      },
+      'tagKeys': {
+        writable:     true,
+        enumerable:   false,
+        configurable: true,
+        value:        new Map(),
+      },
+    });
+  }
+
+  /// The number of entries currently in the cache.
+  ///
+  /// Return: number
+  get size() {
+    return this.entries.size;
+  }
+
+  /// Get a cached value, marking it as the most recently used.
+  ///
+  /// Arguments:
+  ///   key: string
+  ///     The key of the entry.
+  ///
+  /// Return: any
+  ///   The cached value, or `undefined` if there is no entry for `key`.
+  get(key) {
+    let entry = this.entries.get(key);
+    if (!entry)
+      return;
+
+    // Re-insert to move the entry to the end (most recently used)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /// Store a value in the cache, evicting the least
+  /// recently used entries if the cache is full.
+  ///
+  /// Arguments:
+  ///   key: string
+  ///     The key of the entry.
+  ///   value: any
+  ///     The value to cache.
+  ///   tags?: Array<string>
+  ///     The tags (table names) of the entry, used for invalidation.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  set(key, value, _tags) {
+    let tags = Nife.toArray(_tags).filter(Boolean);
+
+    this.delete(key);
+    this.entries.set(key, { value, tags });
+
+    for (let i = 0, il = tags.length; i < il; i++) {
+      let tag   = tags[i];
+      let keys  = this.tagKeys.get(tag);
+
+      if (!keys) {
+        keys = new Set();
+        this.tagKeys.set(tag, keys);
+      }
+
+      keys.add(key);
+    }
+
+    while (this.entries.size > this.options.maxEntries)
+      this.delete(this.entries.keys().next().value);
+  }
+
+  /// Remove a single entry from the cache.
+  ///
+  /// Arguments:
+  ///   key: string
+  ///     The key of the entry.
+  ///
+  /// Return: boolean
+  ///   `true` if an entry was removed, or `false` otherwise.
+  delete(key) {
+    let entry = this.entries.get(key);
+    if (!entry)
+      return false;
+
+    this.entries.delete(key);
+
+    for (let i = 0, il = entry.tags.length; i < il; i++) {
+      let tag   = entry.tags[i];
+      let keys  = this.tagKeys.get(tag);
+      if (!keys)
+        continue;
+
+      keys.delete(key);
+      if (keys.size === 0)
+        this.tagKeys.delete(tag);
+    }
+
+    return true;
+  }
+
+  /// Remove every entry tagged with any of the provided tags.
+  ///
+  /// Arguments:
+  ///   tags: Array<string>
+  ///     The tags (table names) to invalidate.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  invalidate(_tags) {
+    let tags = Nife.toArray(_tags).filter(Boolean);
+
+    for (let i = 0, il = tags.length; i < il; i++) {
+      let keys = this.tagKeys.get(tags[i]);
+      if (!keys)
+        continue;
+
+      for (let key of Array.from(keys.values()))
+        this.delete(key);
+    }
+  }
+
+  /// Remove all entries from the cache.
+  ///
+  /// Return: undefined
+  ///   This method returns nothing.
+  clear() {
+    this.entries.clear();
+    this.tagKeys.clear();
+  }
+}
+
+module.exports = SQLQueryCache;
@@ -0,0 +1,21 @@
+import { ModelClass, ModelScope, QueryEngine } from 'mythix-orm';
+import { LiteralBase } from 'mythix-orm/lib/connection/literals';
+
+export declare interface CommonTableExpressionOptions {
+  columns?: Array<string>;
+  recursive?: boolean;
+}
+
+export declare class SQLModelScope extends ModelScope {
+  public WITH(Model: ModelClass | string, query: QueryEngine | LiteralBase | string, options?: CommonTableExpressionOptions): SQLModelScope;
+  public WITH_RECURSIVE(Model: ModelClass | string, query: QueryEngine | LiteralBase | string, options?: CommonTableExpressionOptions): SQLModelScope;
+  public _pushSetOperation(methodName: string, operator: string, query: QueryEngine): SQLModelScope;
+  public UNION(query: QueryEngine): SQLModelScope;
+  public UNION_ALL(query: QueryEngine): SQLModelScope;
+  public INTERSECT(query: QueryEngine): SQLModelScope;
+  public EXCEPT(query: QueryEngine): SQLModelScope;
+}
+
+export declare class SQLQueryEngine extends QueryEngine {
+  public getModelScopeClass(): typeof SQLModelScope;
+}
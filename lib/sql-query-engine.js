@@ -0,0 +1,264 @@
+'use strict';
+
+const Nife = require('nife');
+const {
+  QueryEngine,
+  ModelScope,
+  Literals,
+} = require('mythix-orm');
+
+const LiteralBase = Literals.LiteralBase;
+
+/// `SQLModelScope` extends the Mythix ORM
+/// [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+/// with SQL specific query operations, such as `WITH`
+/// (common table expressions), and the `UNION`, `INTERSECT`,
+/// and `EXCEPT` set operations.
+///
+/// Extends: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+class SQLModelScope extends ModelScope {
+  /// Attach a named sub-query (a "common table expression")
+  /// to the query. This will result in a leading `WITH name AS (...)`
+  /// block being generated for the `SELECT` statement.
+  ///
+  /// A common table expression is always bound to a model. The name
+  /// of the common table expression is the table name of the provided
+  /// `Model`, and the model is used to hydrate any rows selected
+  /// from the common table expression. Because the common table expression
+  /// is named after the model's table, it can be used as a table-join
+  /// target, or in a condition sub-query, just like any other model table.
+  ///
+  /// Example:
+  ///   let admins = await AdminUser.where
+  ///     .WITH(AdminUser, User.where.id.EQ(UserRole.where.userID).UserRole.roleID.EQ(adminRoleID).PROJECT('User:id', 'User:firstName'))
+  ///     .firstName.EQ('Bob')
+  ///     .all();
+  ///
+  /// Note:
+  ///   If a common table expression with the same name is already attached
+  ///   to the query, then it will be replaced.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string
+  ///     The model (or model name) that defines the table name and fields of the common table expression.
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal) | string
+  ///     The body of the common table expression. If this is a query, then its columns will be
+  ///     projected without aliases, so that they match the column names of `Model`. A literal or
+  ///     a raw SQL string can be used when the body can not be expressed as a query, i.e. the
+  ///     `UNION ALL` of a recursive common table expression.
+  ///   options?: object
+  ///     Options for the common table expression.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `columns` | `Array<string>` | `undefined` | An explicit list of column names for the common table expression, i.e. `WITH name (col1,col2) AS (...)`. |
+  ///     | `recursive` | `boolean` | `false` | If `true`, then generate a `WITH RECURSIVE` block. |
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  ///
+  /// See: SQLModelScope.WITH_RECURSIVE
+  WITH(_Model, query, _options) {
+    let options = _options || {};
+    let Model   = (Nife.instanceOf(_Model, 'string')) ? this.getModel(_Model) : _Model;
+    if (!Model || typeof Model.getTableName !== 'function')
+      throw new Error(`${this.constructor.name}::WITH: A valid model is required as the first argument.`);
+
+    if (!(QueryEngine.isQuery(query) || LiteralBase.isLiteral(query) || Nife.instanceOf(query, 'string')))
+      throw new Error(`${this.constructor.name}::WITH: The common table expression body must be a query, a literal, or a string.`);
+
+    let context                 = this.getOperationContext();
+    let name                    = Model.getTableName(this.getConnection());
+    let commonTableExpression   = {
+      name,
+      Model,
+      query,
+      recursive: (options.recursive === true),
+      columns:   (Nife.isNotEmpty(options.columns)) ? Nife.toArray(options.columns) : undefined,
+    };
+
+    let commonTableExpressions = (context.commonTableExpressions || []).filter((cte) => (cte.name !== name));
+    commonTableExpressions.push(commonTableExpression);
+
+    this._pushOperationOntoStack({
+      control:        true,
+      operator:       'WITH',
+      queryProp:      'WITH',
+      value:          Model,
+      queryExtraArgs: [ query, options ],
+      commonTableExpressions,
+    });
+
+    return this._fetchScope('model');
+  }
+
+  /// Attach a named recursive sub-query (a recursive
+  /// "common table expression") to the query. This is
+  /// identical to calling <see>SQLModelScope.WITH</see>
+  /// with the `{ recursive: true }` option.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | string
+  ///     The model (or model name) that defines the table name and fields of the common table expression.
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal) | string
+  ///     The body of the common table expression.
+  ///   options?: object
+  ///     Options for the common table expression. See <see>SQLModelScope.WITH</see>.
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  ///
+  /// See: SQLModelScope.WITH
+  WITH_RECURSIVE(Model, query, options) {
+    return this.WITH(Model, query, Object.assign({}, options || {}, { recursive: true }));
+  }
+
+  /// Push a set operation (i.e. `UNION`) onto the query.
+  /// All set operations pushed onto the query are accumulated,
+  /// in order, into the `setOperations` property of the
+  /// operation context.
+  ///
+  /// Arguments:
+  ///   methodName: string
+  ///     The name of the calling method, i.e. `'UNION_ALL'`. This is used
+  ///     for error messages, and to replay the operation when queries are merged.
+  ///   operator: string
+  ///     The SQL set operator, i.e. `'UNION ALL'`.
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query to combine with this query.
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  _pushSetOperation(methodName, operator, query) {
+    if (!QueryEngine.isQuery(query))
+      throw new Error(`${this.constructor.name}::${methodName}: A query is required as the first argument.`);
+
+    let context       = this.getOperationContext();
+    let setOperations = (context.setOperations || []).concat({ operator, query });
+
+    this._pushOperationOntoStack({
+      control:   true,
+      operator:  methodName,
+      queryProp: methodName,
+      value:     query,
+      setOperations,
+    });
+
+    return this._fetchScope('model');
+  }
+
+  /// Combine the results of this query with the results of
+  /// another query, removing duplicate rows. This will result
+  /// in a `SELECT ... UNION SELECT ...` statement.
+  ///
+  /// Both queries must project the same number of columns.
+  /// Any `ORDER`, `LIMIT`, or `OFFSET` applied to this query
+  /// is applied to the combined results. Any `ORDER`, `LIMIT`,
+  /// or `OFFSET` applied to the provided `query` is ignored.
+  ///
+  /// Example:
+  ///   let names = await User.where
+  ///     .PROJECT('User:firstName')
+  ///     .UNION(Role.where.PROJECT('Role:name'))
+  ///     .ORDER('User:firstName')
+  ///     .pluck('User:firstName');
+  ///
+  /// Note:
+  ///   The columns of the combined results are named by the projection
+  ///   of this query, so the combined results are returned as if they were
+  ///   all selected by this query.
+  ///
+  /// Arguments:
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query to combine with this query.
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  ///
+  /// See: SQLModelScope.UNION_ALL
+  ///
+  /// See: SQLModelScope.INTERSECT
+  ///
+  /// See: SQLModelScope.EXCEPT
+  UNION(query) {
+    return this._pushSetOperation('UNION', 'UNION', query);
+  }
+
+  /// Combine the results of this query with the results of
+  /// another query, keeping duplicate rows. This will result
+  /// in a `SELECT ... UNION ALL SELECT ...` statement.
+  ///
+  /// See <see>SQLModelScope.UNION</see> for the rules that apply
+  /// to all set operations.
+  ///
+  /// Arguments:
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query to combine with this query.
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  ///
+  /// See: SQLModelScope.UNION
+  UNION_ALL(query) {
+    return this._pushSetOperation('UNION_ALL', 'UNION ALL', query);
+  }
+
+  /// Only keep the rows of this query that are also
+  /// returned by another query. This will result in a
+  /// `SELECT ... INTERSECT SELECT ...` statement.
+  ///
+  /// See <see>SQLModelScope.UNION</see> for the rules that apply
+  /// to all set operations.
+  ///
+  /// Arguments:
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query to intersect with this query.
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  ///
+  /// See: SQLModelScope.UNION
+  INTERSECT(query) {
+    return this._pushSetOperation('INTERSECT', 'INTERSECT', query);
+  }
+
+  /// Only keep the rows of this query that are *not*
+  /// returned by another query. This will result in a
+  /// `SELECT ... EXCEPT SELECT ...` statement.
+  ///
+  /// See <see>SQLModelScope.UNION</see> for the rules that apply
+  /// to all set operations.
+  ///
+  /// Arguments:
+  ///   query: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query whose rows should be removed from the results of this query.
+  ///
+  /// Return: [ModelScope](https://github.com/th317erd/mythix-orm/wiki/ModelScope)
+  ///   Return a model scope to allow the user to continue chaining operations on the query.
+  ///
+  /// See: SQLModelScope.UNION
+  EXCEPT(query) {
+    return this._pushSetOperation('EXCEPT', 'EXCEPT', query);
+  }
+}
+
+/// `SQLQueryEngine` is the default query engine
+/// for all SQL connections. It is identical to the
+/// Mythix ORM [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine),
+/// except that it uses <see>SQLModelScope</see> for its
+/// model scopes, adding SQL specific query operations.
+///
+/// Extends: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+class SQLQueryEngine extends QueryEngine {
+  /// Get the `ModelScope` class for the
+  /// query engine.
+  ///
+  /// Return: class <see>SQLModelScope</see>
+  getModelScopeClass() {
+    return SQLModelScope;
+  }
+}
+
+module.exports = {
+  SQLQueryEngine,
+  SQLModelScope,
+};
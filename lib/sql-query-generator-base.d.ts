@@ -2,6 +2,8 @@ import { Field, Model, ModelClass, PreparedModels, QueryEngine, QueryGeneratorBa
 import { LiteralBase } from 'mythix-orm/lib/connection/literals';
 import { GenericObject } from 'mythix-orm/lib/interfaces/common';
 import { Type } from 'mythix-orm/lib/types';
+import { WindowField, WindowLiteral } from './literals';
+import { ColumnDescription, TableDescription, IndexDescription } from './sql-connection-base';
 
 export declare interface QueryConditionContext {
   queryPart: GenericObject;
@@ -11,6 +13,50 @@ export declare interface QueryConditionContext {
   value: any;
 }
 
+export declare interface BoundStatement {
+  sql: string;
+  parameters: Array<any>;
+}
+
+export declare interface CommonTableExpression {
+  name: string;
+  Model: ModelClass;
+  query: QueryEngine | LiteralBase | string;
+  recursive: boolean;
+  columns?: Array<string>;
+}
+
+export declare interface CheckRange {
+  min?: any;
+  max?: any;
+  in?: Array<any>;
+}
+
+export declare type CheckDefinition = string | LiteralBase | CheckRange;
+
+export declare interface IndexColumnDefinition {
+  field?: string;
+  expression?: string | LiteralBase;
+  direction?: 'ASC' | 'DESC' | 'asc' | 'desc';
+}
+
+export declare type IndexColumn = string | LiteralBase | IndexColumnDefinition;
+export declare type IndexWhere = QueryEngine | LiteralBase | string | ((query: QueryEngine) => QueryEngine);
+
+export declare interface IndexDefinition {
+  columns: Array<IndexColumn>;
+  unique?: boolean;
+  where?: IndexWhere;
+  name?: string;
+}
+
+export declare interface NormalizedIndexDefinition {
+  columns: Array<{ field?: Field; expression?: string; direction?: 'ASC' | 'DESC' }>;
+  unique: boolean;
+  where?: IndexWhere;
+  name?: string;
+}
+
 export declare interface GetEscapedFieldNameOptions {
   fieldNameOnly?: boolean;
 }
@@ -55,9 +101,18 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
   public getEscapedTableName(modelOrField: ModelClass | Field, options?: GetEscapedTableNameNameOptions): string;
   public getEscapedProjectionName(Model: ModelClass | null | undefined, field: Field, options?: GetEscapedProjectionNameOptions): string;
   public getEscapedModelFields(Model: ModelClass, options?: GetEscapedModelFieldsOptions): { [key: string]: string };
+  public getQueryEngineOrder(queryEngine: QueryEngine, options?: GenericObject): Map<string, GenericObject>;
+  public isCommonTableExpressionModel(queryEngine: QueryEngine, Model: ModelClass): boolean;
+  public getCommonTableExpressionDefaultOrder(Model: ModelClass, options?: GenericObject): Map<string, GenericObject> | undefined;
+  public getKeysetOrder(Model: ModelClass, order: Map<string, GenericObject> | null | undefined, options?: GenericObject): Map<string, GenericObject>;
   public getProjectedFields(queryEngine: QueryEngine, options?: GenericObject, asMap?: false | undefined): Array<string>;
   public getProjectedFields(queryEngine: QueryEngine, options?: GenericObject, asMap?: true): Map<string, string>;
 
+  public _getWindowFieldReference(literal: WindowLiteral, value: WindowField, options?: GenericObject): { escapedName: string; direction: '+' | '-'; };
+  public generateWindowFunctionArguments(literal: WindowLiteral, options?: GenericObject): string;
+  public generateWindowClause(literal: WindowLiteral, options?: GenericObject): string;
+  public _windowLiteralToString(literal: WindowLiteral, options?: GenericObject): string;
+
   public getJoinTableInfoFromQueryContexts(
     leftQueryContext: GenericObject,
     rightQueryContext: GenericObject,
@@ -66,6 +121,8 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ): JoinTableInfo;
 
   public prepareArrayValuesForSQL(array: Array<any>): Array<any>;
+  public generateParameterPlaceholder(index: number, options?: GenericObject): string;
+  public bindParameterValue(field: Field, value: any, options?: GenericObject): string;
 
   public generateSelectQueryFieldProjection(
     queryEngine: QueryEngine,
@@ -113,8 +170,12 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
   public generateSQLJoinTypeFromQueryEngineJoinType(joinType: LiteralBase, outer: boolean, options?: GenericObject): LiteralBase;
   public generateSQLJoinTypeFromQueryEngineJoinType(joinType: string, outer: boolean, options?: GenericObject): string;
   public sortJoinRelationOrder(joins: Map<string, Array<JoinTableInfo>>): Array<string>;
+  public getSelectQueryJoinInfos(queryEngine: QueryEngine, options?: GenericObject): Map<string, Array<JoinTableInfo>>;
+  public getJoinRelationParents(queryEngine: QueryEngine, options?: GenericObject): Map<string, string>;
   public generateSelectQueryJoinTables(queryEngine: QueryEngine, options?: GenericObject): string;
   public generateSelectWhereConditions(queryEngine: QueryEngine, options?: GenericObject): string;
+  public generateKeysetCursorCondition(queryEngine: QueryEngine, cursor: GenericObject | null | undefined, options?: GenericObject): string;
+  public areNullsSortedFirst(direction: '+' | '-', options?: GenericObject): boolean;
   public generateOrderClause(queryEngine: QueryEngine, options?: GenericObject): string;
   public generateGroupByClause(queryEngine: QueryEngine, options?: GenericObject): string;
 
@@ -122,11 +183,18 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
   public generateOffsetClause(offset: LiteralBase | number | string, options?: GenericObject): string;
   public generateSelectOrderLimitOffset(queryEngine: QueryEngine, options?: GenericObject): string;
   public generateWhereAndOrderLimitOffset(queryEngine: QueryEngine, options?: GenericObject): string;
-
+  public generateCommonTableExpression(commonTableExpression: CommonTableExpression, options?: GenericObject): string;
+  public generateWithClause(queryEngine: QueryEngine, options?: GenericObject): string;
+
+  public generateSetOperations(queryEngine: QueryEngine, projectionFields: Map<string, string>, options?: GenericObject): string;
+  public generateSetOperationAggregateStatement(queryEngine: QueryEngine, literal: LiteralBase, options?: GenericObject): string | { sql: string; parameters: Array<any>; };
+  public shouldLimitRootModels(queryEngine: QueryEngine, options?: GenericObject): boolean;
+  public generateRootModelLimitJoin(queryEngine: QueryEngine, options?: GenericObject): string;
+  public generateSoftDeleteCondition(Model: ModelClass, deleted: boolean, options?: GenericObject): string;
   public generateSelectStatement(
     queryEngine: QueryEngine,
     options?: GenericObject
-  ): string | { sql: string, projectionFields: Map<string, string> };
+  ): string | BoundStatement | { sql: string, projectionFields: Map<string, string>, parameters?: Array<any> };
 
   public getFieldDefaultValue(
     field: Field,
@@ -134,9 +202,31 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
     options?: GenericObject,
   ): string | LiteralBase | undefined;
 
+  public getIndexDefinitionsFromField(field: Field): Array<Array<string> | IndexDefinition>;
+
+  public normalizeIndexDefinition(
+    Model: ModelClass,
+    indexDefinition: IndexColumn | Array<IndexColumn> | IndexDefinition,
+    options?: GenericObject,
+  ): NormalizedIndexDefinition | undefined;
+
+  public generateIndexWhereCondition(Model: ModelClass, where: IndexWhere, options?: GenericObject): string;
+
   public generateIndexName(
     Model: ModelClass,
-    indexFieldNames: Array<string>,
+    indexFieldNames: Array<IndexColumn> | IndexDefinition,
+    options?: GenericObject
+  ): string;
+
+  public generateCreateIndexStatement(
+    Model: ModelClass,
+    indexFieldNames: Array<IndexColumn> | IndexDefinition,
+    options?: GenericObject
+  ): string;
+
+  public generateDropIndexStatement(
+    Model: ModelClass,
+    indexFieldNames: Array<IndexColumn> | IndexDefinition,
     options?: GenericObject
   ): string;
 
@@ -147,7 +237,11 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ): Array<string>;
 
   public generateDropTableStatement(Model: ModelClass, options?: GenericObject): string;
+  public generateForeignKeyConstraintName(field: Field, options?: GenericObject): string;
   public generateForeignKeyConstraint(field: Field, type: Type, options?: GenericObject): string;
+  public generateCheckConstraintName(Model: ModelClass, name: string, options?: GenericObject): string;
+  public generateCheckCondition(Model: ModelClass, field: Field | null, check: CheckDefinition | Array<CheckDefinition>, options?: GenericObject): string;
+  public generateCheckConstraint(Model: ModelClass, name: string, condition: string, options?: GenericObject): string;
   public generateCreateTableStatementInnerTail(Model: ModelClass, options?: GenericObject): Array<string>;
   public generateCreateTableStatementOuterTail(Model: ModelClass, options?: GenericObject): Array<string>;
   public generateCreateTableStatement(Model: ModelClass, options?: GenericObject): string;
@@ -178,8 +272,33 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
     Model: ModelClass,
     models: Model | Array<Model> | PreparedModels,
     options?: GenericObject,
+  ): string | BoundStatement;
+
+  public generateInsertStatements(
+    Model: ModelClass,
+    models: Model | Array<Model> | PreparedModels,
+    options?: GenericObject,
+  ): Array<{ statement: string | BoundStatement, models: Array<Model> }>;
+
+  public generateUpsertConflictClause(
+    Model: ModelClass,
+    models: Array<Model>,
+    options: GenericObject,
+    context: {
+      escapedTableName: string,
+      modelChanges: Array<GenericObject>,
+      dirtyFields: Array<Field>,
+      conflictFields: Array<Field>,
+      updateFields: Array<Field>,
+    },
   ): string;
 
+  public generateUpsertStatement(
+    Model: ModelClass,
+    models: Model | Array<Model> | PreparedModels,
+    options?: GenericObject,
+  ): string | BoundStatement;
+
   public generateUpdateStatementTail(
     Model: ModelClass,
     model: Model | GenericObject,
@@ -199,10 +318,13 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
     model: Model | GenericObject,
     queryEngine: QueryEngine,
     options?: GenericObject,
-  ): string;
+  ): string | BoundStatement;
 
-  public generateDeleteStatementReturningClause(Model: ModelClass, queryEngine: QueryEngine, pkField: Field | null, escapedColumnName: string | null, options: GenericObject): string;
-  public generateDeleteStatement(Model: ModelClass, queryEngine: QueryEngine, options?: GenericObject): string;
+  public getReturningFields(Model: ModelClass, options?: GenericObject): Array<Field>;
+  public generateDeleteStatementReturningClause(Model: ModelClass, queryEngine: QueryEngine, pkFields: Array<Field>, escapedColumnName: string | null, options: GenericObject): string;
+  public generateDeleteStatement(Model: ModelClass, queryEngine: QueryEngine, options?: GenericObject): string | BoundStatement;
+  public generateSoftDeleteStatement(Model: ModelClass, queryEngine: QueryEngine, options?: GenericObject): string | BoundStatement;
+  public generateRestoreStatement(Model: ModelClass, queryEngine: QueryEngine, options?: GenericObject): string | BoundStatement;
   public generateTruncateTableStatement(Model: ModelClass, options?: GenericObject): string;
   public generateAlterTableStatement(Model: ModelClass, newModelAttributes, options?: GenericObject): string;
   public generateDropColumnStatement(field: Field, options?: GenericObject): string;
@@ -212,6 +334,10 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
   public generateAlterColumnChangeTypeStatement(field: Field, newField: Field, newFieldType: string, options?: GenericObject): string;
   public generateAlterColumnChangePrimaryKeyConstraintStatement(field: Field, newField: Field, options?: GenericObject): string;
   public generateAlterColumnChangeUniqueConstraintStatement(field: Field, newField: Field, options?: GenericObject): string;
+  public generateAddCheckConstraintStatement(Model: ModelClass, name: string, condition: string, options?: GenericObject): string;
+  public generateDropCheckConstraintStatement(Model: ModelClass, name: string, options?: GenericObject): string;
+  public generateAddForeignKeyStatement(field: Field, options?: GenericObject): string;
+  public generateDropForeignKeyStatement(field: Field, options?: GenericObject): string;
   public generateAlterColumnStatements(field: Field, newFieldAttributes: GenericObject, options?: GenericObject): Array<string>;
   public generateAddColumnStatement(field: Field, options?: GenericObject): string;
 
@@ -221,12 +347,39 @@ declare class SQLQueryGeneratorBase extends QueryGeneratorBase {
     models: Model | Array<Model> | PreparedModels,
     options: GenericObject,
     context: {
+      queryEngine?: QueryEngine | null,
       escapedTableName: string,
       modelChanges: Array<GenericObject>,
       dirtyFields: Array<Field>,
     },
   ): string | undefined;
 
+  public generateListTablesStatement(options?: GenericObject): string | BoundStatement;
+  public generateDescribeTableStatement(tableName: string, options?: GenericObject): string | BoundStatement;
+  public generateListIndexesStatement(tableName: string, options?: GenericObject): string | BoundStatement;
+  public generateListForeignKeysStatement(tableName: string, options?: GenericObject): string | BoundStatement;
+
+  public normalizeSchemaDefaultValue(defaultValue: string | null | undefined): string | null;
+  public generateColumnSchemaDiffStatements(
+    field: Field,
+    columnDescription: ColumnDescription,
+    isUnique: boolean,
+    options?: GenericObject,
+  ): Array<string>;
+
+  public generateTableSchemaDiffStatements(
+    Model: ModelClass,
+    tableDescription: TableDescription,
+    indexDescriptions: Array<IndexDescription>,
+    options?: GenericObject,
+  ): Array<string>;
+
+  public generateExplainStatement(statement: string | BoundStatement, options?: GenericObject): string | BoundStatement;
+  public generateCreateMigrationsTableStatement(tableName: string, options?: GenericObject): string;
+  public generateSelectAppliedMigrationsStatement(tableName: string, options?: GenericObject): string | BoundStatement;
+  public generateInsertMigrationStatement(tableName: string, migrationID: string, appliedAt: number, options?: GenericObject): string | BoundStatement;
+  public generateDeleteMigrationStatement(tableName: string, migrationID: string, options?: GenericObject): string | BoundStatement;
+
   toConnectionString(queryEngine: QueryEngine, options?: GenericObject): string;
 }
 
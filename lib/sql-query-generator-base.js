@@ -1,6 +1,8 @@
 'use strict';
 
 const Nife = require('nife');
+const { Buffer } = require('buffer');
+const { createHash } = require('crypto');
 const {
   Types,
   QueryEngine,
@@ -14,6 +16,8 @@ const {
 const DefaultHelpers  = Types.DefaultHelpers;
 const LiteralBase     = Literals.LiteralBase;
 
+const INDEX_WHERE_HASH_LENGTH = 8;
+
 /// The "base" SQL generator for all SQL-type databases.
 ///
 /// This class is used to generate SQL statements for the
@@ -235,9 +239,13 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
   ///     The query engine to fetch the `ORDER` clause from.
   ///   options?: object
-  ///     The options object provided to the operation that is taking place. This isn't used
-  ///     by this method, but instead is passed off to [Connection.getDefaultOrder](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase#method-getDefaultOrder)
+  ///     The options object provided to the operation that is taking place. This is
+  ///     passed off to [Connection.getDefaultOrder](https://github.com/th317erd/mythix-orm/wiki/ConnectionBase#method-getDefaultOrder)
   ///     in case the connection (or user) needs the options to produce a default ordering.
+  ///     If the `keysetPagination` option is `true` (and this isn't a sub-query), then the
+  ///     order will be passed through <see>SQLQueryGeneratorBase.getKeysetOrder</see>.
+  ///     If the `isSetOperation` option is `true`, then the default order will be
+  ///     the primary key of the root model, instead of the connection's default order.
   ///
   /// Return: Map<string, { value: Field | Literal | string; direction?: '+' | '-'; ... }>
   ///   Return the field-set for the default ordering to apply to the operation taking place.
@@ -247,7 +255,127 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     let context = queryEngine.getOperationContext();
     let order   = context.order;
 
-    return (order && order.size) ? order : this.connection.getDefaultOrder(context.rootModel, options);
+    if (!(order && order.size)) {
+      // The connection's default order might not be
+      // available on common table expressions, or on
+      // the combined results of a set operation
+      if (options.isSetOperation || this.isCommonTableExpressionModel(queryEngine, context.rootModel))
+        order = this.getCommonTableExpressionDefaultOrder(context.rootModel, options);
+      else
+        order = this.connection.getDefaultOrder(context.rootModel, options);
+    }
+
+    if (options.keysetPagination === true && !options.isSubQuery)
+      return this.getKeysetOrder(context.rootModel, order, options);
+
+    return order;
+  }
+
+  /// Check if the provided `Model` is bound to a common
+  /// table expression attached to the provided `queryEngine`.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine to check for common table expressions.
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model to check.
+  ///
+  /// Return: boolean
+  ///   Return `true` if the provided `Model` is bound to a common table
+  ///   expression of the query, or `false` otherwise.
+  ///
+  /// See: SQLQueryGeneratorBase.generateWithClause
+  isCommonTableExpressionModel(queryEngine, Model) {
+    let commonTableExpressions = queryEngine.getOperationContext().commonTableExpressions;
+    if (Nife.isEmpty(commonTableExpressions))
+      return false;
+
+    return commonTableExpressions.some((commonTableExpression) => (commonTableExpression.Model === Model));
+  }
+
+  /// Get the default order for a query whose root model
+  /// is bound to a common table expression.
+  ///
+  /// The default order provided by the connection can not
+  /// be used for common table expressions, since the connection
+  /// may order on columns that only exist on real tables (such as
+  /// a `rowid`). Instead, common table expressions are ordered
+  /// by the primary key fields of the model they are bound to (if any).
+  /// The same default order is used for the combined results of
+  /// set operations (i.e. `UNION`).
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model the common table expression is bound to.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: Map<string, { value: Field; direction: '+'; }> | undefined
+  ///   The default order, or `undefined` if the model has no primary key.
+  // eslint-disable-next-line no-unused-vars
+  getCommonTableExpressionDefaultOrder(Model, options) {
+    let pkFields = this.connection.getPrimaryKeyFields(Model);
+    if (pkFields.length === 0)
+      return;
+
+    let modelName = Model.getModelName();
+    return new Map(pkFields.map((pkField) => [ `${modelName}:${pkField.fieldName}`, { value: pkField, direction: '+' } ]));
+  }
+
+  /// Get the order used for keyset (cursor) pagination.
+  ///
+  /// Keyset pagination requires that the order of the query
+  /// uniquely identify every row. To ensure this, every primary
+  /// key field of the root model is appended to the order (in `ASC`
+  /// order) as a tie-breaker, if it isn't already part of the order.
+  ///
+  /// Only fields (and field literals) can be used in the order
+  /// of a query paginated with a keyset. An exception will be thrown
+  /// if any other literal or raw string is found in the order.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The root model of the query.
+  ///   order: Map<string, { value: Field | Literal | string; direction?: '+' | '-'; ... }>
+  ///     The order of the query, as returned by [ModelScope.mergeFields](https://github.com/th317erd/mythix-orm/wiki/ModelScope#method-mergeFields).
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: Map<string, { value: Field | Literal; direction: '+' | '-'; }>
+  ///   The order to use for the query, with the primary key fields of the root
+  ///   model appended, if they weren't already part of the order.
+  ///
+  /// See: SQLQueryGeneratorBase.generateKeysetCursorCondition
+  // eslint-disable-next-line no-unused-vars
+  getKeysetOrder(Model, order, options) {
+    let keysetOrder = new Map();
+
+    if (order) {
+      for (let [ fullyQualifiedFieldName, orderScope ] of order) {
+        let { value } = orderScope;
+
+        if (Nife.instanceOf(value, 'string') || (LiteralBase.isLiteral(value) && !Literals.FieldLiteral.isLiteralType(value)))
+          throw new Error(`${this.constructor.name}::getKeysetOrder: Only fields can be used in the order of a query using keyset pagination, but "${fullyQualifiedFieldName}" was found.`);
+
+        keysetOrder.set(fullyQualifiedFieldName, orderScope);
+      }
+    }
+
+    let pkFields  = this.connection.getPrimaryKeyFields(Model);
+    let modelName = Model.getModelName();
+
+    for (let i = 0, il = pkFields.length; i < il; i++) {
+      let pkField                 = pkFields[i];
+      let fullyQualifiedFieldName = `${modelName}:${pkField.fieldName}`;
+
+      if (!keysetOrder.has(fullyQualifiedFieldName))
+        keysetOrder.set(fullyQualifiedFieldName, { value: pkField, direction: '+' });
+    }
+
+    if (keysetOrder.size === 0)
+      throw new Error(`${this.constructor.name}::getKeysetOrder: Keyset pagination requires the query to have an order, or the "${Model.getModelName()}" model to have a primary key.`);
+
+    return keysetOrder;
   }
 
   /// Get the field projection for the operation taking place.
@@ -287,7 +415,9 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     let allProjectionFields   = new Map();
     let allModelsUsedInQuery  = queryEngine.getAllModelsUsedInQuery();
 
-    if (!options.isSubQuery && order && order.size) {
+    // Set operations must project the same columns
+    // for all queries, so order fields aren't projected
+    if (!options.isSubQuery && !options.isSetOperation && order && order.size) {
       let contextOrderSupport = this.connection.isOrderSupportedInContext(options);
       if (contextOrderSupport) {
         for (let [ fullyQualifiedFieldName, orderScope ] of order) {
@@ -693,6 +823,180 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     return `SUM(${escapedColumnName})${this._getLiteralAlias(literal, options)}`;
   }
 
+  /// Resolve a "partition by" or "order by" entry of a
+  /// <see>WindowLiteral</see> to an escaped column name, and
+  /// a sort direction.
+  ///
+  /// String entries may be prefixed with `+` (ASC) or `-` (DESC).
+  /// If a string entry isn't fully qualified, then the model of the
+  /// field provided to the window literal (if any) is used to look up the field.
+  ///
+  /// Arguments:
+  ///   literal: <see>WindowLiteral</see>
+  ///     The window literal the entry belongs to.
+  ///   value: string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal)
+  ///     The "partition by" or "order by" entry to resolve.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: { escapedName: string; direction: '+' | '-'; }
+  ///   The escaped column name (or stringified literal), and the sort direction of the entry.
+  _getWindowFieldReference(literal, value, options) {
+    if (LiteralBase.isLiteral(value))
+      return { escapedName: value.toString(this.connection, this.stackAssign(options, { isSubField: true })), direction: '+' };
+
+    let field     = value;
+    let direction = '+';
+
+    if (Nife.instanceOf(value, 'string')) {
+      let fieldName = value;
+      let firstChar = fieldName.charAt(0);
+
+      if (firstChar === '+' || firstChar === '-') {
+        direction = firstChar;
+        fieldName = fieldName.substring(1);
+      }
+
+      let definition  = this.connection.parseQualifiedName(fieldName);
+      let modelName   = definition.modelName || (literal.definition && literal.definition.modelName);
+
+      field = (modelName && Nife.isNotEmpty(definition.fieldNames)) ? this.connection.getField(definition.fieldNames[0], modelName) : null;
+    }
+
+    if (!field || !field.Model || !field.fieldName)
+      throw new Error(`${this.constructor.name}::_windowLiteralToString: Unable to locate field "${value}".`);
+
+    return { escapedName: this.getEscapedColumnName(field.Model, field, options), direction };
+  }
+
+  /// Generate the arguments of a window function, i.e.
+  /// the `"users"."age",1,0` part of `LAG("users"."age",1,0)`.
+  ///
+  /// The first argument is the field (or literal) provided to
+  /// the window literal. If an `offset` option was provided
+  /// to the window literal, then it will be the second argument,
+  /// and if a `defaultValue` option was provided to the window
+  /// literal, then it will be the third argument.
+  ///
+  /// Arguments:
+  ///   literal: <see>WindowLiteral</see>
+  ///     The window literal to generate the function arguments for.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   A comma-separated list of function arguments, or an empty string
+  ///   if the window literal has no field.
+  generateWindowFunctionArguments(literal, options) {
+    let field = literal.getField(this.connection);
+    if (!field)
+      return '';
+
+    let literalOptions  = literal.options;
+    let offset          = literalOptions.offset;
+    let defaultValue    = literalOptions.defaultValue;
+    let args            = [];
+
+    if (LiteralBase.isLiteral(field))
+      args.push(field.toString(this.connection, this.stackAssign(options, { isSubField: true })));
+    else
+      args.push(this.getEscapedColumnName(field.Model, field, options));
+
+    if (offset == null && defaultValue !== undefined)
+      offset = 1;
+
+    if (offset != null) {
+      if (!Number.isInteger(offset) || offset < 0)
+        throw new TypeError(`${this.constructor.name}::generateWindowFunctionArguments: "offset" must be a positive integer, but "${offset}" was provided.`);
+
+      args.push(`${offset}`);
+    }
+
+    if (defaultValue !== undefined) {
+      if (LiteralBase.isLiteral(field) && !LiteralBase.isLiteral(defaultValue))
+        args.push(this.connection._escape(defaultValue));
+      else
+        args.push(this.bindParameterValue(field, defaultValue, options));
+    }
+
+    return args.join(',');
+  }
+
+  /// Generate the window definition of a window function, i.e.
+  /// the `PARTITION BY ... ORDER BY ... frame` part of `ROW_NUMBER() OVER (...)`.
+  ///
+  /// Arguments:
+  ///   literal: <see>WindowLiteral</see>
+  ///     The window literal to generate the window definition for.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The window definition, or an empty string if the window literal
+  ///   defines no partition, order, or frame.
+  generateWindowClause(literal, options) {
+    let sqlParts    = [];
+    let partitionBy = literal.getPartitionBy().map((value) => this._getWindowFieldReference(literal, value, options).escapedName);
+    let orderBy     = literal.getOrderBy().map((value) => {
+      let { escapedName, direction } = this._getWindowFieldReference(literal, value, options);
+      return `${escapedName} ${(direction === '-') ? 'DESC' : 'ASC'}`;
+    });
+
+    if (partitionBy.length > 0)
+      sqlParts.push(`PARTITION BY ${partitionBy.join(',')}`);
+
+    if (orderBy.length > 0)
+      sqlParts.push(`ORDER BY ${orderBy.join(',')}`);
+
+    let frame = literal.getFrame();
+    if (Nife.isNotEmpty(frame))
+      sqlParts.push(frame);
+
+    return sqlParts.join(' ');
+  }
+
+  /// Convert a <see>WindowLiteral</see> (or any of its descendants, such as
+  /// <see>RowNumberLiteral</see>) to a string for use in the underlying database,
+  /// i.e. `ROW_NUMBER() OVER (PARTITION BY "users"."lastName" ORDER BY "users"."firstName" ASC)`.
+  ///
+  /// Note:
+  ///   An `AS` alias is never added when the literal is being stringified
+  ///   for an `ORDER BY` clause.
+  ///
+  /// Arguments:
+  ///   literal: <see>WindowLiteral</see>
+  ///     The <see>WindowLiteral</see> to stringify.
+  ///   options?: object
+  ///     Options for the operation. Listed below are the common options for all literals. There may also be
+  ///     literal or connection specific options that can be supplied.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `isOrderBy` | `boolean` | `false` | If `true`, the engine is reporting that this literal is being used in an `ORDER BY` clause, so no `AS` alias will be added. |
+  ///     | `isSubField` | `boolean` | `false` | If `true`, the engine is reporting that this is a "sub-field", or literal inside a literal... if this is the case, then don't return an `AS` field alias. |
+  ///     | `noProjectionAliases` | `boolean` | `false` | If `true`, the engine is reporting that this is part of the query that shouldn't have field aliases, such as an `ORDER BY` clause. |
+  ///     | `as` | `string` | `undefined` | If set to a valid string, then this will be used for the `AS` alias of the column instead of the default. |
+  ///
+  /// Return: string
+  ///   The literal provided, stringified for use in the underlying database.
+  ///
+  /// See: SQLQueryGeneratorBase.generateWindowFunctionArguments
+  ///
+  /// See: SQLQueryGeneratorBase.generateWindowClause
+  _windowLiteralToString(literal, options) {
+    if (!literal || !LiteralBase.isLiteral(literal))
+      return;
+
+    let functionName = literal.getFunctionName();
+    if (Nife.isEmpty(functionName))
+      throw new Error(`${this.constructor.name}::_windowLiteralToString: A window function name is required.`);
+
+    let args          = this.generateWindowFunctionArguments(literal, options);
+    let windowClause  = this.generateWindowClause(literal, options);
+    let alias         = (options && options.isOrderBy) ? '' : this._getLiteralAlias(literal, options);
+
+    return `${functionName}(${args}) OVER (${windowClause})${alias}`;
+  }
+
   /// A convenience method that proxies to <see>SQLConnectionBase.prepareArrayValuesForSQL</see>.
   ///
   /// See: SQLConnectionBase.prepareArrayValuesForSQL
@@ -700,6 +1004,85 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     return this.connection.prepareArrayValuesForSQL(array);
   }
 
+  /// Generate a placeholder for a bound parameter.
+  ///
+  /// This is called every time a value is bound as a parameter
+  /// (instead of being inlined into the generated SQL) when the
+  /// `bindParameters` option is `true`. By default a `?` is
+  /// returned for every parameter. Database drivers that use
+  /// a different placeholder syntax (such as PostgreSQL's `$1`)
+  /// should overload this method.
+  ///
+  /// Arguments:
+  ///   index: number
+  ///     The one-based index of the parameter being bound. This is
+  ///     the position of the value in the `parameters` array.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The placeholder to inject into the generated SQL for this parameter.
+  // eslint-disable-next-line no-unused-vars
+  generateParameterPlaceholder(index, options) {
+    return '?';
+  }
+
+  /// Bind a value as a query parameter, and return the placeholder
+  /// for it, or escape the value (inlining it), if parameter binding
+  /// isn't active for the current operation.
+  ///
+  /// Parameter binding is active when a `parameters` array is present
+  /// on the `options` provided. This array is created for you by
+  /// <see>SQLQueryGeneratorBase.generateSelectStatement</see>, <see>SQLQueryGeneratorBase.generateInsertStatement</see>,
+  /// <see>SQLQueryGeneratorBase.generateUpdateStatement</see>, and <see>SQLQueryGeneratorBase.generateDeleteStatement</see>
+  /// when the `bindParameters` option is `true`.
+  ///
+  /// Values are serialized via the `field`'s type before being bound, exactly
+  /// as they would be if they were escaped. Literals, `null`, `true`, and `false`
+  /// are never bound, and are always inlined into the generated SQL. This is because
+  /// these values are commonly used with the `IS` operator, where many databases don't
+  /// allow a parameter. Arrays are expanded into a list of placeholders, i.e. `(?,?,?)`.
+  ///
+  /// Arguments:
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The field the value belongs to. This is used to serialize the value.
+  ///   value: any
+  ///     The value to bind.
+  ///   options?: object
+  ///     Options for the operation. If a `parameters` array is present on these options,
+  ///     then the value will be pushed onto this array, and a placeholder will be returned.
+  ///
+  /// Return: string
+  ///   A placeholder for the bound value (i.e. `?`), or the escaped value if parameter binding
+  ///   isn't active for the current operation.
+  ///
+  /// See: SQLQueryGeneratorBase.generateParameterPlaceholder
+  bindParameterValue(field, _value, options) {
+    let value = _value;
+    if (LiteralBase.isLiteral(value))
+      return value.toString(this.connection, options);
+
+    let parameters = (options) ? options.parameters : null;
+    if (!Array.isArray(parameters) || value == null || value === true || value === false)
+      return this.escape(field, value, options);
+
+    value = field.type.serialize(value, this.connection);
+    if (value == null || value === true || value === false)
+      return this.escape(field, value, options);
+
+    if (Array.isArray(value)) {
+      let arrayValue = this.prepareArrayValuesForSQL(value);
+      if (Nife.isEmpty(arrayValue))
+        return '';
+
+      return `(${arrayValue.map((item) => this.bindParameterValue(field, item, options)).join(',')})`;
+    }
+
+    parameters.push(value);
+
+    return this.generateParameterPlaceholder(parameters.length, options);
+  }
+
   /// Generate a field projection for a `SELECT` statement.
   /// If a `DISTINCT` operation is in-use, then this will always
   /// prefix any and all fields projected.
@@ -994,7 +1377,7 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
 
     let conditionPostfix = this.generateConditionPostfix(context);
 
-    return `${escapedColumnName} ${sqlOperator} ${this.escape(field, value)}${(conditionPostfix) ? ` ${conditionPostfix}` : ''}`;
+    return `${escapedColumnName} ${sqlOperator} ${this.bindParameterValue(field, value, options)}${(conditionPostfix) ? ` ${conditionPostfix}` : ''}`;
   }
 
   /// Generate a table join statement, such as
@@ -1079,6 +1462,10 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   options?: object
   ///     Options for the operation.
   ///
+  /// If the table being joined is for a soft-delete model, then its soft-deleted
+  /// rows are excluded from the join, i.e. `INNER JOIN "comments" ON ("users"."id" = "comments"."userID") AND "comments"."deletedAt" IS NULL`.
+  /// See <see>SQLQueryGeneratorBase.generateSoftDeleteCondition</see>.
+  ///
   /// Return: string
   ///   The full list of conditions for joining the tables together, i.e.
   ///   `INNER JOIN "roles" ON "users"."id" = "roles"."userID" OR "users"."fullName" = "roles"."userFullName"`.
@@ -1088,22 +1475,24 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (Nife.isEmpty(joinInfos))
       return '';
 
-    let rootInfo = joinInfos[0];
-    let sqlParts = [
-      this.generateFromTableOrTableJoin(rootInfo.joinModel, rootInfo.joinType, options),
-      'ON',
-    ];
+    let rootInfo    = joinInfos[0];
+    let conditions  = [];
 
     for (let i = 0, il = joinInfos.length; i < il; i++) {
       let joinInfo = joinInfos[i];
 
       if (i > 0)
-        sqlParts.push((joinInfo.leftQueryContext.and) ? 'AND' : 'OR');
+        conditions.push((joinInfo.leftQueryContext.and) ? 'AND' : 'OR');
 
-      sqlParts.push(this.generateSelectJoinOnTableQueryCondition(joinInfo.rightQueryContext, joinInfo.leftQueryContext, joinInfo.rightSideField, joinInfo.leftSideField, joinInfo.operator, options));
+      conditions.push(this.generateSelectJoinOnTableQueryCondition(joinInfo.rightQueryContext, joinInfo.leftQueryContext, joinInfo.rightSideField, joinInfo.leftSideField, joinInfo.operator, options));
     }
 
-    return sqlParts.join(' ');
+    let joinTable           = this.generateFromTableOrTableJoin(rootInfo.joinModel, rootInfo.joinType, options);
+    let softDeleteCondition = this.generateSoftDeleteCondition(rootInfo.joinModel, false, options);
+    if (softDeleteCondition)
+      return `${joinTable} ON (${conditions.join(' ')}) AND ${softDeleteCondition}`;
+
+    return `${joinTable} ON ${conditions.join(' ')}`;
   }
 
   /// Take a join type from a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
@@ -1186,10 +1575,8 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     });
   }
 
-  /// Generate the SQL syntax needed to join all tables in the operation.
-  ///
-  /// For example, this might generate the following SQL
-  /// `INNER JOIN "roles" ON "users"."id" = "roles"."userID" RIGHT JOIN "organizations" ON "organization"."id" = "roles"."organizationID"`.
+  /// Collect the table-join information for every table-join
+  /// in the operation, keyed by the name of the model being joined.
   ///
   /// Arguments:
   ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
@@ -1197,12 +1584,12 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   options?: object
   ///     Options for the operation.
   ///
-  /// Return: string
-  ///   A complete join of all tables in the operation that are being joined, including
-  ///   the conditions used to join each table.
+  /// Return: Map<string, Array<TableJoinInformation>>
+  ///   A map of all table-joins taking place. Each key in this map is the name
+  ///   of a model being joined, and each value is an array of `TableJoinInformation`.
   ///
   /// See: SQLQueryGeneratorBase.getJoinTableInfoFromQueryContexts
-  generateSelectQueryJoinTables(queryEngine, options) {
+  getSelectQueryJoinInfos(queryEngine, options) {
     const addToJoins = (joinInfo) => {
       let items = joins.get(joinInfo.joinModelName);
       if (!items) {
@@ -1236,6 +1623,103 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       addToJoins(joinInfo);
     }
 
+    return joins;
+  }
+
+  /// Walk the table-joins of the operation, starting from the
+  /// "root model" of the query, and find the "parent" of every
+  /// joined model.
+  ///
+  /// The parent of a joined model is the model it was first
+  /// reached from while walking the join graph (breadth-first).
+  /// For example, `User.where.primaryRoleID.EQ(Role.where.id).AND.Role.id.EQ(Permission.where.roleID)`
+  /// would have `User` as the parent of `Role`, and `Role` as the parent
+  /// of `Permission`. This is used to hydrate nested relations when
+  /// loading models from the results of a `SELECT`.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine to pull table-join operations from.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: Map<string, string>
+  ///   A map of joined model names to the name of their parent model, in the
+  ///   order they were reached. Models that aren't connected to the "root model"
+  ///   through a table-join won't be present in this map.
+  ///
+  /// See: SQLConnectionBase.buildModelDataMapFromSelectResults
+  getJoinRelationParents(queryEngine, options) {
+    let rootModelName = queryEngine.getOperationContext().rootModelName;
+    let joins         = this.getSelectQueryJoinInfos(queryEngine, options);
+    let edges         = new Map();
+    let parents       = new Map();
+
+    const addEdge = (fromModelName, toModelName) => {
+      if (fromModelName === toModelName)
+        return;
+
+      let neighbors = edges.get(fromModelName);
+      if (!neighbors) {
+        neighbors = [];
+        edges.set(fromModelName, neighbors);
+      }
+
+      if (neighbors.indexOf(toModelName) < 0)
+        neighbors.push(toModelName);
+    };
+
+    for (let joinInfos of joins.values()) {
+      for (let i = 0, il = joinInfos.length; i < il; i++) {
+        let { leftSideModelName, rightSideModelName } = joinInfos[i];
+
+        addEdge(leftSideModelName, rightSideModelName);
+        addEdge(rightSideModelName, leftSideModelName);
+      }
+    }
+
+    let visited = new Set([ rootModelName ]);
+    let queue   = [ rootModelName ];
+
+    while (queue.length > 0) {
+      let modelName = queue.shift();
+      let neighbors = edges.get(modelName);
+      if (!neighbors)
+        continue;
+
+      for (let i = 0, il = neighbors.length; i < il; i++) {
+        let neighbor = neighbors[i];
+        if (visited.has(neighbor))
+          continue;
+
+        visited.add(neighbor);
+        parents.set(neighbor, modelName);
+        queue.push(neighbor);
+      }
+    }
+
+    return parents;
+  }
+
+  /// Generate the SQL syntax needed to join all tables in the operation.
+  ///
+  /// For example, this might generate the following SQL
+  /// `INNER JOIN "roles" ON "users"."id" = "roles"."userID" RIGHT JOIN "organizations" ON "organization"."id" = "roles"."organizationID"`.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine to pull table-join operations from.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   A complete join of all tables in the operation that are being joined, including
+  ///   the conditions used to join each table.
+  ///
+  /// See: SQLQueryGeneratorBase.getSelectQueryJoinInfos
+  generateSelectQueryJoinTables(queryEngine, options) {
+    let joins = this.getSelectQueryJoinInfos(queryEngine, options);
+
     // We sort the order of joins because
     // some databases care very much
     let modelNames  = this.sortJoinRelationOrder(joins);
@@ -1353,38 +1837,186 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     return sqlParts.join(' ');
   }
 
-  /// Generate an `ORDER BY` clause, listing all columns
-  /// and their sort-direction.
+  /// Generate the cursor condition for a keyset (cursor)
+  /// paginated query.
+  ///
+  /// Keyset pagination uses the values of the last row of the
+  /// previous batch (the "cursor") to select the next batch of rows,
+  /// instead of using an `OFFSET`. This is much faster for large tables,
+  /// and won't skip or duplicate rows if the data changes between batches.
+  ///
+  /// If all columns of the order are sorted in the same direction, then
+  /// a row-value comparison is generated, i.e. `("users"."firstName","users"."id") > ('Bob','...')`.
+  /// If the sort directions are mixed, then the equivalent expanded form is
+  /// generated instead, i.e. `("users"."firstName" > 'Bob' OR ("users"."firstName" = 'Bob' AND "users"."id" < '...'))`.
+  ///
+  /// Because `NULL` values can not be compared, nullable columns (and `NULL` cursor
+  /// values) are compared explicitly, i.e. `("users"."firstName" < 'Bob' OR "users"."firstName" IS NULL)`,
+  /// using <see>SQLQueryGeneratorBase.areNullsSortedFirst</see> to know where the `NULL`
+  /// values of each column are sorted. The row-value comparison is only generated
+  /// when no `NULL` value can be sorted after the cursor.
   ///
   /// Arguments:
   ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
-  ///     The query engine to pull the "order by" fields from.
+  ///     The query engine being paginated. The order of this query (as returned by
+  ///     <see>SQLQueryGeneratorBase.getKeysetOrder</see>) defines the columns of the cursor.
+  ///   cursor: object
+  ///     The cursor values, where each key is a fully qualified field name (matching a key in
+  ///     the order), and each value is the raw database value of that column for the last row
+  ///     of the previous batch.
   ///   options?: object
-  ///     Options for the operation. Though these might be database specific, there are some
-  ///     common options that can be supplied to this method:
-  ///     | Option | Type | Default Value | Description |
-  ///     | ------ | ---- | ------------- | ----------- |
-  ///     | `onlyProjectedFields` | `boolean` | `true` | If `true`, then only list fields that are also in the projection. |
-  ///     | `projectionFields` | `Map<string, object>` | Result of `getProjectedFields` | The fields that have been projected, to be used in combination with the `onlyProjectedFields` option. |
-  ///     | `rawOrder` | `boolean` | `false` | If `true`, then return the order fields (and literals) as a raw Array instead of a comma-separated list of fields. |
-  ///     | `reverseOrder` | `boolean` | `false` | If `true`, then reverse the sort order of all fields. |
+  ///     Options for the operation. If a `parameters` array is present on these options,
+  ///     then the cursor values will be bound as parameters.
   ///
-  /// Return: string | Array<string>
-  ///   If the `rawOrder` `options` is `false`, then return a fully completed `ORDER BY` clause,
-  ///   listing all the fields and their sort order. If no order has been specified by the query engine
-  ///   (or the connection), then return an empty string instead. If the `rawOrder` `options` is `true`,
-  ///   then return an array of the ordered fields instead.
-  generateOrderClause(queryEngine, _options) {
-    if (!queryEngine || typeof queryEngine.getOperationContext !== 'function')
-      return (_options && _options.rawOrder) ? [] : '';
+  /// Return: string
+  ///   The cursor condition to add to the `WHERE` clause of the query, or an empty string
+  ///   if no `cursor` was provided.
+  ///
+  /// See: SQLQueryGeneratorBase.getKeysetOrder
+  generateKeysetCursorCondition(queryEngine, cursor, _options) {
+    if (!cursor)
+      return '';
 
-    let options = _options || {};
-    let order   = this.getQueryEngineOrder(queryEngine, _options);
-    if (!order || !order.size)
-      return (options.rawOrder) ? [] : '';
+    let options = this.stackAssign(_options, { keysetPagination: true });
 
-    let contextOrderSupport = this.connection.isOrderSupportedInContext(options);
-    if (contextOrderSupport === false)
+    // Cursor values are raw values from the database,
+    // so they are not serialized before being bound
+    const cursorValueToString = (value) => {
+      let parameters = options.parameters;
+      if (!Array.isArray(parameters))
+        return this.connection._escape(value);
+
+      parameters.push(value);
+
+      return this.generateParameterPlaceholder(parameters.length, options);
+    };
+
+    let order   = this.getQueryEngineOrder(queryEngine, options);
+    let columns = [];
+
+    for (let [ fullyQualifiedFieldName, orderScope ] of order) {
+      let { value, direction } = orderScope;
+      let field = (LiteralBase.isLiteral(value)) ? value.getField(this.connection) : value;
+
+      if (!field || LiteralBase.isLiteral(field))
+        throw new Error(`${this.constructor.name}::generateKeysetCursorCondition: Unable to find field for "${fullyQualifiedFieldName}".`);
+
+      if (!Object.prototype.hasOwnProperty.call(cursor, fullyQualifiedFieldName))
+        throw new Error(`${this.constructor.name}::generateKeysetCursorCondition: Cursor value for "${fullyQualifiedFieldName}" is missing.`);
+
+      let cursorValue = cursor[fullyQualifiedFieldName];
+
+      columns.push({
+        escapedColumnName: this.getEscapedColumnName(field.Model, field.columnName, options),
+        value:             (cursorValue === undefined) ? null : cursorValue,
+        operator:          (direction === '-') ? '<' : '>',
+        nullable:          (field.primaryKey !== true && field.allowNull !== false),
+        nullsFirst:        this.areNullsSortedFirst(direction, options),
+      });
+    }
+
+    // The row-value comparison can only be used
+    // if no NULL value is sorted after the cursor
+    let comparable = columns.every(({ value, nullable, nullsFirst }) => (value != null && (!nullable || nullsFirst)));
+    if (comparable) {
+      if (columns.length === 1)
+        return `${columns[0].escapedColumnName} ${columns[0].operator} ${cursorValueToString(columns[0].value)}`;
+
+      if (columns.every(({ operator }) => (operator === columns[0].operator)))
+        return `(${columns.map(({ escapedColumnName }) => escapedColumnName).join(',')}) ${columns[0].operator} (${columns.map(({ value }) => cursorValueToString(value)).join(',')})`;
+    }
+
+    const equalTo = ({ escapedColumnName, value }) => {
+      return (value == null) ? `${escapedColumnName} IS NULL` : `${escapedColumnName} = ${cursorValueToString(value)}`;
+    };
+
+    const sortedAfter = ({ escapedColumnName, value, operator, nullable, nullsFirst }) => {
+      if (value == null)
+        return `${escapedColumnName} IS NOT NULL`;
+
+      let condition = `${escapedColumnName} ${operator} ${cursorValueToString(value)}`;
+      return (nullable && !nullsFirst) ? `(${condition} OR ${escapedColumnName} IS NULL)` : condition;
+    };
+
+    let orParts = [];
+    for (let i = 0, il = columns.length; i < il; i++) {
+      // Nothing is sorted after a NULL
+      // cursor value when NULLs are last
+      if (columns[i].value == null && !columns[i].nullsFirst)
+        continue;
+
+      let andParts = [];
+
+      for (let j = 0; j < i; j++)
+        andParts.push(equalTo(columns[j]));
+
+      andParts.push(sortedAfter(columns[i]));
+      orParts.push((andParts.length > 1) ? `(${andParts.join(' AND ')})` : andParts[0]);
+    }
+
+    if (orParts.length === 0)
+      return '1 = 0';
+
+    return (orParts.length === 1) ? orParts[0] : `(${orParts.join(' OR ')})`;
+  }
+
+  /// Check if `NULL` values are sorted before all other values
+  /// for the provided sort `direction`.
+  ///
+  /// This is used by <see>SQLQueryGeneratorBase.generateKeysetCursorCondition</see>
+  /// to page through nullable columns. By default, `NULL` values are treated as
+  /// smaller than all other values (as they are in SQLite and MySQL), so they
+  /// are sorted first in `ASC` order, and last in `DESC` order. Connections for
+  /// databases that sort `NULL` values as larger than all other values (i.e. PostgreSQL)
+  /// should overload this method.
+  ///
+  /// Arguments:
+  ///   direction: '+' | '-'
+  ///     The sort direction, where `'+'` is `ASC`, and `'-'` is `DESC`.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: boolean
+  ///   `true` if `NULL` values are sorted first for the provided `direction`.
+  // eslint-disable-next-line no-unused-vars
+  areNullsSortedFirst(direction, options) {
+    return (direction !== '-');
+  }
+
+  /// Generate an `ORDER BY` clause, listing all columns
+  /// and their sort-direction.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine to pull the "order by" fields from.
+  ///   options?: object
+  ///     Options for the operation. Though these might be database specific, there are some
+  ///     common options that can be supplied to this method:
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `groupedModel` | class [Model](https://github.com/th317erd/mythix-orm/wiki/Model) | `undefined` | If set, then the rows being ordered are grouped by the primary key of this model. The columns of any other model are wrapped in `MIN` (for `ASC`) or `MAX` (for `DESC`), so that they can be used to order the groups. |
+  ///     | `isSetOperation` | `boolean` | `false` | If `true`, then the order applies to the combined results of a set operation (i.e. `UNION`). Only projected fields will be listed, and they will be referenced by their projection alias. |
+  ///     | `onlyProjectedFields` | `boolean` | `true` | If `true`, then only list fields that are also in the projection. |
+  ///     | `projectionFields` | `Map<string, object>` | Result of `getProjectedFields` | The fields that have been projected, to be used in combination with the `onlyProjectedFields` option. |
+  ///     | `rawOrder` | `boolean` | `false` | If `true`, then return the order fields (and literals) as a raw Array instead of a comma-separated list of fields. |
+  ///     | `reverseOrder` | `boolean` | `false` | If `true`, then reverse the sort order of all fields. |
+  ///
+  /// Return: string | Array<string>
+  ///   If the `rawOrder` `options` is `false`, then return a fully completed `ORDER BY` clause,
+  ///   listing all the fields and their sort order. If no order has been specified by the query engine
+  ///   (or the connection), then return an empty string instead. If the `rawOrder` `options` is `true`,
+  ///   then return an array of the ordered fields instead.
+  generateOrderClause(queryEngine, _options) {
+    if (!queryEngine || typeof queryEngine.getOperationContext !== 'function')
+      return (_options && _options.rawOrder) ? [] : '';
+
+    let options = _options || {};
+    let order   = this.getQueryEngineOrder(queryEngine, _options);
+    if (!order || !order.size)
+      return (options.rawOrder) ? [] : '';
+
+    let contextOrderSupport = this.connection.isOrderSupportedInContext(options);
+    if (contextOrderSupport === false)
       return (options.rawOrder) ? [] : '';
 
     let allModelsUsedInQuery  = queryEngine.getAllModelsUsedInQuery();
@@ -1411,6 +2043,16 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
         // literal here.
         if (options.projectionFields && !options.projectionFields.has(finalResult) && contextOrderSupport === 'PROJECTION_ONLY')
           continue;
+      } else if (options.isSetOperation) {
+        // The combined results of a set operation
+        // can only be ordered by projected columns
+        if (!options.projectionFields || !options.projectionFields.has(fullyQualifiedFieldName))
+          continue;
+
+        if (options.noProjectionAliases)
+          finalResult = this.getEscapedColumnName(value.Model, value, { columnNameOnly: true });
+        else
+          finalResult = this.getEscapedFieldName(value.Model, value, options);
       } else {
         if (allModelsUsedInQuery.indexOf(value.Model) < 0)
           continue;
@@ -1424,6 +2066,11 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       else
         orderStr = (direction === '-') ? 'ASC' : 'DESC';
 
+      // Columns of other models have many values per group,
+      // so order by the value that would sort first
+      if (options.groupedModel && ModelBase.isModelClass(value.Model) && value.Model !== options.groupedModel)
+        finalResult = `${(orderStr === 'DESC') ? 'MAX' : 'MIN'}(${finalResult})`;
+
       orderByParts.push(`${finalResult} ${orderStr}`);
     }
 
@@ -1600,7 +2247,8 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     The query engine to pull the "order by", "limit", and "offset" clauses from.
   ///   options?: object
   ///     Options for the operation. These options are simply passed through to the
-  ///     the respective calls that generate the sub-parts of this operation.
+  ///     the respective calls that generate the sub-parts of this operation. If the
+  ///     `limitClause` option is `false`, then the `LIMIT` and `OFFSET` clauses will be skipped.
   ///
   /// Return: string
   ///   A combo `ORDER BY ... LIMIT ... OFFSET ...` clause to apply to the query.
@@ -1637,6 +2285,9 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       }
     }
 
+    if (options.limitClause === false)
+      return sqlParts.join(' ');
+
     if (!Object.is(limit, Infinity) && Nife.isNotEmpty(limit)) {
       if (this.connection.isLimitSupportedInContext(options)) {
         let result = this.generateLimitClause(limit, options);
@@ -1670,7 +2321,9 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     common option that can be used here for all connections is the `separateWhereAndOrder`
   ///     option. If `true`, then an object with the following shape will be returned:
   ///     `{ where: string; orderLimitOffset: string; }`, splitting the clauses apart and
-  ///     returning them separately.
+  ///     returning them separately. The `softDeleteCondition` option can be set to `true` to
+  ///     exclude soft-deleted rows of the root model, or to `'deleted'` to only include soft-deleted
+  ///     rows of the root model (see <see>SQLQueryGeneratorBase.generateSoftDeleteCondition</see>).
   ///
   /// Return: string
   ///   A combo `WHERE ... ORDER BY ... LIMIT ... OFFSET ...` clause to apply to the query.
@@ -1684,6 +2337,13 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     let sqlParts  = [];
 
     let where = this.generateSelectWhereConditions(queryEngine, options);
+    if (options.softDeleteCondition) {
+      let rootModel           = queryEngine.getOperationContext().rootModel;
+      let softDeleteCondition = this.generateSoftDeleteCondition(rootModel, (options.softDeleteCondition === 'deleted'), options);
+      if (softDeleteCondition)
+        where = (where) ? `(${where}) AND ${softDeleteCondition}` : softDeleteCondition;
+    }
+
     if (where)
       sqlParts.push(`WHERE ${where}`);
 
@@ -1697,6 +2357,295 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     return sqlParts.join(' ');
   }
 
+  /// Generate a single common table expression
+  /// for a `WITH` clause, i.e. `"name" AS (SELECT ...)`.
+  ///
+  /// If the body of the common table expression is a query,
+  /// then it is generated as a sub-query, with its projection
+  /// generated without any column aliases, so that the columns
+  /// of the common table expression match the column names of
+  /// the model that the common table expression is bound to.
+  ///
+  /// Arguments:
+  ///   commonTableExpression: { name: string; Model: class Model; query: QueryEngine | Literal | string; recursive: boolean; columns?: Array<string>; }
+  ///     The common table expression to generate, as attached to the
+  ///     query by [SQLModelScope.WITH](https://github.com/th317erd/mythix-orm-sql-base/wiki/SQLModelScope#method-WITH).
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The common table expression, including its name, optional column list,
+  ///   and the body of the expression.
+  ///
+  /// See: SQLQueryGeneratorBase.generateWithClause
+  generateCommonTableExpression(commonTableExpression, options) {
+    let { name, query, columns } = commonTableExpression;
+    let body;
+
+    if (QueryEngine.isQuery(query)) {
+      body = this.generateSelectStatement(query, this.stackAssign(options, {
+        isSubQuery:            true,
+        subQueryOperator:      'WITH',
+        noProjectionAliases:   true,
+        includeRelations:      false,
+        returnFieldProjection: false,
+      }));
+    } else if (LiteralBase.isLiteral(query)) {
+      body = query.toString(this.connection, options);
+    } else {
+      body = query;
+    }
+
+    let escapedColumnNames = (Nife.isNotEmpty(columns)) ? ` (${columns.map((columnName) => this.escapeID(columnName)).join(',')})` : '';
+    return `${this.escapeID(name)}${escapedColumnNames} AS (${body})`;
+  }
+
+  /// Generate a leading `WITH` clause for a `SELECT`
+  /// statement, from all common table expressions attached
+  /// to the provided `queryEngine`.
+  ///
+  /// If any of the common table expressions are recursive,
+  /// then a `WITH RECURSIVE` clause will be generated.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine to pull common table expressions from.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   A `WITH` clause, or an empty string if no common table
+  ///   expressions are attached to the provided `queryEngine`.
+  ///
+  /// See: SQLQueryGeneratorBase.generateCommonTableExpression
+  generateWithClause(queryEngine, options) {
+    let commonTableExpressions = queryEngine.getOperationContext().commonTableExpressions;
+    if (Nife.isEmpty(commonTableExpressions))
+      return '';
+
+    let isRecursive = commonTableExpressions.some((commonTableExpression) => commonTableExpression.recursive);
+    let sqlParts    = commonTableExpressions.map((commonTableExpression) => this.generateCommonTableExpression(commonTableExpression, options));
+
+    return `WITH ${(isRecursive) ? 'RECURSIVE ' : ''}${sqlParts.join(',')}`;
+  }
+
+  /// Generate the set operations (i.e. `UNION SELECT ...`) attached
+  /// to the provided query via [SQLModelScope.UNION](https://github.com/th317erd/mythix-orm-sql-base/wiki/SQLModelScope#method-UNION),
+  /// [SQLModelScope.UNION_ALL](https://github.com/th317erd/mythix-orm-sql-base/wiki/SQLModelScope#method-UNION_ALL),
+  /// [SQLModelScope.INTERSECT](https://github.com/th317erd/mythix-orm-sql-base/wiki/SQLModelScope#method-INTERSECT), or
+  /// [SQLModelScope.EXCEPT](https://github.com/th317erd/mythix-orm-sql-base/wiki/SQLModelScope#method-EXCEPT).
+  ///
+  /// Each query of a set operation is generated without any `ORDER BY`,
+  /// `LIMIT`, or `OFFSET` clause, and must project the same number of
+  /// columns as the provided query.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query that the set operations are attached to.
+  ///   projectionFields: Map<string, string>
+  ///     The projected fields of the provided query, as returned by
+  ///     <see>SQLQueryGeneratorBase.getProjectedFields</see>.
+  ///   options?: object
+  ///     Options for the operation. These are passed through to
+  ///     <see>SQLQueryGeneratorBase.generateSelectStatement</see>
+  ///     for each query of the set operations.
+  ///
+  /// Return: string
+  ///   The set operations, i.e. `UNION SELECT ... EXCEPT SELECT ...`, or an empty
+  ///   string if no set operations are attached to the provided query.
+  generateSetOperations(queryEngine, projectionFields, options) {
+    let setOperations = queryEngine.getOperationContext().setOperations;
+    if (Nife.isEmpty(setOperations))
+      return '';
+
+    let columnCount = projectionFields.size;
+    let sqlParts    = [];
+
+    for (let i = 0, il = setOperations.length; i < il; i++) {
+      let { operator, query } = setOperations[i];
+      let result = this.generateSelectStatement(query, this.stackAssign(options, {
+        isSetOperationMember:  true,
+        includeRelations:      false,
+        returnFieldProjection: true,
+      }));
+
+      if (result.projectionFields.size !== columnCount)
+        throw new Error(`${this.constructor.name}::generateSetOperations: All queries of a set operation must project the same number of columns, but the "${operator}" query projects ${result.projectionFields.size} columns, and the root query projects ${columnCount} columns.`);
+
+      sqlParts.push(`${operator} ${result.sql}`);
+    }
+
+    return sqlParts.join(' ');
+  }
+
+  /// Generate an aggregate `SELECT` statement (i.e. `SELECT COUNT(*) ...`)
+  /// for a query that has set operations attached to it.
+  ///
+  /// The aggregate of a set operation must apply to the combined results,
+  /// so the full set operation is generated with <see>SQLQueryGeneratorBase.generateSelectStatement</see>,
+  /// and then wrapped as a derived table, i.e. `SELECT COUNT(*) FROM (... UNION ...) AS "set_operation"`.
+  ///
+  /// Note:
+  ///   The fields of the root query don't exist outside the derived table,
+  ///   so only a `COUNT(*)` (a <see>CountLiteral</see> without a field) can be
+  ///   generated for a set operation. An error will be thrown for any other literal.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query with set operations attached to it.
+  ///   literal: [CountLiteral](https://github.com/th317erd/mythix-orm/wiki/CountLiteral)
+  ///     The aggregate literal to generate.
+  ///   options?: object
+  ///     Options for the operation. These are passed through to
+  ///     <see>SQLQueryGeneratorBase.generateSelectStatement</see>.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   The aggregate `SELECT` statement. If the `bindParameters` option is `true`,
+  ///   then an object will be returned instead, containing the generated `sql`,
+  ///   and the `parameters` bound to it.
+  generateSetOperationAggregateStatement(queryEngine, literal, options) {
+    if (!Literals.CountLiteral.isLiteralType(literal) || literal.getField(this.connection))
+      throw new Error(`${this.constructor.name}::generateSetOperationAggregateStatement: Only "count" without a field is supported for queries with set operations.`);
+
+    let result  = this.generateSelectStatement(queryEngine, options);
+    let sql     = `SELECT ${literal.toString(this.connection)} FROM (${(result && result.sql) || result}) AS ${this.escapeID('set_operation')}`;
+
+    return (result && result.parameters) ? { sql, parameters: result.parameters } : sql;
+  }
+
+  /// Check if the `LIMIT` and `OFFSET` of a `SELECT` statement
+  /// should be applied to the root models of the query, instead of
+  /// to the rows produced by its table-joins.
+  ///
+  /// When a query joins one-to-many tables, each root model can be
+  /// repeated across many rows. A `LIMIT` applied to these rows can
+  /// return fewer root models than requested, and can split the related
+  /// models of a root model across pages. This is the case for any query
+  /// with table-joins and a `LIMIT` or `OFFSET`, unless the query is a sub-query,
+  /// is part of a set operation, is grouped, or its root model has no primary key.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query to check.
+  ///   options?: object
+  ///     Options for the operation. Set the `limitRootModels` option to `false` to
+  ///     always apply the `LIMIT` and `OFFSET` to the joined rows.
+  ///
+  /// Return: boolean
+  ///   Return `true` if the `LIMIT` and `OFFSET` should be applied to the root models.
+  ///
+  /// See: SQLQueryGeneratorBase.generateRootModelLimitJoin
+  shouldLimitRootModels(queryEngine, _options) {
+    let options = _options || {};
+    if (options.limitRootModels === false || options.isSubQuery || options.isSetOperation || options.isSetOperationMember)
+      return false;
+
+    let context = queryEngine.getOperationContext();
+    let {
+      limit,
+      offset,
+      groupBy,
+      setOperations,
+    } = context;
+
+    let hasLimit  = (Nife.instanceOf(limit, 'number') && isFinite(limit));
+    let hasOffset = (Nife.instanceOf(offset, 'number') && offset > 0);
+    if (!hasLimit && !hasOffset)
+      return false;
+
+    if ((groupBy && groupBy.size > 0) || Nife.isNotEmpty(setOperations))
+      return false;
+
+    if (!this.connection.isLimitSupportedInContext(options))
+      return false;
+
+    if (this.connection.getPrimaryKeyFields(context.rootModel).length === 0)
+      return false;
+
+    return (this.getSelectQueryJoinInfos(queryEngine, options).size > 0);
+  }
+
+  /// Generate a table-join against a derived table that selects
+  /// the primary keys of only the root models in the requested page.
+  ///
+  /// The derived table applies the conditions, table-joins, order, `LIMIT`
+  /// and `OFFSET` of the query, grouped by the primary key of the root model.
+  /// Joining against it limits the outer query to exactly the requested root
+  /// models, while still returning all their joined rows. Ordering by the
+  /// columns of a joined model orders each root model by its first joined
+  /// value in the requested direction, i.e. `ORDER BY MIN("roles"."name") ASC`
+  /// (see the `groupedModel` option of <see>SQLQueryGeneratorBase.generateOrderClause</see>).
+  /// For example: `INNER JOIN (SELECT "users"."id" FROM "users" INNER JOIN "roles" ON ... WHERE ... GROUP BY "users"."id" ORDER BY ... LIMIT 10 OFFSET 0) AS "_limited_users" ON "users"."id" = "_limited_users"."id"`.
+  ///
+  /// Arguments:
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query to limit.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The table-join to add to the `SELECT` statement.
+  ///
+  /// See: SQLQueryGeneratorBase.shouldLimitRootModels
+  generateRootModelLimitJoin(queryEngine, options) {
+    let rootModel         = queryEngine.getOperationContext().rootModel;
+    let pkFields          = this.connection.getPrimaryKeyFields(rootModel);
+    let escapedTableName  = this.getEscapedTableName(rootModel);
+    let escapedAlias      = this.getEscapedTableName(rootModel, { tableNamePrefix: '_limited_' });
+    let escapedPKColumns  = pkFields.map((field) => this.getEscapedColumnName(rootModel, field, options));
+    let sqlParts          = [];
+
+    sqlParts.push(`SELECT ${escapedPKColumns.join(',')}`);
+    sqlParts.push(this.generateFromTableOrTableJoin(rootModel, undefined, options));
+    sqlParts.push(this.generateSelectQueryJoinTables(queryEngine, options));
+
+    let { where } = this.generateWhereAndOrderLimitOffset(queryEngine, this.stackAssign(options, { separateWhereAndOrder: true, softDeleteCondition: true }));
+    if (where)
+      sqlParts.push(`WHERE ${where}`);
+
+    sqlParts.push(`GROUP BY ${escapedPKColumns.join(',')}`);
+    sqlParts.push(this.generateSelectOrderLimitOffset(queryEngine, this.stackAssign(options, { groupedModel: rootModel })));
+
+    let onParts = pkFields.map((field) => {
+      let escapedColumnName = this.getEscapedColumnName(rootModel, field, { columnNameOnly: true });
+      return `${escapedTableName}.${escapedColumnName} = ${escapedAlias}.${escapedColumnName}`;
+    });
+
+    return `INNER JOIN (${sqlParts.filter(Boolean).join(' ')}) AS ${escapedAlias} ON ${onParts.join(' AND ')}`;
+  }
+
+  /// Generate the condition that excludes soft-deleted rows
+  /// of a soft-delete model, i.e. `"comments"."deletedAt" IS NULL`.
+  ///
+  /// A model is a soft-delete model if it has a truthy `static softDelete`
+  /// property. See <see>SQLConnectionBase.getSoftDeleteField</see>.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model to generate the condition for.
+  ///   deleted: boolean
+  ///     If `true`, then generate a condition that only includes
+  ///     soft-deleted rows, i.e. `"comments"."deletedAt" IS NOT NULL`.
+  ///   options?: object
+  ///     Options for the operation. If the `withDeleted` option is `true`,
+  ///     then no condition is generated to exclude soft-deleted rows.
+  ///
+  /// Return: string
+  ///   The condition, or an empty string if the model isn't a soft-delete model,
+  ///   or if soft-deleted rows should be included.
+  generateSoftDeleteCondition(Model, deleted, _options) {
+    let options = _options || {};
+    if (!Model || (!deleted && options.withDeleted === true))
+      return '';
+
+    let field = this.connection.getSoftDeleteField(Model);
+    if (!field)
+      return '';
+
+    let escapedColumnName = this.getEscapedColumnName(Model, field, options);
+    return (deleted) ? `${escapedColumnName} IS NOT NULL` : `${escapedColumnName} IS NULL`;
+  }
+
   /// Generate a full `SELECT` statement using the provided
   /// `queryEngine`.
   ///
@@ -1718,13 +2667,20 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     the following options are available across all connections:
   ///     | Option | Type | Default Value | Description |
   ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `bindParameters` | `boolean` | `false` | If `true`, then values will be bound as parameters instead of being inlined into the generated SQL, and an object with the shape `{ sql, parameters }` will be returned. See <see>SQLQueryGeneratorBase.bindParameterValue</see>. |
   ///     | `includeRelations` | `boolean` | `false` | If `true`, then a `.PROJECT('*')` will be applied for you, including all tables used in the operation in the output. |
+  ///     | `isSetOperationMember` | `boolean` | `false` | Used internally by <see>SQLQueryGeneratorBase.generateSetOperations</see>. If `true`, then the `SELECT` statement is being generated as one of the queries of a set operation (i.e. `UNION`), and no `ORDER BY`, `LIMIT`, or `OFFSET` clause will be generated. |
   ///     | `isSubQuery` | `boolean` | `false` | Though often not used directly by the user, if this option is `true`, then it will alter how the `SELECT` statement is generated... for example, the `ORDER BY` clause might be skipped entirely, or the field projection might be altered. |
+  ///     | `keysetCursor` | `object` | `undefined` | The cursor (values of the last row of the previous batch) for a query using keyset pagination. See <see>SQLQueryGeneratorBase.generateKeysetCursorCondition</see>. |
+  ///     | `keysetPagination` | `boolean` | `false` | If `true`, then the primary key of the root model will be appended to the order of the query as a tie-breaker. See <see>SQLQueryGeneratorBase.getKeysetOrder</see>. |
+  ///     | `limitRootModels` | `boolean` | `true` | If `false`, then the `LIMIT` and `OFFSET` of a query with table-joins will be applied to the joined rows, instead of to the root models. See <see>SQLQueryGeneratorBase.shouldLimitRootModels</see>. |
   ///     | `returnFieldProjection` | `boolean` | `false` | If `true`, then return an object with the shape `{ sql, projectionFields }`, where `sql` is the `SELECT` statement, and `projectionFields` are the fields that were projected. |
+  ///     | `withDeleted` | `boolean` | `false` | If `true`, then include the soft-deleted rows of soft-delete models. See <see>SQLQueryGeneratorBase.generateSoftDeleteCondition</see>. |
   ///
-  /// Return: string
+  /// Return: string | { sql: string; parameters: Array<any>; }
   ///   A fully generated `SELECT` statement that can be used directly in the underlying database
-  ///   to query data.
+  ///   to query data. If the `bindParameters` option is `true`, then an object will be returned
+  ///   instead, containing the generated `sql`, and the `parameters` bound to it.
   generateSelectStatement(_queryEngine, _options) {
     let queryEngine = _queryEngine;
     if (!QueryEngine.isQuery(queryEngine))
@@ -1734,33 +2690,72 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (options.includeRelations === true)
       queryEngine = queryEngine.clone().PROJECT('*');
 
-    let rootModel = queryEngine.getOperationContext().rootModel;
+    let context   = queryEngine.getOperationContext();
+    let rootModel = context.rootModel;
     if (!rootModel)
       throw new Error(`${this.constructor.name}::generateSelectStatement: No root model found.`);
 
-    let sqlParts = [ 'SELECT' ];
+    let isSetOperationMember  = (options.isSetOperationMember === true);
+    let hasSetOperations      = Nife.isNotEmpty(context.setOperations);
+    let sqlParts              = [];
+    let parameters;
     let projectionFields;
 
+    if (isSetOperationMember && Nife.isNotEmpty(context.commonTableExpressions))
+      throw new Error(`${this.constructor.name}::generateSelectStatement: Common table expressions must be attached to the first query of a set operation.`);
+
     options.selectStatement = true;
 
+    // Don't leak the "member" state into sub-queries
+    options.isSetOperationMember = false;
+    options.isSetOperation = (isSetOperationMember || hasSetOperations);
+
+    if (options.bindParameters === true && !Array.isArray(options.parameters))
+      parameters = options.parameters = [];
+
+    // Common table expressions need to be generated
+    // first, so bound parameters are in the right order
+    sqlParts.push(this.generateWithClause(queryEngine, options));
+    sqlParts.push('SELECT');
+
     projectionFields = this.getProjectedFields(queryEngine, options, true);
     sqlParts.push(this.generateSelectQueryFieldProjection(queryEngine, options, projectionFields));
 
     sqlParts.push(this.generateFromTableOrTableJoin(rootModel, undefined, options));
     sqlParts.push(this.generateSelectQueryJoinTables(queryEngine, options));
-    let { where, orderLimitOffset } = this.generateWhereAndOrderLimitOffset(queryEngine, this.stackAssign(options, { projectionFields, separateWhereAndOrder: true }));
+
+    // The derived table comes before the WHERE
+    // clause, so bound parameters are in the right order
+    let limitRootModels = this.shouldLimitRootModels(queryEngine, options);
+    if (limitRootModels)
+      sqlParts.push(this.generateRootModelLimitJoin(queryEngine, options));
+
+    let { where, orderLimitOffset } = this.generateWhereAndOrderLimitOffset(queryEngine, this.stackAssign(options, { projectionFields, separateWhereAndOrder: true, limitClause: !limitRootModels, softDeleteCondition: true }));
+    if (options.keysetCursor && !options.isSubQuery) {
+      let cursorCondition = this.generateKeysetCursorCondition(queryEngine, options.keysetCursor, options);
+      if (cursorCondition)
+        where = (where) ? `(${where}) AND ${cursorCondition}` : cursorCondition;
+    }
+
     if (where)
       sqlParts.push(`WHERE ${where}`);
 
     sqlParts.push(this.generateGroupByAndHavingClause(queryEngine, options));
 
-    if (orderLimitOffset)
+    if (hasSetOperations)
+      sqlParts.push(this.generateSetOperations(queryEngine, projectionFields, options));
+
+    // The order, limit, and offset of a set
+    // operation only apply to the combined results
+    if (orderLimitOffset && !isSetOperationMember)
       sqlParts.push(orderLimitOffset);
 
     let sql = sqlParts.filter(Boolean).join(' ');
 
     if (options.returnFieldProjection === true)
-      return { sql, projectionFields };
+      return (parameters) ? { sql, projectionFields, parameters } : { sql, projectionFields };
+    else if (parameters)
+      return { sql, parameters };
     else
       return sql;
   }
@@ -1860,6 +2855,166 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       return `${defaultValue}`;
   }
 
+  /// Get all index definitions for a field, using
+  /// the `index` property of the field.
+  ///
+  /// This is an extended version of [QueryGeneratorBase.getIndexFieldsFromFieldIndex](https://github.com/th317erd/mythix-orm/wiki/QueryGeneratorBase),
+  /// that also supports index definition objects. Each entry of `field.index` can be:
+  ///   1. `true`, meaning "index this field"
+  ///   2. A field name, or an array of field names, meaning "index this field combined with the fields specified"
+  ///   3. An index definition object (see <see>SQLQueryGeneratorBase.normalizeIndexDefinition</see>),
+  ///      whose `columns` are indexed after this field. The field itself can be given a `direction`, or
+  ///      be replaced by an `expression`, using the properties of the same name on the definition.
+  ///
+  /// Example:
+  ///   class User extends Model {
+  ///     static fields = {
+  ///       ...
+  ///       'email': {
+  ///         type:  Types.STRING(256),
+  ///         index: [
+  ///           { expression: 'LOWER("email")', unique: true },
+  ///           { direction: 'DESC', columns: [ 'createdAt' ], where: (query) => query.deletedAt.EQ(null) },
+  ///         ],
+  ///       },
+  ///     };
+  ///   }
+  ///
+  /// Arguments:
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The field to get index definitions for.
+  ///
+  /// Return: Array<Array<string> | object>
+  ///   An array of index definitions, each of which can be passed to
+  ///   <see>SQLQueryGeneratorBase.generateCreateIndexStatement</see>. An
+  ///   empty array is returned if the field has no indexes.
+  getIndexDefinitionsFromField(field) {
+    let indexes = Nife.toArray(field.index).filter((index) => {
+      if (index === true)
+        return true;
+
+      return (Nife.instanceOf(index, 'string', 'array', 'object') && Nife.isNotEmpty(index));
+    });
+
+    return indexes.map((index) => {
+      if (index === true)
+        return [ field.fieldName ];
+
+      if (!Nife.instanceOf(index, 'object'))
+        return [ field.fieldName ].concat(index);
+
+      let column = (index.expression) ? { expression: index.expression } : { field: field.fieldName };
+      if (index.direction)
+        column.direction = index.direction;
+
+      return {
+        ...index,
+        columns: [ column ].concat(Nife.toArray(index.columns)),
+      };
+    });
+  }
+
+  /// Normalize an index definition.
+  ///
+  /// An index definition can be a single column, an array of columns,
+  /// or an object with the following properties:
+  /// | Property | Type | Description |
+  /// | -------- | ---- | ----------- |
+  /// | `columns` | `Array<column>` | The columns to index (see below). |
+  /// | `unique` | `boolean` | If `true`, then create a `UNIQUE` index. |
+  /// | `where` | `QueryEngine \| Literal \| string \| Function` | A condition for a partial index. If a function, it is called with an unscoped query engine for the model, and should return a query engine. |
+  /// | `name` | `string` | The name of the index. If not provided, the name is generated by <see>SQLQueryGeneratorBase.generateIndexName</see>. |
+  ///
+  /// Each column can be a field name, a literal (an expression), or an object
+  /// with a `field` (a field name) or `expression` (a string or literal) property,
+  /// and an optional `direction` property (`'ASC'` or `'DESC'`).
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that owns the index.
+  ///   indexDefinition: string | Literal | object | Array<string \| Literal \| object>
+  ///     The index definition to normalize.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: object | undefined
+  ///   A normalized index definition, with the shape `{ columns: Array<{ field?: Field; expression?: string; direction?: string; }>; unique: boolean; where?: any; name?: string; }`,
+  ///   or `undefined` if the definition contains no valid columns.
+  normalizeIndexDefinition(Model, indexDefinition, options) {
+    let definition = (Nife.instanceOf(indexDefinition, 'object') && Object.prototype.hasOwnProperty.call(indexDefinition, 'columns')) ? indexDefinition : { columns: indexDefinition };
+    let columns    = Nife.toArray(definition.columns).filter((column) => {
+      if (LiteralBase.isLiteral(column))
+        return true;
+
+      return (Nife.instanceOf(column, 'string', 'object') && Nife.isNotEmpty(column));
+    }).map((_column) => {
+      let column = _column;
+      if (LiteralBase.isLiteral(column))
+        column = { expression: column };
+      else if (Nife.instanceOf(column, 'string'))
+        column = { field: column };
+
+      let direction = (column.direction) ? ('' + column.direction).toUpperCase() : undefined;
+      if (direction && direction !== 'ASC' && direction !== 'DESC')
+        throw new TypeError(`${this.constructor.name}::normalizeIndexDefinition: Invalid index direction "${column.direction}". Direction must be "ASC" or "DESC".`);
+
+      if (column.expression) {
+        let expression = (LiteralBase.isLiteral(column.expression)) ? column.expression.toString(this.connection, options) : ('' + column.expression);
+        return { expression, direction };
+      }
+
+      let field = (Field.isField(column.field)) ? column.field : Model.getField(column.field);
+      if (!field)
+        throw new Error(`${this.constructor.name}::normalizeIndexDefinition: Unable to find field named "${column.field}".`);
+
+      return { field, direction };
+    });
+
+    if (columns.length === 0)
+      return;
+
+    return {
+      columns,
+      unique: (definition.unique === true),
+      where:  definition.where,
+      name:   definition.name,
+    };
+  }
+
+  /// Generate the condition of a partial index
+  /// (the part after `WHERE` in a `CREATE INDEX` statement).
+  ///
+  /// Column names in the condition are not prefixed with the
+  /// table name.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that owns the index.
+  ///   where: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal) | string | Function
+  ///     The condition of the partial index. If a function, it is called with an
+  ///     unscoped query engine for the `Model`, and should return a query engine.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The SQL condition, or an empty string if `where` is empty.
+  generateIndexWhereCondition(Model, _where, options) {
+    let where = _where;
+    if (typeof where === 'function')
+      where = where(Model.getUnscopedQueryEngine(this.connection));
+
+    if (!where)
+      return '';
+
+    if (LiteralBase.isLiteral(where))
+      return where.toString(this.connection, options);
+
+    if (QueryEngine.isQuery(where))
+      return this.generateSelectWhereConditions(where, { ...(options || {}), columnNameOnly: true });
+
+    return ('' + where);
+  }
+
   /// Generate an index name for creating an index on
   /// one or more columns.
   ///
@@ -1876,41 +3031,54 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     the model that owns all fields to be indexed. It isn't possible to index
   ///     columns across different tables, so the fields provided must all be from
   ///     this same `Model`.
-  ///   indexFieldNames: Array<string>
+  ///   indexFieldNames: Array<string> | object
   ///     The field names that will be used to create the single or combo index. A
   ///     single field name will generate an index name for a single column, whereas
   ///     more than one field name will generate an index name for a combo-index that
   ///     indexes all columns requested. These can be fully qualified field names, but
   ///     they don't have to be, since the owning `Model` is already known. If fully qualified
   ///     field names are used, then the model name for each field must match the `Model`
-  ///     provided (making it pointless to use fully qualified field names).
+  ///     provided (making it pointless to use fully qualified field names). This can also
+  ///     be an index definition. See <see>SQLQueryGeneratorBase.normalizeIndexDefinition</see>.
   ///   options?: object
-  ///     Options for the operation. These are not used by this method, and instead are
-  ///     just provided for the user--should they overload this method and need the options.
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `escape` | `boolean` | `true` | If `false`, then return the index name without escaping it. |
   ///
   /// Return: string
   ///   Return an index name, in the format `'idx_tableName_column1_column2_column3_...'`. If
   ///   the `indexFieldNames` provided is empty--or result in an empty set of field names after
   ///   filtering out invalid field names--then an empty string will be returned instead.
-  // eslint-disable-next-line no-unused-vars
-  generateIndexName(Model, _indexFieldNames, options) {
-    let indexFieldNames = Nife.toArray(_indexFieldNames).filter((index) => {
-      return (Nife.instanceOf(index, 'string') && Nife.isNotEmpty(index));
-    });
-
-    if (indexFieldNames.length === 0)
+  ///   Unique indexes are prefixed with `uidx_` instead of `idx_`. Descending columns are
+  ///   suffixed with `_desc`, expressions are reduced to their word characters, and partial
+  ///   indexes are suffixed with `_where_` followed by a short hash of their condition.
+  ///   If the index definition has a `name`, then it is used as-is.
+  generateIndexName(Model, _indexFieldNames, _options) {
+    let options     = _options || {};
+    let definition  = this.normalizeIndexDefinition(Model, _indexFieldNames, options);
+    if (!definition)
       return '';
 
-    let tableName   = Model.getTableName(this.connection);
-    let columnNames = indexFieldNames.map((fieldName) => {
-      let field = Model.getField(fieldName);
-      if (!field)
-        throw new Error(`${this.constructor.name}::generateIndexName: Unable to find field named "${fieldName}".`);
+    const escape = (name) => ((options.escape === false) ? name : this.escapeID(name));
 
-      return field.columnName;
-    });
+    if (Nife.isNotEmpty(definition.name))
+      return escape(definition.name);
+
+    let tableName = Model.getTableName(this.connection);
+    let nameParts = definition.columns.map(({ field, expression, direction }) => {
+      let namePart = (field) ? field.columnName : expression.replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+      if (direction === 'DESC')
+        namePart = `${namePart}_desc`;
+
+      return namePart;
+    }).sort();
+
+    let whereCondition = this.generateIndexWhereCondition(Model, definition.where, options);
+    if (whereCondition)
+      nameParts.push(`where_${createHash('sha1').update(whereCondition).digest('hex').substring(0, INDEX_WHERE_HASH_LENGTH)}`);
 
-    return this.escapeID(`idx_${tableName}_${columnNames.sort().join('_')}`);
+    return escape(`${(definition.unique) ? 'uidx' : 'idx'}_${tableName}_${nameParts.join('_')}`);
   }
 
   /// Generate a `CREATE INDEX` statement.
@@ -1922,6 +3090,18 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   /// a `CREATE INDEX` statement for a combo-index (indexing across more
   /// than one column at once) will be generated instead.
   ///
+  /// An index definition can be provided instead of field names, to
+  /// create `UNIQUE`, partial (`WHERE`), or expression indexes, or to
+  /// specify a direction (`ASC` or `DESC`) per column.
+  ///
+  /// Example:
+  ///   connection.getQueryGenerator().generateCreateIndexStatement(User, {
+  ///     columns: [ { expression: 'LOWER("email")' }, { field: 'createdAt', direction: 'DESC' } ],
+  ///     unique:  true,
+  ///     where:   (query) => query.deletedAt.EQ(null),
+  ///   });
+  ///   // CREATE UNIQUE INDEX "uidx_users_LOWER_email_createdAt_desc_where_..." ON "users" (LOWER("email"),"createdAt" DESC) WHERE "deletedAt" IS NULL
+  ///
   /// Arguments:
   ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
   ///     The model to use for the table to index on. This model should also be
@@ -1935,7 +3115,8 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     indexes all columns requested. These can be fully qualified field names, but
   ///     they don't have to be, since the owning `Model` is already known. If fully qualified
   ///     field names are used, then the model name for each field must match the `Model`
-  ///     provided (making it pointless to use fully qualified field names).
+  ///     provided (making it pointless to use fully qualified field names). This can also
+  ///     be an index definition. See <see>SQLQueryGeneratorBase.normalizeIndexDefinition</see>.
   ///   options?: object
   ///     Options for the operation.
   ///     | Option | Type | Default Value | Description |
@@ -1947,18 +3128,12 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   Return a fully formatted `CREATE INDEX` statement for the fields (columns)
   ///   requested. An empty string will be returned if `indexFieldNames` is empty,
   ///   or contains no valid field names.
-  generateCreateIndexStatement(Model, _indexFieldNames, _options) {
-    let indexFieldNames = Nife.toArray(_indexFieldNames).filter((fieldName) => {
-      if (Nife.isEmpty(fieldName))
-        return false;
-
-      return Nife.instanceOf(fieldName, 'string');
-    });
-
-    if (Nife.isEmpty(indexFieldNames))
+  generateCreateIndexStatement(Model, indexFieldNames, _options) {
+    let options     = _options || {};
+    let definition  = this.normalizeIndexDefinition(Model, indexFieldNames, options);
+    if (!definition)
       return '';
 
-    let options           = _options || {};
     let escapedTableName  = this.getEscapedTableName(Model, options);
     let flags             = [];
 
@@ -1970,16 +3145,16 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
 
     flags = flags.join(' ');
 
-    let indexName           = this.generateIndexName(Model, indexFieldNames, options);
-    let escapedColumnNames  = indexFieldNames.map((fieldName) => {
-      let thisField = Model.getField(fieldName);
-      if (!thisField)
-        throw new Error(`${this.constructor.name}::generateCreateIndexStatement: Unable to find field named "${fieldName}".`);
-
-      return this.getEscapedColumnName(Model, thisField, { ...options, columnNameOnly: true });
+    let indexName           = this.generateIndexName(Model, definition, { ...options, escape: true });
+    let escapedColumnNames  = definition.columns.map(({ field, expression, direction }) => {
+      let column = (field) ? this.getEscapedColumnName(Model, field, { ...options, columnNameOnly: true }) : expression;
+      return (direction) ? `${column} ${direction}` : column;
     });
 
-    return `CREATE INDEX${(flags) ? ` ${flags}` : ''} ${indexName} ON ${escapedTableName} (${escapedColumnNames.join(',')})`;
+    let whereCondition = this.generateIndexWhereCondition(Model, definition.where, options);
+    whereCondition = (whereCondition) ? ` WHERE ${whereCondition}` : '';
+
+    return `CREATE ${(definition.unique) ? 'UNIQUE ' : ''}INDEX${(flags) ? ` ${flags}` : ''} ${indexName} ON ${escapedTableName} (${escapedColumnNames.join(',')})${whereCondition}`;
   }
 
   /// Generate a `DROP INDEX` statement.
@@ -2002,7 +3177,8 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     indexes all columns requested. These can be fully qualified field names, but
   ///     they don't have to be, since the owning `Model` is already known. If fully qualified
   ///     field names are used, then the model name for each field must match the `Model`
-  ///     provided (making it pointless to use fully qualified field names).
+  ///     provided (making it pointless to use fully qualified field names). This can also
+  ///     be an index definition. See <see>SQLQueryGeneratorBase.normalizeIndexDefinition</see>.
   ///   options?: object
   ///     Options for the operation.
   ///     | Option | Type | Default Value | Description |
@@ -2010,27 +3186,34 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     | `concurrently` | `boolean` | `false` | If `true`, then add a `CONCURRENTLY` clause to the `DROP INDEX` statement (if the database supports it). |
   ///     | `ifExists` | `boolean` | `false` | If `true`, then add an `IF EXISTS` clause to the `DROP INDEX` statement. |
   ///     | `cascade` | `boolean` | `true` | If `true`, then add a `CASCADE` clause to the `DROP INDEX` statement (if the database supports it). |
+  ///     | `indexName` | `string` | `undefined` | If provided, then drop the index with this name, instead of generating the index name from `indexFieldNames`. |
   ///
   /// Return: string
   ///   Return a fully formatted `DROP INDEX` statement for the fields (columns)
-  ///   requested. An empty string will be returned if `indexFieldNames` is empty,
-  ///   or contains no valid field names. <see>SQLQueryGeneratorBase.generateIndexName</see> is called
-  ///   with the provided `indexFieldNames` to generate the name of the index that should
-  ///   be dropped.
+  ///   requested. If the `indexName` option is provided, then the index with that
+  ///   name is dropped, and `indexFieldNames` isn't used. Otherwise,
+  ///   <see>SQLQueryGeneratorBase.generateIndexName</see> is called with the provided
+  ///   `indexFieldNames` to generate the name of the index that should be dropped, and
+  ///   an empty string will be returned if `indexFieldNames` is empty, or contains no
+  ///   valid field names.
   ///
   /// See: SQLQueryGeneratorBase.generateIndexName
-  generateDropIndexStatement(Model, _indexFieldNames, _options) {
-    let indexFieldNames = Nife.toArray(_indexFieldNames).filter((fieldName) => {
-      if (Nife.isEmpty(fieldName))
-        return false;
+  generateDropIndexStatement(Model, indexFieldNames, _options) {
+    let options = _options || {};
+    let indexName;
 
-      return Nife.instanceOf(fieldName, 'string');
-    });
+    // Fields of an explicitly named index might no
+    // longer exist, so they aren't resolved
+    if (Nife.isNotEmpty(options.indexName)) {
+      indexName = this.escapeID(options.indexName);
+    } else {
+      let definition = this.normalizeIndexDefinition(Model, indexFieldNames, options);
+      if (!definition)
+        return '';
 
-    if (Nife.isEmpty(indexFieldNames))
-      return '';
+      indexName = this.generateIndexName(Model, definition, { ...options, escape: true });
+    }
 
-    let options   = _options || {};
     let flags     = [];
     let postFlags = [];
 
@@ -2048,7 +3231,6 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     flags = flags.join(' ');
     postFlags = postFlags.join(' ');
 
-    let indexName = this.generateIndexName(Model, indexFieldNames, options);
     return `DROP INDEX${(flags) ? ` ${flags}` : ''} ${indexName}${(postFlags) ? ` ${postFlags}` : ''}`;
   }
 
@@ -2060,6 +3242,7 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   /// that defines the indexes to be created for the field. A `true` value is short for
   /// "index this field". Other field names in the `index` array mean
   /// "index this field combined with the fields specified, creating a combined index".
+  /// Index definition objects are also supported (see <see>SQLQueryGeneratorBase.getIndexDefinitionsFromField</see>).
   ///
   /// This method will turn the `index` property on the provided `field` into one or more `CREATE INDEX`
   /// statements. If the `index` property on the `field` is falsy, or empty, then an empty array
@@ -2078,10 +3261,10 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   Return an array of `CREATE INDEX` statements. If the `index` property on the provided
   ///   `field` is falsy or empty, then an empty array will be returned instead.
   generateColumnIndexes(Model, field, options) {
-    let indexes = this.getIndexFieldsFromFieldIndex(field);
+    let indexes = this.getIndexDefinitionsFromField(field);
 
-    return indexes.map((fieldIndexNames) => {
-      return this.generateCreateIndexStatement(Model, fieldIndexNames, options);
+    return indexes.map((indexDefinition) => {
+      return this.generateCreateIndexStatement(Model, indexDefinition, options);
     });
   }
 
@@ -2112,12 +3295,33 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     return `DROP TABLE ${flags} ${escapedTableName}${(options.cascade !== false) ? ' CASCADE' : ''}`;
   }
 
+  /// Generate a name for a foreign key constraint.
+  ///
+  /// Foreign key constraints are always named, so that they can
+  /// later be dropped again by an `ALTER TABLE` statement. The name
+  /// generated is in the format `fk_{tableName}_{columnName}`.
+  ///
+  /// Arguments:
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The foreign key field that the constraint is for.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The escaped name of the foreign key constraint, i.e. `"fk_users_primaryRoleID"`.
+  // eslint-disable-next-line no-unused-vars
+  generateForeignKeyConstraintName(field, options) {
+    let tableName = field.Model.getTableName(this.connection);
+    return this.escapeID(`fk_${tableName}_${field.columnName}`);
+  }
+
   /// Generate foreign key constraints for a column
   /// in a `CREATE TABLE` statement.
   ///
   /// This method will generate database specific syntax
   /// for foreign key constraints to apply to a column
-  /// in a `CREATE TABLE` statement.
+  /// in a `CREATE TABLE` statement. The constraint is named
+  /// using <see>SQLQueryGeneratorBase.generateForeignKeyConstraintName</see>.
   ///
   /// Arguments:
   ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
@@ -2135,14 +3339,16 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   A database specific string for defining foreign key constraints for a column.
   ///   Any `ON DELETE` or `ON UPDATE` clauses will be generated from the `onDelete`
   ///   and `onUpdate` properties set on the [ForeignKeyType](https://github.com/th317erd/mythix-orm/wiki/ForeignKeyType)
-  ///   `type` for the field.
+  ///   `type` for the field. i.e. `CONSTRAINT "fk_users_primaryRoleID" FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL`.
   generateForeignKeyConstraint(field, type, options) {
     let typeOptions = type.getOptions();
     let targetModel = type.getTargetModel(this.connection);
     let targetField = type.getTargetField(this.connection);
 
     let sqlParts = [
-      'FOREIGN KEY(',
+      'CONSTRAINT ',
+      this.generateForeignKeyConstraintName(field, options),
+      ' FOREIGN KEY(',
       this.getEscapedColumnName(field.Model, field, { ...(options || {}), columnNameOnly: true }),
       ') REFERENCES ',
       this.getEscapedTableName(targetModel, options),
@@ -2151,11 +3357,6 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       ')',
     ];
 
-    if (typeOptions.deferred === true) {
-      sqlParts.push(' ');
-      sqlParts.push('DEFERRABLE INITIALLY DEFERRED');
-    }
-
     if (typeOptions.onDelete) {
       sqlParts.push(' ');
       sqlParts.push(`ON DELETE ${typeOptions.onDelete.toUpperCase()}`);
@@ -2166,9 +3367,146 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       sqlParts.push(`ON UPDATE ${typeOptions.onUpdate.toUpperCase()}`);
     }
 
+    // The deferrable clause must follow the referential actions
+    if (typeOptions.deferred === true) {
+      sqlParts.push(' ');
+      sqlParts.push('DEFERRABLE INITIALLY DEFERRED');
+    }
+
     return sqlParts.join('');
   }
 
+  /// Generate a name for a `CHECK` constraint.
+  ///
+  /// `CHECK` constraints are always named, so that they can later
+  /// be dropped again by an `ALTER TABLE` statement. The name
+  /// generated is in the format `ck_{tableName}_{name}`.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table the constraint is for.
+  ///   name: string
+  ///     The name of the check. For field checks this is the column name
+  ///     of the field. For model checks this is the key used in the model's
+  ///     `static checks` object.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The escaped name of the `CHECK` constraint, i.e. `"ck_users_age"`.
+  // eslint-disable-next-line no-unused-vars
+  generateCheckConstraintName(Model, name, options) {
+    let tableName = Model.getTableName(this.connection);
+    return this.escapeID(`ck_${tableName}_${name}`);
+  }
+
+  /// Generate the condition (the expression inside `CHECK (...)`)
+  /// of a `CHECK` constraint.
+  ///
+  /// A check definition can be a string or a literal, which is used as raw SQL,
+  /// or--when a `field` is provided--an object with any of the following properties:
+  /// | Property | Type | Description |
+  /// | -------- | ---- | ----------- |
+  /// | `min` | `any` | The column must be greater than or equal to this value. |
+  /// | `max` | `any` | The column must be less than or equal to this value. |
+  /// | `in` | `Array<any>` | The column must be one of these values. |
+  ///
+  /// An array of check definitions can also be provided, in which case
+  /// all of them must pass (they are joined with `AND`).
+  ///
+  /// Example:
+  ///   class Product extends Model {
+  ///     static fields = {
+  ///       ...
+  ///       'price': {
+  ///         type:  Types.INTEGER,
+  ///         check: { min: 0 },
+  ///       },
+  ///       'status': {
+  ///         type:  Types.STRING(16),
+  ///         check: { in: [ 'draft', 'published' ] },
+  ///       },
+  ///     };
+  ///   }
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table the constraint is for.
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | null
+  ///     The field the check is for, or `null` for a model (multi-column) check.
+  ///   check: string | [Literal](https://github.com/th317erd/mythix-orm/wiki/Literal) | object | Array<string \| Literal \| object>
+  ///     The check definition(s).
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   The SQL condition for the check, or an empty string if there is nothing to check.
+  generateCheckCondition(Model, field, _check, _options) {
+    let options = _options || {};
+    let checks  = Nife.toArray(_check).filter((check) => (check != null && check !== false && check !== ''));
+    let parts   = [];
+
+    for (let i = 0, il = checks.length; i < il; i++) {
+      let check = checks[i];
+
+      if (LiteralBase.isLiteral(check)) {
+        parts.push({ sql: check.toString(this.connection, options), raw: true });
+        continue;
+      }
+
+      if (Nife.instanceOf(check, 'string')) {
+        parts.push({ sql: check, raw: true });
+        continue;
+      }
+
+      if (!field || !Nife.instanceOf(check, 'object'))
+        throw new TypeError(`${this.constructor.name}::generateCheckCondition: Invalid check definition. Checks must be a string, a literal, or (for fields) an object with "min", "max", or "in" properties.`);
+
+      let escapedColumnName = this.getEscapedColumnName(Model, field, { ...options, columnNameOnly: true });
+
+      if (check.min != null)
+        parts.push({ sql: `${escapedColumnName} >= ${this.escape(field, check.min)}` });
+
+      if (check.max != null)
+        parts.push({ sql: `${escapedColumnName} <= ${this.escape(field, check.max)}` });
+
+      if (check.in != null) {
+        let values = Nife.toArray(check.in);
+        if (values.length === 0)
+          throw new TypeError(`${this.constructor.name}::generateCheckCondition: "in" check on field "${field.fieldName}" must not be empty.`);
+
+        parts.push({ sql: `${escapedColumnName} IN (${values.map((value) => this.escape(field, value)).join(',')})` });
+      }
+    }
+
+    if (parts.length === 1)
+      return parts[0].sql;
+
+    return parts.map(({ sql, raw }) => ((raw) ? `(${sql})` : sql)).join(' AND ');
+  }
+
+  /// Generate a named `CHECK` constraint, for use in a
+  /// `CREATE TABLE` or `ALTER TABLE` statement.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table the constraint is for.
+  ///   name: string
+  ///     The name of the check. See <see>SQLQueryGeneratorBase.generateCheckConstraintName</see>.
+  ///   condition: string
+  ///     The condition of the check, as returned by <see>SQLQueryGeneratorBase.generateCheckCondition</see>.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   A `CONSTRAINT "ck_..." CHECK (...)` clause, or an empty string if `condition` is empty.
+  generateCheckConstraint(Model, name, condition, options) {
+    if (Nife.isEmpty(condition))
+      return '';
+
+    return `CONSTRAINT ${this.generateCheckConstraintName(Model, name, options)} CHECK (${condition})`;
+  }
+
   /// Generate an "inner tail" for a `CREATE TABLE`
   /// statement.
   ///
@@ -2201,10 +3539,20 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   is returned by this method, which will be added to the `CREATE TABLE`
   ///   statement (inside its parenthesis).
   ///
+  /// Note:
+  ///   Multi-column `CHECK` constraints are defined by the `static checks` property
+  ///   of the model, which is an object where each key is the name of the check, and
+  ///   each value is a check definition (a string or a literal). See <see>SQLQueryGeneratorBase.generateCheckCondition</see>.
+  ///
   /// See: SQLQueryGeneratorBase.generateForeignKeyConstraint
-  // eslint-disable-next-line no-unused-vars
+  ///
+  /// See: SQLQueryGeneratorBase.generateCheckConstraint
   generateCreateTableStatementInnerTail(Model, options) {
-    let fieldParts = [];
+    let fieldParts  = [];
+    let pkFields    = this.connection.getPrimaryKeyFields(Model);
+
+    if (pkFields.length > 1)
+      fieldParts.push(`PRIMARY KEY (${pkFields.map((field) => this.getEscapedColumnName(Model, field, { columnNameOnly: true })).join(',')})`);
 
     Model.iterateFields(({ field }) => {
       if (field.type.isVirtual())
@@ -2219,6 +3567,18 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       }
     });
 
+    let checks      = Model.checks || {};
+    let checkNames  = Object.keys(checks);
+
+    for (let i = 0, il = checkNames.length; i < il; i++) {
+      let checkName = checkNames[i];
+      let condition = this.generateCheckCondition(Model, null, checks[checkName], options);
+      let result    = this.generateCheckConstraint(Model, checkName, condition, options);
+
+      if (result)
+        fieldParts.push(result);
+    }
+
     return fieldParts;
   }
 
@@ -2240,7 +3600,8 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///
   /// This is often database specific, and by default will be
   /// used to generate any `CREATE INDEX` statements for columns
-  /// that have indexes.
+  /// that have indexes, and for any index definitions in the
+  /// `static indexes` array of the model (see <see>SQLQueryGeneratorBase.normalizeIndexDefinition</see>).
   ///
   /// Arguments:
   ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
@@ -2274,7 +3635,11 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       fieldParts = fieldParts.concat(result);
     });
 
-    return Nife.uniq(fieldParts);
+    let modelIndexes = Nife.toArray(Model.indexes);
+    for (let i = 0, il = modelIndexes.length; i < il; i++)
+      fieldParts.push(this.generateCreateIndexStatement(Model, modelIndexes[i], { ...options, ifNotExists: true }));
+
+    return Nife.uniq(fieldParts.filter(Boolean));
   }
 
   /// Generate a column definition for use inside a `CREATE TABLE`
@@ -2298,12 +3663,20 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   /// Return: string
   ///   A fully formatted "column definition" statement, for use in
   ///   a `CREATE TABLE` or `ALTER TABLE` statement. i.e. `"id" BIGINT PRIMARY KEY AUTOINCREMENT`.
+  ///
+  /// Note:
+  ///   If the field defines a `check` property, then a named `CHECK` constraint
+  ///   will be added to the column definition. See <see>SQLQueryGeneratorBase.generateCheckCondition</see>.
   generateColumnDeclarationStatement(Model, field, _options) {
     let options         = _options || {};
     let constraintParts = [];
     let defaultValue    = this.getFieldDefaultValue(field, field.fieldName, { remoteOnly: true });
 
-    if (field.primaryKey) {
+    // Composite primary keys are declared as a table
+    // constraint by generateCreateTableStatementInnerTail
+    if (field.primaryKey && this.connection.getPrimaryKeyFields(Model).length > 1) {
+      constraintParts.push('NOT NULL');
+    } else if (field.primaryKey) {
       if (LiteralBase.isLiteral(field.primaryKey))
         constraintParts.push(field.primaryKey.toString(this.connection));
       else
@@ -2326,6 +3699,10 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (defaultValue != null && defaultValue !== '' && !(defaultValue === 'AUTOINCREMENT' && options.noAutoIncrementDefault === true))
       constraintParts.push(defaultValue);
 
+    let checkCondition = this.generateCheckCondition(Model, field, field.check, options);
+    if (checkCondition)
+      constraintParts.push(this.generateCheckConstraint(Model, field.columnName, checkCondition, options));
+
     constraintParts = constraintParts.join(' ');
     if (Nife.isNotEmpty(constraintParts))
       constraintParts = ` ${constraintParts}`;
@@ -2445,7 +3822,7 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
         if (LiteralBase.isLiteral(fieldValue))
           fieldValue = fieldValue.toString(this.connection);
         else
-          fieldValue = this.escape(field, fieldValue);
+          fieldValue = this.bindParameterValue(field, fieldValue, options);
 
         sqlParts.push(fieldValue);
       },
@@ -2551,12 +3928,16 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     An array of model instances, or a single model instance. These are the models
   ///     that are being inserted into the database.
   ///   options: object
-  ///     Options for the operation.
+  ///     Options for the operation. If the `bindParameters` option is `true`,
+  ///     then all values will be bound as parameters, instead of being inlined
+  ///     into the generated SQL.
   ///
-  /// Return: string
+  /// Return: string | { sql: string; parameters: Array<any>; }
   ///   If all models are clean, or no model instances are provided,
   ///   then an empty string will be returned. Otherwise, a fully
-  ///   formatted `INSERT` statement will be returned.
+  ///   formatted `INSERT` statement will be returned. If the `bindParameters`
+  ///   option is `true`, then an object containing the generated `sql`, and the
+  ///   `parameters` bound to it will be returned instead.
   generateInsertStatement(Model, _models, _options) {
     let options                 = _options || {};
     let preparedModels          = this.connection.prepareAllModelsForOperation(Model, _models, options);
@@ -2564,12 +3945,13 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (Nife.isEmpty(models) || Nife.isEmpty(dirtyFields))
       return '';
 
+    let parameters  = (options.bindParameters === true && !Array.isArray(options.parameters)) ? [] : undefined;
     let subOptions  = this.stackAssign(options, {
       asColumn:       true,
       columnNameOnly: true,
       fields:         dirtyFields,
       dirtyFields,
-    });
+    }, (parameters) ? { parameters } : null);
 
     let { values, modelChanges } = this.generateInsertValuesFromModels(Model, preparedModels, subOptions);
     if (!values)
@@ -2589,145 +3971,500 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       },
     );
 
-    if (insertStatementTail)
-      return `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values} ${insertStatementTail}`;
+    let sql = (insertStatementTail)
+      ? `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values} ${insertStatementTail}`
+      : `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values}`;
 
-    return `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values}`;
+    return (parameters) ? { sql, parameters } : sql;
   }
 
-  /// Generate a "tail" for an `UPDATE` statement.
-  ///
-  /// This method is provided to allow the connection
-  /// itself for any given database to "tack on extra" to
-  /// an `UPDATE` statement. This is commonly used by databases
-  /// to add on a `RETURNING` clause to the `UPDATE` statement.
-  /// However, its primary purpose is just to allow the engine
-  /// (or the user via overloading) to add on any "extra" to
-  /// an `UPDATE` statement.
+  /// Resolve a positive integer limit option for an `INSERT` operation.
+  /// The limit is first looked for on the provided `options`, and
+  /// if not found there, then on the connection options.
   ///
   /// Arguments:
-  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
-  ///     The model class of all `models` being updated.
-  ///   model: object | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
-  ///     The model instance being updated. Bulk-updates aren't really supported
-  ///     well by any SQL database, so Mythix ORM takes the long route and
-  ///     updates model instances one-by-one. If `queryEngine` is a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance,
-  ///     then this should be a raw object listing the attributes (field names and values)
-  ///     that should be applied across all matching rows.
-  ///   queryEngine: null | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
-  ///     The query engine used for the update statement--if any. Updates have
-  ///     two primary paths: 1) update a single model instance, or 2) update across
-  ///     multiple rows at once. For the latter, a query engine will be used to
-  ///     select which rows to update. In this case, the `queryEngine` argument
-  ///     here will be a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance.
-  ///     In the case that we are updating a single model instance, then this
-  ///     `queryEngine` will be `null`.
+  ///   name: string
+  ///     The name of the option to resolve, i.e. `'maxInsertRows'`.
   ///   options: object
   ///     Options for the operation.
-  ///   context: object
-  ///     Useful information about the update operation taking place. This is an
-  ///     object with the shape:
-  ///     ```javascript
-  ///     {
-  ///       queryEngine: QueryEngine | null;
-  ///       escapedTableName: string;
-  ///       modelChanges: Array<object>;
-  ///       dirtyFields: Array<Field>;
-  ///       where: string | null;
-  ///     }
-  ///     ```
   ///
-  /// Return: string
-  ///   Any "extra" SQL to add onto the end of the `UPDATE` statement.
-  ///   Most connection drivers will usually use this for a `RETURNING` clause.
-  // eslint-disable-next-line no-unused-vars
-  generateUpdateStatementTail(Model, model, queryEngine, options, context) {
+  /// Return: number | undefined
+  ///   The limit, or `undefined` if no limit is set. An exception
+  ///   will be thrown if the limit is set, but isn't a positive integer.
+  _getInsertLimitOption(name, options) {
+    let value = options[name];
+    if (value == null) {
+      let connectionOptions = this.connection.getOptions() || {};
+      value = connectionOptions[name];
+    }
+
+    if (value == null)
+      return;
+
+    if (!Number.isInteger(value) || value < 1)
+      throw new TypeError(`${this.constructor.name}::generateInsertStatements: "${name}" must be a positive integer.`);
+
+    return value;
   }
 
-  /// Generate an `UPDATE` statement.
+  /// Generate one or more `INSERT` statements, for inserting
+  /// one or more model instances into the database.
   ///
-  /// Update statements in Mythix ORM generally take one of
-  /// two forms: 1) Update a single model instance, or 2) Update
-  /// one or more columns across multiple rows at once.
+  /// This splits the provided models into chunks, using the
+  /// `maxInsertRows` and `maxInsertBytes` limits, and generates
+  /// a single `INSERT` statement for each chunk via
+  /// <see>SQLQueryGeneratorBase.generateInsertStatement</see>. This
+  /// is used to keep bulk inserts under the statement size and
+  /// parameter count limits of the underlying database.
   ///
-  /// When updating a single model instance, the provided `model`
-  /// argument should the model instance to update, and is expected
-  /// to have dirty fields. If on the other hand the `queryEngine`
-  /// argument is provided, and is a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance,
-  /// then the provided `model` argument should be a raw object
-  /// of attributes (field names) to update across all matching rows.
+  /// Each limit is first looked for on the provided `options`, and if
+  /// not found there, then on the connection options. If neither limit
+  /// is set, then a single statement will be generated for all models.
+  ///
+  /// Note:
+  ///   The `maxInsertBytes` limit is a best effort limit. A single row
+  ///   that by itself exceeds this limit will still be inserted, in its
+  ///   own statement.
   ///
   /// Arguments:
   ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
-  ///     The model class of the model being updated.
-  ///   model: object | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
-  ///     The model instance being updated. Bulk-updates aren't really supported
-  ///     well by any SQL database, so Mythix ORM takes the long route and
-  ///     updates model instances one-by-one. If `queryEngine` is a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance,
-  ///     then this should be a raw object listing the attributes (field names and values)
-  ///     that should be applied across all matching rows.
-  ///   queryEngine: null | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
-  ///     The query engine used for the update statement--if any. Updates have
-  ///     two primary paths: 1) update a single model instance, or 2) update across
-  ///     multiple rows at once. For the latter, a query engine will be used to
-  ///     select which rows to update. In this case, the `queryEngine` argument
-  ///     here will be a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance.
-  ///     In the case that we are updating a single model instance, then this
-  ///     `queryEngine` will be `null`.
+  ///     The model class of all `models` being inserted.
+  ///   models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     An array of model instances, or a single model instance. These are the models
+  ///     that are being inserted into the database.
   ///   options: object
   ///     Options for the operation.
-  ///
-  /// Return: string
-  ///   Return a fully formatted `UPDATE` statement, either for
-  ///   updating a single model instance, or for updating multiple
-  ///   rows at once using the provided attributes.
-  generateUpdateStatement(Model, _model, _queryEngine, _options) {
-    if (!_model)
-      return '';
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `bindParameters` | `boolean` | `false` | If `true`, then all values will be bound as parameters, instead of being inlined into the generated SQL. |
+  ///     | `maxInsertBytes` | `number` | `undefined` | The maximum size (in bytes) of the SQL of each generated statement. |
+  ///     | `maxInsertRows` | `number` | `undefined` | The maximum number of rows to insert with each generated statement. |
+  ///
+  /// Return: Array<{ statement: string | { sql: string; parameters: Array<any>; }; models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>; }>
+  ///   An array of chunks, one for each generated statement. Each chunk contains
+  ///   the generated `statement`, and the `models` being inserted by that statement,
+  ///   in the same order as the rows of the statement. If all models are clean, or
+  ///   no model instances are provided, then an empty array will be returned.
+  ///
+  /// See: SQLQueryGeneratorBase.generateInsertStatement
+  generateInsertStatements(Model, _models, _options) {
+    let options                 = _options || {};
+    let preparedModels          = (_models && _models._mythixPreparedModels) || this.connection.prepareAllModelsForOperation(Model, _models, options);
+    let { models, dirtyFields } = preparedModels;
+    if (Nife.isEmpty(models) || Nife.isEmpty(dirtyFields))
+      return [];
 
-    let queryEngine = _queryEngine;
-    let options     = this.stackAssign(_options, { isUpdateOperation: true });
+    let maxRows   = this._getInsertLimitOption('maxInsertRows', options);
+    let maxBytes  = this._getInsertLimitOption('maxInsertBytes', options);
 
-    if (!QueryEngine.isQuery(queryEngine)) {
-      queryEngine = null;
-      options = _queryEngine || {};
+    if (!maxRows && !maxBytes) {
+      let statement = this.generateInsertStatement(Model, preparedModels, options);
+      return (statement) ? [ { statement, models } ] : [];
     }
 
-    let model = _model;
-    if (!ModelBase.isModel(model)) {
-      let newModel = new Model();
-      newModel.clearDirty();
-      newModel.setAttributes(model, options.noPrimaryKey);
-      model = newModel;
-    }
+    const createParameters = () => {
+      return (options.bindParameters === true && !Array.isArray(options.parameters)) ? [] : undefined;
+    };
 
-    let modelChanges    = model._getDirtyFields({ update: true });
-    let dirtyFieldNames = Object.keys(modelChanges);
-    let dirtyFields     = model.getFields(dirtyFieldNames);
-    if (Nife.isEmpty(dirtyFields))
-      return '';
+    let parameters  = createParameters();
+    let subOptions  = this.stackAssign(options, {
+      asColumn:       true,
+      columnNameOnly: true,
+      fields:         dirtyFields,
+      dirtyFields,
+    }, (parameters) ? { parameters } : null);
 
-    let escapedTableName  = this.getEscapedTableName(Model, options);
-    let sqlParts          = [ 'UPDATE ', escapedTableName, ' SET ' ];
-    let setParts          = [];
-    let tabs              = '';
+    let escapedTableName  = this.getEscapedTableName(Model, subOptions);
+    let escapedFieldNames = Array.from(Object.values(this.getEscapedModelFields(Model, subOptions)));
+    let insertStatementTail = this.generateInsertStatementTail(
+      Model,
+      models,
+      subOptions,
+      {
+        escapedTableName,
+        modelChanges: [],
+        dirtyFields,
+      },
+    );
 
-    if (options.newlines !== false) {
-      sqlParts.push('\n');
-      tabs = '  ';
-    }
+    let statementBytes    = Buffer.byteLength(`INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES  ${insertStatementTail || ''}`);
+    let separatorBytes    = (options.newlines === false) ? 1 : 2;
+    let chunks            = [];
+    let chunkModels       = [];
+    let chunkRows         = [];
+    let chunkModelChanges = [];
+    let chunkBytes        = statementBytes;
+
+    // Each chunk's statement is built from the rows
+    // already generated while measuring the chunk
+    const finalizeChunk = () => {
+      if (chunkModels.length === 0)
+        return;
 
-    for (let i = 0, il = dirtyFields.length; i < il; i++) {
-      let dirtyField        = dirtyFields[i];
-      let fieldValue        = modelChanges[dirtyField.fieldName].current;
+      let chunkTail = this.generateInsertStatementTail(
+        Model,
+        chunkModels,
+        subOptions,
+        {
+          escapedTableName,
+          modelChanges: chunkModelChanges,
+          dirtyFields,
+        },
+      );
+
+      let values  = (options.newlines === false) ? chunkRows.join(',') : chunkRows.join(',\n');
+      let sql     = (chunkTail)
+        ? `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values} ${chunkTail}`
+        : `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values}`;
+
+      chunks.push({ statement: (parameters) ? { sql, parameters } : sql, models: chunkModels });
+
+      chunkModels = [];
+      chunkRows = [];
+      chunkModelChanges = [];
+      chunkBytes = statementBytes;
+      parameters = createParameters();
+    };
+
+    for (let i = 0, il = models.length; i < il; i++) {
+      let model = models[i];
+
+      if (maxRows && chunkModels.length >= maxRows)
+        finalizeChunk();
+
+      let rowOptions  = this.stackAssign(subOptions, (parameters) ? { parameters: parameters.slice() } : null);
+      let rowResult   = this.generateInsertFieldValuesFromModel(model, rowOptions);
+      if (!rowResult)
+        continue;
+
+      let rowBytes = Buffer.byteLength(rowResult.rowValues) + 2 + ((chunkModels.length > 0) ? separatorBytes : 0);
+      if (maxBytes && chunkModels.length > 0 && (chunkBytes + rowBytes) > maxBytes) {
+        finalizeChunk();
+
+        rowOptions = this.stackAssign(subOptions, (parameters) ? { parameters: parameters.slice() } : null);
+        rowResult = this.generateInsertFieldValuesFromModel(model, rowOptions);
+        rowBytes = Buffer.byteLength(rowResult.rowValues) + 2;
+      }
+
+      if (parameters)
+        parameters = rowOptions.parameters;
+
+      chunkModels.push(model);
+      chunkRows.push(`(${rowResult.rowValues})`);
+      chunkModelChanges.push(rowResult.modelChanges);
+      chunkBytes += rowBytes;
+    }
+
+    finalizeChunk();
+
+    return chunks;
+  }
+
+  /// Resolve a list of field names or fields into
+  /// a list of fields for the provided `Model`.
+  ///
+  /// This is used by upsert operations to resolve
+  /// the `conflictFields` and `updateFields` options.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that owns the fields.
+  ///   fields: string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field) | Array<string | [Field](https://github.com/th317erd/mythix-orm/wiki/Field)>
+  ///     The field names or fields to resolve.
+  ///   methodName: string
+  ///     The name of the calling method, used for error messages.
+  ///
+  /// Return: Array<[Field](https://github.com/th317erd/mythix-orm/wiki/Field)>
+  ///   The resolved fields. An exception will be thrown if any field
+  ///   can not be found on the provided `Model`, or if it is a virtual field.
+  _resolveUpsertFields(Model, fields, methodName) {
+    return Nife.toArray(fields).filter(Boolean).map((fieldOrName) => {
+      let field = (Nife.instanceOf(fieldOrName, 'string')) ? Model.getField(fieldOrName) : fieldOrName;
+      if (!field || !field.fieldName)
+        throw new Error(`${this.constructor.name}::${methodName}: Unable to locate field "${fieldOrName}" on model "${Model.getModelName()}".`);
+
+      if (field.type.isVirtual())
+        throw new Error(`${this.constructor.name}::${methodName}: Virtual field "${field.fieldName}" can not be used in an upsert operation.`);
+
+      return field;
+    });
+  }
+
+  /// Generate the `ON CONFLICT` clause for an upsert
+  /// (`INSERT ... ON CONFLICT ...`) statement.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of all `models` being upserted.
+  ///   models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)>
+  ///     The models being upserted.
+  ///   options: object
+  ///     Options for the operation.
+  ///   context: object
+  ///     Useful information about the upsert operation taking place. This is an
+  ///     object with the shape: `{ escapedTableName: string; modelChanges: Array<object>; dirtyFields: Array<Field>; conflictFields: Array<Field>; updateFields: Array<Field>; }`.
+  ///     If `updateFields` is empty, then a `DO NOTHING` clause will be generated.
+  ///
+  /// Return: string
+  ///   The `ON CONFLICT` clause, i.e. `ON CONFLICT ("id") DO UPDATE SET "name" = excluded."name"`.
+  // eslint-disable-next-line no-unused-vars
+  generateUpsertConflictClause(Model, models, options, context) {
+    let { conflictFields, updateFields } = context;
+    let columnOptions         = { columnNameOnly: true };
+    let escapedConflictNames  = conflictFields.map((field) => this.getEscapedColumnName(Model, field, columnOptions));
+
+    if (Nife.isEmpty(updateFields))
+      return `ON CONFLICT (${escapedConflictNames.join(',')}) DO NOTHING`;
+
+    let setParts = updateFields.map((field) => {
+      let escapedColumnName = this.getEscapedColumnName(Model, field, columnOptions);
+      return `${escapedColumnName} = excluded.${escapedColumnName}`;
+    });
+
+    return `ON CONFLICT (${escapedConflictNames.join(',')}) DO UPDATE SET ${setParts.join(',')}`;
+  }
+
+  /// Generate an "upsert" statement, for inserting
+  /// one or more model instances into the database,
+  /// updating already existing rows on conflict.
+  ///
+  /// This generates an `INSERT ... ON CONFLICT (...) DO UPDATE SET ...`
+  /// statement, using the same "dirty field" logic as
+  /// <see>SQLQueryGeneratorBase.generateInsertStatement</see>.
+  ///
+  /// Note:
+  ///   "clean" models will be skipped, and won't result
+  ///   in any output.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of all `models` being upserted.
+  ///   models: Array<[Model](https://github.com/th317erd/mythix-orm/wiki/Model)> | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     An array of model instances, or a single model instance. These are the models
+  ///     that are being upserted into the database.
+  ///   options: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `bindParameters` | `boolean` | `false` | If `true`, then all values will be bound as parameters, instead of being inlined into the generated SQL. |
+  ///     | `conflictFields` | `Array<string \| Field>` | The primary key of `Model` | The fields (or field names) that make up the conflict target. |
+  ///     | `doNothing` | `boolean` | `false` | If `true`, then generate an `ON CONFLICT (...) DO NOTHING` clause, leaving existing rows untouched. |
+  ///     | `updateFields` | `Array<string \| Field>` | All dirty fields that are not conflict fields | The fields (or field names) to update when a conflict occurs. |
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   If all models are clean, or no model instances are provided,
+  ///   then an empty string will be returned. Otherwise, a fully
+  ///   formatted upsert statement will be returned. If the `bindParameters`
+  ///   option is `true`, then an object containing the generated `sql`, and the
+  ///   `parameters` bound to it will be returned instead.
+  ///
+  /// See: SQLQueryGeneratorBase.generateUpsertConflictClause
+  generateUpsertStatement(Model, _models, _options) {
+    let options                 = _options || {};
+    let preparedModels          = this.connection.prepareAllModelsForOperation(Model, _models, options);
+    let { models, dirtyFields } = preparedModels;
+    if (Nife.isEmpty(models) || Nife.isEmpty(dirtyFields))
+      return '';
+
+    let conflictFields = this._resolveUpsertFields(Model, options.conflictFields || this.connection.getPrimaryKeyFieldNames(Model), 'generateUpsertStatement');
+    if (Nife.isEmpty(conflictFields))
+      throw new Error(`${this.constructor.name}::generateUpsertStatement: No conflict fields specified, and model "${Model.getModelName()}" has no primary key field.`);
+
+    let updateFields;
+    if (options.doNothing === true) {
+      updateFields = [];
+    } else if (options.updateFields) {
+      updateFields = this._resolveUpsertFields(Model, options.updateFields, 'generateUpsertStatement');
+    } else {
+      let conflictFieldNames = conflictFields.map((field) => field.fieldName);
+      updateFields = dirtyFields.filter((field) => (conflictFieldNames.indexOf(field.fieldName) < 0));
+    }
+
+    let parameters  = (options.bindParameters === true && !Array.isArray(options.parameters)) ? [] : undefined;
+    let subOptions  = this.stackAssign(options, {
+      asColumn:       true,
+      columnNameOnly: true,
+      fields:         dirtyFields,
+      dirtyFields,
+    }, (parameters) ? { parameters } : null);
+
+    let { values, modelChanges } = this.generateInsertValuesFromModels(Model, preparedModels, subOptions);
+    if (!values)
+      return '';
+
+    let escapedTableName  = this.getEscapedTableName(Model, subOptions);
+    let escapedFieldNames = Array.from(Object.values(this.getEscapedModelFields(Model, subOptions)));
+    let context           = {
+      escapedTableName,
+      modelChanges,
+      dirtyFields,
+      conflictFields,
+      updateFields,
+    };
+
+    let conflictClause      = this.generateUpsertConflictClause(Model, models, subOptions, context);
+    let insertStatementTail = this.generateInsertStatementTail(Model, models, subOptions, context);
+
+    let sql = (insertStatementTail)
+      ? `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values} ${conflictClause} ${insertStatementTail}`
+      : `INSERT INTO ${escapedTableName} (${escapedFieldNames}) VALUES ${values} ${conflictClause}`;
+
+    return (parameters) ? { sql, parameters } : sql;
+  }
+
+  /// Generate a "tail" for an `UPDATE` statement.
+  ///
+  /// This method is provided to allow the connection
+  /// itself for any given database to "tack on extra" to
+  /// an `UPDATE` statement. This is commonly used by databases
+  /// to add on a `RETURNING` clause to the `UPDATE` statement.
+  /// However, its primary purpose is just to allow the engine
+  /// (or the user via overloading) to add on any "extra" to
+  /// an `UPDATE` statement.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of all `models` being updated.
+  ///   model: object | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model instance being updated. Bulk-updates aren't really supported
+  ///     well by any SQL database, so Mythix ORM takes the long route and
+  ///     updates model instances one-by-one. If `queryEngine` is a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance,
+  ///     then this should be a raw object listing the attributes (field names and values)
+  ///     that should be applied across all matching rows.
+  ///   queryEngine: null | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine used for the update statement--if any. Updates have
+  ///     two primary paths: 1) update a single model instance, or 2) update across
+  ///     multiple rows at once. For the latter, a query engine will be used to
+  ///     select which rows to update. In this case, the `queryEngine` argument
+  ///     here will be a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance.
+  ///     In the case that we are updating a single model instance, then this
+  ///     `queryEngine` will be `null`.
+  ///   options: object
+  ///     Options for the operation.
+  ///   context: object
+  ///     Useful information about the update operation taking place. This is an
+  ///     object with the shape:
+  ///     ```javascript
+  ///     {
+  ///       queryEngine: QueryEngine | null;
+  ///       escapedTableName: string;
+  ///       modelChanges: Array<object>;
+  ///       dirtyFields: Array<Field>;
+  ///       where: string | null;
+  ///     }
+  ///     ```
+  ///
+  /// Return: string
+  ///   Any "extra" SQL to add onto the end of the `UPDATE` statement.
+  ///   Most connection drivers will usually use this for a `RETURNING` clause.
+  // eslint-disable-next-line no-unused-vars
+  generateUpdateStatementTail(Model, model, queryEngine, options, context) {
+  }
+
+  /// Generate an `UPDATE` statement.
+  ///
+  /// Update statements in Mythix ORM generally take one of
+  /// two forms: 1) Update a single model instance, or 2) Update
+  /// one or more columns across multiple rows at once.
+  ///
+  /// When updating a single model instance, the provided `model`
+  /// argument should the model instance to update, and is expected
+  /// to have dirty fields. If on the other hand the `queryEngine`
+  /// argument is provided, and is a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance,
+  /// then the provided `model` argument should be a raw object
+  /// of attributes (field names) to update across all matching rows.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class of the model being updated.
+  ///   model: object | [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model instance being updated. Bulk-updates aren't really supported
+  ///     well by any SQL database, so Mythix ORM takes the long route and
+  ///     updates model instances one-by-one. If `queryEngine` is a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance,
+  ///     then this should be a raw object listing the attributes (field names and values)
+  ///     that should be applied across all matching rows.
+  ///   queryEngine: null | [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query engine used for the update statement--if any. Updates have
+  ///     two primary paths: 1) update a single model instance, or 2) update across
+  ///     multiple rows at once. For the latter, a query engine will be used to
+  ///     select which rows to update. In this case, the `queryEngine` argument
+  ///     here will be a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine) instance.
+  ///     In the case that we are updating a single model instance, then this
+  ///     `queryEngine` will be `null`.
+  ///   options: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `bindParameters` | `boolean` | `false` | If `true`, then all values will be bound as parameters, instead of being inlined into the generated SQL. |
+  ///     | `incrementVersion` | `boolean` | `false` | If `true`, and `Model` uses optimistic locking (see [SQLConnectionBase.getVersionField](https://github.com/th317erd/mythix-orm-sql-base/wiki/SQLConnectionBase#method-getVersionField)), then the version column of every matching row is incremented, unless the version is one of the updated attributes. Used by bulk updates. |
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   Return a fully formatted `UPDATE` statement, either for
+  ///   updating a single model instance, or for updating multiple
+  ///   rows at once using the provided attributes. If the `bindParameters`
+  ///   option is `true`, then an object containing the generated `sql`, and the
+  ///   `parameters` bound to it will be returned instead.
+  generateUpdateStatement(Model, _model, _queryEngine, _options) {
+    if (!_model)
+      return '';
+
+    let queryEngine = _queryEngine;
+    let options     = this.stackAssign(_options, { isUpdateOperation: true });
+
+    if (!QueryEngine.isQuery(queryEngine)) {
+      queryEngine = null;
+      options = _queryEngine || {};
+    }
+
+    let parameters;
+    if (options.bindParameters === true && !Array.isArray(options.parameters)) {
+      parameters = [];
+      options = this.stackAssign(options, { parameters });
+    }
+
+    let model = _model;
+    if (!ModelBase.isModel(model)) {
+      let newModel = new Model();
+      newModel.clearDirty();
+      newModel.setAttributes(model, options.noPrimaryKey);
+      model = newModel;
+    }
+
+    let modelChanges    = model._getDirtyFields({ update: true });
+    let dirtyFieldNames = Object.keys(modelChanges);
+    let dirtyFields     = model.getFields(dirtyFieldNames);
+    if (Nife.isEmpty(dirtyFields))
+      return '';
+
+    let escapedTableName  = this.getEscapedTableName(Model, options);
+    let sqlParts          = [ 'UPDATE ', escapedTableName, ' SET ' ];
+    let setParts          = [];
+    let tabs              = '';
+
+    if (options.newlines !== false) {
+      sqlParts.push('\n');
+      tabs = '  ';
+    }
+
+    for (let i = 0, il = dirtyFields.length; i < il; i++) {
+      let dirtyField        = dirtyFields[i];
+      let fieldValue        = modelChanges[dirtyField.fieldName].current;
       let escapedColumnName = this.getEscapedColumnName(dirtyField.Model, dirtyField.columnName, { columnNameOnly: true });
-      let escapedValue      = (LiteralBase.isLiteral(fieldValue)) ? fieldValue.toString(this.connection, { as: false }) : this.escape(dirtyField, fieldValue);
+      let escapedValue      = (LiteralBase.isLiteral(fieldValue)) ? fieldValue.toString(this.connection, { as: false }) : this.bindParameterValue(dirtyField, fieldValue, options);
       if (!escapedValue)
         continue;
 
       setParts.push(`${tabs}${escapedColumnName} = ${escapedValue}`);
     }
 
+    if (setParts.length > 0 && options.incrementVersion === true) {
+      let versionField = this.connection.getVersionField(Model);
+      if (versionField && dirtyFieldNames.indexOf(versionField.fieldName) < 0) {
+        let escapedColumnName = this.getEscapedColumnName(Model, versionField.columnName, { columnNameOnly: true });
+        setParts.push(`${tabs}${escapedColumnName} = COALESCE(${escapedColumnName}, 0) + 1`);
+      }
+    }
+
     if (setParts.length === 0)
       return '';
 
@@ -2762,7 +4499,77 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (updateStatementTail)
       sqlParts.push(` ${updateStatementTail}`);
 
-    return sqlParts.join('');
+    let sql = sqlParts.join('');
+
+    return (parameters) ? { sql, parameters } : sql;
+  }
+
+  /// Get the fields that should be returned by a `DELETE`
+  /// or `UPDATE` statement, as specified by the `returning` option.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model class defining the table that is being deleted from or updated.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `returning` | `true \| 'ids' \| 'models' \| Array<string \| Field>` | `undefined` | `'ids'` to return the primary key field, `'models'` (or `true`) to return all concrete fields, or a list of fields to return. |
+  ///
+  /// Return: Array<[Field](https://github.com/th317erd/mythix-orm/wiki/Field)>
+  ///   The fields to return. If the `returning` option isn't set, then this will
+  ///   be the primary key fields of the `Model`, or an empty array if the `Model`
+  ///   has no primary key field. If a list of fields is provided, then the primary
+  ///   key fields are always included (as the first fields), if the `Model` has any.
+  getReturningFields(Model, _options) {
+    let options   = _options || {};
+    let returning = options.returning;
+    let pkFields  = this.connection.getPrimaryKeyFields(Model);
+
+    if (!returning)
+      return pkFields;
+
+    if (returning === 'ids') {
+      if (pkFields.length === 0)
+        throw new Error(`${this.constructor.name}::getReturningFields: Model "${Model.getModelName()}" has no primary key field, so "{ returning: 'ids' }" can not be used.`);
+
+      return pkFields;
+    }
+
+    if (returning === true || returning === 'models') {
+      let fields = [];
+
+      Model.iterateFields(({ field }) => {
+        if (field.type.isVirtual())
+          return;
+
+        fields.push(field);
+      });
+
+      return fields;
+    }
+
+    if (!Array.isArray(returning))
+      throw new TypeError(`${this.constructor.name}::getReturningFields: "returning" must be true, 'ids', 'models', or an array of fields.`);
+
+    let fields = returning.map((fieldOrName) => {
+      let field = (Nife.instanceOf(fieldOrName, 'string')) ? Model.getField(fieldOrName) : fieldOrName;
+      if (!field || !field.fieldName)
+        throw new Error(`${this.constructor.name}::getReturningFields: Unable to locate field "${fieldOrName}" on model "${Model.getModelName()}".`);
+
+      if (field.type.isVirtual())
+        throw new Error(`${this.constructor.name}::getReturningFields: Virtual field "${field.fieldName}" can not be returned.`);
+
+      return field;
+    });
+
+    // Always return the primary key, so that
+    // returned models can be identified
+    let missingPKFields = pkFields.filter((pkField) => !fields.find((field) => (field.fieldName === pkField.fieldName)));
+    if (missingPKFields.length > 0)
+      fields = missingPKFields.concat(fields);
+
+    return fields;
   }
 
   /// Generate a `RETURNING` clause for a `DELETE` statement.
@@ -2772,14 +4579,16 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     The model class defining the table that is being deleted from.
   ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
   ///     The query engine being used to specify which rows to delete.
-  ///   pkField: undefined | [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
-  ///     The primary key field of the provided `Model`, if it has one. If the model has
-  ///     no primary key field, then this will be `undefined`.
+  ///   pkFields: Array<[Field](https://github.com/th317erd/mythix-orm/wiki/Field)>
+  ///     All primary key fields of the provided `Model` (see <see>SQLConnectionBase.getPrimaryKeyFields</see>).
+  ///     If the model has no primary key, then this will be an empty array.
   ///   escapedColumnName: string
   ///     The full column name (usually including the table name) of the column to use for the `RETURNING`
   ///     clause. If the provided `Model` has a primary key field, then this should be that column name
   ///     (though the name might be an alias of that column name, depending on how the `DELETE` statement
   ///     is generated). If the provided `Model` has no primary key field, then this will be `*`.
+  ///     If the `returning` option is set, then this will be a comma-separated list of the column
+  ///     names of the fields returned by <see>SQLQueryGeneratorBase.getReturningFields</see>.
   ///     This column name might differ from the field's column name, because the `DELETE` statement
   ///     might be constructed such that an alias name is needed for the column name.
   ///   options?: object
@@ -2789,7 +4598,7 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///   Return a `RETURNING` clause to apply to the end of a `DELETE` statement. If
   ///   `escapedColumnName` is empty, then an empty string will be returned.
   // eslint-disable-next-line no-unused-vars
-  generateDeleteStatementReturningClause(Model, queryEngine, pkField, escapedColumnName, options) {
+  generateDeleteStatementReturningClause(Model, queryEngine, pkFields, escapedColumnName, options) {
     if (!escapedColumnName)
       return '';
 
@@ -2821,19 +4630,30 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     the entire table will be truncated.
   ///   options?: object
   ///     Options for the operation. These are simply passed through to any sub-calls
-  ///     this method makes internally.
+  ///     this method makes internally. If the `bindParameters` option is `true`, then
+  ///     all condition values will be bound as parameters, instead of being inlined
+  ///     into the generated SQL. The `returning` option specifies which columns are
+  ///     returned by the `DELETE` statement (see <see>SQLQueryGeneratorBase.getReturningFields</see>).
   ///
-  /// Return: string
+  /// Return: string | { sql: string; parameters: Array<any>; }
   ///   Return a fully formatted `DELETE` statement to delete rows from the
   ///   table defined by the provided `Model`. If no model instances or [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
   ///   are provided, then a simple `DELETE FROM "table_name";` statement will be
   ///   generated, truncating the entire table. If model instances or a [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
   ///   are provided, then a `DELETE` statement in the form of
   ///   `DELETE FROM "table_name" WHERE EXISTS(SELECT ...)` will be returned,
-  ///   selecting which rows to delete with the provided query.
+  ///   selecting which rows to delete with the provided query. If the `bindParameters`
+  ///   option is `true`, then an object containing the generated `sql`, and the
+  ///   `parameters` bound to it will be returned instead.
   generateDeleteStatement(Model, _modelsOrQueryEngine, _options) {
     let queryEngine = _modelsOrQueryEngine;
-    let options     = _options;
+    let options     = _options || {};
+    let parameters;
+
+    if (options.bindParameters === true && !Array.isArray(options.parameters)) {
+      parameters = [];
+      options = this.stackAssign(options, { parameters });
+    }
 
     if (queryEngine) {
       if (!QueryEngine.isQuery(queryEngine)) {
@@ -2847,19 +4667,25 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     }
 
     let escapedTableName  = this.getEscapedTableName(Model, options);
-    let pkField           = Model.getPrimaryKeyField();
+    let pkFields          = this.connection.getPrimaryKeyFields(Model);
 
     if (queryEngine && queryEngine.queryHasConditions()) {
       if (queryEngine.queryHasJoins()) {
-        if (!pkField)
+        if (pkFields.length === 0)
           throw new Error(`${this.constructor.name}::generateDeleteStatement: Can not delete using table joins on a table with no primary key field.`);
 
         let escapedTableNameAlias = this.getEscapedTableName(Model, { tableNamePrefix: '_' });
-        let escapedFieldAlias     = this.getEscapedColumnName(Model, pkField, { columnNameOnly: true });
+        let modelName             = Model.getModelName(this.connection);
+
+        // Correlate on every primary key column, so that
+        // composite keys can't match unrelated rows
+        for (let i = 0, il = pkFields.length; i < il; i++) {
+          let escapedFieldAlias = this.getEscapedColumnName(Model, pkFields[i], { columnNameOnly: true });
+          queryEngine = queryEngine.AND[modelName][pkFields[i].fieldName].EQ(new Literals.Literal(`${escapedTableNameAlias}.${escapedFieldAlias}`));
+        }
+
         let innerSelect = this.generateSelectStatement(
           queryEngine
-            .AND[Model.getModelName(this.connection)][pkField.fieldName]
-              .EQ(new Literals.Literal(`${escapedTableNameAlias}.${escapedFieldAlias}`))
             .PROJECT(new Literals.Literal('1'))
             .LIMIT(1)
             .OFFSET(0),
@@ -2874,20 +4700,28 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
           ),
         );
 
-        let returningField  = `${escapedTableNameAlias}.${this.getEscapedColumnName(pkField.Model, pkField, this.stackAssign(options, { columnNameOnly: true }))}`;
-        let returningClause = this.generateDeleteStatementReturningClause(Model, queryEngine, pkField, returningField, options);
+        let returningField  = this.getReturningFields(Model, options).map((field) => {
+          return `${escapedTableNameAlias}.${this.getEscapedColumnName(field.Model, field, this.stackAssign(options, { columnNameOnly: true }))}`;
+        }).join(',');
+
+        let returningClause = this.generateDeleteStatementReturningClause(Model, queryEngine, pkFields, returningField, options);
 
-        return `DELETE FROM ${escapedTableName} AS ${escapedTableNameAlias} WHERE EXISTS (${innerSelect})${(returningClause) ? ` ${returningClause}` : ''}`;
+        let sql = `DELETE FROM ${escapedTableName} AS ${escapedTableNameAlias} WHERE EXISTS (${innerSelect})${(returningClause) ? ` ${returningClause}` : ''}`;
+
+        return (parameters) ? { sql, parameters } : sql;
       } else {
-        let returningField  = (pkField) ? this.getEscapedColumnName(pkField.Model, pkField, options) : '*';
-        let returningClause = this.generateDeleteStatementReturningClause(Model, queryEngine, pkField, returningField, options);
+        let returningFields = this.getReturningFields(Model, options);
+        let returningField  = (returningFields.length > 0) ? returningFields.map((field) => this.getEscapedColumnName(field.Model, field, options)).join(',') : '*';
+        let returningClause = this.generateDeleteStatementReturningClause(Model, queryEngine, pkFields, returningField, options);
 
         let {
           where,
           orderLimitOffset,
-        } = this.generateWhereAndOrderLimitOffset(queryEngine, { ...options, forceLimit: 4294967295, separateWhereAndOrder: true });
+        } = this.generateWhereAndOrderLimitOffset(queryEngine, this.stackAssign(options, { forceLimit: 4294967295, separateWhereAndOrder: true }));
+
+        let sql = `DELETE FROM ${escapedTableName}${(where) ? ` WHERE ${where}` : ''}${(returningClause) ? ` ${returningClause}` : ''}${(orderLimitOffset) ? ` ${orderLimitOffset}` : ''}`;
 
-        return `DELETE FROM ${escapedTableName}${(where) ? ` WHERE ${where}` : ''}${(returningClause) ? ` ${returningClause}` : ''}${(orderLimitOffset) ? ` ${orderLimitOffset}` : ''}`;
+        return (parameters) ? { sql, parameters } : sql;
       }
     } else {
       return `DELETE FROM ${escapedTableName}`;
@@ -2950,6 +4784,12 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   /// fields marked as "dirty" across all models being inserted
   /// or updated.
   ///
+  /// If this is a query based `UPDATE` (`context.queryEngine` is set),
+  /// and the `returning` option is set, then the fields returned by
+  /// <see>SQLQueryGeneratorBase.getReturningFields</see> will be
+  /// projected instead, using <see>SQLQueryGeneratorBase.getEscapedProjectionName</see>,
+  /// so that the results can be loaded just like the results of a `SELECT`.
+  ///
   /// Arguments:
   ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
   ///     The model that defines the table for the insert or update operation.
@@ -2975,10 +4815,18 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   /// See: SQLQueryGeneratorBase._collectRemoteReturningFields
   generateReturningClause(Model, models, options, context) {
     let {
+      queryEngine,
       modelChanges,
       dirtyFields,
     } = context;
 
+    // Query based updates can request to have the updated
+    // rows returned, projected just like a SELECT would be
+    if (queryEngine && options && options.returning) {
+      let returningFields = this.getReturningFields(Model, options);
+      return `RETURNING ${returningFields.map((field) => this.getEscapedProjectionName(field.Model, field, options)).join(',')}`;
+    }
+
     let returnFieldsMap = {};
 
     for (let i = 0, il = dirtyFields.length; i < il; i++) {
@@ -3004,9 +4852,9 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       }
     }
 
-    let pkFieldName = Model.getPrimaryKeyFieldName();
-    if (pkFieldName)
-      returnFieldsMap[pkFieldName] = true;
+    let pkFieldNames = this.connection.getPrimaryKeyFieldNames(Model);
+    for (let i = 0, il = pkFieldNames.length; i < il; i++)
+      returnFieldsMap[pkFieldNames[i]] = true;
 
     // Always return fields marked as "remote"
     let remoteFieldNames = this._collectRemoteReturningFields(Model);
@@ -3019,7 +4867,61 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (!returnFields.length)
       return '';
 
-    return `RETURNING ${returnFields.join(',')}`;
+    return `RETURNING ${returnFields.join(',')}`;
+  }
+
+  /// Generate an `UPDATE` statement that soft-deletes all rows matching
+  /// the provided query, i.e. `UPDATE "comments" SET "deletedAt" = ... WHERE ... AND "comments"."deletedAt" IS NULL`.
+  ///
+  /// Rows that are already soft-deleted are left untouched.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The soft-delete model to soft-delete rows from. See <see>SQLConnectionBase.getSoftDeleteField</see>.
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query selecting the rows to soft-delete.
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLQueryGeneratorBase.generateUpdateStatement</see>.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   The `UPDATE` statement, as returned by <see>SQLQueryGeneratorBase.generateUpdateStatement</see>.
+  generateSoftDeleteStatement(Model, queryEngine, options) {
+    let field = this.connection.getSoftDeleteField(Model);
+    if (!field)
+      throw new Error(`${this.constructor.name}::generateSoftDeleteStatement: Model "${Model.getModelName()}" is not a soft-delete model.`);
+
+    return this.generateUpdateStatement(
+      Model,
+      { [field.fieldName]: new Date() },
+      queryEngine,
+      this.stackAssign(options, { noPrimaryKey: true, softDeleteCondition: true }),
+    );
+  }
+
+  /// Generate an `UPDATE` statement that restores all soft-deleted rows
+  /// matching the provided query, i.e. `UPDATE "comments" SET "deletedAt" = NULL WHERE ... AND "comments"."deletedAt" IS NOT NULL`.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The soft-delete model to restore rows of. See <see>SQLConnectionBase.getSoftDeleteField</see>.
+  ///   queryEngine: [QueryEngine](https://github.com/th317erd/mythix-orm/wiki/QueryEngine)
+  ///     The query selecting the rows to restore.
+  ///   options?: object
+  ///     Options for the operation. These are passed to <see>SQLQueryGeneratorBase.generateUpdateStatement</see>.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   The `UPDATE` statement, as returned by <see>SQLQueryGeneratorBase.generateUpdateStatement</see>.
+  generateRestoreStatement(Model, queryEngine, options) {
+    let field = this.connection.getSoftDeleteField(Model);
+    if (!field)
+      throw new Error(`${this.constructor.name}::generateRestoreStatement: Model "${Model.getModelName()}" is not a soft-delete model.`);
+
+    return this.generateUpdateStatement(
+      Model,
+      { [field.fieldName]: new Literals.Literal('NULL') },
+      queryEngine,
+      this.stackAssign(options, { noPrimaryKey: true, softDeleteCondition: 'deleted' }),
+    );
   }
 
   /// Generate a `TRUNCATE TABLE` statement.
@@ -3256,6 +5158,93 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       return `${prefix} ALTER COLUMN ${escapedColumnName} DROP CONSTRAINT UNIQUE`;
   }
 
+  /// Generate an `ALTER TABLE ... ADD CONSTRAINT ... CHECK` statement.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table to add the constraint to.
+  ///   name: string
+  ///     The name of the check. See <see>SQLQueryGeneratorBase.generateCheckConstraintName</see>.
+  ///   condition: string
+  ///     The condition of the check, as returned by <see>SQLQueryGeneratorBase.generateCheckCondition</see>.
+  ///   options?:
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   An `ALTER TABLE` statement to add the named `CHECK` constraint.
+  generateAddCheckConstraintStatement(Model, name, condition, _options) {
+    let options = _options || {};
+    return `ALTER TABLE ${this.getEscapedTableName(Model, options)} ADD ${this.generateCheckConstraint(Model, name, condition, options)}`;
+  }
+
+  /// Generate an `ALTER TABLE ... DROP CONSTRAINT` statement
+  /// to drop a named `CHECK` constraint.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines the table to drop the constraint from.
+  ///   name: string
+  ///     The name of the check. See <see>SQLQueryGeneratorBase.generateCheckConstraintName</see>.
+  ///   options?:
+  ///     Options for the operation. Though these might contain
+  ///     database specific options, generic options that should
+  ///     work for most databases are:
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `ifExists` | `boolean` | `false` | If `true`, then add an `IF EXISTS` clause to the `DROP CONSTRAINT` statement. |
+  ///
+  /// Return: string
+  ///   An `ALTER TABLE` statement to drop the named `CHECK` constraint.
+  generateDropCheckConstraintStatement(Model, name, _options) {
+    let options = _options || {};
+    return `ALTER TABLE ${this.getEscapedTableName(Model, options)} DROP CONSTRAINT${(options.ifExists) ? ' IF EXISTS' : ''} ${this.generateCheckConstraintName(Model, name, options)}`;
+  }
+
+  /// Generate an `ALTER TABLE ... ADD CONSTRAINT ... FOREIGN KEY`
+  /// statement, to add a foreign key constraint to an existing column.
+  ///
+  /// Arguments:
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The field to add the foreign key constraint for. This field must
+  ///     have a [ForeignKeyType](https://github.com/th317erd/mythix-orm/wiki/ForeignKeyType) `type`.
+  ///   options?:
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   An `ALTER TABLE` statement to add the foreign key constraint.
+  ///
+  /// See: SQLQueryGeneratorBase.generateForeignKeyConstraint
+  generateAddForeignKeyStatement(field, _options) {
+    if (!field.type.isForeignKey())
+      throw new TypeError(`${this.constructor.name}::generateAddForeignKeyStatement: Field "${field.fieldName}" is not a foreign key.`);
+
+    let options = _options || {};
+    return `ALTER TABLE ${this.getEscapedTableName(field.Model, options)} ADD ${this.generateForeignKeyConstraint(field, field.type, options)}`;
+  }
+
+  /// Generate an `ALTER TABLE ... DROP CONSTRAINT` statement
+  /// to drop the foreign key constraint of a column.
+  ///
+  /// Arguments:
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The field to drop the foreign key constraint for.
+  ///   options?:
+  ///     Options for the operation. Though these might contain
+  ///     database specific options, generic options that should
+  ///     work for most databases are:
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `ifExists` | `boolean` | `false` | If `true`, then add an `IF EXISTS` clause to the `DROP CONSTRAINT` statement. |
+  ///
+  /// Return: string
+  ///   An `ALTER TABLE` statement to drop the foreign key constraint.
+  ///
+  /// See: SQLQueryGeneratorBase.generateForeignKeyConstraintName
+  generateDropForeignKeyStatement(field, _options) {
+    let options = _options || {};
+    return `ALTER TABLE ${this.getEscapedTableName(field.Model, options)} DROP CONSTRAINT${(options.ifExists) ? ' IF EXISTS' : ''} ${this.generateForeignKeyConstraintName(field, options)}`;
+  }
+
   /// Generate multiple `ALTER TABLE` statements to change the
   /// `field` provided to match the `newFieldAttributes` provided.
   ///
@@ -3268,9 +5257,11 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
   ///     for that difference. For example, if the `columnName` between both "fields" is
   ///     different, then an `ALTER TABLE` statement will be generated to change the column's
   ///     name. Properties that are checked for differences are: `primaryKey`, `unique`, `index`,
-  ///     `columnName` & `fieldName`, `allowNull`, `type`, and `defaultValue`. If any of these
+  ///     `columnName` & `fieldName`, `allowNull`, `type`, `defaultValue`, and `check`. If any of these
   ///     differ between the two provided "fields", then an `ALTER TABLE` statement will be generated
-  ///     to update the column to match the new properties of `newFieldAttributes`.
+  ///     to update the column to match the new properties of `newFieldAttributes`. If the foreign key
+  ///     constraint of the field changes (i.e. its target, `onDelete`, `onUpdate`, or `deferred` options),
+  ///     then the constraint is dropped first, and re-created last.
   ///   options?:
   ///     Options for the operation.
   ///
@@ -3282,37 +5273,24 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (Nife.isEmpty(_newFieldAttributes))
       return [];
 
-    const generateIndexFieldNames = (field) => {
-      let indexes = Nife.toArray(field.index).filter((index) => {
-        if (index === true)
-          return true;
-
-        return (Nife.instanceOf(index, 'string', 'array') && Nife.isNotEmpty(index));
-      });
-
-      if (indexes.length === 0)
-        return {};
-
-      let indexMap = {};
+    const generateIndexDefinitions = (field) => {
+      let indexes   = this.getIndexDefinitionsFromField(field);
+      let indexMap  = {};
 
       for (let i = 0, il = indexes.length; i < il; i++) {
-        let indexFieldName  = indexes[i];
-        let fieldNames      = [ field.fieldName ];
-
-        if (indexFieldName !== true)
-          fieldNames = fieldNames.concat(indexFieldName);
+        let indexDefinition = indexes[i];
+        let indexName       = this.generateIndexName(Model, indexDefinition, options);
 
-        let indexName = this.generateIndexName(Model, fieldNames, options);
-        indexMap[indexName] = fieldNames;
+        indexMap[indexName] = indexDefinition;
       }
 
       return indexMap;
     };
 
     const calculateIndexDifferences = () => {
-      let currentColumnIndexes  = generateIndexFieldNames(field);
+      let currentColumnIndexes  = generateIndexDefinitions(field);
       let currentIndexNames     = Object.keys(currentColumnIndexes);
-      let newColumnIndexes      = generateIndexFieldNames(newField);
+      let newColumnIndexes      = generateIndexDefinitions(newField);
       let newIndexNames         = Object.keys(newColumnIndexes);
 
       let dropIndexes = Nife.arraySubtract(currentIndexNames, newIndexNames);
@@ -3321,18 +5299,18 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
       if (addIndexes.length) {
         for (let i = 0, il = addIndexes.length; i < il; i++) {
           let indexName       = addIndexes[i];
-          let indexFieldNames = newColumnIndexes[indexName];
+          let indexDefinition = newColumnIndexes[indexName];
 
-          statements.push(this.generateCreateIndexStatement(Model, indexFieldNames, options));
+          statements.push(this.generateCreateIndexStatement(Model, indexDefinition, options));
         }
       }
 
       if (dropIndexes.length) {
         for (let i = 0, il = dropIndexes.length; i < il; i++) {
           let indexName       = dropIndexes[i];
-          let indexFieldNames = currentColumnIndexes[indexName];
+          let indexDefinition = currentColumnIndexes[indexName];
 
-          statements.push(this.generateDropIndexStatement(Model, indexFieldNames, options));
+          statements.push(this.generateDropIndexStatement(Model, indexDefinition, options));
         }
       }
     };
@@ -3344,6 +5322,13 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     let options     = _options || {};
     let statements  = [];
 
+    let currentForeignKey   = (field.type.isForeignKey()) ? this.generateForeignKeyConstraint(field, field.type, options) : '';
+    let newForeignKey       = (newField.type.isForeignKey()) ? this.generateForeignKeyConstraint(newField, newField.type, options) : '';
+    let foreignKeyChanged   = (newForeignKey !== currentForeignKey);
+
+    if (foreignKeyChanged && currentForeignKey)
+      statements.push(this.generateDropForeignKeyStatement(field, options));
+
     if (newField.allowNull !== field.allowNull)
       statements.push(this.generateAlterColumnSetOrDropNullConstraintStatement(field, newField, options));
 
@@ -3370,6 +5355,21 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     if (newField.columnName !== field.columnName)
       statements.push(this.generateAlterColumnRenameStatement(field, newField, options));
 
+    // Checks are altered after any rename, since
+    // the new check references the new column name
+    let currentCheckCondition = this.generateCheckCondition(Model, field, field.check, options);
+    let newCheckCondition     = this.generateCheckCondition(Model, newField, newField.check, options);
+    if (newCheckCondition !== currentCheckCondition) {
+      if (currentCheckCondition)
+        statements.push(this.generateDropCheckConstraintStatement(Model, field.columnName, options));
+
+      if (newCheckCondition)
+        statements.push(this.generateAddCheckConstraintStatement(Model, newField.columnName, newCheckCondition, options));
+    }
+
+    if (foreignKeyChanged && newForeignKey)
+      statements.push(this.generateAddForeignKeyStatement(newField, options));
+
     return statements.filter(Boolean);
   }
 
@@ -3397,6 +5397,465 @@ class SQLQueryGeneratorBase extends QueryGeneratorBase {
     return `${prefix} ADD COLUMN${(options.ifNotExists) ? ' IF NOT EXISTS' : ''} ${this.generateColumnDeclarationStatement(Model, field, options)}`;
   }
 
+  /// Generate a statement to list all tables in the database.
+  ///
+  /// This is a hook that must be provided by each database driver, since
+  /// the catalog of tables is different for every database. The statement
+  /// generated must return one row per table, with the following columns:
+  ///
+  /// | Column | Type | Description |
+  /// | ------ | ---- | ----------- |
+  /// | `tableName` | `string` | The name of the table. |
+  ///
+  /// Arguments:
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   A statement to list all tables in the database.
+  ///
+  /// See: SQLConnectionBase.listTables
+  // eslint-disable-next-line no-unused-vars
+  generateListTablesStatement(options) {
+    throw new Error(`${this.constructor.name}::generateListTablesStatement: This operation is not supported for this connection type.`);
+  }
+
+  /// Generate a statement to list all columns of a table.
+  ///
+  /// This is a hook that must be provided by each database driver, since
+  /// the catalog of columns is different for every database. The statement
+  /// generated must return one row per column, in column order, with the following columns:
+  ///
+  /// | Column | Type | Description |
+  /// | ------ | ---- | ----------- |
+  /// | `columnName` | `string` | The name of the column. |
+  /// | `type` | `string` | The database type of the column, i.e. `VARCHAR(255)`. |
+  /// | `nullable` | `boolean` | `true` if the column allows `NULL` values. |
+  /// | `defaultValue` | `string` | The database default value of the column (as SQL), or `NULL` if the column has no default. |
+  /// | `primaryKey` | `boolean` | `true` if the column is (part of) the primary key of the table. |
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the table to describe.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   A statement to list all columns of the table.
+  ///
+  /// See: SQLConnectionBase.describeTable
+  // eslint-disable-next-line no-unused-vars
+  generateDescribeTableStatement(tableName, options) {
+    throw new Error(`${this.constructor.name}::generateDescribeTableStatement: This operation is not supported for this connection type.`);
+  }
+
+  /// Generate a statement to list all indexes of a table.
+  ///
+  /// This is a hook that must be provided by each database driver, since
+  /// the catalog of indexes is different for every database. The statement
+  /// generated must return one row per indexed column, ordered by index, and then
+  /// by the position of the column in the index, with the following columns:
+  ///
+  /// | Column | Type | Description |
+  /// | ------ | ---- | ----------- |
+  /// | `indexName` | `string` | The name of the index. |
+  /// | `columnName` | `string` | The name of the indexed column. |
+  /// | `unique` | `boolean` | `true` if this is a unique index. |
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the table to list the indexes of.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   A statement to list all indexes of the table.
+  ///
+  /// See: SQLConnectionBase.listIndexes
+  // eslint-disable-next-line no-unused-vars
+  generateListIndexesStatement(tableName, options) {
+    throw new Error(`${this.constructor.name}::generateListIndexesStatement: This operation is not supported for this connection type.`);
+  }
+
+  /// Generate a statement to list all foreign key constraints of a table.
+  ///
+  /// This is a hook that must be provided by each database driver, since
+  /// the catalog of constraints is different for every database. The statement
+  /// generated must return one row per constrained column, ordered by constraint,
+  /// and then by the position of the column in the constraint, with the following columns:
+  ///
+  /// | Column | Type | Description |
+  /// | ------ | ---- | ----------- |
+  /// | `constraintName` | `string` | The name of the constraint, or `NULL` if the database doesn't name constraints. |
+  /// | `constraintID` | `any` | An identifier for the constraint, used to group columns when `constraintName` is `NULL`. |
+  /// | `columnName` | `string` | The name of the constrained column. |
+  /// | `targetTableName` | `string` | The name of the table the constraint references. |
+  /// | `targetColumnName` | `string` | The name of the column the constraint references. |
+  /// | `onDelete` | `string` | The `ON DELETE` action of the constraint, i.e. `CASCADE`. |
+  /// | `onUpdate` | `string` | The `ON UPDATE` action of the constraint, i.e. `CASCADE`. |
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the table to list the foreign key constraints of.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   A statement to list all foreign key constraints of the table.
+  ///
+  /// See: SQLConnectionBase.listForeignKeys
+  // eslint-disable-next-line no-unused-vars
+  generateListForeignKeysStatement(tableName, options) {
+    throw new Error(`${this.constructor.name}::generateListForeignKeysStatement: This operation is not supported for this connection type.`);
+  }
+
+  /// Normalize a column `DEFAULT` value, so that the default
+  /// value defined by a model can be compared to the default value
+  /// reported by the database (see <see>SQLConnectionBase.describeTable</see>).
+  ///
+  /// Any leading `DEFAULT` keyword, and any enclosing parenthesis
+  /// are stripped. An `AUTOINCREMENT` "default" is not a column
+  /// default in the database, so it is normalized to `null`.
+  ///
+  /// Arguments:
+  ///   defaultValue: string | null | undefined
+  ///     The default value to normalize.
+  ///
+  /// Return: string | null
+  ///   The normalized default value, or `null` if there is no default value.
+  normalizeSchemaDefaultValue(defaultValue) {
+    if (defaultValue == null)
+      return null;
+
+    let value = ('' + defaultValue).trim().replace(/^DEFAULT\s+/i, '');
+
+    const isWrapped = (str) => {
+      if (str.charAt(0) !== '(' || str.charAt(str.length - 1) !== ')')
+        return false;
+
+      let depth = 0;
+      for (let i = 0, il = str.length; i < il; i++) {
+        let c = str.charAt(i);
+        if (c === '(') {
+          depth++;
+        } else if (c === ')') {
+          depth--;
+          if (depth === 0 && i < (il - 1))
+            return false;
+        }
+      }
+
+      return true;
+    };
+
+    while (isWrapped(value))
+      value = value.substring(1, value.length - 1).trim();
+
+    if (!value || value.toUpperCase() === 'AUTOINCREMENT')
+      return null;
+
+    return value;
+  }
+
+  /// Generate the `ALTER TABLE` statements required to change
+  /// a column in the database, described by `columnDescription`,
+  /// to match the provided `field`.
+  ///
+  /// The column's type, `NOT NULL` constraint, `DEFAULT` value,
+  /// and `UNIQUE` constraint are compared. The `NOT NULL` and
+  /// `UNIQUE` constraints of primary key columns are implied by
+  /// the primary key, so they are not compared.
+  ///
+  /// Arguments:
+  ///   field: [Field](https://github.com/th317erd/mythix-orm/wiki/Field)
+  ///     The field that defines what the column should be.
+  ///   columnDescription: object
+  ///     The description of the column as it currently exists in the database,
+  ///     as returned by <see>SQLConnectionBase.describeTable</see>.
+  ///   isUnique: boolean
+  ///     If `true`, then the column currently has a `UNIQUE` constraint in the database.
+  ///   options?: object
+  ///     Options for the operation. These are passed off to the `ALTER TABLE` generators.
+  ///
+  /// Return: Array<string>
+  ///   The `ALTER TABLE` statements needed to update the column. If the column
+  ///   already matches the `field`, then an empty array is returned.
+  generateColumnSchemaDiffStatements(field, columnDescription, isUnique, options) {
+    let statements    = [];
+    let defaultValue  = this.getFieldDefaultValue(field, field.fieldName, { useDefaultKeyword: false, escape: true, remoteOnly: true });
+    let fieldType     = field.type.toConnectionType(this.connection, { createTable: true, defaultValue });
+
+    if (('' + fieldType).toUpperCase() !== ('' + columnDescription.type).toUpperCase())
+      statements.push(this.generateAlterColumnChangeTypeStatement(field, field, fieldType, options));
+
+    if (!field.primaryKey) {
+      let allowNull = (field.allowNull !== false);
+      if (allowNull !== columnDescription.nullable)
+        statements.push(this.generateAlterColumnSetOrDropNullConstraintStatement(field, { allowNull }, options));
+    }
+
+    let newDefaultValue = this.normalizeSchemaDefaultValue(defaultValue);
+    if (newDefaultValue !== this.normalizeSchemaDefaultValue(columnDescription.defaultValue)) {
+      let escapedDefaultValue = (newDefaultValue == null) ? undefined : ('' + defaultValue).trim().replace(/^DEFAULT\s+/i, '');
+      statements.push(this.generateAlterColumnSetDefaultStatement(field, field, escapedDefaultValue, options));
+    }
+
+    if (!field.primaryKey) {
+      let unique = !!field.unique;
+      if (unique !== isUnique)
+        statements.push(this.generateAlterColumnChangeUniqueConstraintStatement(field, { unique }, options));
+    }
+
+    return statements.filter(Boolean);
+  }
+
+  /// Generate the statements required to change an existing
+  /// table in the database to match the provided `Model`.
+  ///
+  /// The statements are returned in the order they should be
+  /// executed:
+  ///   1. Indexes that are no longer defined by the model are dropped
+  ///   2. Columns that are no longer defined by the model are dropped
+  ///   3. Columns that are new to the model are added
+  ///   4. Columns that differ from their field are altered (see <see>SQLQueryGeneratorBase.generateColumnSchemaDiffStatements</see>)
+  ///   5. Indexes that are new to the model are created
+  ///
+  /// Note:
+  ///   Only indexes that follow the naming scheme of <see>SQLQueryGeneratorBase.generateIndexName</see>
+  ///   are compared. Any other indexes in the database (i.e. those created by hand, or those created
+  ///   by the database for `UNIQUE` constraints) are left alone.
+  ///
+  /// Note:
+  ///   Indexes are compared by their name, since the definition of `UNIQUE`, partial,
+  ///   and expression indexes (see <see>SQLQueryGeneratorBase.normalizeIndexDefinition</see>)
+  ///   can't be fully described by <see>SQLConnectionBase.listIndexes</see>. Any index in
+  ///   the database with an `idx_` or `uidx_` name that no longer matches an index
+  ///   of the model is dropped.
+  ///
+  /// Arguments:
+  ///   Model: class [Model](https://github.com/th317erd/mythix-orm/wiki/Model)
+  ///     The model that defines what the table should be.
+  ///   tableDescription: object
+  ///     The description of the table as it currently exists in the database,
+  ///     as returned by <see>SQLConnectionBase.describeTable</see>.
+  ///   indexDescriptions: Array<object>
+  ///     The indexes of the table as they currently exist in the database,
+  ///     as returned by <see>SQLConnectionBase.listIndexes</see>.
+  ///   options?: object
+  ///     Options for the operation. These are passed off to the `ALTER TABLE`, `CREATE INDEX`,
+  ///     and `DROP INDEX` generators.
+  ///
+  /// Return: Array<string>
+  ///   The statements needed to update the table. If the table already
+  ///   matches the `Model`, then an empty array is returned.
+  ///
+  /// See: SQLConnectionBase.diffSchema
+  generateTableSchemaDiffStatements(Model, tableDescription, indexDescriptions, options) {
+    let tableName       = Model.getTableName(this.connection);
+    let indexPrefixes   = [ `idx_${tableName}_`, `uidx_${tableName}_` ];
+    let columns         = new Map();
+    let fields          = new Map();
+    let uniqueColumns   = new Set();
+    let modelIndexes    = new Map();
+    let liveIndexNames  = new Set();
+    let statements      = [];
+
+    const addModelIndex = (indexDefinition) => {
+      let definition = this.normalizeIndexDefinition(Model, indexDefinition, options);
+      if (!definition)
+        return;
+
+      let indexName = this.generateIndexName(Model, definition, { ...(options || {}), escape: false });
+      if (!modelIndexes.has(indexName))
+        modelIndexes.set(indexName, definition);
+    };
+
+    for (let column of tableDescription.columns)
+      columns.set(column.columnName, column);
+
+    Model.iterateFields(({ field }) => {
+      if (field.type.isVirtual())
+        return;
+
+      fields.set(field.columnName, field);
+
+      // Indexes for foreign key fields are not
+      // created with the table, so they are not
+      // compared here either.
+      if (field.type.isForeignKey() || !field.index)
+        return;
+
+      let indexes = this.getIndexDefinitionsFromField(field);
+      for (let indexDefinition of indexes)
+        addModelIndex(indexDefinition);
+    });
+
+    for (let indexDefinition of Nife.toArray(Model.indexes))
+      addModelIndex(indexDefinition);
+
+    for (let index of Nife.toArray(indexDescriptions)) {
+      if (modelIndexes.has(index.indexName)) {
+        liveIndexNames.add(index.indexName);
+        continue;
+      }
+
+      // Indexes not created by us (i.e. those created by
+      // the database for UNIQUE constraints) are left alone
+      if (!indexPrefixes.some((indexPrefix) => (index.indexName.indexOf(indexPrefix) === 0))) {
+        if (index.unique && index.columnNames.length === 1)
+          uniqueColumns.add(index.columnNames[0]);
+
+        continue;
+      }
+
+      statements.push(this.generateDropIndexStatement(Model, index.columnNames, { ...(options || {}), indexName: index.indexName }));
+    }
+
+    for (let columnName of columns.keys()) {
+      if (fields.has(columnName))
+        continue;
+
+      let field = new Field({ fieldName: columnName, columnName, type: Types.STRING });
+      field.setModel(Model);
+
+      statements.push(this.generateDropColumnStatement(field, options));
+    }
+
+    for (let [ columnName, field ] of fields) {
+      if (!columns.has(columnName))
+        statements.push(this.generateAddColumnStatement(field, options));
+    }
+
+    for (let [ columnName, field ] of fields) {
+      let column = columns.get(columnName);
+      if (!column)
+        continue;
+
+      statements = statements.concat(this.generateColumnSchemaDiffStatements(field, column, uniqueColumns.has(columnName), options));
+    }
+
+    for (let [ indexName, indexDefinition ] of modelIndexes) {
+      if (!liveIndexNames.has(indexName))
+        statements.push(this.generateCreateIndexStatement(Model, indexDefinition, options));
+    }
+
+    return statements.filter(Boolean);
+  }
+
+  /// Wrap the provided statement in an `EXPLAIN` statement,
+  /// to fetch the query plan of the statement from the database.
+  ///
+  /// Database drivers should overload this method if their `EXPLAIN`
+  /// syntax differs, i.e. SQLite uses `EXPLAIN QUERY PLAN`.
+  ///
+  /// Arguments:
+  ///   statement: string | { sql: string; parameters: Array<any>; }
+  ///     The statement to explain. If this is a bound statement, then
+  ///     the parameters are carried over to the `EXPLAIN` statement.
+  ///   options?: object
+  ///     Options for the operation.
+  ///     | Option | Type | Default Value | Description |
+  ///     | ------ | ---- | ------------- | ----------- |
+  ///     | `analyze` | `boolean` | `false` | If `true`, then generate an `EXPLAIN ANALYZE` statement. |
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   The `EXPLAIN` statement.
+  ///
+  /// See: SQLConnectionBase.explain
+  generateExplainStatement(statement, _options) {
+    let options = _options || {};
+    let prefix  = (options.analyze === true) ? 'EXPLAIN ANALYZE' : 'EXPLAIN';
+
+    if (Nife.instanceOf(statement, 'string'))
+      return `${prefix} ${statement}`;
+
+    return {
+      sql:        `${prefix} ${statement.sql}`,
+      parameters: statement.parameters,
+    };
+  }
+
+  /// Generate a `CREATE TABLE` statement for the table used
+  /// by <see>SQLMigrationRunner</see> to track applied migrations.
+  ///
+  /// The table has two columns: `id`, which is the id of the
+  /// applied migration, and `appliedAt`, which is the time (in
+  /// milliseconds since the epoch) that the migration was applied.
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the migrations table.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string
+  ///   A `CREATE TABLE IF NOT EXISTS` statement for the migrations table.
+  // eslint-disable-next-line no-unused-vars
+  generateCreateMigrationsTableStatement(tableName, options) {
+    return `CREATE TABLE IF NOT EXISTS ${this.escapeID(tableName)} (${this.escapeID('id')} VARCHAR(255) PRIMARY KEY NOT NULL,${this.escapeID('appliedAt')} BIGINT NOT NULL)`;
+  }
+
+  /// Generate a `SELECT` statement to fetch all applied migrations
+  /// from the migrations table, in the order they were applied.
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the migrations table.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   A statement that returns one row per applied migration, with the columns `id` and `appliedAt`.
+  // eslint-disable-next-line no-unused-vars
+  generateSelectAppliedMigrationsStatement(tableName, options) {
+    let escapedIDColumn         = this.escapeID('id');
+    let escapedAppliedAtColumn  = this.escapeID('appliedAt');
+
+    return `SELECT ${escapedIDColumn},${escapedAppliedAtColumn} FROM ${this.escapeID(tableName)} ORDER BY ${escapedAppliedAtColumn} ASC,${escapedIDColumn} ASC`;
+  }
+
+  /// Generate an `INSERT` statement to record a migration
+  /// as applied in the migrations table.
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the migrations table.
+  ///   migrationID: string
+  ///     The id of the migration that was applied.
+  ///   appliedAt: number
+  ///     The time (in milliseconds since the epoch) that the migration was applied.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   An `INSERT` statement to record the migration.
+  generateInsertMigrationStatement(tableName, migrationID, appliedAt, options) {
+    return {
+      sql:        `INSERT INTO ${this.escapeID(tableName)} (${this.escapeID('id')},${this.escapeID('appliedAt')}) VALUES (${this.generateParameterPlaceholder(1, options)},${this.generateParameterPlaceholder(2, options)})`,
+      parameters: [ migrationID, appliedAt ],
+    };
+  }
+
+  /// Generate a `DELETE` statement to remove a migration
+  /// from the migrations table, when it is rolled back.
+  ///
+  /// Arguments:
+  ///   tableName: string
+  ///     The name of the migrations table.
+  ///   migrationID: string
+  ///     The id of the migration that was rolled back.
+  ///   options?: object
+  ///     Options for the operation.
+  ///
+  /// Return: string | { sql: string; parameters: Array<any>; }
+  ///   A `DELETE` statement to remove the migration record.
+  generateDeleteMigrationStatement(tableName, migrationID, options) {
+    return {
+      sql:        `DELETE FROM ${this.escapeID(tableName)} WHERE ${this.escapeID('id')} = ${this.generateParameterPlaceholder(1, options)}`,
+      parameters: [ migrationID ],
+    };
+  }
+
   /// Convert the provided `queryEngine` into
   /// a `SELECT` statement.
   ///
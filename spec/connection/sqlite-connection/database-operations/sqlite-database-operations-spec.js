@@ -2,7 +2,7 @@
 
 'use strict';
 
-/* global describe, expect, beforeAll, afterEach, beforeAll, spyOn */
+/* global describe, expect, expectAsync, jasmine, beforeAll, afterAll, beforeEach, afterEach, beforeAll, spyOn */
 
 const { Utils } = require('mythix-orm');
 
@@ -13,12 +13,18 @@ const {
 
 const { createRunners } = require('../../../support/test-helpers');
 const { CountLiteral } = require('mythix-orm/lib/connection/literals');
+const { SQLQueryGeneratorBase, StaleModelError } = require('../../../../lib');
 
 describe('SQLiteConnection', () => {
   describe('database operations', () => {
     let connection;
     let User;
     let Role;
+    let RoleThing;
+    let Tagging;
+    let Comment;
+    let Document;
+    let Product;
 
     // eslint-disable-next-line no-unused-vars
     const { it, fit } = createRunners(() => connection);
@@ -30,6 +36,11 @@ describe('SQLiteConnection', () => {
         connection = setup.connection;
         User = setup.User;
         Role = setup.Role;
+        RoleThing = setup.RoleThing;
+        Tagging = setup.Tagging;
+        Comment = setup.Comment;
+        Document = setup.Document;
+        Product = setup.Product;
       } catch (error) {
         console.error(error);
       }
@@ -189,6 +200,68 @@ describe('SQLiteConnection', () => {
         }
       });
 
+      describe('streaming', () => {
+        beforeEach(() => {
+          connection.getOptions().enableQueryIterate = true;
+        });
+
+        afterEach(() => {
+          delete connection.getOptions().enableQueryIterate;
+        });
+
+        it('should stream rows from a single statement if the driver supports it', async () => {
+          let insertModels = [];
+
+          for (let i = 0; i < 50; i++)
+            insertModels.push(new User({ firstName: `Test${`${i}`.padStart(2, '0')}`, lastName: 'User' }));
+
+          await connection.insert(User, insertModels);
+
+          let queryGenerator  = connection.getQueryGenerator();
+          let events          = [];
+          const onAfterQuery  = (event) => events.push(event);
+
+          spyOn(queryGenerator, 'generateSelectStatement').and.callThrough();
+          spyOn(connection, 'queryIterate').and.callThrough();
+
+          connection.on('afterQuery', onAfterQuery);
+
+          try {
+            let users = await Utils.collect(connection.select(User.where.ORDER('+User:firstName'), { batchSize: 20 }));
+            expect(users.length).toEqual(50);
+            expect(users[0]).toBeInstanceOf(User);
+            expect(users[0].isPersisted()).toEqual(true);
+            expect(users.map((user) => user.firstName)).toEqual(insertModels.map((user) => user.firstName));
+          } finally {
+            connection.off('afterQuery', onAfterQuery);
+          }
+
+          expect(queryGenerator.generateSelectStatement.calls.count()).toEqual(1);
+          expect(connection.queryIterate.calls.count()).toEqual(1);
+          expect(connection.queryIterate.calls.argsFor(0)[1].batchSize).toEqual(20);
+          expect(events.length).toEqual(1);
+          expect(events[0].operation).toEqual('select');
+          expect(events[0].rowCount).toEqual(50);
+
+          // Stopping early still completes the query
+          events = [];
+          connection.on('afterQuery', onAfterQuery);
+
+          try {
+            let iterator  = connection.select(User.where, { batchSize: 20 });
+            let result    = await iterator.next();
+
+            expect(result.value).toBeInstanceOf(User);
+            await iterator.return();
+          } finally {
+            connection.off('afterQuery', onAfterQuery);
+          }
+
+          expect(events.length).toEqual(1);
+          expect(await User.count()).toEqual(50);
+        });
+      });
+
       it('should be able to group results using group by', async () => {
         let insertModels = [
           new User({ firstName: 'John', lastName: 'Smith', primaryRole: new Role({ name: 'admin' }) }),
@@ -206,6 +279,103 @@ describe('SQLiteConnection', () => {
         expect(result[1]['User:lastName']).toEqual('Anne');
         expect(result[1]['count']).toEqual(1);
       });
+
+      it('should be able to hydrate nested relations from table joins', async () => {
+        let roles = await connection.insert(Role, [ new Role({ name: 'admin' }), new Role({ name: 'member' }) ]);
+
+        await connection.insert(RoleThing, [
+          new RoleThing({ roleID: roles[0].id }),
+          new RoleThing({ roleID: roles[0].id }),
+          new RoleThing({ roleID: roles[1].id }),
+        ]);
+
+        await connection.insert(User, [
+          new User({ firstName: 'Bob', lastName: 'Smith', primaryRoleID: roles[0].id }),
+          new User({ firstName: 'Mary', lastName: 'Anne', primaryRoleID: roles[1].id }),
+        ]);
+
+        let users = await Utils.collect(connection.select(
+          User.where
+            .primaryRoleID
+              .EQ(Role.where.id)
+            .AND
+            .Role
+              .id
+                .EQ(RoleThing.where.roleID)
+            .PROJECT('*')
+            .ORDER('+User:firstName'),
+        ));
+
+        expect(users.length).toEqual(2);
+        expect(users[0].RoleThings).toBe(undefined);
+        expect(users[0].Roles.length).toEqual(1);
+        expect(users[0].Roles[0].name).toEqual('admin');
+        expect(users[0].Roles[0].RoleThings.length).toEqual(2);
+        expect(users[0].Roles[0].RoleThings[0]).toBeInstanceOf(RoleThing);
+        expect(users[0].Roles[0].RoleThings[0].isDirty()).toEqual(false);
+        expect(users[1].Roles.length).toEqual(1);
+        expect(users[1].Roles[0].name).toEqual('member');
+        expect(users[1].Roles[0].RoleThings.map((roleThing) => roleThing.roleID)).toEqual([ roles[1].id ]);
+      });
+
+      it('should limit root models instead of joined rows', async () => {
+        let roles = await connection.insert(Role, [ new Role({ name: 'admin' }), new Role({ name: 'member' }) ]);
+
+        await connection.insert(RoleThing, [
+          new RoleThing({ roleID: roles[0].id }),
+          new RoleThing({ roleID: roles[0].id }),
+          new RoleThing({ roleID: roles[1].id }),
+        ]);
+
+        await connection.insert(User, [
+          new User({ firstName: 'Anne', lastName: 'Smith', primaryRoleID: roles[0].id }),
+          new User({ firstName: 'Bob', lastName: 'Smith', primaryRoleID: roles[1].id }),
+          new User({ firstName: 'Mary', lastName: 'Smith', primaryRoleID: roles[0].id }),
+        ]);
+
+        let query = User.where
+          .primaryRoleID
+            .EQ(Role.where.id)
+          .AND
+          .Role
+            .id
+              .EQ(RoleThing.where.roleID)
+          .PROJECT('*')
+          .ORDER('+User:firstName');
+
+        const summarize = (users) => users.map((user) => [ user.firstName, user.Roles[0].RoleThings.length ]);
+
+        expect(summarize(await Utils.collect(connection.select(query.clone().LIMIT(2))))).toEqual([ [ 'Anne', 2 ], [ 'Bob', 1 ] ]);
+        expect(summarize(await Utils.collect(connection.select(query.clone().LIMIT(2), { batchSize: 1 })))).toEqual([ [ 'Anne', 2 ], [ 'Bob', 1 ] ]);
+        expect(summarize(await Utils.collect(connection.select(query.clone().LIMIT(2).OFFSET(1))))).toEqual([ [ 'Bob', 1 ], [ 'Mary', 2 ] ]);
+        expect(summarize(await Utils.collect(connection.select(query, { batchSize: 1 })))).toEqual([ [ 'Anne', 2 ], [ 'Bob', 1 ], [ 'Mary', 2 ] ]);
+      });
+
+      it('should never return more rows than the limit', async () => {
+        await connection.insert(User, [
+          new User({ firstName: 'Anne', lastName: 'Smith' }),
+          new User({ firstName: 'Bob', lastName: 'Smith' }),
+          new User({ firstName: 'Mary', lastName: 'Smith' }),
+        ]);
+
+        expect((await Utils.collect(connection.select(User.where.LIMIT(2)))).length).toEqual(2);
+        expect((await Utils.collect(connection.select(User.where.LIMIT(2), { batchSize: 1 }))).length).toEqual(2);
+      });
+
+      it('should not merge rows that share part of a composite primary key', async () => {
+        await connection.insert(Tagging, [
+          new Tagging({ tagName: 'red', targetID: '1', note: 'one' }),
+          new Tagging({ tagName: 'blue', targetID: '1', note: 'two' }),
+          new Tagging({ tagName: 'red', targetID: '2', note: 'three' }),
+        ]);
+
+        let result = await Utils.collect(connection.select(Tagging.where.ORDER('+Tagging:note')));
+        expect(result.map((model) => [ model.tagName, model.targetID, model.note ])).toEqual([
+          [ 'red', '1', 'one' ],
+          [ 'red', '2', 'three' ],
+          [ 'blue', '1', 'two' ],
+        ]);
+      });
     });
 
     describe('insert', () => {
@@ -266,6 +436,35 @@ describe('SQLiteConnection', () => {
         expect(users[0].id).toEqual(insertModels[0].id);
         expect(users[1].id).toEqual(insertModels[1].id);
       });
+
+      it('should be able to split inserts into chunks', async () => {
+        let insertModels = [];
+        for (let i = 0; i < 5; i++)
+          insertModels.push(new User({ firstName: `Test${i}`, lastName: 'User' }));
+
+        spyOn(connection, 'queryStatement').and.callThrough();
+        spyOn(connection, 'prepareAllModelsForOperation').and.callThrough();
+
+        let storedModels = await connection.insert(User, insertModels, { maxInsertRows: 2 });
+
+        expect(connection.queryStatement.calls.count()).toEqual(3);
+        expect(connection.prepareAllModelsForOperation.calls.count()).toEqual(1);
+        expect(storedModels.map((user) => user.firstName)).toEqual([ 'Test0', 'Test1', 'Test2', 'Test3', 'Test4' ]);
+        expect(storedModels.every((user) => user.isPersisted())).toEqual(true);
+
+        let users = await Utils.collect(connection.select(User.where.ORDER('firstName')));
+        expect(users.map((user) => [ user.id, user.firstName ])).toEqual(insertModels.map((user) => [ user.id, user.firstName ]));
+      });
+
+      it('should enforce check constraints', async () => {
+        let error = await connection.insert(Product, [ new Product({ name: 'first', quantity: 0 }) ]).catch((error) => error);
+        expect(error.message).toEqual('CHECK constraint failed: ck_products_quantity');
+
+        error = await connection.insert(Product, [ new Product({ name: '' }) ]).catch((error) => error);
+        expect(error.message).toEqual('CHECK constraint failed: ck_products_name_not_empty');
+
+        expect(await Product.where.count()).toEqual(0);
+      });
     });
 
     describe('update', () => {
@@ -298,6 +497,109 @@ describe('SQLiteConnection', () => {
         expect(storedUsers[1].firstName).toEqual(insertModels[1].firstName);
         expect(storedUsers[1].lastName).toEqual('Test1');
       });
+
+      it('should be able to update models with a composite primary key', async () => {
+        let storedModels = await connection.insert(Tagging, [
+          new Tagging({ tagName: 'red', targetID: '1', note: 'one' }),
+          new Tagging({ tagName: 'blue', targetID: '1', note: 'two' }),
+        ]);
+
+        storedModels[1].note = 'updated';
+
+        expect(await connection.update(Tagging, [ storedModels[1] ])).toEqual(1);
+
+        let result = await Utils.collect(connection.select(Tagging.where.ORDER('+Tagging:tagName')));
+        expect(result.map((model) => [ model.tagName, model.note ])).toEqual([
+          [ 'blue', 'updated' ],
+          [ 'red', 'one' ],
+        ]);
+      });
+
+      it('should increment the version of models using optimistic locking', async () => {
+        await connection.insert(Document, [ new Document({ title: 'first' }) ]);
+
+        let document = await Document.where.first();
+        expect(document.version).toEqual(1);
+
+        document.title = 'updated';
+        expect(await connection.update(Document, [ document ])).toEqual(1);
+        expect(document.version).toEqual(2);
+
+        let storedDocument = await Document.where.first();
+        expect(storedDocument.title).toEqual('updated');
+        expect(storedDocument.version).toEqual(2);
+      });
+
+      it('should throw a StaleModelError if a model was modified since it was loaded', async () => {
+        await connection.insert(Document, [ new Document({ title: 'first' }) ]);
+
+        let document1 = await Document.where.first();
+        let document2 = await Document.where.first();
+
+        document1.title = 'one';
+        await connection.update(Document, [ document1 ]);
+
+        document2.title = 'two';
+
+        let error = await connection.update(Document, [ document2 ]).catch((error) => error);
+        expect(error).toBeInstanceOf(StaleModelError);
+        expect(error.Model).toBe(Document);
+        expect(error.model).toBe(document2);
+        expect(error.version).toEqual(1);
+        expect(document2.version).toEqual(1);
+
+        let storedDocument = await Document.where.first();
+        expect(storedDocument.title).toEqual('one');
+        expect(storedDocument.version).toEqual(2);
+      });
+
+      it('should increment the version of every row updated by a bulk update', async () => {
+        await connection.insert(Document, [ new Document({ title: 'first' }), new Document({ title: 'second' }) ]);
+
+        let document = await Document.where.title.EQ('first').first();
+
+        expect(await connection.updateAll(Document.where, { title: 'bulk' })).toEqual(2);
+        expect(await Document.where.ORDER('+version').pluck('version')).toEqual([ 2, 2 ]);
+
+        document.title = 'stale';
+
+        let error = await connection.update(Document, [ document ]).catch((error) => error);
+        expect(error).toBeInstanceOf(StaleModelError);
+        expect(await Document.where.title.EQ('bulk').count()).toEqual(2);
+
+        expect(await connection.updateAll(Document.where, { title: 'reset', version: 5 })).toEqual(2);
+        expect(await Document.where.pluck('version')).toEqual([ 5, 5 ]);
+      });
+    });
+
+    describe('updateAll', () => {
+      it('should be able to return the updated models', async () => {
+        let insertModels = [
+          new User({ firstName: 'Test', lastName: 'User', primaryRole: new Role({ name: 'admin' }) }),
+          new User({ firstName: 'Mary', lastName: 'Anne', primaryRole: new Role({ name: 'member' }) }),
+        ];
+
+        await connection.insert(User, insertModels);
+
+        let updatedModels = await connection.updateAll(User.where.lastName.EQ('Anne'), { firstName: 'Anne' }, { returning: true });
+        expect(updatedModels.length).toEqual(1);
+        expect(updatedModels[0]).toBeInstanceOf(User);
+        expect(updatedModels[0].isPersisted()).toEqual(true);
+        expect(updatedModels[0].isDirty()).toEqual(false);
+        expect(updatedModels[0].toJSON()).toEqual({
+          id:            insertModels[1].id,
+          firstName:     'Anne',
+          lastName:      'Anne',
+          primaryRoleID: insertModels[1].primaryRoleID,
+        });
+
+        updatedModels = await connection.updateAll(User.where.lastName.EQ('User'), { firstName: 'Bob' }, { returning: [ 'firstName' ] });
+        expect(updatedModels.map((model) => model.toJSON())).toEqual([ { id: insertModels[0].id, firstName: 'Bob' } ]);
+
+        expect(await connection.updateAll(User.where.lastName.EQ('User'), { firstName: 'Bob' }, { returning: 'ids' })).toEqual([ insertModels[0].id ]);
+        expect(await connection.updateAll(User.where.lastName.EQ('Derp'), { firstName: 'Bob' }, { returning: true })).toEqual([]);
+        expect(await connection.updateAll(User.where.lastName.EQ('User'), { firstName: 'Bob' })).toEqual(1);
+      });
     });
 
     describe('destroy', () => {
@@ -371,6 +673,170 @@ describe('SQLiteConnection', () => {
         expect(storedUsers[0].firstName).toEqual(insertModels[0].firstName);
         expect(storedUsers[0].lastName).toEqual(insertModels[0].lastName);
       });
+
+      it('should be able to return the primary keys of deleted rows', async () => {
+        let insertModels = [
+          new User({ firstName: 'Test', lastName: 'User', primaryRole: new Role({ name: 'admin' }) }),
+          new User({ firstName: 'Mary', lastName: 'Anne', primaryRole: new Role({ name: 'member' }) }),
+        ];
+
+        await connection.insert(User, insertModels);
+
+        expect(await connection.destroy(User.where.lastName.EQ('Anne'), { returning: 'ids' })).toEqual([ insertModels[1].id ]);
+        expect(await connection.destroy(User.where.lastName.EQ('Anne'), { returning: 'ids' })).toEqual([]);
+        expect(await connection.destroy(User, [ insertModels[0] ], { returning: 'ids' })).toEqual([ insertModels[0].id ]);
+        expect(await User.count()).toEqual(0);
+      });
+
+      it('should be able to return the deleted models', async () => {
+        let insertModels = [
+          new User({ firstName: 'Test', lastName: 'User', primaryRole: new Role({ name: 'admin' }) }),
+          new User({ firstName: 'Mary', lastName: 'Anne', primaryRole: new Role({ name: 'member' }) }),
+        ];
+
+        await connection.insert(User, insertModels);
+
+        let deletedModels = await connection.destroy(User.where.primaryRoleID.EQ(Role.where.id).AND.Role.name.EQ('member'), { returning: 'models' });
+        expect(deletedModels.length).toEqual(1);
+        expect(deletedModels[0]).toBeInstanceOf(User);
+        expect(deletedModels[0].isDirty()).toEqual(false);
+        expect(deletedModels[0].toJSON()).toEqual({
+          id:            insertModels[1].id,
+          firstName:     'Mary',
+          lastName:      'Anne',
+          primaryRoleID: insertModels[1].primaryRoleID,
+        });
+
+        deletedModels = await connection.destroy(User.where.lastName.EQ('User'), { returning: [ 'firstName' ] });
+        expect(deletedModels.map((model) => model.toJSON())).toEqual([ { id: insertModels[0].id, firstName: 'Test' } ]);
+      });
+
+      it('should pass options through when deleting models', async () => {
+        let insertModels = [
+          new User({ firstName: 'Test', lastName: 'User', primaryRole: new Role({ name: 'admin' }) }),
+          new User({ firstName: 'Mary', lastName: 'Anne', primaryRole: new Role({ name: 'member' }) }),
+        ];
+
+        await connection.insert(User, insertModels);
+
+        let queryStatementSpy = spyOn(connection, 'queryStatement').and.callThrough();
+
+        expect(await connection.destroy(User, insertModels, { bindParameters: true, returning: 'ids' })).toEqual([ insertModels[0].id, insertModels[1].id ]);
+        expect(queryStatementSpy.calls.argsFor(0)[0]).toEqual({
+          sql:        'DELETE FROM "users" WHERE "users"."id" IN (?,?) RETURNING "users"."id" ORDER BY "users"."rowid" ASC LIMIT 4294967295 OFFSET 0',
+          parameters: [ insertModels[0].id, insertModels[1].id ],
+        });
+
+        expect(await User.count()).toEqual(0);
+      });
+
+      it('should be able to delete models with a composite primary key', async () => {
+        let storedModels = await connection.insert(Tagging, [
+          new Tagging({ tagName: 'red', targetID: '1', note: 'one' }),
+          new Tagging({ tagName: 'blue', targetID: '1', note: 'two' }),
+          new Tagging({ tagName: 'red', targetID: '2', note: 'three' }),
+        ]);
+
+        expect(await connection.destroy(Tagging, [ storedModels[0], storedModels[2] ], { returning: 'ids' })).toEqual([
+          [ '1', 'red' ],
+          [ '2', 'red' ],
+        ]);
+
+        let result = await Utils.collect(connection.select(Tagging));
+        expect(result.map((model) => [ model.tagName, model.targetID ])).toEqual([ [ 'blue', '1' ] ]);
+      });
+    });
+
+    describe('soft delete', () => {
+      const createComments = async () => {
+        let user = new User({ firstName: 'Test', lastName: 'User' });
+        await connection.insert(User, [ user ]);
+
+        let comments = [
+          new Comment({ userID: user.id, body: 'first' }),
+          new Comment({ userID: user.id, body: 'second' }),
+        ];
+
+        await connection.insert(Comment, comments);
+
+        return { user, comments };
+      };
+
+      it('should soft-delete rows, and exclude them from reads', async () => {
+        let { user, comments } = await createComments();
+
+        expect(await connection.destroy(Comment, [ comments[0] ])).toEqual(1);
+        expect(await connection.destroy(Comment.where.body.EQ('first'))).toEqual(0);
+
+        expect((await Comment.where.all()).map((comment) => comment.body)).toEqual([ 'second' ]);
+        expect(await Comment.where.count()).toEqual(1);
+        expect(await Comment.where.body.EQ('first').exists()).toEqual(false);
+        expect(await Comment.where.pluck('body')).toEqual([ 'second' ]);
+
+        let deletedComments = await Comment.where.body.EQ('first').all({ withDeleted: true });
+        expect(deletedComments.length).toEqual(1);
+        expect(deletedComments[0].deletedAt).not.toBe(null);
+
+        // Joined models are filtered too
+        await connection.destroy(Comment.where.body.EQ('second'));
+        expect(await User.where.id.EQ(Comment.where.userID).count()).toEqual(0);
+        expect(await User.where.id.EQ(Comment.where.userID).count(null, { withDeleted: true })).toEqual(2);
+        expect(await User.where.id.EQ(user.id).count()).toEqual(1);
+      });
+
+      it('should be able to restore soft-deleted rows', async () => {
+        let { comments } = await createComments();
+
+        await connection.destroy(Comment.where);
+        expect(await Comment.where.count()).toEqual(0);
+
+        expect(await connection.restore(Comment, [ comments[1] ])).toEqual(1);
+        expect(await Comment.where.pluck('body')).toEqual([ 'second' ]);
+
+        expect(await connection.restore(Comment.where.body.EQ('first').OR.body.EQ('second'))).toEqual(1);
+        expect(await Comment.where.count()).toEqual(2);
+      });
+
+      it('should pass options through when soft-deleting models', async () => {
+        let { comments } = await createComments();
+
+        let queryStatementSpy = spyOn(connection, 'queryStatement').and.callThrough();
+
+        expect(await connection.destroy(Comment, [ comments[0] ], { bindParameters: true })).toEqual(1);
+        expect(queryStatementSpy.calls.argsFor(0)[0].parameters).toContain(comments[0].id);
+        expect(await Comment.where.pluck('body')).toEqual([ 'second' ]);
+      });
+
+      it('should pass options through when restoring a model class and a query', async () => {
+        await createComments();
+        await connection.destroy(Comment.where);
+
+        let queryStatementSpy = spyOn(connection, 'queryStatement').and.callThrough();
+
+        expect(await connection.restore(Comment, Comment.where.body.EQ('first'), { bindParameters: true })).toEqual(1);
+        expect(queryStatementSpy.calls.argsFor(0)[0].parameters).toContain('first');
+        expect(await Comment.where.pluck('body')).toEqual([ 'first' ]);
+      });
+
+      it('should not update soft-deleted rows', async () => {
+        let { comments } = await createComments();
+
+        await connection.destroy(Comment, [ comments[0] ]);
+
+        expect(await Comment.where.updateAll({ body: 'changed' })).toEqual(1);
+        expect(await Comment.where.body.EQ('changed').count(null, { withDeleted: true })).toEqual(1);
+
+        expect(await connection.updateAll(Comment.where, { body: 'all' }, { withDeleted: true })).toEqual(2);
+        expect(await Comment.where.body.EQ('all').count(null, { withDeleted: true })).toEqual(2);
+      });
+
+      it('should be able to force a hard delete', async () => {
+        let { comments } = await createComments();
+
+        await connection.destroy(Comment, [ comments[0] ]);
+        expect(await connection.destroy(Comment, comments, { force: true, returning: 'ids' })).toEqual([ comments[0].id, comments[1].id ]);
+        expect(await Comment.where.count(null, { withDeleted: true })).toEqual(0);
+      });
     });
 
     describe('truncate', () => {
@@ -392,5 +858,366 @@ describe('SQLiteConnection', () => {
         expect(storedUsers.length).toEqual(0);
       });
     });
+
+    describe('query hooks', () => {
+      it('should emit query events with the operation, model, and timing', async () => {
+        let events = [];
+        const onBeforeQuery = (event) => events.push([ 'before', event.operation, event.Model ]);
+        const onAfterQuery  = (event) => events.push([ 'after', event.operation, event.Model, event.rowCount, event.duration ]);
+
+        connection.on('beforeQuery', onBeforeQuery);
+        connection.on('afterQuery', onAfterQuery);
+
+        try {
+          await connection.insert(Role, [ new Role({ name: 'admin' }), new Role({ name: 'member' }) ]);
+          await Role.where.all();
+        } finally {
+          connection.off('beforeQuery', onBeforeQuery);
+          connection.off('afterQuery', onAfterQuery);
+        }
+
+        expect(events.length).toEqual(4);
+        expect(events[0]).toEqual([ 'before', 'insert', Role ]);
+        expect(events[1].slice(0, 4)).toEqual([ 'after', 'insert', Role, 2 ]);
+        expect(events[1][4]).toBeGreaterThanOrEqual(0);
+        expect(events[2]).toEqual([ 'before', 'select', Role ]);
+        expect(events[3].slice(0, 4)).toEqual([ 'after', 'select', Role, 2 ]);
+      });
+
+      it('should emit a query error event', async () => {
+        let errorEvent;
+        const onQueryError = (event) => {
+          errorEvent = event;
+        };
+
+        connection.on('queryError', onQueryError);
+
+        try {
+          await expectAsync(connection.queryStatement({ sql: 'SELECT * FROM "does_not_exist" WHERE "id" = ?', parameters: [ 1 ] }, {}, { operation: 'test' })).toBeRejected();
+        } finally {
+          connection.off('queryError', onQueryError);
+        }
+
+        expect(errorEvent.operation).toEqual('test');
+        expect(errorEvent.Model).toBe(null);
+        expect(errorEvent.sql).toEqual('SELECT * FROM "does_not_exist" WHERE "id" = ?');
+        expect(errorEvent.parameters).toEqual([ 1 ]);
+        expect(errorEvent.error).toEqual(jasmine.any(Error));
+      });
+
+      it('should log slow queries', async () => {
+        let options = connection.getOptions();
+        let logger  = { warn: jasmine.createSpy('warn') };
+
+        options.slowQueryThreshold = 0;
+        options.slowQueryLogger = logger;
+
+        try {
+          await Role.where.name.EQ('admin').first();
+        } finally {
+          delete options.slowQueryThreshold;
+          delete options.slowQueryLogger;
+        }
+
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+        expect(logger.warn.calls.argsFor(0)[0]).toMatch(/^Slow query \([\d.]+ms\) \[select Role\]: SELECT /);
+      });
+
+      it('should log slow queries with a logger that only has a log method', async () => {
+        let options = connection.getOptions();
+        let logger  = { log: jasmine.createSpy('log') };
+
+        options.slowQueryThreshold = 0;
+        options.slowQueryLogger = logger;
+
+        try {
+          expect(await Role.where.name.EQ('admin').first()).toBe(undefined);
+          await expectAsync(connection.queryStatement('SELECT * FROM "does_not_exist"')).toBeRejectedWithError(/no such table: does_not_exist/);
+        } finally {
+          delete options.slowQueryThreshold;
+          delete options.slowQueryLogger;
+        }
+
+        expect(logger.log).toHaveBeenCalledTimes(2);
+        expect(logger.log.calls.argsFor(0)[0]).toMatch(/^Slow query \([\d.]+ms\) \[select Role\]: SELECT /);
+      });
+
+      it('should never throw when logging slow queries', async () => {
+        let options = connection.getOptions();
+
+        options.slowQueryThreshold = 0;
+        options.slowQueryLogger = {
+          warn: () => {
+            throw new Error('Logger failure');
+          },
+        };
+
+        try {
+          expect(await Role.where.name.EQ('admin').first()).toBe(undefined);
+          await expectAsync(connection.queryStatement('SELECT * FROM "does_not_exist"')).toBeRejectedWithError(/no such table: does_not_exist/);
+        } finally {
+          delete options.slowQueryThreshold;
+          delete options.slowQueryLogger;
+        }
+      });
+    });
+
+    describe('read replicas', () => {
+      let replica;
+
+      beforeAll(async () => {
+        let setup = await createConnection();
+
+        replica = setup.connection;
+        await replica.createContext(async () => {
+          await replica.insert(setup.Role, [ new setup.Role({ name: 'replica' }) ]);
+        });
+      });
+
+      afterAll(async () => {
+        await replica.stop();
+      });
+
+      const withReplicas = async (extraOptions, callback) => {
+        let options = connection.getOptions();
+
+        Object.assign(options, { replicas: [ replica ] }, extraOptions);
+
+        try {
+          return await callback();
+        } finally {
+          delete options.replicas;
+          delete options.stickyPrimaryWindow;
+        }
+      };
+
+      it('should route reads to a replica, and everything else to the primary', async () => {
+        let events = [];
+        const onAfterQuery = (event) => events.push([ event.operation, event.replica ]);
+
+        connection.on('afterQuery', onAfterQuery);
+
+        try {
+          await withReplicas({}, async () => {
+            await connection.insert(Role, [ new Role({ name: 'primary' }) ]);
+
+            expect((await Role.where.all()).map((role) => role.name)).toEqual([ 'replica' ]);
+            expect(await Role.where.name.EQ('replica').count()).toEqual(1);
+            expect(await Role.where.name.EQ('primary').exists()).toEqual(false);
+            expect(await Role.where.pluck('name')).toEqual([ 'replica' ]);
+
+            // Per-call override
+            expect((await Utils.collect(connection.select(Role, { usePrimary: true }))).map((role) => role.name)).toEqual([ 'primary' ]);
+            expect(await connection.count(Role, null, { usePrimary: true })).toEqual(1);
+
+            // Transactions always use the primary
+            await connection.transaction(async () => {
+              expect((await Role.where.all()).map((role) => role.name)).toEqual([ 'primary' ]);
+            });
+          });
+        } finally {
+          connection.off('afterQuery', onAfterQuery);
+        }
+
+        expect(events[0]).toEqual([ 'insert', null ]);
+        expect(events[1][0]).toEqual('select');
+        expect(events[1][1]).toBe(replica);
+      });
+
+      it('should stick reads to the primary after a write', async () => {
+        await withReplicas({ stickyPrimaryWindow: 1000 }, async () => {
+          expect(await connection.count(Role)).toEqual(1);
+
+          await connection.insert(Role, [ new Role({ name: 'primary' }), new Role({ name: 'member' }) ]);
+          expect(connection.isPrimarySticky()).toEqual(true);
+          expect(await connection.count(Role)).toEqual(2);
+
+          let now = Date.now();
+          spyOn(Date, 'now').and.returnValue(now + 1000);
+
+          expect(connection.isPrimarySticky()).toEqual(false);
+          expect(await connection.count(Role)).toEqual(1);
+        });
+
+        // Stickiness is scoped to the async context of the write
+        await connection.createContext(async () => {
+          expect(connection.isPrimarySticky()).toEqual(false);
+        });
+      });
+
+      it('should not stick reads to the primary after explain or introspection', async () => {
+        await withReplicas({ stickyPrimaryWindow: 1000 }, async () => {
+          await connection.explain(Role.where.name.EQ('admin'));
+          await connection.listTables();
+          await connection.describeTable(Role);
+          await connection.listIndexes(Role);
+          await connection.listForeignKeys(Role);
+
+          expect(connection.isPrimarySticky()).toEqual(false);
+          expect(await connection.count(Role)).toEqual(1);
+        });
+      });
+    });
+
+    describe('explain', () => {
+      it('should be able to explain a query that uses an index', async () => {
+        let plan = await connection.explain(User.where.firstName.EQ('Bob'));
+
+        expect(plan.length).toEqual(1);
+        expect(plan[0]).toEqual({
+          operation:     'SEARCH users USING INDEX idx_users_firstName (firstName=?)',
+          tableName:     'users',
+          indexName:     'idx_users_firstName',
+          tableScan:     false,
+          indexScan:     true,
+          estimatedRows: null,
+          cost:          null,
+          children:      [],
+        });
+      });
+
+      it('should be able to explain a query that scans a table', async () => {
+        let plan = await connection.explain(User.where.primaryRoleID.EQ(Role.where.id).Role.name.EQ('admin'));
+
+        expect(plan.find((node) => (node.tableName === 'users')).tableScan).toEqual(true);
+        expect(plan.find((node) => (node.tableName === 'roles')).indexScan).toEqual(true);
+      });
+
+      it('should be able to explain update and delete operations', async () => {
+        let plan = await connection.explain(User.where.id.EQ('test'), { operation: 'update', attributes: { firstName: 'Test' } });
+        expect(plan[0].indexName).toEqual('sqlite_autoindex_users_1');
+
+        plan = await connection.explain(User.where.lastName.EQ('User'), { operation: 'delete' });
+        expect(plan[1].children[0].indexName).toEqual('idx_users_lastName');
+      });
+
+      it('should be able to explain a bound statement', async () => {
+        let plan = await connection.explain({ sql: 'SELECT * FROM "users" WHERE "lastName" = ?', parameters: [ 'User' ] });
+        expect(plan[0].indexName).toEqual('idx_users_lastName');
+      });
+
+      it('should throw an error for an update without attributes', async () => {
+        await expectAsync(connection.explain(User.where.id.EQ('test'), { operation: 'update' })).toBeRejectedWithError(Error, 'SQLiteConnection::explain: The "attributes" option is required to explain an "update" operation.');
+      });
+
+      it('should throw an error when analyzing an update or delete operation', async () => {
+        let querySpy = spyOn(connection, 'query').and.callThrough();
+
+        await expectAsync(connection.explain(User.where.id.EQ('test'), { operation: 'update', attributes: { firstName: 'Test' }, analyze: true })).toBeRejectedWithError(Error, 'SQLiteConnection::explain: The "analyze" option can not be used with the "update" operation, because the statement would be executed.');
+        await expectAsync(connection.explain(User.where.id.EQ('test'), { operation: 'delete', analyze: true })).toBeRejectedWithError(Error, 'SQLiteConnection::explain: The "analyze" option can not be used with the "delete" operation, because the statement would be executed.');
+
+        expect(querySpy).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('introspection', () => {
+      it('should be able to list tables', async () => {
+        let tableNames = await connection.listTables();
+        expect(tableNames).toContain('users');
+        expect(tableNames).toContain('roles');
+        expect(tableNames).toContain('user_roles');
+      });
+
+      it('should be able to describe a table', async () => {
+        let description = await connection.describeTable(User);
+
+        expect(description.tableName).toEqual('users');
+        expect(description.columns.map((column) => column.columnName)).toEqual([ 'id', 'firstName', 'lastName', 'primaryRoleID' ]);
+        expect(description.columns[0]).toEqual({
+          columnName:   'id',
+          type:         'VARCHAR(36)',
+          nullable:     false,
+          defaultValue: null,
+          primaryKey:   true,
+        });
+
+        expect(description.columns[1]).toEqual({
+          columnName:   'firstName',
+          type:         'VARCHAR(64)',
+          nullable:     true,
+          defaultValue: null,
+          primaryKey:   false,
+        });
+      });
+
+      it('should return undefined when describing a table that does not exist', async () => {
+        expect(await connection.describeTable('does_not_exist')).toBe(undefined);
+      });
+
+      it('should be able to list indexes', async () => {
+        let indexes = await connection.listIndexes(User);
+        let compositeIndex = indexes.find((index) => (index.indexName === 'idx_users_firstName_lastName'));
+
+        expect(compositeIndex).toEqual({
+          indexName:   'idx_users_firstName_lastName',
+          columnNames: [ 'firstName', 'lastName' ],
+          unique:      false,
+        });
+
+        expect(indexes.find((index) => (index.indexName === 'idx_users_lastName')).columnNames).toEqual([ 'lastName' ]);
+      });
+
+      it('should be able to list foreign keys', async () => {
+        expect(await connection.listForeignKeys(User)).toEqual([
+          {
+            constraintName:    null,
+            columnNames:       [ 'primaryRoleID' ],
+            targetTableName:   'roles',
+            targetColumnNames: [ 'id' ],
+            onDelete:          'SET NULL',
+            onUpdate:          'SET NULL',
+          },
+        ]);
+
+        let foreignKeys = await connection.listForeignKeys('user_roles');
+        expect(foreignKeys.map((foreignKey) => foreignKey.targetTableName).sort()).toEqual([ 'roles', 'users' ]);
+        expect(foreignKeys.every((foreignKey) => (foreignKey.onDelete === 'CASCADE'))).toEqual(true);
+      });
+
+      it('should throw an error if no model or table name is provided', async () => {
+        await expectAsync(connection.describeTable()).toBeRejectedWithError(TypeError, 'SQLiteConnection::describeTable: A model or a table name is required as the first argument.');
+      });
+
+      it('should throw an error if the query generator does not support introspection', () => {
+        let queryGenerator = new SQLQueryGeneratorBase(connection);
+        expect(() => queryGenerator.generateListTablesStatement()).toThrow(new Error('SQLQueryGeneratorBase::generateListTablesStatement: This operation is not supported for this connection type.'));
+      });
+    });
+
+    describe('foreign keys', () => {
+      it('should be able to add and drop foreign key constraints', async () => {
+        let queryStatementSpy = spyOn(connection, 'queryStatement').and.resolveTo([]);
+
+        await connection.addForeignKey(RoleThing.fields.roleID);
+        await connection.dropForeignKey(RoleThing.fields.roleID, { ifExists: true });
+
+        expect(queryStatementSpy.calls.allArgs().map(([ sqlStr, , queryOptions ]) => [ sqlStr, queryOptions ])).toEqual([
+          [ 'ALTER TABLE "role_things" ADD CONSTRAINT "fk_role_things_roleID" FOREIGN KEY("roleID") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE CASCADE', { operation: 'addForeignKey', Model: RoleThing } ],
+          [ 'ALTER TABLE "role_things" DROP CONSTRAINT IF EXISTS "fk_role_things_roleID"', { operation: 'dropForeignKey', Model: RoleThing } ],
+        ]);
+      });
+    });
+
+    describe('schema diff', () => {
+      it('should generate nothing if the database matches the models', async () => {
+        expect(await connection.diffSchema()).toEqual([]);
+      });
+
+      it('should be able to generate and apply a schema diff', async () => {
+        let RoleThing = connection.getModel('RoleThing');
+
+        await connection.dropTable(RoleThing, { cascade: false });
+        await connection.query('DROP INDEX "idx_users_lastName"');
+
+        let statements = await connection.diffSchema([ User, Role, RoleThing ]);
+        expect(statements).toEqual([
+          'CREATE TABLE "role_things" (\n  "id" VARCHAR(36) PRIMARY KEY NOT NULL,\n  "roleID" VARCHAR(36),\n  CONSTRAINT "fk_role_things_roleID" FOREIGN KEY("roleID") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE CASCADE\n)',
+          'CREATE INDEX "idx_users_lastName" ON "users" ("lastName")',
+        ]);
+
+        await connection.applySchemaDiff(statements);
+        expect(await connection.diffSchema()).toEqual([]);
+      });
+    });
   });
 });
@@ -0,0 +1,75 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+/* global describe, it, expect, beforeAll */
+
+const { Literals }    = require('mythix-orm');
+const Connection      = require('../../../../lib/sql-connection-base');
+const {
+  WindowLiteral,
+  RowNumberLiteral,
+  RankLiteral,
+  LagLiteral,
+  LeadLiteral,
+  RunningSumLiteral,
+} = require('../../../../lib/literals');
+
+const { Literal } = Literals;
+
+describe('WindowLiteral', () => {
+  let connection;
+  let User;
+
+  beforeAll(async () => {
+    connection = new Connection({
+      bindModels: false,
+      models:     require('../../../support/models'),
+    });
+
+    let models = connection.getModels();
+
+    User = models.User;
+  });
+
+  describe('toString', () => {
+    it('can stringify without a connection', () => {
+      expect((new RowNumberLiteral()).toString()).toEqual('RowNumberLiteral {}');
+    });
+
+    it('can turn a ROW_NUMBER into a window function', () => {
+      expect((new RowNumberLiteral()).toString(connection)).toEqual('ROW_NUMBER() OVER ()');
+      expect((new RowNumberLiteral({ partitionBy: 'User:lastName', orderBy: [ '-User:firstName', User.fields.id ] })).toString(connection)).toEqual('ROW_NUMBER() OVER (PARTITION BY "users"."lastName" ORDER BY "users"."firstName" DESC,"users"."id" ASC)');
+    });
+
+    it('can turn a RANK into a window function', () => {
+      expect((new RankLiteral({ orderBy: 'User:lastName', as: 'rank' })).toString(connection)).toEqual('RANK() OVER (ORDER BY "users"."lastName" ASC) AS "rank"');
+    });
+
+    it('can turn a LAG and a LEAD into a window function', () => {
+      expect((new LagLiteral('User:firstName', { orderBy: 'firstName' })).toString(connection)).toEqual('LAG("users"."firstName") OVER (ORDER BY "users"."firstName" ASC)');
+      expect((new LagLiteral('User:firstName', { orderBy: 'firstName', offset: 2 })).toString(connection)).toEqual('LAG("users"."firstName",2) OVER (ORDER BY "users"."firstName" ASC)');
+      expect((new LeadLiteral('User:firstName', { orderBy: 'firstName', defaultValue: 'none' })).toString(connection)).toEqual('LEAD("users"."firstName",1,\'none\') OVER (ORDER BY "users"."firstName" ASC)');
+    });
+
+    it('can turn a running SUM into a window function', () => {
+      expect((new RunningSumLiteral('User:id', { partitionBy: 'lastName', orderBy: 'firstName', as: 'total' })).toString(connection)).toEqual('SUM("users"."id") OVER (PARTITION BY "users"."lastName" ORDER BY "users"."firstName" ASC ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS "total"');
+      expect((new RunningSumLiteral('User:id', { frame: 'RANGE UNBOUNDED PRECEDING' })).toString(connection)).toEqual('SUM("users"."id") OVER (RANGE UNBOUNDED PRECEDING)');
+    });
+
+    it('can call any window function', () => {
+      expect((new WindowLiteral(new Literal('1'), { functionName: 'NTILE', orderBy: new Literal('RANDOM()') })).toString(connection)).toEqual('NTILE(1) OVER (ORDER BY RANDOM() ASC)');
+    });
+
+    it('will not add an alias in an ORDER BY clause', () => {
+      expect((new RankLiteral({ orderBy: 'User:lastName', as: 'rank' })).toString(connection, { isOrderBy: true })).toEqual('RANK() OVER (ORDER BY "users"."lastName" ASC)');
+    });
+
+    it('will throw an exception if a field is missing or invalid', () => {
+      expect(() => (new LagLiteral()).toString(connection)).toThrow(new TypeError('LagLiteral::fullyQualifiedNameToDefinition: Unable to find field for fully qualified name "undefined".'));
+      expect(() => (new RowNumberLiteral({ orderBy: 'firstName' })).toString(connection)).toThrow(new Error('SQLQueryGeneratorBase::_windowLiteralToString: Unable to locate field "firstName".'));
+      expect(() => (new LagLiteral('User:firstName', { offset: -1 })).toString(connection)).toThrow(new TypeError('SQLQueryGeneratorBase::generateWindowFunctionArguments: "offset" must be a positive integer, but "-1" was provided.'));
+      expect(() => (new WindowLiteral()).toString(connection)).toThrow(new Error('SQLQueryGeneratorBase::_windowLiteralToString: A window function name is required.'));
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+/* global describe, expect, expectAsync, beforeEach */
+
+const { createConnection } = require('../sqlite-connection-helper');
+const { createRunners } = require('../../../support/test-helpers');
+const { SQLMigrationRunner } = require('../../../../lib');
+
+describe('SQLiteConnection', () => {
+  describe('SQLMigrationRunner', () => {
+    let connection;
+    let RoleThing;
+
+    // eslint-disable-next-line no-unused-vars
+    const { it, fit } = createRunners(() => connection);
+
+    beforeEach(async () => {
+      let setup = await createConnection();
+
+      connection = setup.connection;
+      RoleThing = setup.RoleThing;
+
+      await connection.dropTable(RoleThing, { cascade: false });
+    });
+
+    const createMigrations = () => {
+      return [
+        {
+          id:   '001-create-role-things',
+          up:   (connection) => connection.createTable(RoleThing),
+          down: (connection) => connection.dropTable(RoleThing, { cascade: false }),
+        },
+        {
+          id:   '002-add-role-things-index',
+          up:   (connection) => connection.addIndex(RoleThing, [ 'roleID' ]),
+          down: (connection) => connection.query('DROP INDEX "idx_role_things_roleID"'),
+        },
+      ];
+    };
+
+    it('should apply pending migrations in order', async () => {
+      let runner = new SQLMigrationRunner(connection, { migrations: createMigrations() });
+
+      expect((await runner.getPendingMigrations()).map((migration) => migration.id)).toEqual([ '001-create-role-things', '002-add-role-things-index' ]);
+      expect(await runner.migrate()).toEqual([ '001-create-role-things', '002-add-role-things-index' ]);
+
+      expect(await connection.listTables()).toContain('role_things');
+      expect((await connection.listIndexes(RoleThing)).map((index) => index.indexName)).toContain('idx_role_things_roleID');
+      expect((await runner.getAppliedMigrations()).map((migration) => migration.id)).toEqual([ '001-create-role-things', '002-add-role-things-index' ]);
+
+      // Nothing left to do
+      expect(await runner.migrate()).toEqual([]);
+    });
+
+    it('should be able to roll back the last N migrations', async () => {
+      let runner = new SQLMigrationRunner(connection, { migrations: createMigrations() });
+
+      await runner.migrate();
+
+      expect(await runner.rollback()).toEqual([ '002-add-role-things-index' ]);
+      expect((await connection.listIndexes(RoleThing)).map((index) => index.indexName)).not.toContain('idx_role_things_roleID');
+      expect(await connection.listTables()).toContain('role_things');
+
+      await runner.migrate();
+
+      expect(await runner.rollback(2)).toEqual([ '002-add-role-things-index', '001-create-role-things' ]);
+      expect(await connection.listTables()).not.toContain('role_things');
+      expect(await runner.getAppliedMigrations()).toEqual([]);
+    });
+
+    it('should roll back a failed migration', async () => {
+      let migrations = createMigrations();
+
+      migrations[1].up = async (connection) => {
+        await connection.addIndex(RoleThing, [ 'roleID' ]);
+        throw new Error('Migration failed');
+      };
+
+      let runner = new SQLMigrationRunner(connection, { migrations, tableName: 'schema_migrations' });
+
+      await expectAsync(runner.migrate()).toBeRejectedWithError(Error, 'Migration failed');
+
+      expect(await connection.listTables()).toContain('schema_migrations');
+      expect((await connection.listIndexes(RoleThing)).map((index) => index.indexName)).not.toContain('idx_role_things_roleID');
+      expect((await runner.getAppliedMigrations()).map((migration) => migration.id)).toEqual([ '001-create-role-things' ]);
+    });
+
+    it('should throw an error if a migration has no "down" method', async () => {
+      let runner = new SQLMigrationRunner(connection, { migrations: [ { id: '001-noop', up: async () => {} } ] });
+
+      await runner.migrate();
+      await expectAsync(runner.rollback()).toBeRejectedWithError(Error, 'SQLMigrationRunner::runMigrationStep: Migration "001-noop" has no "down" method.');
+    });
+
+    it('should validate migrations', () => {
+      expect(() => new SQLMigrationRunner(connection, { migrations: [ { up: async () => {} } ] })).toThrow(new TypeError('SQLMigrationRunner::constructor: Every migration requires an "id".'));
+      expect(() => new SQLMigrationRunner(connection, { migrations: [ { id: '001' } ] })).toThrow(new TypeError('SQLMigrationRunner::constructor: Migration "001" requires an "up" method.'));
+      expect(() => new SQLMigrationRunner(connection, { migrations: [ { id: '001', up: async () => {} }, { id: '001', up: async () => {} } ] })).toThrow(new Error('SQLMigrationRunner::constructor: Duplicate migration "001".'));
+    });
+  });
+});
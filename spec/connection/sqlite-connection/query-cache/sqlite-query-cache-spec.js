@@ -0,0 +1,227 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+/* global describe, expect, expectAsync, beforeAll, afterEach, spyOn */
+
+const {
+  createConnection,
+  truncateTables,
+} = require('../sqlite-connection-helper');
+
+const { createRunners } = require('../../../support/test-helpers');
+const { SQLQueryCache } = require('../../../../lib');
+
+describe('SQLiteConnection', () => {
+  let connection;
+  let User;
+  let Role;
+  let ActiveUser;
+  let Comment;
+  let Number;
+
+  // eslint-disable-next-line no-unused-vars
+  const { it, fit } = createRunners(() => connection);
+
+  beforeAll(async () => {
+    let setup = await createConnection();
+
+    connection = setup.connection;
+    User = setup.User;
+    Role = setup.Role;
+    ActiveUser = setup.ActiveUser;
+    Comment = setup.Comment;
+    Number = setup.Number;
+
+    connection.getOptions().queryCache = true;
+  });
+
+  describe('SQLQueryCache', () => {
+    it('should evict the least recently used entries', () => {
+      let cache = new SQLQueryCache({ maxEntries: 2 });
+
+      cache.set('a', 1, [ 'users' ]);
+      cache.set('b', 2, [ 'roles' ]);
+
+      expect(cache.get('a')).toEqual(1);
+
+      cache.set('c', 3, [ 'roles' ]);
+
+      expect(cache.size).toEqual(2);
+      expect(cache.get('a')).toEqual(1);
+      expect(cache.get('b')).toBe(undefined);
+      expect(cache.get('c')).toEqual(3);
+    });
+
+    it('should invalidate entries by tag', () => {
+      let cache = new SQLQueryCache();
+
+      cache.set('a', 1, [ 'users' ]);
+      cache.set('b', 2, [ 'users', 'roles' ]);
+      cache.set('c', 3, [ 'roles' ]);
+
+      cache.invalidate([ 'users' ]);
+
+      expect(cache.get('a')).toBe(undefined);
+      expect(cache.get('b')).toBe(undefined);
+      expect(cache.get('c')).toEqual(3);
+      expect(Array.from(cache.tagKeys.keys())).toEqual([ 'roles' ]);
+    });
+  });
+
+  describe('query cache', () => {
+    afterEach(async () => {
+      await truncateTables(connection);
+      await connection.invalidateQueryCache();
+    });
+
+    it('should cache the results of read operations', async () => {
+      await connection.insert(Role, [ new Role({ name: 'admin' }), new Role({ name: 'member' }) ]);
+
+      let querySpy = spyOn(connection, 'query').and.callThrough();
+
+      expect((await Role.where.ORDER('name').all()).map((role) => role.name)).toEqual([ 'admin', 'member' ]);
+      expect((await Role.where.ORDER('name').all()).map((role) => role.name)).toEqual([ 'admin', 'member' ]);
+      expect(await Role.where.count()).toEqual(2);
+      expect(await Role.where.count()).toEqual(2);
+      expect(await Role.where.name.EQ('admin').exists()).toEqual(true);
+      expect(await Role.where.name.EQ('admin').exists()).toEqual(true);
+      expect(await Role.where.ORDER('name').pluck('name')).toEqual([ 'admin', 'member' ]);
+      expect(await Role.where.ORDER('name').pluck('name')).toEqual([ 'admin', 'member' ]);
+
+      expect(querySpy).toHaveBeenCalledTimes(4);
+
+      // Skipped when requested
+      expect(await connection.count(Role, null, { cache: false })).toEqual(2);
+      expect(querySpy).toHaveBeenCalledTimes(5);
+    });
+
+    it('should invalidate cached results when a table used in the query is written to', async () => {
+      await connection.insert(Role, [ new Role({ name: 'admin' }) ]);
+
+      let query = User.where.primaryRoleID.EQ(Role.where.id).Role.name.EQ('admin');
+
+      expect(await query.count()).toEqual(0);
+      expect(await Role.where.count()).toEqual(1);
+
+      await connection.insert(User, [ new User({ firstName: 'Test', lastName: 'User', primaryRole: new Role({ name: 'admin' }) }) ]);
+      expect(await query.count()).toEqual(1);
+      expect(await Role.where.count()).toEqual(2);
+
+      await connection.updateAll(Role.where, { name: 'member' });
+      expect(await query.count()).toEqual(0);
+
+      await connection.destroy(User.where);
+      expect(await User.where.count()).toEqual(0);
+    });
+
+    it('should invalidate cached results when a table used by a set operation, common table expression, or sub-query is written to', async () => {
+      await connection.insert(User, [ new User({ firstName: 'Test', lastName: 'User' }) ]);
+
+      let unionQuery  = () => User.where.PROJECT('User:id').UNION(Role.where.PROJECT('Role:id'));
+      let cteQuery    = () => ActiveUser.where.WITH(ActiveUser, User.where.lastName.EQ('User').PROJECT('User:id', 'User:firstName', 'User:lastName'));
+      let subQuery    = () => User.where.primaryRoleID.EQ(Role.where.name.EQ('admin').PROJECT('Role:id'));
+
+      expect((await unionQuery().pluck('User:id')).length).toEqual(1);
+      expect(await cteQuery().count()).toEqual(1);
+
+      let role = new Role({ name: 'admin' });
+      await connection.insert(Role, [ role ]);
+      expect((await unionQuery().pluck('User:id')).length).toEqual(2);
+
+      await connection.insert(User, [ new User({ firstName: 'Other', lastName: 'User', primaryRoleID: role.id }) ]);
+      expect(await cteQuery().count()).toEqual(2);
+      expect(await subQuery().count()).toEqual(1);
+
+      await connection.updateAll(Role.where, { name: 'member' });
+      expect(await subQuery().count()).toEqual(0);
+    });
+
+    it('should invalidate cached results of tables modified by cascading foreign keys', async () => {
+      let user = new User({ firstName: 'Test', lastName: 'User' });
+      await connection.insert(User, [ user ]);
+      await connection.insert(Comment, [ new Comment({ userID: user.id, body: 'first' }) ]);
+
+      expect(await Comment.where.count()).toEqual(1);
+
+      await connection.destroy(User, [ user ]);
+      expect(await Comment.where.count()).toEqual(0);
+
+      let tableNames = connection.getQueryCacheInvalidationTags(Role);
+      expect(tableNames[0]).toEqual('roles');
+      expect(tableNames).toContain('users');
+      expect(tableNames).toContain('comments');
+      expect(connection.getQueryCacheInvalidationTags(Comment)).toEqual([ 'comments' ]);
+    });
+
+    it('should not cache the results of common table expressions with unknown tables', async () => {
+      let querySpy = spyOn(connection, 'query').and.callThrough();
+      let query    = () => Number.where.WITH_RECURSIVE(Number, 'SELECT \'00000000-0000-4000-8000-000000000001\',1,0.5', { columns: [ 'id', 'numberInt', 'numberFloat' ] });
+
+      expect(await query().count()).toEqual(1);
+      expect(await query().count()).toEqual(1);
+      expect(querySpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not invalidate cached results after explain or introspection', async () => {
+      await connection.insert(Role, [ new Role({ name: 'admin' }) ]);
+      expect(await Role.where.count()).toEqual(1);
+
+      let invalidateSpy = spyOn(connection.getQueryCache(), 'invalidate').and.callThrough();
+
+      await connection.explain(Role.where.name.EQ('admin'));
+      await connection.describeTable(Role);
+      await connection.listIndexes(Role);
+
+      expect(invalidateSpy).not.toHaveBeenCalled();
+    });
+
+    it('should not use the cache inside a transaction', async () => {
+      await connection.insert(Role, [ new Role({ name: 'admin' }) ]);
+      expect(await Role.where.count()).toEqual(1);
+
+      await connection.transaction(async () => {
+        let querySpy = spyOn(connection, 'query').and.callThrough();
+
+        expect(await Role.where.count()).toEqual(1);
+        expect(querySpy).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should only invalidate cached results when a transaction commits', async () => {
+      await connection.insert(Role, [ new Role({ name: 'admin' }) ]);
+      expect(await Role.where.pluck('name')).toEqual([ 'admin' ]);
+
+      const concurrentRead = () => connection.createContext(() => Role.where.pluck('name'));
+
+      await connection.transaction(async (connection) => {
+        await connection.updateAll(Role.where, { name: 'member' });
+
+        await connection.transaction(async (connection) => {
+          await connection.insert(User, [ new User({ firstName: 'Test', lastName: 'User' }) ]);
+        });
+
+        // Outside of the transaction, the previously committed rows are still cached
+        expect(await concurrentRead()).toEqual([ 'admin' ]);
+      });
+
+      expect(await concurrentRead()).toEqual([ 'member' ]);
+      expect(await User.where.count()).toEqual(1);
+    });
+
+    it('should not invalidate cached results when a transaction is rolled back', async () => {
+      await connection.insert(Role, [ new Role({ name: 'admin' }) ]);
+      expect(await Role.where.pluck('name')).toEqual([ 'admin' ]);
+
+      let invalidateSpy = spyOn(connection.getQueryCache(), 'invalidate').and.callThrough();
+
+      await expectAsync(connection.transaction(async (connection) => {
+        await connection.updateAll(Role.where, { name: 'member' });
+        throw new Error('Rollback');
+      })).toBeRejectedWithError(Error, 'Rollback');
+
+      expect(invalidateSpy).not.toHaveBeenCalled();
+      expect(await Role.where.pluck('name')).toEqual([ 'admin' ]);
+    });
+  });
+});
@@ -5,6 +5,10 @@
 /* global describe, expect, beforeAll, afterEach, beforeAll */
 
 const { createRunners } = require('../../../support/test-helpers');
+const {
+  RowNumberLiteral,
+  RunningSumLiteral,
+} = require('../../../../lib/literals');
 
 const {
   createConnection,
@@ -394,6 +398,57 @@ describe('SQLiteConnection', () => {
           [ 'Test', 'User' ],
         ]);
       });
+
+      it('can pluck window function literals', async () => {
+        await Number.create([
+          { numberInt: 1, numberFloat: 10.0 },
+          { numberInt: 2, numberFloat: 20.0 },
+          { numberInt: 3, numberFloat: 30.0 },
+        ]);
+
+        let results = await Number.where.ORDER('numberInt').pluck([
+          'numberInt',
+          new RowNumberLiteral({ orderBy: '-Number:numberInt', as: 'rowNumber' }),
+          new RunningSumLiteral('Number:numberFloat', { orderBy: 'Number:numberInt' }),
+        ]);
+
+        expect(results).toEqual([
+          [ 1, 3, 10 ],
+          [ 2, 2, 30 ],
+          [ 3, 1, 60 ],
+        ]);
+
+        results = await Number.where.ORDER('numberInt').pluck([ 'numberInt', new RowNumberLiteral({ orderBy: '-Number:numberInt', as: 'rowNumber' }) ], { mapToObjects: true });
+        expect(results).toEqual([
+          { 'Number:numberInt': 1, 'rowNumber': 3 },
+          { 'Number:numberInt': 2, 'rowNumber': 2 },
+          { 'Number:numberInt': 3, 'rowNumber': 1 },
+        ]);
+      });
+    });
+
+    describe('window functions', () => {
+      it('can project and order by window function literals', async () => {
+        await Number.create([
+          { numberInt: 1, numberFloat: 10.0 },
+          { numberInt: 2, numberFloat: 20.0 },
+          { numberInt: 3, numberFloat: 30.0 },
+        ]);
+
+        let rowNumber = new RowNumberLiteral({ orderBy: 'Number:numberFloat', as: 'rowNumber' });
+        let query     = Number.where.PROJECT('*', rowNumber).ORDER.DESC(rowNumber);
+        let rows      = [];
+
+        for await (let result of connection.select(query, { raw: true })) {
+          let columnIndex = result.columns.indexOf('rowNumber');
+          rows = rows.concat(result.rows.map((row) => row[columnIndex]));
+        }
+
+        expect(rows).toEqual([ 3, 2, 1 ]);
+
+        let numbers = await query.all();
+        expect(numbers.map((number) => number.numberInt)).toEqual([ 3, 2, 1 ]);
+      });
     });
   });
 });
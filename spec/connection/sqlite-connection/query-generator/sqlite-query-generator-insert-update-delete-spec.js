@@ -3,7 +3,7 @@
 
 'use strict';
 
-/* global describe, expect, beforeAll */
+/* global describe, expect, beforeAll, Buffer */
 
 const { SQLiteConnection } = require('../../../support/sqlite-connection');
 
@@ -252,6 +252,147 @@ describe('SQLiteQueryGenerator', () => {
       let result = queryGenerator.generateInsertStatement(User, [], { newlines: false });
       expect(result).toEqual('');
     });
+
+    it('should be able to bind parameters', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateInsertStatement(User, [
+        { id: '6a69f57b-9ada-45cd-8dd9-23a753a2bbfc', firstName: 'Johnny', lastName: 'Bob' },
+        new User({ id: '6a69f57b-9ada-45cd-8dd9-23a753a2bbf3', firstName: 'Test', lastName: null }),
+      ], { newlines: false, bindParameters: true });
+
+      expect(result).toEqual({
+        sql:        'INSERT INTO "users" ("id","firstName","lastName") VALUES (?,?,?),(?,?,NULL) RETURNING id',
+        parameters: [ '6a69f57b-9ada-45cd-8dd9-23a753a2bbfc', 'Johnny', 'Bob', '6a69f57b-9ada-45cd-8dd9-23a753a2bbf3', 'Test' ],
+      });
+    });
+  });
+
+  describe('generateInsertStatements', () => {
+    const createUsers = (count) => {
+      let users = [];
+
+      for (let i = 1; i <= count; i++)
+        users.push(new User({ id: `6a69f57b-9ada-45cd-8dd9-23a753a2bbf${i}`, firstName: `Test${i}`, lastName: 'User' }));
+
+      return users;
+    };
+
+    it('should generate a single statement if no limits are set', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let users           = createUsers(3);
+      let result          = queryGenerator.generateInsertStatements(User, users, { newlines: false });
+
+      expect(result.length).toEqual(1);
+      expect(result[0].statement).toEqual(queryGenerator.generateInsertStatement(User, users, { newlines: false }));
+      expect(result[0].models).toEqual(users);
+    });
+
+    it('should split statements by row count', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let users           = createUsers(5);
+      let result          = queryGenerator.generateInsertStatements(User, users, { newlines: false, bindParameters: true, maxInsertRows: 2 });
+
+      expect(result.length).toEqual(3);
+      expect(result.map(({ models }) => models)).toEqual([ users.slice(0, 2), users.slice(2, 4), users.slice(4) ]);
+
+      expect(result[0].statement).toEqual({
+        sql:        'INSERT INTO "users" ("id","firstName","lastName") VALUES (?,?,?),(?,?,?) RETURNING id',
+        parameters: [ '6a69f57b-9ada-45cd-8dd9-23a753a2bbf1', 'Test1', 'User', '6a69f57b-9ada-45cd-8dd9-23a753a2bbf2', 'Test2', 'User' ],
+      });
+
+      expect(result[2].statement).toEqual({
+        sql:        'INSERT INTO "users" ("id","firstName","lastName") VALUES (?,?,?) RETURNING id',
+        parameters: [ '6a69f57b-9ada-45cd-8dd9-23a753a2bbf5', 'Test5', 'User' ],
+      });
+    });
+
+    it('should split statements by size', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let users           = createUsers(5);
+      let result          = queryGenerator.generateInsertStatements(User, users, { newlines: false, maxInsertBytes: 200 });
+
+      expect(result.length).toEqual(3);
+      expect(result.map(({ models }) => models)).toEqual([ users.slice(0, 2), users.slice(2, 4), users.slice(4) ]);
+      expect(result[0].statement).toEqual('INSERT INTO "users" ("id","firstName","lastName") VALUES (\'6a69f57b-9ada-45cd-8dd9-23a753a2bbf1\',\'Test1\',\'User\'),(\'6a69f57b-9ada-45cd-8dd9-23a753a2bbf2\',\'Test2\',\'User\') RETURNING id');
+
+      for (let i = 0, il = result.length; i < il; i++)
+        expect(Buffer.byteLength(result[i].statement)).not.toBeGreaterThan(200);
+
+      // A single row larger than the limit still gets its own statement
+      result = queryGenerator.generateInsertStatements(User, users, { newlines: false, maxInsertBytes: 10 });
+      expect(result.length).toEqual(5);
+    });
+
+    it('should use limits from the connection options', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let users           = createUsers(3);
+
+      connection.getOptions().maxInsertRows = 1;
+
+      try {
+        expect(queryGenerator.generateInsertStatements(User, users).length).toEqual(3);
+        expect(queryGenerator.generateInsertStatements(User, users, { maxInsertRows: 2 }).length).toEqual(2);
+      } finally {
+        delete connection.getOptions().maxInsertRows;
+      }
+    });
+
+    it('should throw an error on invalid limits', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateInsertStatements(User, createUsers(1), { maxInsertRows: 0 })).toThrow(new TypeError('SQLiteQueryGenerator::generateInsertStatements: "maxInsertRows" must be a positive integer.'));
+      expect(() => queryGenerator.generateInsertStatements(User, createUsers(1), { maxInsertBytes: 1.5 })).toThrow(new TypeError('SQLiteQueryGenerator::generateInsertStatements: "maxInsertBytes" must be a positive integer.'));
+    });
+
+    it('should generate nothing if no models provided', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateInsertStatements(User, [], { maxInsertRows: 2 })).toEqual([]);
+    });
+  });
+
+  describe('generateUpsertStatement', () => {
+    it('should generate an upsert statement', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateUpsertStatement(User, [
+        new User({ id: '6a69f57b-9ada-45cd-8dd9-23a753a2bbf3', firstName: 'Test', lastName: 'User' }),
+      ]);
+
+      expect(result).toEqual('INSERT INTO "users" ("id","firstName","lastName") VALUES (\'6a69f57b-9ada-45cd-8dd9-23a753a2bbf3\',\'Test\',\'User\') ON CONFLICT ("id") DO UPDATE SET "firstName" = excluded."firstName","lastName" = excluded."lastName" RETURNING id');
+    });
+
+    it('should be able to specify conflict and update fields', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateUpsertStatement(User, [
+        new User({ id: '6a69f57b-9ada-45cd-8dd9-23a753a2bbf3', firstName: 'Test', lastName: 'User' }),
+      ], { conflictFields: [ 'firstName', User.fields.lastName ], updateFields: [ 'id' ] });
+
+      expect(result).toEqual('INSERT INTO "users" ("id","firstName","lastName") VALUES (\'6a69f57b-9ada-45cd-8dd9-23a753a2bbf3\',\'Test\',\'User\') ON CONFLICT ("firstName","lastName") DO UPDATE SET "id" = excluded."id" RETURNING id');
+    });
+
+    it('should be able to do nothing on conflict', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateUpsertStatement(User, [
+        { id: '6a69f57b-9ada-45cd-8dd9-23a753a2bbfc', firstName: 'Johnny', lastName: 'Bob' },
+      ], { doNothing: true, bindParameters: true });
+
+      expect(result).toEqual({
+        sql:        'INSERT INTO "users" ("id","firstName","lastName") VALUES (?,?,?) ON CONFLICT ("id") DO NOTHING RETURNING id',
+        parameters: [ '6a69f57b-9ada-45cd-8dd9-23a753a2bbfc', 'Johnny', 'Bob' ],
+      });
+    });
+
+    it('should throw an error on an unknown conflict field', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateUpsertStatement(User, [
+        { id: '6a69f57b-9ada-45cd-8dd9-23a753a2bbfc', firstName: 'Johnny', lastName: 'Bob' },
+      ], { conflictFields: [ 'derp' ] })).toThrow(new Error('SQLiteQueryGenerator::generateUpsertStatement: Unable to locate field "derp" on model "User".'));
+    });
+
+    it('should generate nothing if no models provided', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateUpsertStatement(User, [])).toEqual('');
+    });
   });
 
   describe('generateUpdateStatement', () => {
@@ -321,6 +462,31 @@ describe('SQLiteQueryGenerator', () => {
 
       expect(result).toEqual('');
     });
+
+    it('should be able to bind parameters', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateUpdateStatement(
+        User,
+        { firstName: 'Test', lastName: 'User' },
+        User.where.firstName.EQ('Bob').lastName.EQ(null),
+        { newlines: false, bindParameters: true },
+      );
+
+      expect(result).toEqual({
+        sql:        'UPDATE "users" SET "firstName" = ?,"lastName" = ? WHERE "users"."firstName" = ? AND "users"."lastName" IS NULL RETURNING id',
+        parameters: [ 'Test', 'User', 'Bob' ],
+      });
+    });
+
+    it('should be able to return the updated rows', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateUpdateStatement(User, { lastName: 'User' }, User.where.firstName.EQ('Bob'), { newlines: false, returning: true });
+
+      expect(result).toEqual('UPDATE "users" SET "lastName" = \'User\' WHERE "users"."firstName" = \'Bob\' RETURNING "users"."id" AS "User:id","users"."firstName" AS "User:firstName","users"."lastName" AS "User:lastName","users"."primaryRoleID" AS "User:primaryRoleID"');
+
+      result = queryGenerator.generateUpdateStatement(User, { lastName: 'User' }, User.where.firstName.EQ('Bob'), { newlines: false, returning: [ 'lastName' ] });
+      expect(result).toEqual('UPDATE "users" SET "lastName" = \'User\' WHERE "users"."firstName" = \'Bob\' RETURNING "users"."id" AS "User:id","users"."lastName" AS "User:lastName"');
+    });
   });
 
   describe('generateDeleteStatement', () => {
@@ -372,5 +538,32 @@ describe('SQLiteQueryGenerator', () => {
 
       expect(result).toEqual('DELETE FROM "users" WHERE "users"."firstName" = \'Bob\' RETURNING "users"."id" ORDER BY "users"."firstName" ASC LIMIT 50 OFFSET 10');
     });
+
+    it('should be able to bind parameters', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateDeleteStatement(User, User.where.primaryRoleID.EQ(Role.where.id).firstName.LIKE('%bob%'), { bindParameters: true });
+
+      expect(result).toEqual({
+        sql:        'DELETE FROM "users" AS "_users" WHERE EXISTS (SELECT 1 FROM "users" INNER JOIN "roles" ON "roles"."id" = "users"."primaryRoleID" WHERE "users"."firstName" LIKE ? ESCAPE \'\\\' AND "users"."id" = "_users"."id" LIMIT 1 OFFSET 0) RETURNING "users"."id"',
+        parameters: [ '%bob%' ],
+      });
+    });
+
+    it('should be able to specify returned fields', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateDeleteStatement(User, User.where.firstName.EQ('Bob'), { returning: 'models' });
+
+      expect(result).toEqual('DELETE FROM "users" WHERE "users"."firstName" = \'Bob\' RETURNING "users"."id","users"."firstName","users"."lastName","users"."primaryRoleID" ORDER BY "users"."rowid" ASC LIMIT 4294967295 OFFSET 0');
+
+      result = queryGenerator.generateDeleteStatement(User, User.where.primaryRoleID.EQ(Role.where.id).firstName.LIKE('%bob%'), { returning: [ 'lastName' ] });
+      expect(result).toEqual('DELETE FROM "users" AS "_users" WHERE EXISTS (SELECT 1 FROM "users" INNER JOIN "roles" ON "roles"."id" = "users"."primaryRoleID" WHERE "users"."firstName" LIKE \'%bob%\' ESCAPE \'\\\' AND "users"."id" = "_users"."id" LIMIT 1 OFFSET 0) RETURNING "users"."id","users"."lastName"');
+    });
+
+    it('should throw an error on invalid returned fields', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateDeleteStatement(User, User.where.firstName.EQ('Bob'), { returning: [ 'derp' ] })).toThrow(new Error('SQLiteQueryGenerator::getReturningFields: Unable to locate field "derp" on model "User".'));
+      expect(() => queryGenerator.generateDeleteStatement(User, User.where.firstName.EQ('Bob'), { returning: 'derp' })).toThrow(new TypeError('SQLiteQueryGenerator::getReturningFields: "returning" must be true, \'ids\', \'models\', or an array of fields.'));
+    });
   });
 });
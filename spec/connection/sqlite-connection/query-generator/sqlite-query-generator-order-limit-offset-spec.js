@@ -5,6 +5,7 @@
 
 /* global describe, expect, beforeAll */
 
+const { Literals }          = require('mythix-orm');
 const { SQLiteConnection }  = require('../../../support/sqlite-connection');
 const { createRunners }     = require('../../../support/test-helpers');
 
@@ -12,6 +13,7 @@ describe('SQLiteQueryGenerator', () => {
   let connection;
   let User;
   let Role;
+  let Tagging;
 
   // eslint-disable-next-line no-unused-vars
   const { it, fit } = createRunners(() => connection);
@@ -26,6 +28,7 @@ describe('SQLiteQueryGenerator', () => {
     let models = connection.getModels();
     User = models.User;
     Role = models.Role;
+    Tagging = models.Tagging;
   });
 
   describe('generateOrderClause', () => {
@@ -205,4 +208,90 @@ describe('SQLiteQueryGenerator', () => {
       )).toEqual('ORDER BY "users"."rowid" ASC LIMIT 100 OFFSET 10');
     });
   });
+
+  describe('getKeysetOrder', () => {
+    it('will append the primary key to the order', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let order           = queryGenerator.getQueryEngineOrder(User.where.ORDER.DESC('firstName'), { keysetPagination: true });
+
+      expect(Array.from(order.keys())).toEqual([ 'User:firstName', 'User:id' ]);
+      expect(order.get('User:firstName').direction).toEqual('-');
+      expect(order.get('User:id').direction).toEqual('+');
+    });
+
+    it('will append every field of a composite primary key to the order', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let order           = queryGenerator.getQueryEngineOrder(Tagging.where.ORDER.DESC('note'), { keysetPagination: true });
+
+      expect(Array.from(order.keys())).toEqual([ 'Tagging:note', 'Tagging:targetID', 'Tagging:tagName' ]);
+      expect(order.get('Tagging:targetID').direction).toEqual('+');
+      expect(order.get('Tagging:tagName').direction).toEqual('+');
+    });
+
+    it('will not append the primary key if it is already in the order', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let order           = queryGenerator.getQueryEngineOrder(User.where.ORDER.DESC('id').ORDER.ADD('+firstName'), { keysetPagination: true });
+
+      expect(Array.from(order.keys())).toEqual([ 'User:id', 'User:firstName' ]);
+    });
+
+    it('will throw an error if a literal is used in the order', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.getQueryEngineOrder(User.where.ORDER(new Literals.Literal('RANDOM()')), { keysetPagination: true })).toThrow(new Error('SQLiteQueryGenerator::getKeysetOrder: Only fields can be used in the order of a query using keyset pagination, but "RANDOM()" was found.'));
+    });
+  });
+
+  describe('generateKeysetCursorCondition', () => {
+    it('can generate a row-value cursor condition', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(queryGenerator.generateKeysetCursorCondition(
+        User.where.ORDER('firstName'),
+        { 'User:firstName': 'Bob', 'User:id': 'test' },
+      )).toEqual('("users"."firstName","users"."id") > (\'Bob\',\'test\')');
+    });
+
+    it('can generate a single column cursor condition', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(queryGenerator.generateKeysetCursorCondition(User.where.ORDER.DESC('id'), { 'User:id': 'test' })).toEqual('"users"."id" < \'test\'');
+    });
+
+    it('can generate a cursor condition for mixed sort directions', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(queryGenerator.generateKeysetCursorCondition(
+        User.where.ORDER.DESC('firstName').ORDER.ADD('+lastName'),
+        { 'User:firstName': 'Bob', 'User:lastName': 'Brown', 'User:id': 'test' },
+      )).toEqual('(("users"."firstName" < \'Bob\' OR "users"."firstName" IS NULL) OR ("users"."firstName" = \'Bob\' AND "users"."lastName" > \'Brown\') OR ("users"."firstName" = \'Bob\' AND "users"."lastName" = \'Brown\' AND "users"."id" > \'test\'))');
+    });
+
+    it('can bind cursor values as parameters', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateSelectStatement(
+        User.where.firstName.EQ('Bob').OR.lastName.EQ('Brown').ORDER('firstName').PROJECT('firstName'),
+        { bindParameters: true, keysetPagination: true, keysetCursor: { 'User:firstName': 'Bob', 'User:id': 'test' } },
+      );
+
+      expect(result).toEqual({
+        sql:        'SELECT "users"."firstName" AS "User:firstName","users"."id" AS "User:id" FROM "users" WHERE ("users"."firstName" = ? OR "users"."lastName" = ?) AND ("users"."firstName","users"."id") > (?,?) ORDER BY "users"."firstName" ASC,"users"."id" ASC',
+        parameters: [ 'Bob', 'Brown', 'Bob', 'test' ],
+      });
+    });
+
+    it('can generate a cursor condition for NULL cursor values', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(queryGenerator.generateKeysetCursorCondition(User.where.ORDER('lastName'), { 'User:lastName': null, 'User:id': 'test' })).toEqual('("users"."lastName" IS NOT NULL OR ("users"."lastName" IS NULL AND "users"."id" > \'test\'))');
+      expect(queryGenerator.generateKeysetCursorCondition(User.where.ORDER.DESC('lastName'), { 'User:lastName': null, 'User:id': 'test' })).toEqual('("users"."lastName" IS NULL AND "users"."id" > \'test\')');
+      expect(queryGenerator.generateKeysetCursorCondition(User.where.ORDER.DESC('lastName'), { 'User:lastName': 'Brown', 'User:id': 'test' })).toEqual('(("users"."lastName" < \'Brown\' OR "users"."lastName" IS NULL) OR ("users"."lastName" = \'Brown\' AND "users"."id" > \'test\'))');
+    });
+
+    it('will throw an error if a cursor value is missing', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateKeysetCursorCondition(User.where.ORDER('lastName'), { 'User:id': 'test' })).toThrow(new Error('SQLiteQueryGenerator::generateKeysetCursorCondition: Cursor value for "User:lastName" is missing.'));
+    });
+  });
 });
@@ -8,6 +8,7 @@
 const { Literals }          = require('mythix-orm');
 const { SQLiteConnection }  = require('../../../support/sqlite-connection');
 const { createRunners }     = require('../../../support/test-helpers');
+const { SQLQueryGeneratorBase } = require('../../../../lib');
 
 describe('SQLiteQueryGenerator', () => {
   let connection;
@@ -15,6 +16,8 @@ describe('SQLiteQueryGenerator', () => {
   let Role;
   let UserThing;
   let RoleThing;
+  let ActiveUser;
+  let Comment;
 
   // eslint-disable-next-line no-unused-vars
   const { it, fit } = createRunners(() => connection);
@@ -31,6 +34,8 @@ describe('SQLiteQueryGenerator', () => {
     Role = models.Role;
     UserThing = models.UserThing;
     RoleThing = models.RoleThing;
+    ActiveUser = models.ActiveUser;
+    Comment = models.Comment;
   });
 
   describe('generateFromTableOrTableJoin', () => {
@@ -455,6 +460,63 @@ describe('SQLiteQueryGenerator', () => {
     });
   });
 
+  describe('generateSoftDeleteCondition', () => {
+    it('can exclude soft-deleted rows', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(queryGenerator.generateSoftDeleteCondition(Comment, false)).toEqual('"comments"."deletedAt" IS NULL');
+      expect(queryGenerator.generateSoftDeleteCondition(Comment, true)).toEqual('"comments"."deletedAt" IS NOT NULL');
+      expect(queryGenerator.generateSoftDeleteCondition(Comment, false, { withDeleted: true })).toEqual('');
+      expect(queryGenerator.generateSoftDeleteCondition(User, false)).toEqual('');
+    });
+
+    it('should exclude soft-deleted rows of the root model and of joined models', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(queryGenerator.generateSelectStatement(Comment.where.body.EQ('a').OR.body.EQ('b').PROJECT('Comment:id'))).toEqual(
+        'SELECT "comments"."id" AS "Comment:id","comments"."rowid" AS "Comment:rowid" FROM "comments" WHERE ("comments"."body" = \'a\' OR "comments"."body" = \'b\') AND "comments"."deletedAt" IS NULL ORDER BY "comments"."rowid" ASC',
+      );
+
+      expect(queryGenerator.generateSelectStatement(User.where.id.EQ(Comment.where.userID).PROJECT('User:id'))).toEqual(
+        'SELECT "users"."id" AS "User:id","users"."rowid" AS "User:rowid" FROM "users" INNER JOIN "comments" ON ("comments"."userID" = "users"."id") AND "comments"."deletedAt" IS NULL ORDER BY "users"."rowid" ASC',
+      );
+
+      expect(queryGenerator.generateSelectStatement(User.where.id.EQ(Comment.where.userID).PROJECT('User:id'), { withDeleted: true })).toEqual(
+        'SELECT "users"."id" AS "User:id","users"."rowid" AS "User:rowid" FROM "users" INNER JOIN "comments" ON "comments"."userID" = "users"."id" ORDER BY "users"."rowid" ASC',
+      );
+    });
+  });
+
+  describe('getJoinRelationParents', () => {
+    it('can find the parent of every joined model', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let parents         = queryGenerator.getJoinRelationParents(
+        User.where
+          .id
+            .EQ(UserThing.where.userID)
+        .AND
+        .UserThing
+          .roleThingID
+            .EQ(RoleThing.where.id)
+        .AND
+        .RoleThing
+          .roleID
+            .EQ(Role.where.id),
+      );
+
+      expect(Array.from(parents.entries())).toEqual([
+        [ 'UserThing', 'User' ],
+        [ 'RoleThing', 'UserThing' ],
+        [ 'Role', 'RoleThing' ],
+      ]);
+    });
+
+    it('should return an empty map if no tables are being joined', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.getJoinRelationParents(User.where.firstName.EQ('derp')).size).toEqual(0);
+    });
+  });
+
   describe('generateSelectWhereConditions', () => {
     it('can generate where statements for query', () => {
       let queryGenerator = connection.getQueryGenerator();
@@ -668,7 +730,7 @@ describe('SQLiteQueryGenerator', () => {
 
     it('can generate a select statement with a complex join statement and an order, limit, and offset', () => {
       let queryGenerator  = connection.getQueryGenerator();
-      let queryString     = queryGenerator.generateSelectStatement(
+      let query           = (
         User.where
           .id
             .EQ(UserThing.where.userID)
@@ -690,10 +752,190 @@ describe('SQLiteQueryGenerator', () => {
         .ORDER('User:firstName')
         .LIMIT(100)
         .OFFSET(500)
-        .PROJECT('*'),
+        .PROJECT('*')
       );
 
+      let queryString = queryGenerator.generateSelectStatement(query);
+      expect(queryString).toEqual('SELECT "users"."id" AS "User:id","users"."firstName" AS "User:firstName","users"."lastName" AS "User:lastName","users"."primaryRoleID" AS "User:primaryRoleID","user_things"."id" AS "UserThing:id","user_things"."roleThingID" AS "UserThing:roleThingID","user_things"."userID" AS "UserThing:userID","role_things"."id" AS "RoleThing:id","role_things"."roleID" AS "RoleThing:roleID","roles"."id" AS "Role:id","roles"."name" AS "Role:name" FROM "users" INNER JOIN "user_things" ON "user_things"."userID" = "users"."id" INNER JOIN "role_things" ON "role_things"."id" = "user_things"."roleThingID" INNER JOIN "roles" ON "roles"."id" = "role_things"."roleID" INNER JOIN (SELECT "users"."id" FROM "users" INNER JOIN "user_things" ON "user_things"."userID" = "users"."id" INNER JOIN "role_things" ON "role_things"."id" = "user_things"."roleThingID" INNER JOIN "roles" ON "roles"."id" = "role_things"."roleID" WHERE "users"."firstName" = \'Jonny\' AND "users"."lastName" = \'Bob\' GROUP BY "users"."id" ORDER BY "users"."firstName" ASC LIMIT 100 OFFSET 500) AS "_limited_users" ON "users"."id" = "_limited_users"."id" WHERE "users"."firstName" = \'Jonny\' AND "users"."lastName" = \'Bob\' ORDER BY "users"."firstName" ASC');
+
+      queryString = queryGenerator.generateSelectStatement(query, { limitRootModels: false });
       expect(queryString).toEqual('SELECT "users"."id" AS "User:id","users"."firstName" AS "User:firstName","users"."lastName" AS "User:lastName","users"."primaryRoleID" AS "User:primaryRoleID","user_things"."id" AS "UserThing:id","user_things"."roleThingID" AS "UserThing:roleThingID","user_things"."userID" AS "UserThing:userID","role_things"."id" AS "RoleThing:id","role_things"."roleID" AS "RoleThing:roleID","roles"."id" AS "Role:id","roles"."name" AS "Role:name" FROM "users" INNER JOIN "user_things" ON "user_things"."userID" = "users"."id" INNER JOIN "role_things" ON "role_things"."id" = "user_things"."roleThingID" INNER JOIN "roles" ON "roles"."id" = "role_things"."roleID" WHERE "users"."firstName" = \'Jonny\' AND "users"."lastName" = \'Bob\' ORDER BY "users"."firstName" ASC LIMIT 100 OFFSET 500');
     });
+
+    it('will aggregate the order columns of joined models when limiting root models', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSelectStatement(
+        User.where
+          .primaryRoleID
+            .EQ(Role.where.id)
+          .ORDER('+Role:name')
+          .ORDER.ADD('-User:firstName')
+          .LIMIT(10)
+          .OFFSET(5),
+      );
+
+      expect(queryString).toEqual('SELECT "users"."id" AS "User:id","users"."firstName" AS "User:firstName","users"."lastName" AS "User:lastName","users"."primaryRoleID" AS "User:primaryRoleID","roles"."name" AS "Role:name" FROM "users" INNER JOIN "roles" ON "roles"."id" = "users"."primaryRoleID" INNER JOIN (SELECT "users"."id" FROM "users" INNER JOIN "roles" ON "roles"."id" = "users"."primaryRoleID" GROUP BY "users"."id" ORDER BY MIN("roles"."name") ASC,"users"."firstName" DESC LIMIT 10 OFFSET 5) AS "_limited_users" ON "users"."id" = "_limited_users"."id" ORDER BY "roles"."name" ASC,"users"."firstName" DESC');
+
+      queryString = queryGenerator.generateSelectStatement(User.where.primaryRoleID.EQ(Role.where.id).ORDER.DESC('Role:name').LIMIT(10));
+      expect(queryString).toContain('GROUP BY "users"."id" ORDER BY MAX("roles"."name") DESC LIMIT 10) AS "_limited_users"');
+    });
+
+    it('can generate a select statement with bound parameters', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateSelectStatement(
+        User.where
+          .id
+            .EQ([ 'test1', 'test2', null ])
+          .AND
+          .firstName
+            .EQ(User.where.lastName.EQ('Bob').PROJECT('firstName'))
+          .AND
+          .lastName
+            .NEQ(true)
+          .PROJECT('id'),
+        { bindParameters: true },
+      );
+
+      expect(result).toEqual({
+        sql:        'SELECT "users"."id" AS "User:id","users"."rowid" AS "User:rowid" FROM "users" WHERE ("users"."id" IS NULL OR "users"."id" IN (?,?)) AND "users"."firstName" IN (SELECT "users"."firstName" AS "User:firstName" FROM "users" WHERE "users"."lastName" = ?) AND "users"."lastName" IS NOT TRUE ORDER BY "users"."rowid" ASC',
+        parameters: [ 'test1', 'test2', 'Bob' ],
+      });
+    });
+
+    it('can generate a select statement with a common table expression', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateSelectStatement(
+        ActiveUser.where
+          .WITH(ActiveUser, User.where.lastName.EQ('Bob').PROJECT('User:id', 'User:firstName', 'User:lastName'))
+          .firstName.EQ('Mary'),
+        { bindParameters: true },
+      );
+
+      expect(result).toEqual({
+        sql:        'WITH "active_users" AS (SELECT "users"."id","users"."firstName","users"."lastName" FROM "users" WHERE "users"."lastName" = ?) SELECT "active_users"."id" AS "ActiveUser:id","active_users"."firstName" AS "ActiveUser:firstName","active_users"."lastName" AS "ActiveUser:lastName" FROM "active_users" WHERE "active_users"."firstName" = ? ORDER BY "active_users"."id" ASC',
+        parameters: [ 'Bob', 'Mary' ],
+      });
+    });
+
+    it('can use a common table expression as a join target and a condition value', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSelectStatement(
+        User.where
+          .WITH(ActiveUser, User.where.lastName.EQ('Bob').PROJECT('User:id', 'User:firstName', 'User:lastName'))
+          .id.EQ(ActiveUser.where.id)
+          .firstName.EQ(ActiveUser.where.lastName.EQ('Bob').PROJECT('ActiveUser:firstName'))
+          .PROJECT('User:id', 'ActiveUser:lastName'),
+      );
+
+      expect(queryString).toEqual('WITH "active_users" AS (SELECT "users"."id","users"."firstName","users"."lastName" FROM "users" WHERE "users"."lastName" = \'Bob\') SELECT "users"."id" AS "User:id","active_users"."lastName" AS "ActiveUser:lastName","users"."rowid" AS "User:rowid" FROM "users" INNER JOIN "active_users" ON "active_users"."id" = "users"."id" WHERE "users"."firstName" IN (SELECT "active_users"."firstName" AS "ActiveUser:firstName" FROM "active_users" WHERE "active_users"."lastName" = \'Bob\') ORDER BY "users"."rowid" ASC');
+    });
+
+    it('can generate a select statement with a recursive common table expression', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSelectStatement(
+        ActiveUser.where
+          .WITH_RECURSIVE(ActiveUser, new Literals.Literal('SELECT \'1\',\'Test\',NULL UNION ALL SELECT "id" + 1,"firstName",NULL FROM "active_users" WHERE "id" < 5'), { columns: [ 'id', 'firstName', 'lastName' ] })
+          .LIMIT(10),
+      );
+
+      expect(queryString).toEqual('WITH RECURSIVE "active_users" ("id","firstName","lastName") AS (SELECT \'1\',\'Test\',NULL UNION ALL SELECT "id" + 1,"firstName",NULL FROM "active_users" WHERE "id" < 5) SELECT "active_users"."id" AS "ActiveUser:id","active_users"."firstName" AS "ActiveUser:firstName","active_users"."lastName" AS "ActiveUser:lastName" FROM "active_users" ORDER BY "active_users"."id" ASC LIMIT 10');
+    });
+
+    it('will replace a common table expression with the same name', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSelectStatement(
+        ActiveUser.where
+          .WITH(ActiveUser, 'SELECT 1')
+          .WITH('ActiveUser', User.where.firstName.EQ('Mary').PROJECT('User:id', 'User:firstName', 'User:lastName'))
+          .PROJECT('ActiveUser:id'),
+      );
+
+      expect(queryString).toEqual('WITH "active_users" AS (SELECT "users"."id","users"."firstName","users"."lastName" FROM "users" WHERE "users"."firstName" = \'Mary\') SELECT "active_users"."id" AS "ActiveUser:id" FROM "active_users" ORDER BY "active_users"."id" ASC');
+    });
+
+    it('will throw an error for an invalid common table expression', () => {
+      expect(() => User.where.WITH(null, 'SELECT 1')).toThrow(new Error('SQLModelScope::WITH: A valid model is required as the first argument.'));
+      expect(() => User.where.WITH(ActiveUser, 1)).toThrow(new Error('SQLModelScope::WITH: The common table expression body must be a query, a literal, or a string.'));
+    });
+
+    it('can generate a select statement with set operations', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let result          = queryGenerator.generateSelectStatement(
+        User.where
+          .firstName.EQ('Mary')
+          .PROJECT('User:id', 'User:firstName')
+          .UNION(Role.where.name.EQ('admin').PROJECT('Role:id', 'Role:name').ORDER('Role:name').LIMIT(5))
+          .UNION_ALL(User.where.lastName.EQ('Bob').PROJECT('User:id', 'User:lastName'))
+          .ORDER.DESC('User:firstName')
+          .LIMIT(10)
+          .OFFSET(5),
+        { bindParameters: true },
+      );
+
+      expect(result).toEqual({
+        sql:        'SELECT "users"."id" AS "User:id","users"."firstName" AS "User:firstName" FROM "users" WHERE "users"."firstName" = ? UNION SELECT "roles"."id" AS "Role:id","roles"."name" AS "Role:name" FROM "roles" WHERE "roles"."name" = ? UNION ALL SELECT "users"."id" AS "User:id","users"."lastName" AS "User:lastName" FROM "users" WHERE "users"."lastName" = ? ORDER BY "User:firstName" DESC LIMIT 10 OFFSET 5',
+        parameters: [ 'Mary', 'admin', 'Bob' ],
+      });
+    });
+
+    it('can generate INTERSECT and EXCEPT set operations', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSelectStatement(
+        User.where
+          .PROJECT('User:firstName')
+          .INTERSECT(Role.where.PROJECT('Role:name'))
+          .EXCEPT(UserThing.where.PROJECT('UserThing:userID')),
+      );
+
+      expect(queryString).toEqual('SELECT "users"."firstName" AS "User:firstName" FROM "users" INTERSECT SELECT "roles"."name" AS "Role:name" FROM "roles" EXCEPT SELECT "user_things"."userID" AS "UserThing:userID" FROM "user_things"');
+    });
+
+    it('will order set operations by primary key if projected', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSelectStatement(User.where.PROJECT('User:id').UNION(Role.where.PROJECT('Role:id')));
+
+      expect(queryString).toEqual('SELECT "users"."id" AS "User:id" FROM "users" UNION SELECT "roles"."id" AS "Role:id" FROM "roles" ORDER BY "User:id" ASC');
+    });
+
+    it('can generate an aggregate statement for set operations', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let queryString     = queryGenerator.generateSetOperationAggregateStatement(User.where.PROJECT('User:id').UNION(Role.where.PROJECT('Role:id')), new Literals.CountLiteral());
+
+      expect(queryString).toEqual('SELECT COUNT(*) FROM (SELECT "users"."id" AS "User:id" FROM "users" UNION SELECT "roles"."id" AS "Role:id" FROM "roles" ORDER BY "User:id" ASC) AS "set_operation"');
+      expect(() => queryGenerator.generateSetOperationAggregateStatement(User.where.PROJECT('User:id').UNION(Role.where.PROJECT('Role:id')), new Literals.MaxLiteral('User:id'))).toThrow(new Error('SQLiteQueryGenerator::generateSetOperationAggregateStatement: Only "count" without a field is supported for queries with set operations.'));
+    });
+
+    it('will throw an error for mismatched set operation projections', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateSelectStatement(User.where.PROJECT('User:id', 'User:firstName').UNION(Role.where.PROJECT('Role:name')))).toThrow(new Error('SQLiteQueryGenerator::generateSetOperations: All queries of a set operation must project the same number of columns, but the "UNION" query projects 1 columns, and the root query projects 2 columns.'));
+      expect(() => User.where.UNION('SELECT 1')).toThrow(new Error('SQLModelScope::UNION: A query is required as the first argument.'));
+      expect(() => User.where.EXCEPT()).toThrow(new Error('SQLModelScope::EXCEPT: A query is required as the first argument.'));
+    });
+
+    it('will throw an error for a common table expression on a set operation query', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateSelectStatement(User.where.PROJECT('User:id').UNION(ActiveUser.where.WITH(ActiveUser, 'SELECT 1').PROJECT('ActiveUser:id')))).toThrow(new Error('SQLiteQueryGenerator::generateSelectStatement: Common table expressions must be attached to the first query of a set operation.'));
+    });
+  });
+
+  describe('generateExplainStatement', () => {
+    it('can generate an EXPLAIN statement', () => {
+      let queryGenerator = new SQLQueryGeneratorBase(connection);
+      expect(queryGenerator.generateExplainStatement('SELECT 1')).toEqual('EXPLAIN SELECT 1');
+      expect(queryGenerator.generateExplainStatement('SELECT 1', { analyze: true })).toEqual('EXPLAIN ANALYZE SELECT 1');
+    });
+
+    it('will carry over bound parameters', () => {
+      let queryGenerator = new SQLQueryGeneratorBase(connection);
+      expect(queryGenerator.generateExplainStatement({ sql: 'SELECT ?', parameters: [ 1 ] })).toEqual({ sql: 'EXPLAIN SELECT ?', parameters: [ 1 ] });
+    });
+
+    it('can be overloaded by the connection', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateExplainStatement(User.where.firstName.EQ('Bob').toString())).toMatch(/^EXPLAIN QUERY PLAN SELECT /);
+      expect(() => queryGenerator.generateExplainStatement('SELECT 1', { analyze: true })).toThrow(new Error('SQLiteQueryGenerator::generateExplainStatement: "{ analyze: true }" is not supported for this connection type.'));
+    });
   });
 });
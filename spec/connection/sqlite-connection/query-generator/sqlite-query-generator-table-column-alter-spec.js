@@ -5,7 +5,7 @@
 
 /* global describe, it, expect, beforeAll, fail */
 
-const { Literals }          = require('mythix-orm');
+const { Literals, Types }   = require('mythix-orm');
 const { SQLiteConnection }  = require('../../../support/sqlite-connection');
 
 describe('SQLiteQueryGenerator', () => {
@@ -13,6 +13,9 @@ describe('SQLiteQueryGenerator', () => {
   let User;
   let ExtendedUser;
   let Role;
+  let Post;
+  let Product;
+  let RoleThing;
 
   beforeAll(() => {
     connection = new SQLiteConnection({
@@ -25,6 +28,9 @@ describe('SQLiteQueryGenerator', () => {
     User = models.User;
     Role = models.Role;
     ExtendedUser = models.ExtendedUser;
+    Post = models.Post;
+    Product = models.Product;
+    RoleThing = models.RoleThing;
   });
 
   describe('generateIndexName', () => {
@@ -59,6 +65,21 @@ describe('SQLiteQueryGenerator', () => {
         expect(error.message).toEqual('Model::getField: Can\'t find a field from another model. Field requested: "Role:name".');
       }
     });
+
+    it('can generate index names for unique, partial, and expression indexes', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateIndexName(User, { columns: [ 'firstName' ], unique: true })).toEqual('"uidx_users_firstName"');
+      expect(queryGenerator.generateIndexName(User, [ { field: 'lastName', direction: 'desc' }, 'firstName' ])).toEqual('"idx_users_firstName_lastName_desc"');
+      expect(queryGenerator.generateIndexName(User, [ new Literals.Literal('LOWER("firstName")') ])).toEqual('"idx_users_LOWER_firstName"');
+      expect(queryGenerator.generateIndexName(User, { columns: [ 'firstName' ], where: '"lastName" IS NULL' })).toEqual('"idx_users_firstName_where_721e2bf9"');
+      expect(queryGenerator.generateIndexName(User, { columns: [ 'firstName' ], name: 'my_index' })).toEqual('"my_index"');
+      expect(queryGenerator.generateIndexName(User, { columns: [ 'firstName' ], unique: true }, { escape: false })).toEqual('uidx_users_firstName');
+    });
+
+    it('should throw an error for an invalid direction', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(() => queryGenerator.generateIndexName(User, [ { field: 'firstName', direction: 'UP' } ])).toThrow(new TypeError('SQLiteQueryGenerator::normalizeIndexDefinition: Invalid index direction "UP". Direction must be "ASC" or "DESC".'));
+    });
   });
 
   describe('generateCreateIndexStatement', () => {
@@ -113,6 +134,30 @@ describe('SQLiteQueryGenerator', () => {
     });
   });
 
+  describe('generateCreateIndexStatement (index definitions)', () => {
+    it('can generate a unique index', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateCreateIndexStatement(User, { columns: [ 'firstName', 'lastName' ], unique: true });
+      expect(result).toEqual('CREATE UNIQUE INDEX "uidx_users_firstName_lastName" ON "users" ("firstName","lastName")');
+    });
+
+    it('can generate an index with column directions and expressions', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateCreateIndexStatement(User, [ { expression: 'LOWER("firstName")' }, { field: 'lastName', direction: 'DESC' } ], { ifNotExists: true });
+      expect(result).toEqual('CREATE INDEX IF NOT EXISTS "idx_users_LOWER_firstName_lastName_desc" ON "users" (LOWER("firstName"),"lastName" DESC)');
+    });
+
+    it('can generate a partial index', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateCreateIndexStatement(User, {
+        columns: [ 'firstName' ],
+        where:   (query) => query.lastName.EQ('User').primaryRoleID.NEQ(null),
+      });
+
+      expect(result).toEqual('CREATE INDEX "idx_users_firstName_where_f662b050" ON "users" ("firstName") WHERE "lastName" = \'User\' AND "primaryRoleID" IS NOT NULL');
+    });
+  });
+
   describe('generateDropIndexStatement', () => {
     it('can generate an statement from a list of field names', () => {
       let queryGenerator = connection.getQueryGenerator();
@@ -138,6 +183,18 @@ describe('SQLiteQueryGenerator', () => {
       expect(result).toEqual('DROP INDEX CONCURRENTLY "idx_users_firstName_lastName" CASCADE');
     });
 
+    it('can generate an statement from an index definition', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateDropIndexStatement(User, { columns: [ { field: 'firstName', direction: 'DESC' } ], unique: true });
+      expect(result).toEqual('DROP INDEX "uidx_users_firstName_desc" CASCADE');
+    });
+
+    it('can generate an statement with an explicit index name', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateDropIndexStatement(User, [ 'oldColumn' ], { indexName: 'idx_users_oldColumn' });
+      expect(result).toEqual('DROP INDEX "idx_users_oldColumn" CASCADE');
+    });
+
     it('can generate an statement with IF NOT EXISTS', () => {
       let queryGenerator = connection.getQueryGenerator();
       let result = queryGenerator.generateDropIndexStatement(User, [ 'firstName', 'lastName' ], { ifNotExists: true });
@@ -159,6 +216,12 @@ describe('SQLiteQueryGenerator', () => {
       expect(queryGenerator.generateDropIndexStatement(User, [ false, null, undefined ])).toEqual('');
     });
 
+    it('can drop an index by name alone', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateDropIndexStatement(User, [], { indexName: 'idx_users_LOWER_firstName' })).toEqual('DROP INDEX "idx_users_LOWER_firstName" CASCADE');
+      expect(queryGenerator.generateDropIndexStatement(User, [ null ], { indexName: 'idx_users_LOWER_firstName' })).toEqual('DROP INDEX "idx_users_LOWER_firstName" CASCADE');
+    });
+
     it('should throw an error if the fully qualified field name specifies a different model', () => {
       let queryGenerator = connection.getQueryGenerator();
 
@@ -239,6 +302,31 @@ describe('SQLiteQueryGenerator', () => {
       result = queryGenerator.generateColumnDeclarationStatement(User, ExtendedUser.fields.id, { noAutoIncrementDefault: true });
       expect(result).toEqual('"id" INTEGER PRIMARY KEY');
     });
+
+    it('can generate a column declaration with a check constraint', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateColumnDeclarationStatement(Product, Product.fields.quantity);
+
+      expect(result).toEqual('"quantity" INTEGER NOT NULL DEFAULT 1 CONSTRAINT "ck_products_quantity" CHECK ("quantity" >= 1)');
+    });
+  });
+
+  describe('generateCheckCondition', () => {
+    it('can generate check conditions from field check definitions', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateCheckCondition(Product, Product.fields.quantity, { min: 1, max: 10 })).toEqual('"quantity" >= 1 AND "quantity" <= 10');
+      expect(queryGenerator.generateCheckCondition(Product, Product.fields.name, { in: [ 'a', 'b' ] })).toEqual('"name" IN (\'a\',\'b\')');
+      expect(queryGenerator.generateCheckCondition(Product, Product.fields.quantity, [ { min: 1 }, '"quantity" % 2 = 1' ])).toEqual('"quantity" >= 1 AND ("quantity" % 2 = 1)');
+      expect(queryGenerator.generateCheckCondition(Product, Product.fields.quantity, new Literals.Literal('"quantity" <> 5'))).toEqual('"quantity" <> 5');
+      expect(queryGenerator.generateCheckCondition(Product, Product.fields.quantity, undefined)).toEqual('');
+    });
+
+    it('should throw an error for invalid check definitions', () => {
+      let queryGenerator = connection.getQueryGenerator();
+
+      expect(() => queryGenerator.generateCheckCondition(Product, null, { min: 1 })).toThrow(new TypeError('SQLiteQueryGenerator::generateCheckCondition: Invalid check definition. Checks must be a string, a literal, or (for fields) an object with "min", "max", or "in" properties.'));
+      expect(() => queryGenerator.generateCheckCondition(Product, Product.fields.name, { in: [] })).toThrow(new TypeError('SQLiteQueryGenerator::generateCheckCondition: "in" check on field "name" must not be empty.'));
+    });
   });
 
   describe('generateAlterTableStatement', () => {
@@ -367,6 +455,27 @@ describe('SQLiteQueryGenerator', () => {
     });
   });
 
+  describe('generateAddForeignKeyStatement', () => {
+    it('can generate an add foreign key statement', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAddForeignKeyStatement(User.fields.primaryRoleID);
+      expect(result).toEqual('ALTER TABLE "users" ADD CONSTRAINT "fk_users_primaryRoleID" FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL');
+    });
+
+    it('should throw an error if the field is not a foreign key', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(() => queryGenerator.generateAddForeignKeyStatement(User.fields.firstName)).toThrow(new TypeError('SQLiteQueryGenerator::generateAddForeignKeyStatement: Field "firstName" is not a foreign key.'));
+    });
+  });
+
+  describe('generateDropForeignKeyStatement', () => {
+    it('can generate a drop foreign key statement', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateDropForeignKeyStatement(User.fields.primaryRoleID)).toEqual('ALTER TABLE "users" DROP CONSTRAINT "fk_users_primaryRoleID"');
+      expect(queryGenerator.generateDropForeignKeyStatement(User.fields.primaryRoleID, { ifExists: true })).toEqual('ALTER TABLE "users" DROP CONSTRAINT IF EXISTS "fk_users_primaryRoleID"');
+    });
+  });
+
   describe('generateAlterColumnStatements', () => {
     it('can generate a rename column statement', () => {
       let queryGenerator = connection.getQueryGenerator();
@@ -428,6 +537,68 @@ describe('SQLiteQueryGenerator', () => {
       expect(result).toEqual([ 'DROP INDEX "idx_extended_users_firstName_lastName" CASCADE' ]);
     });
 
+    it('can generate check constraint change statements (add)', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAlterColumnStatements(Product.fields.name, { check: { in: [ 'a', 'b' ] } });
+      expect(result).toEqual([ 'ALTER TABLE "products" ADD CONSTRAINT "ck_products_name" CHECK ("name" IN (\'a\',\'b\'))' ]);
+    });
+
+    it('can generate check constraint change statements (drop)', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAlterColumnStatements(Product.fields.quantity, { check: null });
+      expect(result).toEqual([ 'ALTER TABLE "products" DROP CONSTRAINT "ck_products_quantity"' ]);
+    });
+
+    it('can generate check constraint change statements (change)', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAlterColumnStatements(Product.fields.quantity, { check: { min: 1, max: 100 } });
+      expect(result).toEqual([
+        'ALTER TABLE "products" DROP CONSTRAINT "ck_products_quantity"',
+        'ALTER TABLE "products" ADD CONSTRAINT "ck_products_quantity" CHECK ("quantity" >= 1 AND "quantity" <= 100)',
+      ]);
+
+      result = queryGenerator.generateAlterColumnStatements(Product.fields.quantity, { check: { min: 1 } });
+      expect(result).toEqual([]);
+    });
+
+    it('can generate new indexes from index definitions', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAlterColumnStatements(ExtendedUser.fields.firstName, { index: [ true, { columns: [ 'lastName' ], unique: true } ] });
+      expect(result).toEqual([
+        'CREATE UNIQUE INDEX "uidx_extended_users_firstName_lastName" ON "extended_users" ("firstName","lastName")',
+        'DROP INDEX "idx_extended_users_firstName_lastName" CASCADE',
+      ]);
+
+      result = queryGenerator.generateAlterColumnStatements(Post.fields.title, { index: { expression: 'LOWER("title")', where: '"archivedAt" IS NULL' } });
+      expect(result).toEqual([
+        'CREATE INDEX "idx_posts_LOWER_title_where_6615ab92" ON "posts" (LOWER("title")) WHERE "archivedAt" IS NULL',
+        'DROP INDEX "idx_posts_LOWER_title" CASCADE',
+      ]);
+    });
+
+    it('can generate foreign key change statements (recreate)', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAlterColumnStatements(RoleThing.fields.roleID, { type: Types.FOREIGN_KEY('Role:id', { onDelete: 'SET NULL', deferred: true }) });
+      expect(result).toEqual([
+        'ALTER TABLE "role_things" DROP CONSTRAINT "fk_role_things_roleID"',
+        'ALTER TABLE "role_things" ADD CONSTRAINT "fk_role_things_roleID" FOREIGN KEY("roleID") REFERENCES "roles"("id") ON DELETE SET NULL DEFERRABLE INITIALLY DEFERRED',
+      ]);
+
+      result = queryGenerator.generateAlterColumnStatements(RoleThing.fields.roleID, { type: Types.FOREIGN_KEY('Role:id', { onDelete: 'CASCADE', onUpdate: 'CASCADE' }) });
+      expect(result).toEqual([]);
+    });
+
+    it('can generate foreign key change statements (add and drop)', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateAlterColumnStatements(RoleThing.fields.roleID, { type: Types.STRING(36) });
+      expect(result).toEqual([ 'ALTER TABLE "role_things" DROP CONSTRAINT "fk_role_things_roleID"' ]);
+
+      result = queryGenerator.generateAlterColumnStatements(User.fields.lastName, { type: Types.FOREIGN_KEY('Role:name') });
+      expect(result).toEqual([
+        'ALTER TABLE "users" ADD CONSTRAINT "fk_users_lastName" FOREIGN KEY("lastName") REFERENCES "roles"("name")',
+      ]);
+    });
+
     it('can generate new indexes (mixed)', () => {
       let queryGenerator = connection.getQueryGenerator();
       let result = queryGenerator.generateAlterColumnStatements(ExtendedUser.fields.firstName, { index: [ true, 'createdAt' ] });
@@ -437,4 +608,132 @@ describe('SQLiteQueryGenerator', () => {
       ]);
     });
   });
+
+  describe('normalizeSchemaDefaultValue', () => {
+    it('can normalize default values', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.normalizeSchemaDefaultValue(undefined)).toBe(null);
+      expect(queryGenerator.normalizeSchemaDefaultValue('AUTOINCREMENT')).toBe(null);
+      expect(queryGenerator.normalizeSchemaDefaultValue('\'test\'')).toEqual('\'test\'');
+      expect(queryGenerator.normalizeSchemaDefaultValue('DEFAULT (STRFTIME(\'%s\',\'now\'))')).toEqual('STRFTIME(\'%s\',\'now\')');
+      expect(queryGenerator.normalizeSchemaDefaultValue('(1) + (2)')).toEqual('(1) + (2)');
+    });
+  });
+
+  describe('generateColumnSchemaDiffStatements', () => {
+    it('will generate nothing if the column matches the field', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateColumnSchemaDiffStatements(User.fields.firstName, { columnName: 'firstName', type: 'VARCHAR(64)', nullable: true, defaultValue: null, primaryKey: false }, false);
+      expect(result).toEqual([]);
+    });
+
+    it('can generate statements for every difference', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateColumnSchemaDiffStatements(User.fields.firstName, { columnName: 'firstName', type: 'VARCHAR(32)', nullable: false, defaultValue: '\'Bob\'', primaryKey: false }, true);
+      expect(result).toEqual([
+        'ALTER TABLE "users" ALTER COLUMN "firstName" SET DATA TYPE VARCHAR(64)',
+        'ALTER TABLE "users" ALTER COLUMN "firstName" DROP NOT NULL',
+        'ALTER TABLE "users" ALTER COLUMN "firstName" DROP DEFAULT',
+        'ALTER TABLE "users" ALTER COLUMN "firstName" DROP CONSTRAINT UNIQUE',
+      ]);
+    });
+
+    it('can generate a statement to set a default value', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateColumnSchemaDiffStatements(ExtendedUser.fields.createdAt, { columnName: 'createdAt', type: 'BIGINT', nullable: false, defaultValue: null, primaryKey: false }, false);
+      expect(result).toEqual([
+        'ALTER TABLE "extended_users" ALTER COLUMN "createdAt" SET DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4))',
+      ]);
+    });
+
+    it('will not compare null or unique constraints on primary keys', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateColumnSchemaDiffStatements(ExtendedUser.fields.id, { columnName: 'id', type: 'INTEGER', nullable: true, defaultValue: null, primaryKey: true }, false);
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('generateTableSchemaDiffStatements', () => {
+    const userColumns = () => [
+      { columnName: 'id', type: 'VARCHAR(36)', nullable: false, defaultValue: null, primaryKey: true },
+      { columnName: 'firstName', type: 'VARCHAR(64)', nullable: true, defaultValue: null, primaryKey: false },
+      { columnName: 'lastName', type: 'VARCHAR(64)', nullable: true, defaultValue: null, primaryKey: false },
+      { columnName: 'primaryRoleID', type: 'VARCHAR(36)', nullable: true, defaultValue: null, primaryKey: false },
+    ];
+
+    const userIndexes = () => [
+      { indexName: 'idx_users_firstName', columnNames: [ 'firstName' ], unique: false },
+      { indexName: 'idx_users_firstName_lastName', columnNames: [ 'firstName', 'lastName' ], unique: false },
+      { indexName: 'idx_users_lastName', columnNames: [ 'lastName' ], unique: false },
+      { indexName: 'sqlite_autoindex_users_1', columnNames: [ 'id' ], unique: true },
+    ];
+
+    it('will generate nothing if the table matches the model', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      let result = queryGenerator.generateTableSchemaDiffStatements(User, { tableName: 'users', columns: userColumns() }, userIndexes());
+      expect(result).toEqual([]);
+    });
+
+    it('can generate statements in order', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let columns         = userColumns().filter((column) => (column.columnName !== 'lastName'));
+      let indexes         = userIndexes().filter((index) => (index.indexName === 'idx_users_firstName'));
+
+      columns.push({ columnName: 'legacy', type: 'TEXT', nullable: true, defaultValue: null, primaryKey: false });
+      indexes.push({ indexName: 'idx_users_legacy', columnNames: [ 'legacy' ], unique: false });
+      indexes.push({ indexName: 'my_custom_index', columnNames: [ 'legacy' ], unique: false });
+
+      let result = queryGenerator.generateTableSchemaDiffStatements(User, { tableName: 'users', columns }, indexes);
+      expect(result).toEqual([
+        'DROP INDEX "idx_users_legacy" CASCADE',
+        'ALTER TABLE "users" DROP COLUMN "legacy" CASCADE',
+        'ALTER TABLE "users" ADD COLUMN "lastName" VARCHAR(64)',
+        'CREATE INDEX "idx_users_firstName_lastName" ON "users" ("firstName","lastName")',
+        'CREATE INDEX "idx_users_lastName" ON "users" ("lastName")',
+      ]);
+    });
+
+    it('will drop stale unique, partial, and expression indexes', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let indexes         = userIndexes().filter((index) => (index.indexName !== 'idx_users_lastName'));
+
+      indexes.push({ indexName: 'uidx_users_firstName', columnNames: [ 'firstName' ], unique: true });
+      indexes.push({ indexName: 'idx_users_lastName_where_0123abcd', columnNames: [ 'lastName' ], unique: false });
+      indexes.push({ indexName: 'idx_users_LOWER_lastName', columnNames: [ null ], unique: false });
+
+      let result = queryGenerator.generateTableSchemaDiffStatements(User, { tableName: 'users', columns: userColumns() }, indexes);
+      expect(result).toEqual([
+        'DROP INDEX "uidx_users_firstName" CASCADE',
+        'DROP INDEX "idx_users_lastName_where_0123abcd" CASCADE',
+        'DROP INDEX "idx_users_LOWER_lastName" CASCADE',
+        'CREATE INDEX "idx_users_lastName" ON "users" ("lastName")',
+      ]);
+    });
+
+    it('will compare unique, partial, and expression indexes by name', () => {
+      let queryGenerator  = connection.getQueryGenerator();
+      let columns         = [
+        { columnName: 'id', type: 'VARCHAR(36)', nullable: false, defaultValue: null, primaryKey: true },
+        { columnName: 'archivedAt', type: 'BIGINT', nullable: true, defaultValue: null, primaryKey: false },
+        { columnName: 'authorID', type: 'VARCHAR(36)', nullable: true, defaultValue: null, primaryKey: false },
+        { columnName: 'rank', type: 'INTEGER', nullable: false, defaultValue: '1', primaryKey: false },
+        { columnName: 'title', type: 'VARCHAR(256)', nullable: false, defaultValue: null, primaryKey: false },
+      ];
+
+      let indexes = [
+        { indexName: 'idx_posts_LOWER_title', columnNames: [ null ], unique: false },
+        { indexName: 'sqlite_autoindex_posts_1', columnNames: [ 'id' ], unique: true },
+      ];
+
+      let result = queryGenerator.generateTableSchemaDiffStatements(Post, { tableName: 'posts', columns }, indexes);
+      expect(result).toEqual([
+        'CREATE INDEX "idx_posts_authorID_rank_desc_where_6615ab92" ON "posts" ("authorID","rank" DESC) WHERE "archivedAt" IS NULL',
+      ]);
+
+      indexes.push({ indexName: 'idx_posts_authorID_rank_desc_where_6615ab92', columnNames: [ 'authorID', 'rank' ], unique: false });
+
+      result = queryGenerator.generateTableSchemaDiffStatements(Post, { tableName: 'posts', columns }, indexes);
+      expect(result).toEqual([]);
+    });
+  });
 });
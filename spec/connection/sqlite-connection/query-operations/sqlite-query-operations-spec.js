@@ -2,7 +2,7 @@
 
 'use strict';
 
-/* global describe, expect, beforeAll, afterEach, beforeAll */
+/* global describe, expect, expectAsync, beforeAll, afterEach */
 
 const { Utils } = require('mythix-orm');
 
@@ -20,6 +20,9 @@ describe('SQLiteConnection', () => {
   let connection;
   let User;
   let Role;
+  let ActiveUser;
+  let Number;
+  let Tagging;
 
   // eslint-disable-next-line no-unused-vars
   const { it, fit } = createRunners(() => connection);
@@ -30,6 +33,9 @@ describe('SQLiteConnection', () => {
     connection = setup.connection;
     User = setup.User;
     Role = setup.Role;
+    ActiveUser = setup.ActiveUser;
+    Number = setup.Number;
+    Tagging = setup.Tagging;
   });
 
   afterEach(async () => {
@@ -208,6 +214,63 @@ describe('SQLiteConnection', () => {
     });
   });
 
+  describe('upsert query', () => {
+    it('should be able to insert, and update existing models', async () => {
+      let [ user ] = await connection.insert(User, [ new User({ firstName: 'Test', lastName: 'User' }) ]);
+      expect(user.id).toMatch(UUID_REGEXP);
+
+      let users = await connection.upsert(User, [
+        new User({ id: user.id, firstName: 'Mary', lastName: 'Anne' }),
+        new User({ firstName: 'Johnny', lastName: 'Bob' }),
+      ]);
+
+      expect(users.length).toEqual(2);
+      expect(users[0].id).toEqual(user.id);
+      expect(users[0].isPersisted()).toEqual(true);
+      expect(users[1].id).toMatch(UUID_REGEXP);
+      expect(users[1].isPersisted()).toEqual(true);
+
+      let storedUsers = await User.where(connection).ORDER('+firstName').all();
+      expect(storedUsers.map((user) => user.firstName)).toEqual([ 'Johnny', 'Mary' ]);
+      expect(storedUsers.map((user) => user.lastName)).toEqual([ 'Bob', 'Anne' ]);
+    });
+
+    it('should be able to do nothing on conflict', async () => {
+      let [ user ] = await connection.insert(User, [ new User({ firstName: 'Test', lastName: 'User' }) ]);
+
+      let users = await connection.upsert(User, [
+        new User({ id: user.id, firstName: 'Mary', lastName: 'Anne' }),
+        new User({ firstName: 'Johnny', lastName: 'Bob' }),
+      ], { doNothing: true });
+
+      expect(users[0].id).toEqual(user.id);
+      expect(users[1].id).toMatch(UUID_REGEXP);
+      expect(users[1].id).not.toEqual(user.id);
+
+      let storedUsers = await User.where(connection).ORDER('+firstName').all();
+      expect(storedUsers.map((user) => user.firstName)).toEqual([ 'Johnny', 'Test' ]);
+    });
+
+    it('should match rows to models by a composite primary key when doing nothing on conflict', async () => {
+      await connection.insert(Tagging, [ new Tagging({ tagName: 'red', targetID: '1', note: 'one' }) ]);
+
+      let taggings = await connection.upsert(Tagging, [
+        new Tagging({ tagName: 'red', targetID: '2', note: 'two' }),
+        new Tagging({ tagName: 'blue', targetID: '1', note: 'three' }),
+        new Tagging({ tagName: 'red', targetID: '1', note: 'changed' }),
+      ], { doNothing: true });
+
+      expect(taggings.map((tagging) => [ tagging.tagName, tagging.targetID, tagging.note ])).toEqual([
+        [ 'red', '2', 'two' ],
+        [ 'blue', '1', 'three' ],
+        [ 'red', '1', 'changed' ],
+      ]);
+
+      let storedTaggings = await Tagging.where(connection).ORDER('+note').all();
+      expect(storedTaggings.map((tagging) => tagging.note)).toEqual([ 'one', 'three', 'two' ]);
+    });
+  });
+
   describe('select query', () => {
     const insertSomeRows = async () => {
       return await connection.insert(
@@ -377,5 +440,274 @@ describe('SQLiteConnection', () => {
         name: 'derp',
       });
     });
+
+    it('should not merge rows whose composite primary keys contain separators', async () => {
+      await connection.insert(Tagging, [
+        new Tagging({ targetID: 'x:y', tagName: 'z' }),
+        new Tagging({ targetID: 'x', tagName: 'y:z' }),
+      ]);
+
+      let taggings = await Utils.collect(connection.select(Tagging.where.ORDER('+targetID')));
+      expect(taggings.map((tagging) => [ tagging.targetID, tagging.tagName ])).toEqual([
+        [ 'x', 'y:z' ],
+        [ 'x:y', 'z' ],
+      ]);
+    });
+  });
+
+  describe('bound parameters', () => {
+    it('should be able to execute a generated statement with bound parameters', async () => {
+      await connection.insert(User, [
+        new User({ firstName: 'Test', lastName: 'User' }),
+        new User({ firstName: 'Mary', lastName: 'Anne' }),
+      ]);
+
+      let queryGenerator  = connection.getQueryGenerator();
+      let statement       = queryGenerator.generateSelectStatement(User.where.firstName.EQ('Mary').PROJECT('firstName'), { bindParameters: true });
+
+      expect(statement.parameters).toEqual([ 'Mary' ]);
+
+      let result = await connection.queryStatement(statement);
+      expect(result.rows.length).toEqual(1);
+      expect(result.rows[0][0]).toEqual('Mary');
+    });
+
+    it('should be able to insert, select, update, and destroy models using bound parameters', async () => {
+      let options = { bindParameters: true };
+      let models  = await connection.insert(
+        User,
+        [
+          new User({ firstName: 'Test', lastName: 'O\'Brien' }),
+          new User({ firstName: 'Mary', lastName: 'Anne' }),
+        ],
+        options,
+      );
+
+      expect(models.length).toEqual(2);
+      expect(models[0].id).toMatch(UUID_REGEXP);
+
+      let users = await Utils.collect(connection.select(User.where.lastName.EQ([ 'O\'Brien', 'Anne' ]).ORDER('firstName'), options));
+      expect(users.length).toEqual(2);
+      expect(users[0].firstName).toEqual('Mary');
+      expect(users[1].lastName).toEqual('O\'Brien');
+
+      users[1].firstName = 'Derp';
+      await connection.update(User, users[1], options);
+
+      expect(await connection.updateAll(User.where.firstName.EQ('Mary'), { lastName: 'Burp' }, options)).toEqual(1);
+
+      users = await Utils.collect(connection.select(User.where.ORDER('firstName'), options));
+      expect(users.map((user) => [ user.firstName, user.lastName ])).toEqual([ [ 'Derp', 'O\'Brien' ], [ 'Mary', 'Burp' ] ]);
+
+      expect(await connection.destroy(User.where.firstName.EQ('Derp'), options)).toEqual(1);
+      await connection.destroy(User, users[1], options);
+
+      expect(await connection.count(User.where.firstName.EQ([ 'Derp', 'Mary' ]), null, options)).toEqual(0);
+    });
+  });
+
+  describe('common table expressions', () => {
+    const insertSomeRows = async () => {
+      return await connection.insert(User, [
+        { firstName: 'Mary', lastName: 'Anne' },
+        { firstName: 'Bob', lastName: 'Anne' },
+        { firstName: 'Mary', lastName: 'Smith' },
+      ]);
+    };
+
+    it('should be able to select and hydrate models from a common table expression', async () => {
+      await insertSomeRows();
+
+      let users = await ActiveUser.where
+        .WITH(ActiveUser, User.where.lastName.EQ('Anne').PROJECT('User:id', 'User:firstName', 'User:lastName'))
+        .ORDER('+ActiveUser:firstName')
+        .all();
+
+      expect(users.length).toEqual(2);
+      expect(users[0]).toBeInstanceOf(ActiveUser);
+      expect(users.map((user) => user.firstName)).toEqual([ 'Bob', 'Mary' ]);
+      expect(users.map((user) => user.lastName)).toEqual([ 'Anne', 'Anne' ]);
+    });
+
+    it('should be able to join on, and use a common table expression as a condition value', async () => {
+      await insertSomeRows();
+
+      const withActiveUsers = () => User.where.WITH(ActiveUser, User.where.lastName.EQ('Anne').PROJECT('User:id', 'User:firstName', 'User:lastName'));
+
+      let users = await withActiveUsers().id.EQ(ActiveUser.where.id).ORDER('+User:firstName').all();
+      expect(users.map((user) => user.firstName)).toEqual([ 'Bob', 'Mary' ]);
+
+      users = await withActiveUsers().id.EQ(ActiveUser.where.firstName.EQ('Mary').PROJECT('ActiveUser:id')).all();
+      expect(users.length).toEqual(1);
+      expect(users[0].lastName).toEqual('Anne');
+
+      expect(await withActiveUsers().count()).toEqual(3);
+      expect(await withActiveUsers().id.EQ(ActiveUser.where.id).count()).toEqual(2);
+    });
+
+    it('should be able to select from a recursive common table expression', async () => {
+      let numbers = await Number.where
+        .WITH_RECURSIVE(Number, 'SELECT printf(\'00000000-0000-4000-8000-%012d\', 1),1,0.5 UNION ALL SELECT printf(\'00000000-0000-4000-8000-%012d\', "numberInt" + 1),"numberInt" + 1,0.5 FROM "numbers" WHERE "numberInt" < 5', { columns: [ 'id', 'numberInt', 'numberFloat' ] })
+        .numberInt.GT(2)
+        .all();
+
+      expect(numbers.map((number) => number.numberInt)).toEqual([ 3, 4, 5 ]);
+    });
+  });
+
+  describe('set operations', () => {
+    const insertSomeRows = async () => {
+      await connection.insert(User, [
+        { firstName: 'Mary', lastName: 'Anne' },
+        { firstName: 'Bob', lastName: 'Anne' },
+        { firstName: 'Mary', lastName: 'Smith' },
+      ]);
+
+      await connection.insert(Role, [
+        { name: 'Bob' },
+        { name: 'admin' },
+      ]);
+    };
+
+    it('should be able to pluck from set operations', async () => {
+      await insertSomeRows();
+
+      const firstNames = () => User.where.PROJECT('User:firstName');
+
+      expect(await firstNames().UNION(Role.where.PROJECT('Role:name')).ORDER('+User:firstName').pluck('User:firstName')).toEqual([ 'Bob', 'Mary', 'admin' ]);
+      expect(await firstNames().UNION_ALL(Role.where.PROJECT('Role:name')).ORDER('+User:firstName').pluck('User:firstName')).toEqual([ 'Bob', 'Bob', 'Mary', 'Mary', 'admin' ]);
+      expect(await firstNames().INTERSECT(Role.where.PROJECT('Role:name')).pluck('User:firstName')).toEqual([ 'Bob' ]);
+      expect(await firstNames().EXCEPT(Role.where.PROJECT('Role:name')).pluck('User:firstName')).toEqual([ 'Mary' ]);
+      expect(await firstNames().UNION(Role.where.PROJECT('Role:name')).ORDER.DESC('User:firstName').LIMIT(1).OFFSET(1).pluck('User:firstName')).toEqual([ 'Mary' ]);
+    });
+
+    it('should be able to select and hydrate models from set operations', async () => {
+      await insertSomeRows();
+
+      let users = await User.where
+        .firstName.EQ('Bob')
+        .UNION(User.where.lastName.EQ('Smith'))
+        .ORDER('+User:firstName')
+        .all({ batchSize: 1 });
+
+      expect(users.length).toEqual(2);
+      expect(users[0]).toBeInstanceOf(User);
+      expect(users.map((user) => user.firstName)).toEqual([ 'Bob', 'Mary' ]);
+      expect(users.map((user) => user.lastName)).toEqual([ 'Anne', 'Smith' ]);
+    });
+
+    it('should be able to count set operations', async () => {
+      await insertSomeRows();
+
+      const ids = () => User.where.PROJECT('User:id');
+
+      expect(await ids().UNION(Role.where.PROJECT('Role:id')).count()).toEqual(5);
+      expect(await ids().UNION(Role.where.PROJECT('Role:id')).LIMIT(2).count()).toEqual(2);
+      expect(await ids().UNION(Role.where.PROJECT('Role:id')).exists()).toEqual(true);
+      expect(await Role.where.PROJECT('Role:id').EXCEPT(Role.where.PROJECT('Role:id')).count()).toEqual(0);
+      expect(await Role.where.PROJECT('Role:id').EXCEPT(Role.where.PROJECT('Role:id')).exists()).toEqual(false);
+      expect(await User.where.PROJECT('User:firstName').EXCEPT(Role.where.PROJECT('Role:name')).count()).toEqual(1);
+      expect(await User.where.lastName.EQ('Anne').PROJECT('User:firstName').UNION(Role.where.PROJECT('Role:name')).count(null, { bindParameters: true })).toEqual(3);
+    });
+
+    it('should fail if set operation projections do not match', async () => {
+      await insertSomeRows();
+
+      await expectAsync(User.where.UNION(Role.where).all()).toBeRejectedWithError('SQLiteQueryGenerator::generateSetOperations: All queries of a set operation must project the same number of columns, but the "UNION" query projects 2 columns, and the root query projects 4 columns.');
+    });
+  });
+
+  describe('keyset pagination', () => {
+    const insertSomeRows = async () => {
+      let users = [];
+      for (let i = 0; i < 25; i++)
+        users.push({ firstName: `First${i % 5}`, lastName: `Last${(i < 10) ? `0${i}` : i}` });
+
+      return await connection.insert(User, users);
+    };
+
+    it('should be able to select all rows using keyset pagination', async () => {
+      let insertedUsers = await insertSomeRows();
+      let queries       = [];
+      let query         = connection.query;
+
+      connection.query = function(sql, options) {
+        queries.push(sql);
+        return query.call(this, sql, options);
+      };
+
+      let users;
+
+      try {
+        users = await Utils.collect(connection.select(User.where.ORDER('firstName'), { keysetPagination: true, batchSize: 10 }));
+      } finally {
+        connection.query = query;
+      }
+
+      expect(users.length).toEqual(25);
+      expect(users.map((user) => user.id).sort()).toEqual(insertedUsers.map((user) => user.id).sort());
+      expect(users.map((user) => user.firstName)).toEqual(Array.from(users.map((user) => user.firstName)).sort());
+
+      expect(queries.length).toEqual(3);
+      expect(queries[0]).not.toMatch(/WHERE/);
+      expect(queries[1]).toMatch(/WHERE \("users"."firstName","users"."id"\) > \('First1','[^']+'\) ORDER BY "users"."firstName" ASC,"users"."id" ASC LIMIT 10 OFFSET 0$/);
+    });
+
+    it('should be able to paginate with mixed sort directions and conditions', async () => {
+      await insertSomeRows();
+
+      let users = await Utils.collect(connection.select(
+        User.where.firstName.NEQ('First0').ORDER.DESC('firstName').ORDER.ADD('+lastName'),
+        { keysetPagination: true, batchSize: 3, bindParameters: true },
+      ));
+
+      expect(users.length).toEqual(20);
+      expect(users.map((user) => `${user.firstName}:${user.lastName}`)).toEqual([
+        'First4:Last04', 'First4:Last09', 'First4:Last14', 'First4:Last19', 'First4:Last24',
+        'First3:Last03', 'First3:Last08', 'First3:Last13', 'First3:Last18', 'First3:Last23',
+        'First2:Last02', 'First2:Last07', 'First2:Last12', 'First2:Last17', 'First2:Last22',
+        'First1:Last01', 'First1:Last06', 'First1:Last11', 'First1:Last16', 'First1:Last21',
+      ]);
+    });
+
+    it('should be able to paginate through NULL values', async () => {
+      await connection.insert(User, [
+        { firstName: 'Bob', lastName: 'A' },
+        { firstName: null, lastName: 'B' },
+        { firstName: 'Mary', lastName: 'C' },
+        { firstName: null, lastName: 'D' },
+        { firstName: 'Bob', lastName: 'E' },
+      ]);
+
+      const lastNames = async (query) => {
+        let users = await Utils.collect(connection.select(query.ORDER.ADD('+lastName'), { keysetPagination: true, batchSize: 2 }));
+        return users.map((user) => user.lastName);
+      };
+
+      expect(await lastNames(User.where.ORDER('+firstName'))).toEqual([ 'B', 'D', 'A', 'E', 'C' ]);
+      expect(await lastNames(User.where.ORDER.DESC('firstName'))).toEqual([ 'C', 'A', 'E', 'B', 'D' ]);
+    });
+
+    it('should be able to paginate a model with a composite primary key', async () => {
+      await connection.insert(Tagging, [
+        new Tagging({ tagName: 'red', targetID: '1' }),
+        new Tagging({ tagName: 'green', targetID: '2' }),
+        new Tagging({ tagName: 'blue', targetID: '1' }),
+        new Tagging({ tagName: 'green', targetID: '1' }),
+        new Tagging({ tagName: 'red', targetID: '2' }),
+      ]);
+
+      let taggings = await Utils.collect(connection.select(Tagging.where.ORDER('+targetID'), { keysetPagination: true, batchSize: 2 }));
+
+      expect(taggings.map((tagging) => `${tagging.targetID}:${tagging.tagName}`)).toEqual([
+        '1:blue', '1:green', '1:red', '2:green', '2:red',
+      ]);
+    });
+
+    it('should throw an error when used with table joins', async () => {
+      await insertSomeRows();
+
+      await expectAsync(Utils.collect(connection.select(User.where.primaryRoleID.EQ(Role.where.id), { keysetPagination: true }))).toBeRejectedWithError('SQLiteConnection::select: Keyset pagination can not be used with table joins.');
+    });
   });
 });
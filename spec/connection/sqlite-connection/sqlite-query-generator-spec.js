@@ -13,6 +13,9 @@ describe('SQLiteQueryGenerator', () => {
   let User;
   let RoleThing;
   let ExtendedUser;
+  let Tagging;
+  let Post;
+  let Product;
 
   // eslint-disable-next-line no-unused-vars
   const { it, fit } = createRunners(() => connection);
@@ -28,27 +31,50 @@ describe('SQLiteQueryGenerator', () => {
     User = models.User;
     RoleThing = models.RoleThing;
     ExtendedUser = models.ExtendedUser;
+    Tagging = models.Tagging;
+    Post = models.Post;
+    Product = models.Product;
   });
 
   describe('generateCreateTableStatement', () => {
     it('can generate a create table statement #1', () => {
       let queryGenerator = connection.getQueryGenerator();
-      expect(queryGenerator.generateCreateTableStatement(User)).toEqual('CREATE TABLE "users" (\n  "id" VARCHAR(36) PRIMARY KEY NOT NULL,\n  "firstName" VARCHAR(64),\n  "lastName" VARCHAR(64),\n  "primaryRoleID" VARCHAR(36),\n  FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL\n)');
+      expect(queryGenerator.generateCreateTableStatement(User)).toEqual('CREATE TABLE "users" (\n  "id" VARCHAR(36) PRIMARY KEY NOT NULL,\n  "firstName" VARCHAR(64),\n  "lastName" VARCHAR(64),\n  "primaryRoleID" VARCHAR(36),\n  CONSTRAINT "fk_users_primaryRoleID" FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL\n)');
     });
 
     it('can generate a create table statement #2', () => {
       let queryGenerator = connection.getQueryGenerator();
-      expect(queryGenerator.generateCreateTableStatement(ExtendedUser)).toEqual('CREATE TABLE "extended_users" (\n  "id" INTEGER PRIMARY KEY AUTOINCREMENT,\n  "createdAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  "email" VARCHAR(256) UNIQUE NOT NULL,\n  "firstName" VARCHAR(64),\n  "lastName" VARCHAR(64),\n  "metadata" VARCHAR(256),\n  "playerType" VARCHAR(256) NOT NULL DEFAULT \'wizard\',\n  "primaryRoleID" VARCHAR(36),\n  "updatedAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL\n)');
+      expect(queryGenerator.generateCreateTableStatement(ExtendedUser)).toEqual('CREATE TABLE "extended_users" (\n  "id" INTEGER PRIMARY KEY AUTOINCREMENT,\n  "createdAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  "email" VARCHAR(256) UNIQUE NOT NULL,\n  "firstName" VARCHAR(64),\n  "lastName" VARCHAR(64),\n  "metadata" VARCHAR(256),\n  "playerType" VARCHAR(256) NOT NULL DEFAULT \'wizard\',\n  "primaryRoleID" VARCHAR(36),\n  "updatedAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  CONSTRAINT "fk_extended_users_primaryRoleID" FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL\n)');
     });
 
     it('can generate a create table statement #3', () => {
       let queryGenerator = connection.getQueryGenerator();
-      expect(queryGenerator.generateCreateTableStatement(ExtendedUser, { ifNotExists: true })).toEqual('CREATE TABLE IF NOT EXISTS "extended_users" (\n  "id" INTEGER PRIMARY KEY AUTOINCREMENT,\n  "createdAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  "email" VARCHAR(256) UNIQUE NOT NULL,\n  "firstName" VARCHAR(64),\n  "lastName" VARCHAR(64),\n  "metadata" VARCHAR(256),\n  "playerType" VARCHAR(256) NOT NULL DEFAULT \'wizard\',\n  "primaryRoleID" VARCHAR(36),\n  "updatedAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL\n)');
+      expect(queryGenerator.generateCreateTableStatement(ExtendedUser, { ifNotExists: true })).toEqual('CREATE TABLE IF NOT EXISTS "extended_users" (\n  "id" INTEGER PRIMARY KEY AUTOINCREMENT,\n  "createdAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  "email" VARCHAR(256) UNIQUE NOT NULL,\n  "firstName" VARCHAR(64),\n  "lastName" VARCHAR(64),\n  "metadata" VARCHAR(256),\n  "playerType" VARCHAR(256) NOT NULL DEFAULT \'wizard\',\n  "primaryRoleID" VARCHAR(36),\n  "updatedAt" BIGINT NOT NULL DEFAULT (STRFTIME(\'%s\',\'now\')||SUBSTR(STRFTIME(\'%f\',\'now\'),4)),\n  CONSTRAINT "fk_extended_users_primaryRoleID" FOREIGN KEY("primaryRoleID") REFERENCES "roles"("id") ON DELETE SET NULL ON UPDATE SET NULL\n)');
     });
 
     it('can generate a create table statement with a foreign key', () => {
       let queryGenerator = connection.getQueryGenerator();
-      expect(queryGenerator.generateCreateTableStatement(RoleThing)).toEqual('CREATE TABLE "role_things" (\n  "id" VARCHAR(36) PRIMARY KEY NOT NULL,\n  "roleID" VARCHAR(36),\n  FOREIGN KEY("roleID") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE CASCADE\n)');
+      expect(queryGenerator.generateCreateTableStatement(RoleThing)).toEqual('CREATE TABLE "role_things" (\n  "id" VARCHAR(36) PRIMARY KEY NOT NULL,\n  "roleID" VARCHAR(36),\n  CONSTRAINT "fk_role_things_roleID" FOREIGN KEY("roleID") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE CASCADE\n)');
+    });
+
+    it('can generate a create table statement with a composite primary key', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateCreateTableStatement(Tagging)).toEqual('CREATE TABLE "taggings" (\n  "targetID" VARCHAR(36) NOT NULL,\n  "note" VARCHAR(128),\n  "tagName" VARCHAR(64) NOT NULL,\n  PRIMARY KEY ("targetID","tagName")\n)');
+    });
+
+    it('can generate a create table statement with check constraints', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateCreateTableStatement(Product)).toEqual('CREATE TABLE "products" (\n  "id" VARCHAR(36) PRIMARY KEY NOT NULL,\n  "name" VARCHAR(256) NOT NULL,\n  "quantity" INTEGER NOT NULL DEFAULT 1 CONSTRAINT "ck_products_quantity" CHECK ("quantity" >= 1),\n  CONSTRAINT "ck_products_name_not_empty" CHECK (LENGTH("name") > 0)\n)');
+    });
+  });
+
+  describe('generateCreateTableStatementOuterTail', () => {
+    it('can generate field and model indexes', () => {
+      let queryGenerator = connection.getQueryGenerator();
+      expect(queryGenerator.generateCreateTableStatementOuterTail(Post)).toEqual([
+        'CREATE INDEX IF NOT EXISTS "idx_posts_LOWER_title" ON "posts" (LOWER("title"))',
+        'CREATE INDEX IF NOT EXISTS "idx_posts_authorID_rank_desc_where_6615ab92" ON "posts" ("authorID","rank" DESC) WHERE "archivedAt" IS NULL',
+      ]);
     });
   });
 
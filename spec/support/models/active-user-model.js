@@ -0,0 +1,24 @@
+'use strict';
+
+const { Model, Types } = require('mythix-orm');
+
+class ActiveUser extends Model {
+  static fields = {
+    'id': {
+      type:         Types.UUIDV4,
+      defaultValue: Types.UUIDV4.Default.UUIDV4,
+      allowNull:    false,
+      primaryKey:   true,
+    },
+    'firstName': {
+      type:      Types.STRING(64),
+      allowNull: true,
+    },
+    'lastName': {
+      type:      Types.STRING(64),
+      allowNull: true,
+    },
+  };
+}
+
+module.exports = ActiveUser;
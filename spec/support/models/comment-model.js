@@ -0,0 +1,33 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+const { Model, Types } = require('mythix-orm');
+
+class Comment extends Model {
+  static softDelete = true;
+
+  static fields = {
+    'id': {
+      type:         Types.UUIDV4,
+      defaultValue: Types.UUIDV4.Default.UUIDV4,
+      allowNull:    false,
+      primaryKey:   true,
+    },
+    'userID': {
+      type:      Types.FOREIGN_KEY('User:id', { onDelete: 'CASCADE', onUpdate: 'CASCADE' }),
+      allowNull: true,
+      index:     true,
+    },
+    'body': {
+      type:      Types.STRING(256),
+      allowNull: false,
+    },
+    'deletedAt': {
+      type:      Types.DATETIME,
+      allowNull: true,
+    },
+  };
+}
+
+module.exports = Comment;
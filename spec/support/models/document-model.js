@@ -0,0 +1,29 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+const { Model, Types } = require('mythix-orm');
+
+class Document extends Model {
+  static versionField = 'version';
+
+  static fields = {
+    'id': {
+      type:         Types.UUIDV4,
+      defaultValue: Types.UUIDV4.Default.UUIDV4,
+      allowNull:    false,
+      primaryKey:   true,
+    },
+    'title': {
+      type:      Types.STRING(256),
+      allowNull: false,
+    },
+    'version': {
+      type:         Types.INTEGER,
+      defaultValue: 1,
+      allowNull:    false,
+    },
+  };
+}
+
+module.exports = Document;
@@ -1,11 +1,17 @@
 'use strict';
 
+const ActiveUser      = require('./active-user-model');
 const BlobTest        = require('./blob-test-model');
+const Comment         = require('./comment-model');
+const Document        = require('./document-model');
 const ExtendedUser    = require('./extended-user-model');
 const Number          = require('./number-model');
+const Post            = require('./post-model');
+const Product         = require('./product-model');
 const Role            = require('./role-model');
 const RoleThing       = require('./role-thing-model');
 const ScopedUser      = require('./scoped-user-model');
+const Tagging         = require('./tagging-model');
 const User            = require('./user-model');
 const UserRole        = require('./user-role-model');
 const UserThing       = require('./user-thing-model');
@@ -13,12 +19,18 @@ const ValidationTest  = require('./validation-test-model');
 const Time            = require('./time-model');
 
 module.exports = {
+  ActiveUser,
   BlobTest,
+  Comment,
+  Document,
   ExtendedUser,
   Number,
+  Post,
+  Product,
   Role,
   RoleThing,
   ScopedUser,
+  Tagging,
   User,
   UserRole,
   UserThing,
@@ -0,0 +1,43 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+const { Model, Types } = require('mythix-orm');
+
+class Post extends Model {
+  static indexes = [
+    {
+      columns: [ 'authorID', { field: 'rank', direction: 'DESC' } ],
+      where:   (query) => query.archivedAt.EQ(null),
+    },
+  ];
+
+  static fields = {
+    'id': {
+      type:         Types.UUIDV4,
+      defaultValue: Types.UUIDV4.Default.UUIDV4,
+      allowNull:    false,
+      primaryKey:   true,
+    },
+    'authorID': {
+      type:      Types.STRING(36),
+      allowNull: true,
+    },
+    'title': {
+      type:      Types.STRING(256),
+      allowNull: false,
+      index:     { expression: 'LOWER("title")' },
+    },
+    'rank': {
+      type:         Types.INTEGER,
+      defaultValue: 1,
+      allowNull:    false,
+    },
+    'archivedAt': {
+      type:      Types.DATETIME,
+      allowNull: true,
+    },
+  };
+}
+
+module.exports = Post;
@@ -0,0 +1,32 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+const { Model, Types } = require('mythix-orm');
+
+class Product extends Model {
+  static checks = {
+    'name_not_empty': 'LENGTH("name") > 0',
+  };
+
+  static fields = {
+    'id': {
+      type:         Types.UUIDV4,
+      defaultValue: Types.UUIDV4.Default.UUIDV4,
+      allowNull:    false,
+      primaryKey:   true,
+    },
+    'name': {
+      type:      Types.STRING(256),
+      allowNull: false,
+    },
+    'quantity': {
+      type:         Types.INTEGER,
+      defaultValue: 1,
+      allowNull:    false,
+      check:        { min: 1 },
+    },
+  };
+}
+
+module.exports = Product;
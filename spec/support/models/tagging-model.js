@@ -0,0 +1,26 @@
+/* eslint-disable no-magic-numbers */
+
+'use strict';
+
+const { Model, Types } = require('mythix-orm');
+
+class Tagging extends Model {
+  static fields = {
+    'tagName': {
+      type:       Types.STRING(64),
+      allowNull:  false,
+      primaryKey: true,
+    },
+    'targetID': {
+      type:       Types.STRING(36),
+      allowNull:  false,
+      primaryKey: true,
+    },
+    'note': {
+      type:      Types.STRING(128),
+      allowNull: true,
+    },
+  };
+}
+
+module.exports = Tagging;
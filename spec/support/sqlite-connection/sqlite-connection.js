@@ -201,8 +201,8 @@ class SQLiteConnection extends SQLConnectionBase {
 
     try {
       let statement   = this.db.prepare(sql);
-      let methodName  = ((/^\s*SELECT\s+|RETURNING/i).test(sql)) ? 'all' : 'run';
-      let parameters  = (Nife.isNotEmpty(options.parameters)) ? [].concat(parameters) : [];
+      let methodName  = ((/^\s*(SELECT|WITH|EXPLAIN)\s+|RETURNING/i).test(sql)) ? 'all' : 'run';
+      let parameters  = (Nife.isNotEmpty(options.parameters)) ? [].concat(options.parameters) : [];
 
       if (logger)
         console.log(`QUERY: ${sql}`);
@@ -228,6 +228,74 @@ class SQLiteConnection extends SQLConnectionBase {
     }
   }
 
+  // Streaming is opt-in, so that only the
+  // streaming specs take the streaming path
+  isQueryIterateSupported() {
+    return (this.getOptions().enableQueryIterate === true);
+  }
+
+  async *queryIterate(sql, _options) {
+    let options     = _options || {};
+    let batchSize   = options.batchSize || 500;
+    let statement   = this.db.prepare(sql);
+    let parameters  = (Nife.isNotEmpty(options.parameters)) ? [].concat(options.parameters) : [];
+
+    if (options.logger || this.getOptions().logger)
+      console.log(`QUERY: ${sql}`);
+
+    statement.raw(true);
+
+    let columns = statement.columns();
+    let rows    = [];
+
+    try {
+      for (let row of statement.iterate(...parameters)) {
+        rows.push(row);
+
+        if (rows.length >= batchSize) {
+          yield this.formatResultsResponse(sql, columns, rows);
+          rows = [];
+        }
+      }
+    } catch (error) {
+      error.query = sql;
+      throw error;
+    }
+
+    if (rows.length > 0)
+      yield this.formatResultsResponse(sql, columns, rows);
+  }
+
+  parseQueryPlan(result) {
+    let rows  = this.queryResultRowsToRawData(result);
+    let nodes = new Map();
+    let roots = [];
+
+    for (let i = 0, il = rows.length; i < il; i++) {
+      let row       = rows[i];
+      let detail    = row.detail;
+      let match     = detail.match(/^(SCAN|SEARCH)\s+(?:TABLE\s+)?(\S+)(?:\s+AS\s+\S+)?(?:\s+USING\s+(?:AUTOMATIC\s+)?(?:COVERING\s+)?INDEX\s+(\S+))?/);
+      let indexName = (match && match[3]) || null;
+      let node      = this.createQueryPlanNode({
+        operation: detail,
+        tableName: (match) ? match[2] : null,
+        indexName,
+        tableScan: !!(match && match[1] === 'SCAN' && !indexName),
+        indexScan: !!(indexName || (/USING\s+(INTEGER\s+)?PRIMARY\s+KEY/).test(detail)),
+      });
+
+      nodes.set(row.id, node);
+
+      let parent = nodes.get(row.parent);
+      if (parent)
+        parent.children.push(node);
+      else
+        roots.push(node);
+    }
+
+    return roots;
+  }
+
   async transaction(callback, _options) {
     let options       = _options || {};
     let inheritedThis = Object.create(options.connection || this.getContextValue('connection', this));
@@ -258,6 +326,9 @@ class SQLiteConnection extends SQLConnectionBase {
       else
         await inheritedThis.query('COMMIT', options);
 
+      if (!savePointName)
+        await inheritedThis.onTransactionCommit();
+
       return result;
     } catch (error) {
       if (savePointName)
@@ -1,5 +1,6 @@
 'use strict';
 
+const Nife                  = require('nife');
 const SQLQueryGeneratorBase = require('../../../lib/sql-query-generator-base');
 
 class SQLiteQueryGenerator extends SQLQueryGeneratorBase {
@@ -43,9 +44,50 @@ class SQLiteQueryGenerator extends SQLQueryGeneratorBase {
     if (!escapedColumnName)
       return '';
 
-    let returningField  = (pkField) ? this.getEscapedColumnName(pkField.Model, pkField, options) : '*';
+    let returningFields = this.getReturningFields(Model, options);
+    let returningField  = (returningFields.length > 0) ? returningFields.map((field) => this.getEscapedColumnName(field.Model, field, options)).join(',') : '*';
+
     return `RETURNING ${returningField}`;
   }
+
+  generateListTablesStatement() {
+    return 'SELECT "name" AS "tableName" FROM "sqlite_master" WHERE "type" = \'table\' AND "name" NOT LIKE \'sqlite_%\' ORDER BY "name"';
+  }
+
+  generateDescribeTableStatement(tableName) {
+    return {
+      sql:        'SELECT "name" AS "columnName","type" AS "type",("notnull" = 0) AS "nullable","dflt_value" AS "defaultValue",("pk" > 0) AS "primaryKey" FROM pragma_table_info(?) ORDER BY "cid"',
+      parameters: [ tableName ],
+    };
+  }
+
+  generateListIndexesStatement(tableName) {
+    return {
+      sql:        'SELECT "il"."name" AS "indexName","ii"."name" AS "columnName","il"."unique" AS "unique" FROM pragma_index_list(?) AS "il" INNER JOIN pragma_index_info("il"."name") AS "ii" ORDER BY "il"."name","ii"."seqno"',
+      parameters: [ tableName ],
+    };
+  }
+
+  generateListForeignKeysStatement(tableName) {
+    return {
+      sql:        'SELECT NULL AS "constraintName","id" AS "constraintID","from" AS "columnName","table" AS "targetTableName","to" AS "targetColumnName","on_delete" AS "onDelete","on_update" AS "onUpdate" FROM pragma_foreign_key_list(?) ORDER BY "id","seq"',
+      parameters: [ tableName ],
+    };
+  }
+
+  generateExplainStatement(statement, _options) {
+    let options = _options || {};
+    if (options.analyze === true)
+      throw new Error(`${this.constructor.name}::generateExplainStatement: "{ analyze: true }" is not supported for this connection type.`);
+
+    if (Nife.instanceOf(statement, 'string'))
+      return `EXPLAIN QUERY PLAN ${statement}`;
+
+    return {
+      sql:        `EXPLAIN QUERY PLAN ${statement.sql}`,
+      parameters: statement.parameters,
+    };
+  }
 }
 
 module.exports = SQLiteQueryGenerator;